@@ -0,0 +1,245 @@
+import { VEHICLE_CONFIGS, VEHICLE_TYPES } from '../src/gameplay/vehicleConfig.js';
+import { ProceduralTrackGenerator } from '../src/tools/proceduralTrackGenerator.js';
+
+// Movement validation against the racer's vehicle and the room's track, plus a
+// strike record that escalates repeat offenders from rubber-banding to kicks
+// and temporary bans.
+
+const SPEED_TOLERANCE = 1.25; // Drafting, downhill runs and boost pads beat the rated top speed
+const POSITION_SLACK = 2; // m of jitter allowed on top of the speed budget
+const MIN_UPDATE_WINDOW = 0.25; // s - bunched packets after a stall still get this much travel
+const RUNOFF_MARGIN = 50; // m around the racing line
+const BELOW_TRACK_MARGIN = 5;
+const ABOVE_TRACK_MARGIN = 10; // Airtime off crests and jumps
+
+const DEFAULT_CIRCUIT_RADIUS = 150; // Matches raceTracker's default circuit
+
+const DEFAULT_OPTIONS = {
+    kickAfter: 5, // strikes inside the window
+    banAfter: 8,
+    strikeWindow: 10 * 60 * 1000,
+    banDuration: 15 * 60 * 1000,
+    maxStrikeLog: 1000
+};
+
+export function getVehicleLimits(vehicleType) {
+    const config = VEHICLE_CONFIGS[vehicleType] || VEHICLE_CONFIGS[VEHICLE_TYPES.SPORTS_CAR];
+    return {
+        vehicleType: VEHICLE_CONFIGS[vehicleType] ? vehicleType : VEHICLE_TYPES.SPORTS_CAR,
+        maxSpeed: config.topSpeed / 3.6 * SPEED_TOLERANCE // m/s
+    };
+}
+
+function boundsFromPoints(points, ceilings = []) {
+    const bounds = {
+        minX: Infinity, maxX: -Infinity,
+        minY: Infinity, maxY: -Infinity,
+        minZ: Infinity, maxZ: -Infinity
+    };
+
+    // Cars spawn on a grid around the origin whatever the track
+    [{ x: 0, y: 0, z: 0 }, ...points].forEach(point => {
+        bounds.minX = Math.min(bounds.minX, point.x);
+        bounds.maxX = Math.max(bounds.maxX, point.x);
+        bounds.minY = Math.min(bounds.minY, point.y || 0);
+        bounds.maxY = Math.max(bounds.maxY, point.y || 0);
+        bounds.minZ = Math.min(bounds.minZ, point.z);
+        bounds.maxZ = Math.max(bounds.maxZ, point.z);
+    });
+    ceilings.forEach(height => {
+        bounds.maxY = Math.max(bounds.maxY, height);
+    });
+
+    return {
+        minX: bounds.minX - RUNOFF_MARGIN,
+        maxX: bounds.maxX + RUNOFF_MARGIN,
+        minY: bounds.minY - BELOW_TRACK_MARGIN,
+        maxY: bounds.maxY + ABOVE_TRACK_MARGIN,
+        minZ: bounds.minZ - RUNOFF_MARGIN,
+        maxZ: bounds.maxZ + RUNOFF_MARGIN
+    };
+}
+
+// Playable volume of a track, taking the same config as loadTrackCheckpoints
+export function loadTrackBounds(trackConfig = {}) {
+    if (Array.isArray(trackConfig.checkpoints) && trackConfig.checkpoints.length > 0) {
+        return boundsFromPoints(trackConfig.checkpoints.map(checkpoint => checkpoint.position));
+    }
+
+    if (trackConfig.seed !== undefined) {
+        const generator = new ProceduralTrackGenerator();
+        const track = generator.generateTrackWithSeed(trackConfig.seed, trackConfig.difficulty ?? 0.5);
+
+        const points = [];
+        const ceilings = [];
+        track.segments.forEach(segment => {
+            const segmentPoints = [segment.startPos, segment.endPos, segment.controlPoint].filter(Boolean);
+            points.push(...segmentPoints);
+
+            // Jumps, bridges and crests rise above their end points
+            const rise = segment.jumpHeight || segment.bridgeHeight || segment.height || 0;
+            ceilings.push(Math.max(...segmentPoints.map(point => point.y || 0)) + rise);
+        });
+
+        return boundsFromPoints(points, ceilings);
+    }
+
+    const radius = DEFAULT_CIRCUIT_RADIUS;
+    return boundsFromPoints([
+        { x: -radius, y: 0, z: -radius },
+        { x: radius, y: 0, z: radius }
+    ]);
+}
+
+// Returns the reason an update is impossible, or null if it is plausible.
+// `elapsed` is the time in seconds since the previous accepted update.
+export function checkMovement(previous, update, limits, bounds, elapsed) {
+    const position = update.position;
+    if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) {
+        return 'invalid_position';
+    }
+
+    if (position.x < bounds.minX || position.x > bounds.maxX || position.z < bounds.minZ || position.z > bounds.maxZ) {
+        return 'out_of_bounds';
+    }
+    if (position.y > bounds.maxY) return 'above_track';
+    if (position.y < bounds.minY) return 'below_track';
+
+    const velocity = update.velocity;
+    if (velocity) {
+        const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+        if (!Number.isFinite(speed) || speed > limits.maxSpeed) return 'speed';
+    }
+
+    if (previous) {
+        const distance = Math.sqrt(
+            (position.x - previous.x) ** 2 +
+            (position.y - previous.y) ** 2 +
+            (position.z - previous.z) ** 2
+        );
+        const allowed = limits.maxSpeed * Math.max(elapsed, MIN_UPDATE_WINDOW) + POSITION_SLACK;
+        if (distance > allowed) return 'teleport';
+    }
+
+    return null;
+}
+
+export class StrikeTracker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.strikes = []; // newest last, capped at maxStrikeLog
+        this.bans = new Map(); // identity -> { identity, address, reason, bannedAt, expiresAt }
+    }
+
+    // Records a violation and returns the action it escalates to:
+    // 'rubberband', 'kick' or 'ban'
+    recordStrike(identity, { playerId, roomId, address = null, reason, details = {} }, now = Date.now()) {
+        const recent = this.getRecentStrikes(identity, now).length + 1;
+
+        let action = 'rubberband';
+        if (recent >= this.options.banAfter) {
+            action = 'ban';
+        } else if (recent >= this.options.kickAfter) {
+            action = 'kick';
+        }
+
+        this.strikes.push({ identity, playerId, roomId, reason, details, action, count: recent, timestamp: now });
+        if (this.strikes.length > this.options.maxStrikeLog) {
+            this.strikes.splice(0, this.strikes.length - this.options.maxStrikeLog);
+        }
+
+        if (action === 'ban') {
+            this.ban(identity, { reason, address }, now);
+        }
+
+        return action;
+    }
+
+    getRecentStrikes(identity, now = Date.now()) {
+        const cutoff = now - this.options.strikeWindow;
+        return this.strikes.filter(strike => strike.identity === identity && strike.timestamp >= cutoff);
+    }
+
+    getBan(identity, now = Date.now()) {
+        const ban = this.bans.get(identity);
+        if (!ban) return null;
+
+        if (ban.expiresAt <= now) {
+            this.bans.delete(identity);
+            return null;
+        }
+        return ban;
+    }
+
+    // Accounts cost nothing to make, so a ban also holds against the address
+    // the banned account played from
+    getBanForAddress(address, now = Date.now()) {
+        if (!address) return null;
+
+        for (const ban of this.bans.values()) {
+            if (ban.address === address && ban.expiresAt > now) return ban;
+        }
+        return null;
+    }
+
+    // Used for strike escalation and by operators banning directly
+    ban(identity, { reason = 'admin', duration = this.options.banDuration, address = null } = {}, now = Date.now()) {
+        const ban = { identity, address, reason, bannedAt: now, expiresAt: now + duration };
+        this.bans.set(identity, ban);
+        return ban;
+    }
+
+    liftBan(identity) {
+        return this.bans.delete(identity);
+    }
+
+    // Newest first, optionally for one identity or player
+    getStrikes({ identity, playerId, limit = 100 } = {}) {
+        return this.strikes
+            .filter(strike => (!identity || strike.identity === identity) && (!playerId || strike.playerId === playerId))
+            .slice(-limit)
+            .reverse();
+    }
+
+    getBans(now = Date.now()) {
+        return Array.from(this.bans.keys())
+            .map(identity => this.getBan(identity, now))
+            .filter(Boolean);
+    }
+}
+
+// A client running ahead of the server simulation drifts from it now and then
+// (a lost input, a long frame) and reconciles back within a few updates. Only
+// divergence that lasts is a strike, and then at most one per window, so a
+// 50 Hz update stream can't run up a kick in a fraction of a second.
+export class DivergenceMonitor {
+    constructor(options = {}) {
+        this.gracePeriod = options.gracePeriod ?? 1000; // ms diverged before it counts
+        this.strikeInterval = options.strikeInterval ?? 5000; // ms between strikes
+        this.players = new Map(); // playerId -> { since, lastStrike }
+    }
+
+    // Returns true when this update should cost the player a strike
+    update(playerId, diverged, now = Date.now()) {
+        if (!diverged) {
+            this.players.delete(playerId);
+            return false;
+        }
+
+        let state = this.players.get(playerId);
+        if (!state) {
+            state = { since: now, lastStrike: null };
+            this.players.set(playerId, state);
+        }
+
+        if (now - state.since < this.gracePeriod) return false;
+        if (state.lastStrike !== null && now - state.lastStrike < this.strikeInterval) return false;
+
+        state.lastStrike = now;
+        return true;
+    }
+
+    remove(playerId) {
+        this.players.delete(playerId);
+    }
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+// Player accounts with bcrypt password hashes, and signed, expiring session
+// tokens (HS256 JWTs) that cloud, leaderboard and socket requests carry.
+
+const TOKEN_TTL = 24 * 60 * 60; // s
+const TOKEN_ALGORITHM = 'HS256';
+const BCRYPT_ROUNDS = 10;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores anything past this
+
+function isValidPassword(password) {
+    return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH && Buffer.byteLength(password) <= MAX_PASSWORD_BYTES;
+}
+
+// Checked against for unknown usernames, so they take as long as wrong passwords
+const UNKNOWN_ACCOUNT_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+export class AuthService {
+    constructor(options = {}) {
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.tokenTTL = options.tokenTTL || TOKEN_TTL;
+        this.storage = options.storage || null; // In memory only without one
+        this.accounts = new Map(); // lowercase username -> account
+    }
+
+    async loadAccounts() {
+        if (!this.storage) return;
+
+        const records = await this.storage.list('accounts');
+        records.forEach(record => {
+            this.accounts.set(record.key, record.value);
+        });
+    }
+
+    async saveAccount(account) {
+        if (!this.storage) return;
+        await this.storage.put('accounts', account.username.toLowerCase(), account);
+    }
+
+    // Returns { error } or a session for the new account
+    async register(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return { error: 'Username must be 3-20 letters, digits, _ or -' };
+        }
+        if (!isValidPassword(password)) {
+            return { error: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_BYTES} characters` };
+        }
+        if (this.accounts.has(username.toLowerCase())) {
+            return { error: 'Username already taken' };
+        }
+
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+        // Another registration may have claimed the name while hashing
+        if (this.accounts.has(username.toLowerCase())) {
+            return { error: 'Username already taken' };
+        }
+
+        const account = {
+            userId: `user_${crypto.randomUUID()}`,
+            username,
+            passwordHash,
+            createdAt: Date.now(),
+            lastLogin: Date.now()
+        };
+        this.accounts.set(username.toLowerCase(), account);
+        try {
+            await this.saveAccount(account);
+        } catch (error) {
+            this.accounts.delete(username.toLowerCase());
+            throw error;
+        }
+
+        return this.createSession(account);
+    }
+
+    // Returns { error } or a session. Unknown users and wrong passwords look the same.
+    async login(username, password) {
+        const account = typeof username === 'string' ? this.accounts.get(username.toLowerCase()) : null;
+        const valid = typeof password === 'string' && Buffer.byteLength(password) <= MAX_PASSWORD_BYTES &&
+            await bcrypt.compare(password, account ? account.passwordHash : UNKNOWN_ACCOUNT_HASH);
+        if (!account || !valid) {
+            return { error: 'Invalid username or password' };
+        }
+
+        account.lastLogin = Date.now();
+        await this.saveAccount(account);
+
+        return this.createSession(account);
+    }
+
+    // Public details of an account looked up by name or id, or null
+    findAccount({ userId, username } = {}) {
+        const account = typeof username === 'string'
+            ? this.accounts.get(username.toLowerCase())
+            : Array.from(this.accounts.values()).find(candidate => candidate.userId === userId);
+        return account ? { userId: account.userId, username: account.username } : null;
+    }
+
+    // Trades a still-valid token for a fresh one
+    refresh(token) {
+        const payload = this.verifyToken(token);
+        const account = payload && this.accounts.get(payload.username.toLowerCase());
+        if (!account || account.userId !== payload.sub) return null;
+
+        return this.createSession(account);
+    }
+
+    createSession(account, now = Date.now()) {
+        const issuedAt = Math.floor(now / 1000);
+        const expiresAt = issuedAt + this.tokenTTL;
+
+        return {
+            userId: account.userId,
+            username: account.username,
+            token: jwt.sign({ sub: account.userId, username: account.username, iat: issuedAt, exp: expiresAt }, this.secret, { algorithm: TOKEN_ALGORITHM }),
+            expiresAt: expiresAt * 1000
+        };
+    }
+
+    // Returns the token's payload, or null if it is malformed, forged or expired
+    verifyToken(token, now = Date.now()) {
+        if (typeof token !== 'string') return null;
+
+        let payload;
+        try {
+            payload = jwt.verify(token, this.secret, { algorithms: [TOKEN_ALGORITHM], clockTimestamp: Math.floor(now / 1000) });
+        } catch {
+            return null;
+        }
+
+        if (!payload || typeof payload.sub !== 'string' || typeof payload.username !== 'string') return null;
+        if (!Number.isFinite(payload.exp)) return null;
+
+        return payload;
+    }
+}
+
+// Token from an "Authorization: Bearer <token>" header
+export function getBearerToken(header) {
+    if (typeof header !== 'string') return null;
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
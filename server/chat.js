@@ -0,0 +1,95 @@
+// Room chat moderation: message clean-up, a profanity filter and per-account
+// rate limits. Relaying, history and block/mute lists live with the rooms.
+
+export const MAX_MESSAGE_LENGTH = 200;
+export const CHAT_HISTORY_SIZE = 50; // Messages kept per room for late joiners
+
+const DEFAULT_LIMITS = {
+    messages: 5, // per window
+    window: 10000,
+    duplicateWindow: 30000 // The same text again inside this is dropped
+};
+
+// Whole words, and stems that are offensive whatever follows them
+const BLOCKED_WORDS = new Set([
+    'ass', 'asshole', 'bastard', 'bitch', 'cock', 'cunt', 'dick', 'fag', 'prick',
+    'pussy', 'retard', 'slut', 'twat', 'wanker', 'whore'
+]);
+const BLOCKED_STEMS = ['fuck', 'shit', 'cunt', 'nigg', 'fagg', 'bitch', 'motherf'];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+const WORD_PATTERN = /[\p{L}\p{N}@$!]+/gu;
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[013457@$!]/g, char => LEET[char]);
+}
+
+function isBlocked(word) {
+    // "fuuuck" and "shiiit" collapse to their stems
+    const forms = [normalizeWord(word), normalizeWord(word).replace(/(.)\1+/g, '$1')];
+    return forms.some(form => BLOCKED_WORDS.has(form) || BLOCKED_STEMS.some(stem => form.startsWith(stem)));
+}
+
+// Trims, strips control characters and collapses whitespace. Returns null
+// when nothing is left.
+export function sanitizeMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+    if (typeof text !== 'string') return null;
+
+    const clean = text
+        .replace(/[\p{Cc}\p{Cf}]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength);
+    return clean || null;
+}
+
+// Masks blocked words with asterisks of the same length
+export function filterProfanity(text) {
+    let filtered = false;
+    const result = text.replace(WORD_PATTERN, word => {
+        if (!isBlocked(word)) return word;
+
+        filtered = true;
+        return '*'.repeat(word.length);
+    });
+    return { text: result, filtered };
+}
+
+// Keyed by account, so reconnecting doesn't reset a player's allowance
+export class ChatRateLimiter {
+    constructor(limits = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.senders = new Map(); // userId -> { sent: [timestamps], lastText, lastSentAt }
+    }
+
+    // Returns null if the message may be sent, otherwise { error, retryAfter }
+    check(userId, text, now = Date.now()) {
+        const { messages, window, duplicateWindow } = this.limits;
+        let sender = this.senders.get(userId);
+        if (!sender) {
+            sender = { sent: [], lastText: null, lastSentAt: 0 };
+            this.senders.set(userId, sender);
+        }
+
+        sender.sent = sender.sent.filter(time => time > now - window);
+        if (sender.sent.length >= messages) {
+            return { error: 'You are sending messages too quickly', retryAfter: sender.sent[0] + window - now };
+        }
+        if (sender.lastText === text.toLowerCase() && now - sender.lastSentAt < duplicateWindow) {
+            return { error: 'Message already sent', retryAfter: sender.lastSentAt + duplicateWindow - now };
+        }
+
+        sender.sent.push(now);
+        sender.lastText = text.toLowerCase();
+        sender.lastSentAt = now;
+        return null;
+    }
+
+    // Forget senders who have been quiet for longer than any limit covers
+    prune(now = Date.now()) {
+        const cutoff = now - Math.max(this.limits.window, this.limits.duplicateWindow);
+        this.senders.forEach((sender, userId) => {
+            if (sender.lastSentAt <= cutoff) this.senders.delete(userId);
+        });
+    }
+}
@@ -0,0 +1,135 @@
+import { VersionConflictError } from './storage.js';
+
+// Cloud saves with history. Each account's current save lives in 'cloudSaves'
+// and its storage version is the save's revision. Every revision is also kept
+// in 'cloudSaveVersions', indexed per account in 'cloudSaveHistory', until it
+// falls out of the last `historySize`. Clients send the revision their upload
+// is based on; if another device saved since, the upload is refused with the
+// newer save so the client can merge it and try again.
+
+const MAX_SAVE_SIZE = 2 * 1024 * 1024; // Bytes of JSON
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DEFAULT_OPTIONS = {
+    historySize: 10
+};
+
+function versionKey(userId, revision) {
+    return `${userId}|${revision}`;
+}
+
+// Returns an error string or null
+export function validateSave(gameData) {
+    if (!gameData || typeof gameData !== 'object' || Array.isArray(gameData)) return 'Missing gameData';
+    if (Buffer.byteLength(JSON.stringify(gameData)) > MAX_SAVE_SIZE) {
+        return `Save is larger than ${MAX_SAVE_SIZE / 1024 / 1024} MB`;
+    }
+    return null;
+}
+
+export class CloudSaveService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    toSave(record) {
+        return { ...record.value, revision: record.version };
+    }
+
+    async load(userId) {
+        const record = await this.storage.get('cloudSaves', userId);
+        return record ? this.toSave(record) : null;
+    }
+
+    // baseRevision: the revision the upload was made from, 0 for a first save.
+    // Left out, the upload overwrites whatever is there.
+    async save(userId, { gameData, baseRevision, deviceId }, { reason = 'sync', restoredFrom = null } = {}, now = Date.now()) {
+        const error = validateSave(gameData);
+        if (error) return { error };
+
+        const current = await this.storage.get('cloudSaves', userId);
+        const currentRevision = current ? current.version : 0;
+        if (baseRevision !== undefined && baseRevision !== currentRevision) {
+            return this.conflict(current);
+        }
+
+        const device = typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+        const value = { ...gameData, syncedAt: now, deviceId: device };
+        delete value.revision;
+
+        let record;
+        try {
+            record = await this.storage.put('cloudSaves', userId, value, { expectedVersion: currentRevision });
+        } catch (putError) {
+            if (!(putError instanceof VersionConflictError)) throw putError;
+            return this.conflict(await this.storage.get('cloudSaves', userId));
+        }
+
+        await this.recordVersion(userId, {
+            revision: record.version,
+            savedAt: now,
+            deviceId: device,
+            reason,
+            restoredFrom,
+            size: Buffer.byteLength(JSON.stringify(value))
+        }, value);
+
+        return { revision: record.version, syncedAt: now };
+    }
+
+    conflict(record) {
+        return {
+            error: 'The save was changed on another device',
+            code: 'conflict',
+            current: record ? this.toSave(record) : null
+        };
+    }
+
+    async recordVersion(userId, entry, gameData) {
+        await this.storage.put('cloudSaveVersions', versionKey(userId, entry.revision), gameData);
+
+        // Two saves finishing together both update the index
+        for (;;) {
+            const index = await this.storage.get('cloudSaveHistory', userId);
+            const versions = [entry, ...(index ? index.value.versions : [])]
+                .sort((a, b) => b.revision - a.revision);
+            const dropped = versions.slice(this.options.historySize);
+
+            try {
+                await this.storage.put('cloudSaveHistory', userId, {
+                    versions: versions.slice(0, this.options.historySize)
+                }, { expectedVersion: index ? index.version : 0 });
+            } catch (error) {
+                if (error instanceof VersionConflictError) continue;
+                throw error;
+            }
+
+            await Promise.all(dropped.map(version => this.storage.delete('cloudSaveVersions', versionKey(userId, version.revision))));
+            return;
+        }
+    }
+
+    // Newest first, without the save data
+    async getHistory(userId) {
+        const index = await this.storage.get('cloudSaveHistory', userId);
+        return index ? index.value.versions : [];
+    }
+
+    async getVersion(userId, revision) {
+        const entry = (await this.getHistory(userId)).find(version => version.revision === revision);
+        if (!entry) return null;
+
+        const record = await this.storage.get('cloudSaveVersions', versionKey(userId, revision));
+        return record ? { ...entry, gameData: record.value } : null;
+    }
+
+    // Rolling back makes the old version the newest revision, so the history
+    // still has what it replaced
+    async restore(userId, revision, deviceId, now = Date.now()) {
+        const version = await this.getVersion(userId, revision);
+        if (!version) return { error: 'Save version not found', code: 'not_found' };
+
+        return this.save(userId, { gameData: version.gameData, deviceId }, { reason: 'restore', restoredFrom: revision }, now);
+    }
+}
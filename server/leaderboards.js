@@ -0,0 +1,214 @@
+import { VEHICLE_CONFIGS } from '../src/gameplay/vehicleConfig.js';
+
+// Global lap and race time boards. A board is one (type, track, vehicle,
+// period) combination holding each account's best time; every result also
+// counts towards the track's all-vehicles board. Daily, weekly and monthly
+// boards are calendar periods in UTC and are dropped once they are over.
+
+export const LEADERBOARD_TYPES = ['lap', 'race'];
+export const TIMEFRAMES = ['all', 'daily', 'weekly', 'monthly'];
+
+const ALL_VEHICLES = 'any';
+const TRACK_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_DIFFICULTY = 0.5; // What loadTrackCheckpoints builds procedural tracks with
+const MIN_TIME = 1000; // ms - nothing legitimate laps faster
+const MAX_TIME = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_RANK_WINDOW = 25;
+
+export function getPeriod(timeframe, now = Date.now()) {
+    const date = new Date(now);
+
+    switch (timeframe) {
+        case 'daily':
+            return `daily-${date.toISOString().slice(0, 10)}`;
+        case 'weekly': {
+            // Weeks start on Monday
+            const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+            return `weekly-${monday.toISOString().slice(0, 10)}`;
+        }
+        case 'monthly':
+            return `monthly-${date.toISOString().slice(0, 7)}`;
+        default:
+            return 'all';
+    }
+}
+
+// Leaderboard id of the layout the server actually races for a room's track
+// config, or null for ad-hoc layouts whose times can't be compared with anyone
+// else's. Client-supplied names and ids are ignored: only the default circuit
+// and seeded procedural tracks are known to the server.
+export function getTrackId(trackData = {}) {
+    if (trackData.checkpoints !== undefined) return null;
+    if (trackData.gateHalfWidth !== undefined || trackData.gateHeight !== undefined) return null;
+    if (trackData.seed === undefined) return 'default';
+
+    // Other difficulties reshape the layout without changing the seed
+    const difficulty = trackData.difficulty ?? DEFAULT_DIFFICULTY;
+    return Number.isInteger(trackData.seed) && difficulty === DEFAULT_DIFFICULTY ? `procedural_${trackData.seed}` : null;
+}
+
+// Tracks the server races itself, whose boards only take its own verified
+// results: anything getTrackId can return
+export function isServerTrack(track) {
+    return track === 'default' || /^procedural_-?\d+$/.test(track);
+}
+
+// Returns an error string or null
+export function validateBoard({ type, track, vehicle, timeframe = 'all' }) {
+    if (!LEADERBOARD_TYPES.includes(type)) return `Unknown leaderboard type: ${type}`;
+    if (typeof track !== 'string' || !TRACK_PATTERN.test(track)) return 'Invalid track';
+    if (vehicle !== undefined && !VEHICLE_CONFIGS[vehicle]) return `Unknown vehicle: ${vehicle}`;
+    if (!TIMEFRAMES.includes(timeframe)) return `Unknown timeframe: ${timeframe}`;
+    return null;
+}
+
+function clampInteger(value, fallback, min, max) {
+    const number = Number.parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+export class LeaderboardService {
+    constructor(storage) {
+        this.storage = storage;
+        this.boards = new Map(); // board key -> Map(userId -> entry)
+        this.sorted = new Map(); // board key -> entries by time, rebuilt after changes
+    }
+
+    async load(now = Date.now()) {
+        const records = await this.storage.list('leaderboards');
+        records.forEach(record => {
+            this.getBoard(record.value.board).set(record.value.userId, record.value);
+        });
+        await this.pruneExpired(now);
+    }
+
+    boardKey(type, track, vehicle, period) {
+        return `${type}:${track}:${vehicle || ALL_VEHICLES}:${period}`;
+    }
+
+    getBoard(key) {
+        if (!this.boards.has(key)) {
+            this.boards.set(key, new Map());
+        }
+        return this.boards.get(key);
+    }
+
+    getSorted(key) {
+        if (!this.sorted.has(key)) {
+            const board = this.boards.get(key);
+            const entries = board ? Array.from(board.values()) : [];
+            this.sorted.set(key, entries.sort((a, b) => a.time - b.time || a.achievedAt - b.achievedAt));
+        }
+        return this.sorted.get(key);
+    }
+
+    // user: { userId, username }. Results from the server's own race tracking
+    // are marked verified; on tracks it races itself those are the only ones
+    // taken. Returns { error } or the timeframes improved on and the all-time rank.
+    async submit(user, { type, track, vehicle, time, position, verified = false }, now = Date.now()) {
+        const error = validateBoard({ type, track, vehicle });
+        if (error) return { error };
+        if (!verified && isServerTrack(track)) {
+            return { error: 'Times on this track are only recorded from server-run races', code: 'verified_only' };
+        }
+        if (!Number.isFinite(time) || time < MIN_TIME || time > MAX_TIME) return { error: 'Invalid time' };
+
+        const improved = [];
+        for (const timeframe of TIMEFRAMES) {
+            for (const boardVehicle of vehicle ? [vehicle, ALL_VEHICLES] : [ALL_VEHICLES]) {
+                const key = this.boardKey(type, track, boardVehicle, getPeriod(timeframe, now));
+                const board = this.getBoard(key);
+                const existing = board.get(user.userId);
+                if (existing && existing.time <= time) continue;
+
+                const entry = {
+                    board: key,
+                    userId: user.userId,
+                    username: user.username,
+                    time: Math.round(time),
+                    vehicle: vehicle || null,
+                    position: Number.isInteger(position) ? position : null,
+                    verified: !!verified,
+                    achievedAt: now
+                };
+                board.set(user.userId, entry);
+                this.sorted.delete(key);
+                await this.storage.put('leaderboards', `${key}|${user.userId}`, entry);
+
+                if (boardVehicle === (vehicle || ALL_VEHICLES)) improved.push(timeframe);
+            }
+        }
+
+        return { improved, rank: this.getRank(type, track, vehicle, 'all', user.userId, now) };
+    }
+
+    getRank(type, track, vehicle, timeframe, userId, now = Date.now()) {
+        const index = this.getSorted(this.boardKey(type, track, vehicle, getPeriod(timeframe, now)))
+            .findIndex(entry => entry.userId === userId);
+        return index >= 0 ? index + 1 : null;
+    }
+
+    // One page of a board, best first
+    query({ type, track, vehicle, timeframe = 'all', page, pageSize }, now = Date.now()) {
+        const entries = this.getSorted(this.boardKey(type, track, vehicle, getPeriod(timeframe, now)));
+        const size = clampInteger(pageSize, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+        const pageNumber = clampInteger(page, 1, 1, Number.MAX_SAFE_INTEGER);
+        const start = (pageNumber - 1) * size;
+
+        return {
+            entries: entries.slice(start, start + size).map((entry, index) => this.toPublic(entry, start + index + 1)),
+            total: entries.length,
+            page: pageNumber,
+            pageSize: size
+        };
+    }
+
+    // The player's rank with up to `window` entries either side of it
+    aroundUser({ type, track, vehicle, timeframe = 'all', window }, userId, now = Date.now()) {
+        const entries = this.getSorted(this.boardKey(type, track, vehicle, getPeriod(timeframe, now)));
+        const index = entries.findIndex(entry => entry.userId === userId);
+        if (index < 0) {
+            return { rank: null, total: entries.length, entries: [] };
+        }
+
+        const size = clampInteger(window, 5, 0, MAX_RANK_WINDOW);
+        const start = Math.max(0, index - size);
+
+        return {
+            rank: index + 1,
+            total: entries.length,
+            entries: entries.slice(start, index + size + 1).map((entry, offset) => this.toPublic(entry, start + offset + 1))
+        };
+    }
+
+    toPublic(entry, rank) {
+        return {
+            rank,
+            userId: entry.userId,
+            username: entry.username,
+            time: entry.time,
+            vehicle: entry.vehicle,
+            position: entry.position,
+            verified: entry.verified,
+            achievedAt: entry.achievedAt
+        };
+    }
+
+    // Drop daily, weekly and monthly boards from earlier periods
+    async pruneExpired(now = Date.now()) {
+        const current = new Set(TIMEFRAMES.map(timeframe => getPeriod(timeframe, now)));
+
+        for (const [key, board] of this.boards) {
+            const period = key.slice(key.lastIndexOf(':') + 1);
+            if (current.has(period)) continue;
+
+            for (const userId of board.keys()) {
+                await this.storage.delete('leaderboards', `${key}|${userId}`);
+            }
+            this.boards.delete(key);
+            this.sorted.delete(key);
+        }
+    }
+}
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+
+// Before accounts existed the server kept each cloud save in
+// saves/<userId>.json, with the id derived from nothing but the username.
+// On startup those files are imported into the 'legacySaves' collection, and
+// each save goes to the account that registers its username. That is no
+// weaker than before, when anyone could load a save by name.
+
+export function getLegacyUserId(username) {
+    return `user_${Buffer.from(username).toString('base64').replace(/[^a-zA-Z0-9]/g, '')}`;
+}
+
+// Returns how many saves were imported. The directory is renamed afterwards
+// so the import only runs once.
+export async function importLegacySaves(storage, dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let imported = 0;
+    for (const file of await fs.promises.readdir(dir)) {
+        if (!file.endsWith('.json')) continue;
+
+        let gameData;
+        try {
+            gameData = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+        } catch (error) {
+            console.warn(`Skipping unreadable legacy save ${file}: ${error.message}`);
+            continue;
+        }
+
+        await storage.put('legacySaves', path.basename(file, '.json'), gameData);
+        imported++;
+    }
+
+    await fs.promises.rename(dir, `${dir}.imported`);
+    return imported;
+}
+
+// The imported save for a username, if any. It is removed so only one
+// account can claim it.
+export async function takeLegacySave(storage, username) {
+    const key = getLegacyUserId(username);
+    const record = await storage.get('legacySaves', key);
+    if (!record) return null;
+
+    await storage.delete('legacySaves', key);
+    return record.value;
+}
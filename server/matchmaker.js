@@ -0,0 +1,233 @@
+// Skill- and region-based matchmaking. Each game mode + region pair has its own
+// queue; players in a queue are bucketed by MMR so a match only has to look at
+// the buckets inside a player's acceptable range, and that range widens the
+// longer the player waits. A party queues as one entry whose members always
+// land in the same match.
+
+const DEFAULT_OPTIONS = {
+    minPlayers: 2,
+    maxPlayers: 8,
+    bucketSize: 100,
+    baseRange: 200, // Same base as RankingManager.getMatchmakingRange
+    rangeGrowthPerSecond: 25,
+    maxRange: 1500,
+    fillWaitTime: 10000, // Wait this long for a fuller lobby before starting small
+    defaultWaitEstimate: 30000,
+    waitSampleSize: 20,
+    defaultMMR: 1500,
+    defaultRegion: 'global'
+};
+
+export class Matchmaker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.queues = new Map(); // queueKey -> Map<bucket, entry[]>
+        this.entries = new Map(); // playerId -> entry
+        this.waitSamples = new Map(); // queueKey -> recent wait times (ms)
+    }
+
+    resolveRegion(region) {
+        return !region || region === 'auto' ? this.options.defaultRegion : region;
+    }
+
+    getQueueKey(gameMode, region) {
+        return `${gameMode || 'standard'}:${this.resolveRegion(region)}`;
+    }
+
+    getBucket(mmr) {
+        return Math.floor(mmr / this.options.bucketSize);
+    }
+
+    // `members` ([{ id, data }]) makes this a group entry, e.g. a party id
+    // with its players' sockets; mmr is then the group's average.
+    enqueue(playerId, { gameMode = 'standard', region = 'auto', mmr, range, data = {}, members = null } = {}, now = Date.now()) {
+        this.dequeue(playerId);
+
+        const entry = {
+            id: playerId,
+            gameMode,
+            region: this.resolveRegion(region),
+            mmr: Number.isFinite(mmr) ? mmr : this.options.defaultMMR,
+            // Clients may ask for a wider starting range (see RankingManager)
+            baseRange: Number.isFinite(range) ? Math.max(this.options.baseRange, range) : this.options.baseRange,
+            data,
+            members: members || [{ id: playerId, data }],
+            joinedAt: now
+        };
+        entry.size = entry.members.length;
+        entry.queueKey = this.getQueueKey(gameMode, entry.region);
+        entry.bucket = this.getBucket(entry.mmr);
+
+        if (!this.queues.has(entry.queueKey)) {
+            this.queues.set(entry.queueKey, new Map());
+        }
+        const buckets = this.queues.get(entry.queueKey);
+        if (!buckets.has(entry.bucket)) {
+            buckets.set(entry.bucket, []);
+        }
+        buckets.get(entry.bucket).push(entry);
+        this.entries.set(playerId, entry);
+
+        return entry;
+    }
+
+    dequeue(playerId) {
+        const entry = this.entries.get(playerId);
+        if (!entry) return null;
+
+        const buckets = this.queues.get(entry.queueKey);
+        const bucket = buckets.get(entry.bucket);
+        bucket.splice(bucket.indexOf(entry), 1);
+
+        if (bucket.length === 0) buckets.delete(entry.bucket);
+        if (buckets.size === 0) this.queues.delete(entry.queueKey);
+
+        this.entries.delete(playerId);
+        return entry;
+    }
+
+    isQueued(playerId) {
+        return this.entries.has(playerId);
+    }
+
+    getQueuedPlayerCount() {
+        let count = 0;
+        this.entries.forEach(entry => {
+            count += entry.size;
+        });
+        return count;
+    }
+
+    getAcceptableRange(entry, now = Date.now()) {
+        const waitedSeconds = (now - entry.joinedAt) / 1000;
+        return Math.min(this.options.maxRange, entry.baseRange + waitedSeconds * this.options.rangeGrowthPerSecond);
+    }
+
+    getQueueSize(gameMode, region) {
+        const buckets = this.queues.get(this.getQueueKey(gameMode, region));
+        if (!buckets) return 0;
+
+        let size = 0;
+        buckets.forEach(bucket => {
+            bucket.forEach(entry => {
+                size += entry.size;
+            });
+        });
+        return size;
+    }
+
+    estimateWaitTime(gameMode, region) {
+        const samples = this.waitSamples.get(this.getQueueKey(gameMode, region));
+        if (samples && samples.length > 0) {
+            return Math.round(samples.reduce((sum, wait) => sum + wait, 0) / samples.length);
+        }
+
+        // No history yet: a populated queue should fill within the fill window
+        return this.getQueueSize(gameMode, region) >= this.options.minPlayers
+            ? this.options.fillWaitTime
+            : this.options.defaultWaitEstimate;
+    }
+
+    recordWaitTime(queueKey, waitTime) {
+        if (!this.waitSamples.has(queueKey)) {
+            this.waitSamples.set(queueKey, []);
+        }
+        const samples = this.waitSamples.get(queueKey);
+        samples.push(waitTime);
+        if (samples.length > this.options.waitSampleSize) {
+            samples.shift();
+        }
+    }
+
+    // Players within `entry`'s range whose own range also accepts `entry`
+    findCandidates(entry, buckets, matched, now) {
+        const range = this.getAcceptableRange(entry, now);
+        const lowBucket = this.getBucket(entry.mmr - range);
+        const highBucket = this.getBucket(entry.mmr + range);
+        const candidates = [];
+
+        for (let b = lowBucket; b <= highBucket; b++) {
+            const bucket = buckets.get(b);
+            if (!bucket) continue;
+
+            bucket.forEach(other => {
+                if (other === entry || matched.has(other.id)) return;
+
+                const difference = Math.abs(other.mmr - entry.mmr);
+                if (difference <= range && difference <= this.getAcceptableRange(other, now)) {
+                    candidates.push(other);
+                }
+            });
+        }
+
+        // Closest skill first, then longest waiting
+        return candidates.sort((a, b) =>
+            Math.abs(a.mmr - entry.mmr) - Math.abs(b.mmr - entry.mmr) || a.joinedAt - b.joinedAt);
+    }
+
+    // Form as many matches as the queues allow. Matched players are removed.
+    findMatches(now = Date.now()) {
+        const matches = [];
+        const { minPlayers, maxPlayers, fillWaitTime } = this.options;
+
+        this.queues.forEach((buckets, queueKey) => {
+            const matched = new Set();
+            const anchors = [];
+            buckets.forEach(bucket => anchors.push(...bucket));
+            // Longest-waiting players get to anchor a match first
+            anchors.sort((a, b) => a.joinedAt - b.joinedAt);
+
+            anchors.forEach(anchor => {
+                if (matched.has(anchor.id)) return;
+
+                // Parties that would overflow the match are skipped, not split
+                const group = [anchor];
+                let playerCount = anchor.size;
+                for (const candidate of this.findCandidates(anchor, buckets, matched, now)) {
+                    if (playerCount === maxPlayers) break;
+                    if (playerCount + candidate.size > maxPlayers) continue;
+
+                    group.push(candidate);
+                    playerCount += candidate.size;
+                }
+
+                const full = playerCount >= maxPlayers;
+                const waitedLongEnough = now - anchor.joinedAt >= fillWaitTime;
+                if (playerCount < minPlayers || (!full && !waitedLongEnough)) return;
+
+                group.forEach(entry => matched.add(entry.id));
+                matches.push({
+                    queueKey,
+                    gameMode: anchor.gameMode,
+                    region: anchor.region,
+                    averageMMR: Math.round(group.reduce((sum, entry) => sum + entry.mmr * entry.size, 0) / playerCount),
+                    playerCount,
+                    entries: group
+                });
+            });
+        });
+
+        matches.forEach(match => {
+            match.entries.forEach(entry => {
+                this.dequeue(entry.id);
+                this.recordWaitTime(match.queueKey, now - entry.joinedAt);
+            });
+        });
+
+        return matches;
+    }
+
+    getStatus(playerId, now = Date.now()) {
+        const entry = this.entries.get(playerId);
+        if (!entry) return null;
+
+        return {
+            gameMode: entry.gameMode,
+            region: entry.region,
+            waitTime: now - entry.joinedAt,
+            mmrRange: Math.round(this.getAcceptableRange(entry, now)),
+            queueSize: this.getQueueSize(entry.gameMode, entry.region),
+            estimatedWaitTime: this.estimateWaitTime(entry.gameMode, entry.region)
+        };
+    }
+}
@@ -0,0 +1,204 @@
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+// Minimal Prometheus client: counters, gauges and histograms with labels,
+// rendered in the text exposition format for the /metrics endpoint.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    // Only the declared labels, in declaration order
+    getSeries(labels, create) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+        });
+
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, create(picked));
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples()
+        ].join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+
+    renderSamples() {
+        return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+export class Gauge extends Metric {
+    // collect(gauge) runs before every scrape for values read on demand
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels;
+            labels = {};
+        }
+        this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+        return super.render();
+    }
+
+    renderSamples() {
+        return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, picked => ({
+            labels: picked,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed since the call
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSamples() {
+        const lines = [];
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = [], collect = null) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Memory and event-loop lag under the names prom-client's defaults use
+export function registerProcessMetrics(registry) {
+    const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+    loopDelay.enable();
+
+    registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], gauge => {
+        gauge.set(process.memoryUsage().rss);
+    });
+    registry.gauge('nodejs_heap_size_used_bytes', 'V8 heap in use in bytes', [], gauge => {
+        gauge.set(process.memoryUsage().heapUsed);
+    });
+    registry.gauge('nodejs_heap_size_total_bytes', 'V8 heap size in bytes', [], gauge => {
+        gauge.set(process.memoryUsage().heapTotal);
+    });
+    registry.gauge('nodejs_external_memory_bytes', 'Memory held by C++ objects bound to JS in bytes', [], gauge => {
+        gauge.set(process.memoryUsage().external);
+    });
+
+    // Lag since the previous scrape; the sampler is reset once all three are read
+    registry.gauge('nodejs_eventloop_lag_mean_seconds', 'Mean event loop delay since the last scrape', [], gauge => {
+        gauge.set(Number.isNaN(loopDelay.mean) ? 0 : loopDelay.mean / 1e9);
+    });
+    registry.gauge('nodejs_eventloop_lag_p99_seconds', '99th percentile event loop delay since the last scrape', [], gauge => {
+        gauge.set(loopDelay.percentile(99) / 1e9);
+    });
+    registry.gauge('nodejs_eventloop_lag_max_seconds', 'Maximum event loop delay since the last scrape', [], gauge => {
+        gauge.set(loopDelay.max / 1e9);
+        loopDelay.reset();
+    });
+
+    return loopDelay;
+}
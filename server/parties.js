@@ -0,0 +1,132 @@
+// Server-hosted parties. A party is a group of accounts with a leader that
+// queues for matchmaking as one unit and outlives the rooms it races in.
+// Members are keyed by userId so a reconnect doesn't drop anyone.
+
+const DEFAULT_OPTIONS = {
+    maxSize: 4,
+    inviteTTL: 60000
+};
+
+export class PartyManager {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.parties = new Map(); // partyId -> party
+        this.partyByUser = new Map(); // userId -> partyId
+        this.nextPartyId = 1;
+    }
+
+    get(partyId) {
+        return this.parties.get(partyId) || null;
+    }
+
+    getPartyOf(userId) {
+        return this.get(this.partyByUser.get(userId));
+    }
+
+    // user: { userId, username, playerData }
+    create(user, now = Date.now()) {
+        this.leave(user.userId);
+
+        const party = {
+            id: `party_${this.nextPartyId++}`,
+            leaderId: user.userId,
+            members: new Map(),
+            invites: new Map(), // userId -> { from, expiresAt }
+            createdAt: now
+        };
+        this.parties.set(party.id, party);
+        this.addMember(party, user);
+
+        return party;
+    }
+
+    addMember(party, { userId, username, playerData = {} }) {
+        party.members.set(userId, { userId, username, playerData, online: true });
+        party.invites.delete(userId);
+        this.partyByUser.set(userId, party.id);
+    }
+
+    // Returns an error string or null
+    invite(party, fromUserId, toUserId, now = Date.now()) {
+        if (party.leaderId !== fromUserId) return 'Only the party leader can invite';
+        if (party.members.has(toUserId)) return 'Already in the party';
+        if (party.members.size + this.countInvites(party, now) >= this.options.maxSize) return 'Party is full';
+
+        party.invites.set(toUserId, { from: fromUserId, expiresAt: now + this.options.inviteTTL });
+        return null;
+    }
+
+    countInvites(party, now = Date.now()) {
+        party.invites.forEach((invite, userId) => {
+            if (invite.expiresAt <= now) party.invites.delete(userId);
+        });
+        return party.invites.size;
+    }
+
+    // Returns { party, previous } or { error }; previous is the party the
+    // user left to join, if any
+    accept(partyId, user, now = Date.now()) {
+        const party = this.get(partyId);
+        const invite = party && party.invites.get(user.userId);
+        if (!invite || invite.expiresAt <= now) {
+            if (party) party.invites.delete(user.userId);
+            return { error: 'Invite has expired' };
+        }
+        if (party.members.size >= this.options.maxSize) return { error: 'Party is full' };
+
+        const previous = this.leave(user.userId);
+        this.addMember(party, user);
+        return { party, previous };
+    }
+
+    decline(partyId, userId) {
+        const party = this.get(partyId);
+        if (!party || !party.invites.delete(userId)) return null;
+        return party;
+    }
+
+    // Returns the party left (null if none). The oldest remaining member
+    // leads when the leader goes; an emptied party is disbanded.
+    leave(userId) {
+        const party = this.getPartyOf(userId);
+        if (!party) return null;
+
+        party.members.delete(userId);
+        this.partyByUser.delete(userId);
+
+        if (party.members.size === 0) {
+            this.parties.delete(party.id);
+        } else if (party.leaderId === userId) {
+            party.leaderId = party.members.keys().next().value;
+        }
+        return party;
+    }
+
+    setOnline(userId, online) {
+        const party = this.getPartyOf(userId);
+        if (!party) return null;
+
+        party.members.get(userId).online = online;
+        return party;
+    }
+
+    isDisbanded(party) {
+        return !this.parties.has(party.id);
+    }
+
+    getState(party, now = Date.now()) {
+        this.countInvites(party, now);
+        return {
+            partyId: party.id,
+            leaderId: party.leaderId,
+            maxSize: this.options.maxSize,
+            members: Array.from(party.members.values()).map(({ userId, username, playerData, online }) => ({
+                userId,
+                username,
+                name: playerData.name || username,
+                online
+            })),
+            pendingInvites: Array.from(party.invites.keys())
+        };
+    }
+}
@@ -0,0 +1,266 @@
+import { ProceduralTrackGenerator } from '../src/tools/proceduralTrackGenerator.js';
+
+// Server-side track geometry and lap tracking. Clients only report where they
+// are; checkpoint crossings, laps and finish order are derived from that here.
+
+const DEFAULT_CIRCUIT = {
+    id: 'default_circuit',
+    numCheckpoints: 8,
+    radius: 150 // Matches SceneManager.createTrackCheckpoints
+};
+
+const DEFAULT_GATE_HALF_WIDTH = 15;
+const DEFAULT_GATE_HEIGHT = 10;
+const MAX_CHECKPOINTS = 200;
+const MAX_COORDINATE = 100000; // m from the origin
+const MAX_GATE_SIZE = 1000;
+
+function normalize2D(x, z) {
+    const length = Math.sqrt(x * x + z * z);
+    if (length === 0) return { x: 0, z: 1 };
+    return { x: x / length, z: z / length };
+}
+
+function createCircuitCheckpoints(numCheckpoints, radius) {
+    const checkpoints = [];
+
+    for (let i = 0; i < numCheckpoints; i++) {
+        const angle = (i / numCheckpoints) * Math.PI * 2;
+
+        checkpoints.push({
+            id: i,
+            position: { x: Math.cos(angle) * radius, y: 0, z: Math.sin(angle) * radius },
+            // Tangent of the circle in the direction of travel
+            direction: { x: -Math.sin(angle), z: Math.cos(angle) }
+        });
+    }
+
+    return checkpoints;
+}
+
+function createProceduralCheckpoints(seed, difficulty) {
+    const generator = new ProceduralTrackGenerator();
+    const track = generator.generateTrackWithSeed(seed, difficulty);
+
+    return track.checkpoints.map((checkpoint, index) => {
+        // Use the track direction between the neighbouring checkpoints as the gate normal
+        const prev = track.checkpoints[Math.max(0, index - 1)].position;
+        const next = track.checkpoints[Math.min(track.checkpoints.length - 1, index + 1)].position;
+
+        return {
+            id: index,
+            position: { ...checkpoint.position },
+            direction: normalize2D(next.x - prev.x, next.z - prev.z),
+            isFinish: !!checkpoint.isFinish
+        };
+    });
+}
+
+function isCoordinate(value) {
+    return Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+function isGateSize(value) {
+    return value === undefined || (Number.isFinite(value) && value > 0 && value <= MAX_GATE_SIZE);
+}
+
+// Track configs come from lobby hosts, so everything the tracker reads is
+// checked first. Returns an error string or null.
+export function validateTrackConfig(trackConfig) {
+    if (!trackConfig || typeof trackConfig !== 'object' || Array.isArray(trackConfig)) return 'Invalid track';
+
+    const { checkpoints, seed, difficulty } = trackConfig;
+    if (checkpoints !== undefined) {
+        if (!Array.isArray(checkpoints)) return 'Track checkpoints must be a list';
+        if (checkpoints.length > MAX_CHECKPOINTS) return `Tracks can have at most ${MAX_CHECKPOINTS} checkpoints`;
+
+        for (let i = 0; i < checkpoints.length; i++) {
+            const { position, direction } = checkpoints[i] || {};
+            if (!position || !isCoordinate(position.x) || !isCoordinate(position.z) ||
+                (position.y !== undefined && !isCoordinate(position.y))) {
+                return `Checkpoint ${i} has an invalid position`;
+            }
+            if (!direction || !Number.isFinite(direction.x) || !Number.isFinite(direction.z) ||
+                (direction.x === 0 && direction.z === 0)) {
+                return `Checkpoint ${i} has an invalid direction`;
+            }
+        }
+    }
+
+    if (seed !== undefined && !Number.isSafeInteger(seed)) return 'Track seed must be an integer';
+    if (difficulty !== undefined && !(Number.isFinite(difficulty) && difficulty >= 0 && difficulty <= 1)) {
+        return 'Track difficulty must be between 0 and 1';
+    }
+    if (!isGateSize(trackConfig.gateHalfWidth) || !isGateSize(trackConfig.gateHeight)) return 'Invalid gate size';
+
+    return null;
+}
+
+// Build the checkpoint gates for a race. `trackConfig` is either a procedural
+// track ({ seed, difficulty }), an explicit checkpoint list, or empty for the
+// default circuit. Throws on a config validateTrackConfig rejects.
+export function loadTrackCheckpoints(trackConfig = {}) {
+    const error = validateTrackConfig(trackConfig);
+    if (error) throw new Error(error);
+
+    let checkpoints;
+
+    if (Array.isArray(trackConfig.checkpoints) && trackConfig.checkpoints.length > 0) {
+        checkpoints = trackConfig.checkpoints.map((checkpoint, index) => ({
+            id: index,
+            position: { x: checkpoint.position.x, y: checkpoint.position.y || 0, z: checkpoint.position.z },
+            direction: normalize2D(checkpoint.direction.x, checkpoint.direction.z),
+            isFinish: !!checkpoint.isFinish
+        }));
+    } else if (trackConfig.seed !== undefined) {
+        checkpoints = createProceduralCheckpoints(trackConfig.seed, trackConfig.difficulty ?? 0.5);
+    } else {
+        checkpoints = createCircuitCheckpoints(DEFAULT_CIRCUIT.numCheckpoints, DEFAULT_CIRCUIT.radius);
+    }
+
+    const halfWidth = trackConfig.gateHalfWidth || DEFAULT_GATE_HALF_WIDTH;
+    const height = trackConfig.gateHeight || DEFAULT_GATE_HEIGHT;
+
+    return checkpoints.map(checkpoint => ({ ...checkpoint, halfWidth, height }));
+}
+
+// Returns true if the segment from `from` to `to` passes forwards through the gate
+export function crossesGate(gate, from, to) {
+    const { position, direction } = gate;
+
+    const before = (from.x - position.x) * direction.x + (from.z - position.z) * direction.z;
+    const after = (to.x - position.x) * direction.x + (to.z - position.z) * direction.z;
+
+    // Must move from behind the gate plane to on/in front of it
+    if (before >= 0 || after < 0) return false;
+
+    const t = before / (before - after);
+    const hit = {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        z: from.z + (to.z - from.z) * t
+    };
+
+    // Lateral offset along the gate line (perpendicular to the direction)
+    const lateral = (hit.x - position.x) * -direction.z + (hit.z - position.z) * direction.x;
+    if (Math.abs(lateral) > gate.halfWidth) return false;
+
+    return Math.abs(hit.y - position.y) <= gate.height;
+}
+
+export class RaceTracker {
+    constructor(checkpoints, totalLaps = 3) {
+        this.checkpoints = checkpoints;
+        this.totalLaps = totalLaps;
+        this.progress = new Map();
+        this.finishOrder = [];
+        this.raceStartTime = null;
+    }
+
+    start(startTime = Date.now()) {
+        this.raceStartTime = startTime;
+        this.finishOrder = [];
+        this.progress.forEach(progress => {
+            progress.lapStartTime = startTime;
+        });
+    }
+
+    addPlayer(playerId, position = null) {
+        this.progress.set(playerId, {
+            lap: 1,
+            checkpoint: 0,
+            lastPosition: position ? { ...position } : null,
+            lapStartTime: this.raceStartTime,
+            lapTimes: [],
+            finished: false,
+            finishTime: null,
+            finishPosition: null
+        });
+    }
+
+    removePlayer(playerId) {
+        this.progress.delete(playerId);
+    }
+
+    reassignPlayer(oldId, newId) {
+        const progress = this.progress.get(oldId);
+        if (!progress) return;
+
+        this.progress.delete(oldId);
+        this.progress.set(newId, progress);
+        this.finishOrder = this.finishOrder.map(id => id === oldId ? newId : id);
+    }
+
+    getProgress(playerId) {
+        return this.progress.get(playerId) || null;
+    }
+
+    // Feed a validated position. Returns the race events it produced, in order:
+    // { type: 'checkpoint' | 'lap' | 'finish', ... }
+    updatePosition(playerId, position, now = Date.now()) {
+        const progress = this.progress.get(playerId);
+        if (!progress || progress.finished) return [];
+
+        const events = [];
+        const from = progress.lastPosition;
+        progress.lastPosition = { x: position.x, y: position.y, z: position.z };
+
+        if (!from || this.checkpoints.length === 0) return events;
+
+        const gate = this.checkpoints[progress.checkpoint];
+        if (!crossesGate(gate, from, position)) return events;
+
+        progress.checkpoint++;
+        events.push({ type: 'checkpoint', checkpoint: gate.id, lap: progress.lap });
+
+        if (progress.checkpoint < this.checkpoints.length) return events;
+
+        // All checkpoints passed in order - lap complete
+        const lapTime = now - (progress.lapStartTime || now);
+        progress.lapTimes.push(lapTime);
+        progress.lapStartTime = now;
+        progress.checkpoint = 0;
+
+        events.push({ type: 'lap', lap: progress.lap, lapTime });
+
+        if (progress.lap >= this.totalLaps) {
+            progress.finished = true;
+            progress.finishTime = now - (this.raceStartTime || now);
+            this.finishOrder.push(playerId);
+            progress.finishPosition = this.finishOrder.length;
+
+            events.push({
+                type: 'finish',
+                finishTime: progress.finishTime,
+                finishPosition: progress.finishPosition
+            });
+        } else {
+            progress.lap++;
+        }
+
+        return events;
+    }
+
+    distanceToNextCheckpoint(progress) {
+        const gate = this.checkpoints[progress.checkpoint];
+        if (!gate || !progress.lastPosition) return Infinity;
+
+        const dx = progress.lastPosition.x - gate.position.x;
+        const dz = progress.lastPosition.z - gate.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    // Player ids ordered by race position: finishers first, then by progress
+    getStandings() {
+        return Array.from(this.progress.entries())
+            .sort(([, a], [, b]) => {
+                if (a.finished && b.finished) return a.finishPosition - b.finishPosition;
+                if (a.finished) return -1;
+                if (b.finished) return 1;
+                return (b.lap - a.lap) ||
+                    (b.checkpoint - a.checkpoint) ||
+                    (this.distanceToNextCheckpoint(a) - this.distanceToNextCheckpoint(b));
+            })
+            .map(([playerId]) => playerId);
+    }
+}
@@ -3,7 +3,24 @@ import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
+import crypto from 'crypto';
+import { RateLimiterMemory } from 'rate-limiter-flexible';
+import { RaceTracker, loadTrackCheckpoints, validateTrackConfig } from './raceTracker.js';
+import { Matchmaker } from './matchmaker.js';
+import { ServerPhysics } from './serverPhysics.js';
+import { StrikeTracker, DivergenceMonitor, checkMovement, getVehicleLimits, loadTrackBounds } from './antiCheat.js';
+import { AuthService, getBearerToken } from './auth.js';
+import { createStorage } from './storage.js';
+import { importLegacySaves, takeLegacySave } from './legacySaves.js';
+import { LeaderboardService, getTrackId, validateBoard } from './leaderboards.js';
+import { MetricsRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE, registerProcessMetrics } from './metrics.js';
+import { SocketEventGuard } from './socketEvents.js';
+import { CHAT_HISTORY_SIZE, ChatRateLimiter, filterProfanity, sanitizeMessage } from './chat.js';
+import { PartyManager } from './parties.js';
+import { SocialService } from './social.js';
+import { ContentService } from './ugc.js';
+import { CloudSaveService } from './cloudSaves.js';
+import { WIRE_FORMAT_VERSION, SnapshotEncoder } from '../src/network/wireFormat.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,11 +39,135 @@ const io = new SocketIOServer(server, {
 
 // Game state
 const games = new Map();
-const waitingPlayers = [];
+const matchmaker = new Matchmaker({ defaultRegion: process.env.SERVER_REGION || 'global' });
+const strikeTracker = new StrikeTracker();
+// Accounts, cloud saves and race results; STORAGE_BACKEND=embedded for the single-file database
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'file',
+    dir: process.env.STORAGE_DIR || path.join(__dirname, 'data')
+});
+// Where servers before accounts wrote cloud saves; imported on startup
+const LEGACY_SAVES_DIR = process.env.LEGACY_SAVES_DIR || path.join(__dirname, 'saves');
+const auth = new AuthService({
+    secret: process.env.JWT_SECRET,
+    storage
+});
+const leaderboards = new LeaderboardService(storage);
+const chatLimiter = new ChatRateLimiter();
+const parties = new PartyManager();
+const social = new SocialService(storage);
+const content = new ContentService(storage);
+const cloudSaves = new CloudSaveService(storage, {
+    historySize: Number(process.env.CLOUD_SAVE_HISTORY) || 10
+});
+const directMessageLimiter = new ChatRateLimiter();
+if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set; session tokens will not survive a restart');
+}
 const connectedPlayers = new Map();
+const lobbyCodes = new Map(); // joinCode -> roomId for private lobbies
+const sessions = new Map(); // sessionToken -> { token, playerId, roomId, userId, timeout }
+const sessionsByPlayer = new Map(); // playerId -> sessionToken
+const partyLeaveTimeouts = new Map(); // userId -> timeout that drops an offline member
+const sentPresence = new Map(); // userId -> presence last pushed to friends, while online
+const lastSeen = new Map(); // userId -> when their last connection closed
+let drainingSince = null; // While set, no new rooms or races start so the server can be stopped
+
+const RECONNECT_GRACE_PERIOD = Number(process.env.RECONNECT_GRACE_PERIOD_MS ?? 60000); // How long a dropped racer's slot is held
+const PARTY_RECONNECT_GRACE_PERIOD = 5 * 60 * 1000; // How long an offline member stays in a party
+const MATCHMAKING_INTERVAL = 1000;
+const MATCH_START_DELAY = 1000; // How long a formed match waits before its countdown
+const PING_INTERVAL = 5000;
+const PING_TIMEOUT = 4000;
+const DRAIN_MESSAGE = 'Server is closing for maintenance';
+const MAX_BROADCAST_LENGTH = 500;
+const LEADERBOARD_PRUNE_INTERVAL = 60 * 60 * 1000;
+const CHAT_PRUNE_INTERVAL = 10 * 60 * 1000;
+const PRESENCE_INTERVAL = 2000; // How often presence changes are pushed to friends
+const TICK_RATE = Number(process.env.SERVER_TICK_RATE) || 20; // World snapshots per second
+const SIMULATION_TOLERANCE = 5; // m a client report may differ from the server simulation
+// Spectators see the race at least this far behind, so they can't relay live positions to racers
+const SPECTATOR_DELAY = Number(process.env.SPECTATOR_DELAY_MS ?? 3000);
+const MAX_SPECTATOR_DELAY = 30000;
+const MAX_SPECTATORS = 50; // per room
+// Addresses of reverse proxies whose X-Forwarded-For header is believed
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '').split(',').map(proxy => proxy.trim()).filter(Boolean);
+const REJECTION_STRIKE_INTERVAL = 5000; // Rejected socket messages cost at most one strike per reason in this window
+// Matchmade races are simulated on the server unless turned off; lobbies opt in
+const MATCHMAKING_SERVER_PHYSICS = process.env.SERVER_PHYSICS_MATCHMAKING !== 'false';
+
+const LOBBY_GAME_MODES = ['standard', 'quick', 'drift', 'elimination', 'endurance', 'rally', 'rallycross', 'checkpoint', 'time_trial', 'battle'];
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const JOIN_CODE_LENGTH = 6;
+const ROOM_STATES = ['waiting', 'countdown', 'racing', 'finished'];
+
+// Prometheus metrics, scraped from /metrics
+const metrics = new MetricsRegistry();
+registerProcessMetrics(metrics);
+
+metrics.gauge('velocityrush_connected_sockets', 'Open socket.io connections', [], gauge => {
+    gauge.set(io.engine.clientsCount);
+});
+metrics.gauge('velocityrush_active_players', 'Connected players in a room', [], gauge => {
+    let players = 0;
+    games.forEach(room => {
+        room.players.forEach(player => {
+            if (!player.disconnected) players++;
+        });
+    });
+    gauge.set(players);
+});
+metrics.gauge('velocityrush_rooms', 'Rooms by state', ['state'], gauge => {
+    const counts = Object.fromEntries(ROOM_STATES.map(state => [state, 0]));
+    games.forEach(room => {
+        counts[room.gameState]++;
+    });
+    Object.entries(counts).forEach(([state, count]) => gauge.set({ state }, count));
+});
+metrics.gauge('velocityrush_active_races', 'Rooms in countdown or racing', [], gauge => {
+    let races = 0;
+    games.forEach(room => {
+        if (room.gameState === 'countdown' || room.gameState === 'racing') races++;
+    });
+    gauge.set(races);
+});
+metrics.gauge('velocityrush_matchmaking_waiting_players', 'Players waiting in matchmaking, by game mode', ['game_mode'], gauge => {
+    const counts = Object.fromEntries(LOBBY_GAME_MODES.map(mode => [mode, 0]));
+    matchmaker.entries.forEach(entry => {
+        counts[entry.gameMode] = (counts[entry.gameMode] || 0) + entry.size;
+    });
+    Object.entries(counts).forEach(([gameMode, count]) => gauge.set({ game_mode: gameMode }, count));
+});
+metrics.gauge('velocityrush_spectators', 'Spectators watching a room', [], gauge => {
+    let spectators = 0;
+    games.forEach(room => {
+        spectators += room.spectators.size;
+    });
+    gauge.set(spectators);
+});
+metrics.gauge('velocityrush_draining', 'Whether the server is drained for maintenance', [], gauge => {
+    gauge.set(drainingSince ? 1 : 0);
+});
 
-// Cloud save storage (in production, use a database)
-const cloudSaves = new Map();
+const socketMessages = metrics.counter('velocityrush_socket_messages_total', 'Socket messages accepted, by event', ['event']);
+const socketRejections = metrics.counter('velocityrush_socket_rejections_total', 'Socket messages dropped by schema or rate limit checks', ['event', 'reason']);
+const chatMessages = metrics.counter('velocityrush_chat_messages_total', 'Room chat messages, by outcome', ['result']);
+const antiCheatRejections = metrics.counter('velocityrush_anticheat_rejections_total', 'Movement updates rejected by anti-cheat', ['reason', 'action']);
+const ugcPublished = metrics.counter('velocityrush_ugc_published_total', 'User content published or updated, by type', ['type']);
+const ugcDownloads = metrics.counter('velocityrush_ugc_downloads_total', 'User content downloads, by type', ['type']);
+const cloudSaveDuration = metrics.histogram('velocityrush_cloud_save_duration_seconds', 'Cloud save and load latency', ['operation']);
+const cloudSaveErrors = metrics.counter('velocityrush_cloud_save_errors_total', 'Failed cloud saves and loads', ['operation']);
+const httpRequestDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route', 'status']);
+
+app.use((req, res, next) => {
+    const end = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        // Route templates rather than raw paths keep the label set bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        end({ route, status: res.statusCode });
+    });
+    next();
+});
 
 class GameRoom {
     constructor(roomId) {
@@ -36,6 +177,141 @@ class GameRoom {
         this.gameState = 'waiting'; // waiting, countdown, racing, finished
         this.startTime = null;
         this.trackData = null;
+        this.totalLaps = 3;
+        this.raceTracker = new RaceTracker(loadTrackCheckpoints(), this.totalLaps);
+        this.trackBounds = loadTrackBounds();
+        this.startTimeout = null; // matched rooms start after a short delay
+        this.countdownTimeout = null;
+        this.finishTimeout = null;
+        this.finishGracePeriod = 30000; // Time left for others after the first finisher
+        this.snapshotSequence = 0;
+        this.snapshotEncoder = new SnapshotEncoder();
+        this.simulation = null; // ServerPhysics while a simulated race runs
+        this.lastSimulationUpdate = null;
+        this.divergence = new DivergenceMonitor({ strikeInterval: REJECTION_STRIKE_INTERVAL });
+        this.nextEntityId = 1; // Compact per-room ids for the binary wire format
+
+        // Read-only spectators don't take a player slot. They get snapshots and
+        // race events from a feed, each once its own delay has passed.
+        this.spectators = new Map(); // socketId -> { id, username, delay, cursor }
+        this.spectatorFeed = []; // { seq, time, event, data }, oldest first
+        this.spectatorFeedSeq = 0;
+
+        // Recent chat, replayed to players who join or reconnect later
+        this.chatHistory = [];
+        this.chatSequence = 0;
+
+        // Private lobby state
+        this.isPrivate = false;
+        this.joinCode = null;
+        this.hostId = null;
+        this.settings = {
+            track: {},
+            gameMode: 'standard',
+            totalLaps: this.totalLaps,
+            aiFill: 0,
+            serverPhysics: false
+        };
+    }
+
+    makePrivate(hostId) {
+        this.isPrivate = true;
+        this.hostId = hostId;
+        this.joinCode = generateJoinCode();
+        lobbyCodes.set(this.joinCode, this.roomId);
+    }
+
+    // Host-only lobby configuration. Returns an error string or null.
+    applySettings(settings = {}) {
+        const next = { ...this.settings };
+
+        if (settings.gameMode !== undefined) {
+            if (!LOBBY_GAME_MODES.includes(settings.gameMode)) return `Unknown game mode: ${settings.gameMode}`;
+            next.gameMode = settings.gameMode;
+        }
+
+        if (settings.totalLaps !== undefined) {
+            if (!Number.isInteger(settings.totalLaps) || settings.totalLaps < 1 || settings.totalLaps > 20) {
+                return 'Lap count must be between 1 and 20';
+            }
+            next.totalLaps = settings.totalLaps;
+        }
+
+        if (settings.aiFill !== undefined) {
+            if (!Number.isInteger(settings.aiFill) || settings.aiFill < 0 || settings.aiFill > this.maxPlayers - 1) {
+                return `AI fill must be between 0 and ${this.maxPlayers - 1}`;
+            }
+            next.aiFill = settings.aiFill;
+        }
+
+        if (settings.track !== undefined) {
+            const trackError = validateTrackConfig(settings.track);
+            if (trackError) return trackError;
+            next.track = settings.track;
+        }
+
+        if (settings.serverPhysics !== undefined) {
+            if (typeof settings.serverPhysics !== 'boolean') return 'Server physics must be true or false';
+            next.serverPhysics = settings.serverPhysics;
+        }
+
+        const trackError = this.setTrack(next.track, next.totalLaps);
+        if (trackError) return trackError;
+        this.settings = next;
+
+        // Changing the race invalidates earlier ready-checks
+        this.players.forEach(player => {
+            player.ready = false;
+        });
+
+        return null;
+    }
+
+    setPlayerReady(playerId, ready) {
+        const player = this.players.get(playerId);
+        if (player) {
+            player.ready = !!ready;
+        }
+    }
+
+    allPlayersReady() {
+        return Array.from(this.players.values()).every(player => player.ready || player.id === this.hostId);
+    }
+
+    getLobbyState() {
+        return {
+            roomId: this.roomId,
+            joinCode: this.joinCode,
+            hostId: this.hostId,
+            settings: this.settings,
+            maxPlayers: this.maxPlayers,
+            gameState: this.gameState,
+            players: this.getPlayerData()
+        };
+    }
+
+    broadcastLobbyUpdate() {
+        io.to(this.roomId).emit('lobbyUpdate', this.getLobbyState());
+    }
+
+    // Returns an error string, leaving the current track in place, or null
+    setTrack(trackData = {}, totalLaps = this.totalLaps) {
+        // Rebuild tracking state against the new checkpoint geometry
+        let tracker;
+        let bounds;
+        try {
+            tracker = new RaceTracker(loadTrackCheckpoints(trackData), totalLaps);
+            bounds = loadTrackBounds(trackData);
+        } catch (error) {
+            return error.message;
+        }
+
+        this.trackData = trackData;
+        this.totalLaps = totalLaps;
+        this.players.forEach(player => tracker.addPlayer(player.id, player.position));
+        this.raceTracker = tracker;
+        this.trackBounds = bounds;
+        return null;
     }
 
     addPlayer(playerId, playerData) {
@@ -51,25 +327,208 @@ class GameRoom {
             checkpoint: 0,
             finished: false,
             disconnected: false,
-            ...playerData
+            ready: false,
+            ...playerData,
+            entityId: this.nextEntityId++,
+            lastSnapshotAck: 0,
+            // Movement limits come from the car the client says it is driving
+            vehicleLimits: getVehicleLimits(playerData.vehicle),
+            lastValidUpdate: null
         });
+        this.raceTracker.addPlayer(playerId);
 
         return true;
     }
 
     removePlayer(playerId) {
         this.players.delete(playerId);
+        this.raceTracker.removePlayer(playerId);
+        this.divergence.remove(playerId);
+        if (this.simulation) {
+            this.simulation.removeCar(playerId);
+        }
+        revokeSession(playerId);
 
         // If room becomes empty, clean it up
         if (this.players.size === 0) {
-            games.delete(this.roomId);
+            this.close();
+            return;
+        }
+
+        // Hand the lobby to the longest-standing remaining player
+        if (this.isPrivate && this.hostId === playerId) {
+            this.hostId = this.players.keys().next().value;
+        }
+    }
+
+    // Drops the room along with its timers, simulation, spectators and join code
+    close() {
+        clearTimeout(this.startTimeout);
+        this.startTimeout = null;
+        clearTimeout(this.countdownTimeout);
+        this.countdownTimeout = null;
+        clearTimeout(this.finishTimeout);
+        this.finishTimeout = null;
+        this.stopSimulation();
+        this.closeSpectators();
+        games.delete(this.roomId);
+        if (this.joinCode) {
+            lobbyCodes.delete(this.joinCode);
+        }
+    }
+
+    // Move a player's slot to a new socket id, keeping all race progress
+    reassignPlayer(oldId, newId) {
+        const player = this.players.get(oldId);
+        if (!player) return false;
+
+        this.players.delete(oldId);
+        player.id = newId;
+        player.disconnected = false;
+        player.disconnectedAt = null;
+        player.lastSnapshotAck = 0; // The new connection has no snapshots to delta against
+        this.players.set(newId, player);
+        this.raceTracker.reassignPlayer(oldId, newId);
+        if (this.simulation) {
+            this.simulation.reassignCar(oldId, newId);
         }
+
+        if (this.hostId === oldId) {
+            this.hostId = newId;
+        }
+
+        return true;
     }
 
-    updatePlayer(playerId, data) {
+    acknowledgeInput(playerId, inputSeq) {
         const player = this.players.get(playerId);
-        if (player) {
-            Object.assign(player, data);
+        if (player && Number.isInteger(inputSeq) && inputSeq > (player.lastInputSeq || 0)) {
+            player.lastInputSeq = inputSeq;
+        }
+    }
+
+    // Latest snapshot the client decoded; binary snapshots are deltas against it
+    acknowledgeSnapshot(playerId, snapshotSeq) {
+        const player = this.players.get(playerId);
+        if (player && Number.isInteger(snapshotSeq)) {
+            player.lastSnapshotAck = snapshotSeq;
+        }
+    }
+
+    // Client input frames only matter when the server simulates the race
+    queueInputs(playerId, inputs) {
+        if (this.simulation) {
+            this.simulation.queueInputs(playerId, inputs);
+        }
+    }
+
+    startSimulation() {
+        this.simulation = new ServerPhysics();
+        this.lastSimulationUpdate = Date.now();
+
+        Array.from(this.players.values()).forEach((player, slot) => {
+            player.position = this.simulation.addCar(player.id, slot, player.vehicleLimits.vehicleType);
+            player.rotation = { x: 0, y: 0, z: 0, w: 1 };
+            player.velocity = { x: 0, y: 0, z: 0 };
+        });
+    }
+
+    stopSimulation() {
+        if (!this.simulation) return;
+
+        this.simulation.destroy();
+        this.simulation = null;
+    }
+
+    // Advance the simulation to `now`; its state replaces anything clients reported
+    stepSimulation(now = Date.now()) {
+        if (!this.simulation) return;
+
+        this.simulation.update((now - this.lastSimulationUpdate) / 1000);
+        this.lastSimulationUpdate = now;
+
+        this.players.forEach(player => {
+            const state = this.simulation.getState(player.id);
+            if (!state) return;
+
+            player.position = state.position;
+            player.rotation = state.rotation;
+            player.velocity = state.velocity;
+            player.lastInputSeq = state.ackSeq;
+            this.trackPlayerPosition(player.id, state.position);
+        });
+    }
+
+    // In simulated rooms a client's report is only checked against what the
+    // server computed for the same input
+    checkReportedState(playerId, data) {
+        const simulated = this.simulation.getStateAtInput(playerId, data.inputSeq);
+        if (!simulated || !data.position) return true;
+
+        const dx = data.position.x - simulated.position.x;
+        const dy = data.position.y - simulated.position.y;
+        const dz = data.position.z - simulated.position.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz) <= SIMULATION_TOLERANCE;
+    }
+
+    // Race progress is server-owned, so only the physical state is taken
+    updatePlayer(playerId, { position, rotation, velocity }, now = Date.now()) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        player.position = position;
+        if (rotation) player.rotation = rotation;
+        if (velocity) player.velocity = velocity;
+        player.lastValidUpdate = now;
+    }
+
+    // Apply a validated position and derive checkpoint/lap/finish progress from it
+    trackPlayerPosition(playerId, position) {
+        const player = this.players.get(playerId);
+        if (!player || this.gameState !== 'racing') return;
+
+        const events = this.raceTracker.updatePosition(playerId, position);
+        const progress = this.raceTracker.getProgress(playerId);
+
+        events.forEach(event => {
+            if (event.type === 'lap') {
+                this.broadcast('lapUpdate', {
+                    playerId,
+                    lap: progress.lap,
+                    checkpoint: progress.checkpoint,
+                    lapTime: event.lapTime
+                });
+            } else if (event.type === 'finish') {
+                this.broadcast('playerFinished', {
+                    playerId,
+                    finalPosition: event.finishPosition,
+                    totalTime: event.finishTime
+                });
+            }
+        });
+
+        player.lap = progress.lap;
+        player.checkpoint = progress.checkpoint;
+
+        if (progress.finished && !player.finished) {
+            player.finished = true;
+            player.finishTime = progress.finishTime;
+            player.finishPosition = progress.finishPosition;
+            this.onPlayerFinished();
+        }
+    }
+
+    onPlayerFinished() {
+        // Dropped players still count until their reconnect window runs out
+        const activePlayers = Array.from(this.players.values()).filter(p => !p.finished && !p.timedOut);
+        if (activePlayers.length === 0) {
+            this.endRace();
+            return;
+        }
+
+        // First finisher starts the clock for everyone else
+        if (!this.finishTimeout) {
+            this.finishTimeout = setTimeout(() => this.endRace(), this.finishGracePeriod);
         }
     }
 
@@ -82,63 +541,493 @@ class GameRoom {
             velocity: player.velocity,
             lap: player.lap,
             checkpoint: player.checkpoint,
-            finished: player.finished
+            finished: player.finished,
+            finishPosition: player.finishPosition || null,
+            ready: player.ready,
+            isHost: player.id === this.hostId
         }));
     }
 
+    // Race events go to the racers now and to spectators after their delay
+    broadcast(event, data, now = Date.now()) {
+        io.to(this.roomId).emit(event, data);
+        this.queueForSpectators(event, data, now);
+    }
+
+    queueForSpectators(event, data, now = Date.now()) {
+        if (this.spectators.size === 0) return;
+
+        // Copied, as live player state keeps changing while the entry waits
+        this.spectatorFeed.push({
+            seq: ++this.spectatorFeedSeq,
+            time: now,
+            event,
+            data: data === undefined ? undefined : structuredClone(data)
+        });
+    }
+
+    addSpectator(socketId, { username, delay }) {
+        if (this.spectators.size >= MAX_SPECTATORS) return false;
+
+        // Nothing from before joining: the first entries arrive once the delay has passed
+        this.spectators.set(socketId, { id: socketId, username, delay, cursor: this.spectatorFeedSeq });
+        return true;
+    }
+
+    removeSpectator(socketId) {
+        this.spectators.delete(socketId);
+        if (this.spectators.size === 0) {
+            this.spectatorFeed = [];
+        }
+    }
+
+    // Sends every spectator the feed entries its delay has caught up with, in
+    // one batch per tick
+    flushSpectators(now = Date.now()) {
+        if (this.spectators.size === 0) return;
+
+        this.spectators.forEach(spectator => {
+            const connection = connectedPlayers.get(spectator.id);
+            const due = this.spectatorFeed.filter(entry => entry.seq > spectator.cursor && entry.time <= now - spectator.delay);
+            if (!connection || due.length === 0) return;
+
+            spectator.cursor = due[due.length - 1].seq;
+            connection.socket.emit('spectatorFeed', due.map(({ time, event, data }) => ({ time, event, data })));
+        });
+
+        const oldestCursor = Math.min(...Array.from(this.spectators.values(), spectator => spectator.cursor));
+        const firstPending = this.spectatorFeed.findIndex(entry => entry.seq > oldestCursor);
+        this.spectatorFeed = firstPending < 0 ? [] : this.spectatorFeed.slice(firstPending);
+    }
+
+    closeSpectators(reason = 'room_closed') {
+        this.spectators.forEach(spectator => {
+            const connection = connectedPlayers.get(spectator.id);
+            if (!connection) return;
+
+            connection.spectating = null;
+            connection.socket.emit('spectateEnded', { roomId: this.roomId, reason });
+        });
+        this.spectators.clear();
+        this.spectatorFeed = [];
+    }
+
+    // Chat reaches every connected player who hasn't blocked or muted the sender
+    sendChatMessage(sender, text, filtered, now = Date.now()) {
+        const message = {
+            id: ++this.chatSequence,
+            roomId: this.roomId,
+            playerId: sender.id,
+            userId: sender.userId,
+            username: sender.username,
+            name: sender.name,
+            text,
+            filtered,
+            sentAt: now
+        };
+
+        this.chatHistory.push(message);
+        if (this.chatHistory.length > CHAT_HISTORY_SIZE) {
+            this.chatHistory.shift();
+        }
+
+        this.players.forEach(player => {
+            const connection = connectedPlayers.get(player.id);
+            if (connection && !ignoresChatFrom(connection, message.userId)) {
+                connection.socket.emit('chatMessage', message);
+            }
+        });
+    }
+
+    sendChatHistory(socket) {
+        const connection = connectedPlayers.get(socket.id);
+        socket.emit('chatHistory', {
+            roomId: this.roomId,
+            messages: this.chatHistory.filter(message => !ignoresChatFrom(connection, message.userId))
+        });
+    }
+
+    // Public listing for the spectator browser
+    getSpectatorInfo() {
+        return {
+            roomId: this.roomId,
+            state: this.gameState,
+            gameMode: this.settings.gameMode,
+            totalLaps: this.totalLaps,
+            startTime: this.startTime,
+            players: Array.from(this.players.values()).map(player => ({ id: player.id, name: player.name })),
+            spectators: this.spectators.size
+        };
+    }
+
+    // Operator view for the admin API; `detailed` adds each player's race state
+    getAdminInfo(detailed = false) {
+        return {
+            roomId: this.roomId,
+            state: this.gameState,
+            isPrivate: this.isPrivate,
+            joinCode: this.joinCode,
+            hostId: this.hostId,
+            gameMode: this.settings.gameMode,
+            totalLaps: this.totalLaps,
+            serverPhysics: !!this.simulation,
+            startTime: this.startTime,
+            playerCount: this.players.size,
+            maxPlayers: this.maxPlayers,
+            spectatorCount: this.spectators.size,
+            players: Array.from(this.players.values()).map(player => {
+                const connection = connectedPlayers.get(player.id);
+                const info = {
+                    id: player.id,
+                    name: player.name,
+                    userId: player.userId,
+                    username: player.username,
+                    ping: connection ? connection.ping : null,
+                    disconnected: player.disconnected,
+                    finished: player.finished
+                };
+                if (!detailed) return info;
+
+                const identity = connection ? connection.identity : null;
+                return {
+                    ...info,
+                    identity,
+                    address: connection ? connection.address : null,
+                    vehicle: player.vehicleLimits.vehicleType,
+                    ready: player.ready,
+                    lap: player.lap,
+                    checkpoint: player.checkpoint,
+                    finishPosition: player.finishPosition || null,
+                    position: player.position,
+                    velocity: player.velocity,
+                    lastValidUpdate: player.lastValidUpdate,
+                    recentStrikes: identity ? strikeTracker.getRecentStrikes(identity).length : 0
+                };
+            })
+        };
+    }
+
+    // One authoritative view of the room, sent once per server tick
+    buildSnapshot(serverTime = Date.now()) {
+        this.snapshotSequence++;
+
+        return {
+            seq: this.snapshotSequence,
+            serverTime,
+            gameState: this.gameState,
+            players: Array.from(this.players.values()).map(player => ({
+                id: player.id,
+                entityId: player.entityId,
+                position: player.position,
+                rotation: player.rotation,
+                velocity: player.velocity,
+                lap: player.lap,
+                checkpoint: player.checkpoint,
+                finished: player.finished,
+                disconnected: player.disconnected,
+                ackSeq: player.lastInputSeq || 0
+            }))
+        };
+    }
+
     startRace() {
+        if (this.gameState !== 'waiting') return;
+
         this.gameState = 'countdown';
         this.startTime = Date.now() + 3000; // 3 second countdown
 
+        if (this.settings.serverPhysics) {
+            this.startSimulation();
+        }
+
         // Broadcast race start
-        io.to(this.roomId).emit('raceStart', {
+        this.broadcast('raceStart', {
             startTime: this.startTime,
+            totalLaps: this.totalLaps,
+            gameMode: this.settings.gameMode,
+            aiFill: this.settings.aiFill,
+            serverPhysics: this.settings.serverPhysics,
+            track: this.trackData,
             players: this.getPlayerData()
         });
 
         // Start the race after countdown
-        setTimeout(() => {
+        this.countdownTimeout = setTimeout(() => {
+            this.countdownTimeout = null;
             this.gameState = 'racing';
-            io.to(this.roomId).emit('raceBegin');
+            this.raceTracker.start();
+            this.broadcast('raceBegin');
         }, 3000);
     }
 
     endRace() {
+        if (this.gameState === 'finished') return;
+
         this.gameState = 'finished';
-        const results = Array.from(this.players.values())
-            .sort((a, b) => {
-                if (a.finished && !b.finished) return -1;
-                if (!a.finished && b.finished) return 1;
-                return a.lap - b.lap || a.checkpoint - b.checkpoint;
-            });
+        clearTimeout(this.countdownTimeout);
+        this.countdownTimeout = null;
+        clearTimeout(this.finishTimeout);
+        this.finishTimeout = null;
+        this.stopSimulation();
+
+        const results = this.raceTracker.getStandings().map((playerId, index) => {
+            const player = this.players.get(playerId);
+            const progress = this.raceTracker.getProgress(playerId);
+            return {
+                id: playerId,
+                name: player.name,
+                position: index + 1,
+                finished: progress.finished,
+                finishTime: progress.finishTime,
+                lap: progress.lap,
+                checkpoint: progress.checkpoint,
+                lapTimes: progress.lapTimes,
+                disconnected: player.disconnected
+            };
+        });
 
-        io.to(this.roomId).emit('raceEnd', { results });
+        this.broadcast('raceEnd', { results });
+        recordRaceResults(this, results);
     }
 }
 
+// Every socket connection needs a valid session token
+io.use((socket, next) => {
+    const payload = auth.verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!payload) {
+        return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = { userId: payload.sub, username: payload.username };
+    next();
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
 
+    // Every inbound packet is checked against its declared schema and rate
+    // limit; handlers only ever see the sanitized payload
+    const eventGuard = new SocketEventGuard();
+    socket.use((packet, next) => {
+        const [event, payload] = packet;
+        const result = eventGuard.check(event, payload);
+        if (result.reason) {
+            rejectSocketEvent(socket, event, result);
+            return;
+        }
+
+        socketMessages.inc({ event });
+        packet[1] = result.payload;
+        next();
+    });
+
+    const identity = getClientIdentity(socket);
+    const address = getClientAddress(socket);
+    const ban = strikeTracker.getBan(identity) || strikeTracker.getBanForAddress(address);
+    if (ban) {
+        socket.emit('cheatDetected', { reason: ban.reason, action: 'ban', expiresAt: ban.expiresAt });
+        socket.disconnect(true);
+        return;
+    }
+
     connectedPlayers.set(socket.id, {
         id: socket.id,
         socket: socket,
-        currentRoom: null
+        identity,
+        address,
+        userId: socket.data.user.userId,
+        username: socket.data.user.username,
+        currentRoom: null,
+        spectating: null, // roomId while watching as a spectator
+        ping: null, // ms, from measurePings
+        // Accounts whose chat this player doesn't see. Blocks mirror the client's
+        // social block list; mutes only last for the connection.
+        blockedUsers: new Set(),
+        mutedUsers: new Set(),
+        presenceHidden: !!socket.handshake.auth && socket.handshake.auth.presenceHidden === true,
+        // Clients advertise the binary wire format version they speak
+        binaryWireFormat: !!socket.handshake.auth && socket.handshake.auth.wireFormat === WIRE_FORMAT_VERSION
     });
+    rejoinParty(socket.data.user.userId);
+    sendSocialState(socket);
 
     // Handle player joining matchmaking
-    socket.on('joinMatchmaking', (playerData) => {
-        console.log(`Player ${socket.id} joined matchmaking`);
-
-        waitingPlayers.push({
-            id: socket.id,
-            socket: socket,
-            data: playerData,
-            joinedAt: Date.now()
+    socket.on('joinMatchmaking', (playerData = {}) => {
+        if (rejectWhileDraining(socket, 'matchmakingError')) return;
+        enqueueForMatchmaking(socket, { data: playerData, mmr: playerData.mmr });
+    });
+
+    socket.on('startMatchmaking', (data = {}) => {
+        if (rejectWhileDraining(socket, 'matchmakingError')) return;
+        if (data.gameMode !== undefined && !LOBBY_GAME_MODES.includes(data.gameMode)) {
+            socket.emit('matchmakingError', { error: `Unknown game mode: ${data.gameMode}` });
+            return;
+        }
+
+        const playerData = data.playerData || {};
+        enqueueForMatchmaking(socket, {
+            gameMode: data.gameMode,
+            region: data.region,
+            mmr: playerData.mmr,
+            range: playerData.mmrRange,
+            data: playerData
         });
+    });
+
+    socket.on('cancelMatchmaking', () => {
+        const entry = leaveMatchmaking(socket, 'cancelled');
+        if (entry) {
+            console.log(`Player ${socket.id} left matchmaking`);
+        }
+        // A party's members, this one included, have already been told
+        if (!entry || entry.id === socket.id) {
+            socket.emit('matchmakingCancelled');
+        }
+    });
+
+    // Private lobbies
+    socket.on('createLobby', (data = {}) => {
+        if (rejectWhileDraining(socket, 'lobbyError')) return;
+
+        // The room is only registered once its settings are known to be good
+        const room = new GameRoom(generateRoomId());
+        const error = room.applySettings(data.settings || {});
+        if (error) {
+            socket.emit('lobbyError', { error });
+            return;
+        }
+
+        leaveCurrentRoom(socket);
+        room.makePrivate(socket.id);
+        games.set(room.roomId, room);
+        addSocketToRoom(room, socket, data.playerData || {});
+        console.log(`Player ${socket.id} created lobby ${room.joinCode}`);
+        room.broadcastLobbyUpdate();
+    });
+
+    socket.on('joinLobby', (data = {}) => {
+        if (rejectWhileDraining(socket, 'lobbyError')) return;
+        const code = typeof data.joinCode === 'string' ? data.joinCode.trim().toUpperCase() : '';
+        const room = games.get(lobbyCodes.get(code));
+
+        if (!room) {
+            socket.emit('lobbyError', { error: 'Lobby not found' });
+            return;
+        }
+        if (room.gameState !== 'waiting') {
+            socket.emit('lobbyError', { error: 'Race already in progress' });
+            return;
+        }
+
+        leaveCurrentRoom(socket);
+        if (!addSocketToRoom(room, socket, data.playerData || {})) {
+            socket.emit('lobbyError', { error: 'Lobby is full' });
+            return;
+        }
+
+        room.broadcastLobbyUpdate();
+    });
+
+    socket.on('updateLobbySettings', (settings = {}) => {
+        const room = getHostedLobby(socket);
+        if (!room) return;
+
+        const error = room.applySettings(settings);
+        if (error) {
+            socket.emit('lobbyError', { error });
+            return;
+        }
 
-        // Try to create or join a game
-        tryCreateGame();
+        room.broadcastLobbyUpdate();
+    });
+
+    socket.on('setReady', (data = {}) => {
+        const room = getCurrentRoom(socket.id);
+        if (!room || !room.isPrivate || room.gameState !== 'waiting') return;
+
+        room.setPlayerReady(socket.id, data.ready);
+        room.broadcastLobbyUpdate();
+    });
+
+    socket.on('kickPlayer', (data = {}) => {
+        const room = getHostedLobby(socket);
+        if (!room || data.playerId === socket.id || !room.players.has(data.playerId)) return;
+
+        const target = connectedPlayers.get(data.playerId);
+        room.removePlayer(data.playerId);
+        if (target) {
+            target.socket.leave(room.roomId);
+            target.currentRoom = null;
+            target.socket.emit('kickedFromLobby', { roomId: room.roomId });
+        }
+
+        room.broadcastLobbyUpdate();
+    });
+
+    socket.on('startLobbyRace', () => {
+        const room = getHostedLobby(socket);
+        if (!room || rejectWhileDraining(socket, 'lobbyError')) return;
+
+        if (!room.allPlayersReady()) {
+            socket.emit('lobbyError', { error: 'Not all players are ready' });
+            return;
+        }
+        if (room.players.size + room.settings.aiFill < 2) {
+            socket.emit('lobbyError', { error: 'At least two racers are required' });
+            return;
+        }
+
+        room.startRace();
+    });
+
+    socket.on('leaveLobby', () => {
+        leaveCurrentRoom(socket);
+    });
+
+    // Rejoin a room after a dropped connection
+    socket.on('resumeSession', (data = {}) => {
+        const session = sessions.get(data.sessionToken);
+        const room = session && games.get(session.roomId);
+        const roomPlayer = room && room.players.get(session.playerId);
+        const connection = connectedPlayers.get(socket.id);
+
+        if (!roomPlayer || !roomPlayer.disconnected || room.gameState === 'finished' ||
+            session.userId !== connection.userId) {
+            socket.emit('sessionExpired');
+            return;
+        }
+
+        leaveCurrentRoom(socket);
+
+        const previousId = session.playerId;
+        clearTimeout(session.timeout);
+        session.timeout = null;
+        session.playerId = socket.id;
+        sessionsByPlayer.delete(previousId);
+        sessionsByPlayer.set(socket.id, session.token);
+
+        room.reassignPlayer(previousId, socket.id);
+        socket.join(room.roomId);
+        connection.currentRoom = room.roomId;
+
+        console.log(`Player ${previousId} resumed as ${socket.id} in ${room.roomId}`);
+
+        socket.emit('sessionResumed', {
+            roomId: room.roomId,
+            previousId,
+            gameState: room.gameState,
+            startTime: room.startTime,
+            totalLaps: room.totalLaps,
+            settings: room.settings,
+            player: room.getPlayerData().find(p => p.id === socket.id),
+            players: room.getPlayerData()
+        });
+        socket.to(room.roomId).emit('playerReconnected', {
+            playerId: socket.id,
+            previousId
+        });
+        room.sendChatHistory(socket);
     });
 
     // Handle player position updates
@@ -147,299 +1036,1588 @@ io.on('connection', (socket) => {
         if (player && player.currentRoom) {
             const room = games.get(player.currentRoom);
             if (room) {
+                if (data.snapshotAck !== undefined) {
+                    room.acknowledgeSnapshot(socket.id, data.snapshotAck);
+                }
+
+                // Simulated rooms compute positions themselves from the inputs
+                if (room.simulation) {
+                    const diverged = !room.checkReportedState(socket.id, data);
+                    if (room.divergence.update(socket.id, diverged)) {
+                        recordViolation(socket, room, 'simulation_divergence', { position: data.position });
+                    }
+                    return;
+                }
+
+                // Acknowledge the input either way: a rejected update leaves the
+                // server state where it was and the client reconciles back to it
+                room.acknowledgeInput(socket.id, data.inputSeq);
+
                 // Anti-cheat validation
-                if (this.validatePositionUpdate(socket.id, data, room)) {
+                const violation = validatePositionUpdate(socket.id, data, room);
+                if (!violation) {
                     room.updatePlayer(socket.id, data);
-                    // Broadcast to other players in room
-                    socket.to(player.currentRoom).emit('playerUpdate', {
-                        playerId: socket.id,
-                        ...data
-                    });
+                    room.trackPlayerPosition(socket.id, data.position);
+                    // Other players get this in the next world snapshot
                 } else {
-                    // Invalid update - kick player or warn
-                    console.warn(`Invalid position update from ${socket.id}`);
-                    socket.emit('cheatDetected', { reason: 'Invalid position update' });
-                    // Could disconnect: socket.disconnect();
+                    recordViolation(socket, room, violation, { position: data.position, velocity: data.velocity });
                 }
             }
         }
     });
 
-    // Handle race events
+    socket.on('unreliableMessage', (message) => {
+        const inputs = message.type === 'input' && message.payload && message.payload.inputs;
+        if (!inputs) return;
+
+        const room = getCurrentRoom(socket.id);
+        if (room && room.gameState === 'racing') {
+            room.queueInputs(socket.id, inputs);
+        }
+    });
+
+    // Handle race events. Laps and finishes are detected from the position
+    // stream, so client claims are only compared against the server's view.
     socket.on('lapCompleted', (data) => {
         const player = connectedPlayers.get(socket.id);
         if (player && player.currentRoom) {
             const room = games.get(player.currentRoom);
-            if (room) {
-                // Validate lap completion
-                if (validateLapCompletion(socket.id, data, room)) {
-                    room.updatePlayer(socket.id, { lap: data.lap, checkpoint: data.checkpoint });
-                    io.to(player.currentRoom).emit('lapUpdate', {
-                        playerId: socket.id,
-                        lap: data.lap,
-                        checkpoint: data.checkpoint
-                    });
-                } else {
-                    console.warn(`Invalid lap completion from ${socket.id}`);
-                    socket.emit('cheatDetected', { reason: 'Invalid lap completion' });
-                }
+            const progress = room && room.raceTracker.getProgress(socket.id);
+            if (progress && data.lap !== progress.lap - 1 && !progress.finished) {
+                console.warn(`Lap claim from ${socket.id} (${data.lap}) disagrees with server (${progress.lap - 1} completed)`);
             }
         }
     });
 
-    socket.on('raceFinished', (data) => {
+    socket.on('raceFinished', () => {
         const player = connectedPlayers.get(socket.id);
         if (player && player.currentRoom) {
             const room = games.get(player.currentRoom);
-            if (room) {
-                room.updatePlayer(socket.id, { finished: true });
-                // Check if all players finished
-                const activePlayers = Array.from(room.players.values()).filter(p => !p.finished && !p.disconnected);
-                if (activePlayers.length === 0) {
-                    room.endRace();
-                }
+            const progress = room && room.raceTracker.getProgress(socket.id);
+            if (progress && !progress.finished) {
+                console.warn(`Finish claim from ${socket.id} rejected: server has lap ${progress.lap}, checkpoint ${progress.checkpoint}`);
             }
         }
     });
 
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log(`Player disconnected: ${socket.id}`);
+    // Spectators watch a race without taking a player slot
+    socket.on('listSpectatableRooms', () => {
+        socket.emit('spectatableRooms', { rooms: getSpectatableRooms() });
+    });
 
-        const player = connectedPlayers.get(socket.id);
-        if (player) {
-            // Remove from waiting list
-            const waitingIndex = waitingPlayers.findIndex(p => p.id === socket.id);
-            if (waitingIndex !== -1) {
-                waitingPlayers.splice(waitingIndex, 1);
-            }
+    socket.on('spectateRoom', (data) => {
+        const room = data.joinCode
+            ? games.get(lobbyCodes.get(data.joinCode.trim().toUpperCase()))
+            : games.get(data.roomId);
+        if (!room || (room.isPrivate && !data.joinCode)) {
+            socket.emit('spectateError', { error: 'Room not found' });
+            return;
+        }
 
-            // Mark as disconnected in room
-            if (player.currentRoom) {
-                const room = games.get(player.currentRoom);
-                if (room) {
-                    const roomPlayer = room.players.get(socket.id);
-                    if (roomPlayer) {
-                        roomPlayer.disconnected = true;
-                    }
-                }
-            }
+        startSpectating(socket, room, data.delay);
+    });
 
-            connectedPlayers.delete(socket.id);
+    socket.on('spectatePlayer', (data) => {
+        const room = getCurrentRoom(data.playerId);
+        if (!room || room.isPrivate) {
+            socket.emit('spectateError', { error: 'Player is not in a public race' });
+            return;
         }
+
+        startSpectating(socket, room, data.delay, data.playerId);
     });
-});
 
-// Anti-cheat validation
-function validatePositionUpdate(playerId, newData, room) {
-    const player = room.players.get(playerId);
-    if (!player) return false;
+    socket.on('stopSpectating', () => {
+        stopSpectating(socket);
+    });
 
-    const oldPos = player.position;
-    const newPos = newData.position;
+    // Room chat works in every room state; the client shows it in the lobby and after the race
+    socket.on('sendChatMessage', (data) => {
+        const connection = connectedPlayers.get(socket.id);
+        const room = getCurrentRoom(socket.id);
+        const sender = room && room.players.get(socket.id);
+        if (!sender) {
+            socket.emit('chatError', { error: 'Not in a room' });
+            return;
+        }
 
-    if (!newPos || typeof newPos.x !== 'number' || typeof newPos.y !== 'number' || typeof newPos.z !== 'number') {
-        return false; // Invalid position data
-    }
+        const text = sanitizeMessage(data.text);
+        if (!text) {
+            socket.emit('chatError', { error: 'Message is empty' });
+            return;
+        }
 
-    // Check for teleportation (distance too large)
-    const distance = Math.sqrt(
-        Math.pow(newPos.x - oldPos.x, 2) +
-        Math.pow(newPos.y - oldPos.y, 2) +
-        Math.pow(newPos.z - oldPos.z, 2)
-    );
+        const limited = chatLimiter.check(connection.userId, text);
+        if (limited) {
+            chatMessages.inc({ result: 'rate_limited' });
+            socket.emit('chatError', limited);
+            return;
+        }
 
-    const maxDistancePerUpdate = 10; // Adjust based on physics
-    if (distance > maxDistancePerUpdate) {
-        console.warn(`Player ${playerId} teleported ${distance} units`);
-        return false;
-    }
+        const filtered = filterProfanity(text);
+        chatMessages.inc({ result: filtered.filtered ? 'filtered' : 'sent' });
+        room.sendChatMessage(sender, filtered.text, filtered.filtered);
+    });
 
-    // Check speed limits
-    const velocity = newData.velocity;
-    if (velocity) {
-        const speed = Math.sqrt(
-            Math.pow(velocity.x, 2) +
-            Math.pow(velocity.y, 2) +
-            Math.pow(velocity.z, 2)
-        );
+    socket.on('mutePlayer', (data) => {
+        const connection = connectedPlayers.get(socket.id);
+        if (data.userId === connection.userId) return;
 
-        const maxSpeed = 50; // Adjust based on vehicle max speed
-        if (speed > maxSpeed) {
-            console.warn(`Player ${playerId} exceeded speed limit: ${speed}`);
-            return false;
+        if (data.muted) {
+            connection.mutedUsers.add(data.userId);
+        } else {
+            connection.mutedUsers.delete(data.userId);
         }
-    }
+    });
+
+    socket.on('setBlockedUsers', (data) => {
+        connectedPlayers.get(socket.id).blockedUsers = new Set(data.userIds);
+    });
+
+    // Parties queue for matchmaking together and stay together between races
+    socket.on('createParty', (data = {}) => {
+        const { userId, username } = connectedPlayers.get(socket.id);
+        removeFromParty(userId, 'left');
+
+        const party = parties.create({ userId, username, playerData: data.playerData || {} });
+        broadcastPartyUpdate(party);
+    });
+
+    socket.on('inviteToParty', (data) => {
+        const connection = connectedPlayers.get(socket.id);
+        const target = data.userId
+            ? getConnectionByUser(data.userId)
+            : Array.from(connectedPlayers.values()).find(other => other.username.toLowerCase() === (data.username || '').toLowerCase());
+        if (!target) {
+            socket.emit('partyError', { error: 'Player is not online' });
+            return;
+        }
+        if (target.userId === connection.userId) {
+            socket.emit('partyError', { error: 'You cannot invite yourself' });
+            return;
+        }
+
+        // Inviting someone without a party starts one
+        const party = parties.getPartyOf(connection.userId)
+            || parties.create({ userId: connection.userId, username: connection.username });
+        const error = parties.invite(party, connection.userId, target.userId);
+        if (error) {
+            socket.emit('partyError', { error });
+            return;
+        }
+
+        // Players who blocked the leader never see the invite, and the leader isn't told
+        if (!target.blockedUsers.has(connection.userId)) {
+            emitToUser(target.userId, 'partyInvite', {
+                partyId: party.id,
+                from: { userId: connection.userId, username: connection.username },
+                memberCount: party.members.size,
+                expiresAt: party.invites.get(target.userId).expiresAt
+            });
+        }
+        broadcastPartyUpdate(party);
+    });
+
+    socket.on('acceptPartyInvite', (data) => {
+        const { userId, username } = connectedPlayers.get(socket.id);
+        const result = parties.accept(data.partyId, { userId, username, playerData: data.playerData || {} });
+        if (result.error) {
+            socket.emit('partyError', { error: result.error });
+            return;
+        }
+
+        if (matchmaker.dequeue(socket.id)) {
+            socket.emit('matchmakingCancelled', { reason: 'party_changed' });
+        }
+        if (result.previous) {
+            cancelPartyMatchmaking(result.previous, 'party_changed');
+            if (!parties.isDisbanded(result.previous)) broadcastPartyUpdate(result.previous);
+        }
+        cancelPartyMatchmaking(result.party, 'party_changed');
+        broadcastPartyUpdate(result.party);
+    });
+
+    socket.on('declinePartyInvite', (data) => {
+        const party = parties.decline(data.partyId, connectedPlayers.get(socket.id).userId);
+        if (party) broadcastPartyUpdate(party);
+    });
+
+    // Used for every member's car and name when the leader queues the party
+    socket.on('setPartyPlayerData', (data) => {
+        const { userId } = connectedPlayers.get(socket.id);
+        const party = parties.getPartyOf(userId);
+        if (!party) return;
+
+        party.members.get(userId).playerData = data.playerData;
+        broadcastPartyUpdate(party);
+    });
+
+    socket.on('leaveParty', () => {
+        removeFromParty(connectedPlayers.get(socket.id).userId, 'left');
+    });
+
+    socket.on('kickFromParty', (data) => {
+        const { userId } = connectedPlayers.get(socket.id);
+        const party = parties.getPartyOf(userId);
+        if (!party || party.leaderId !== userId) {
+            socket.emit('partyError', { error: 'Only the party leader can kick' });
+            return;
+        }
+        if (data.userId === userId || !party.members.has(data.userId)) {
+            socket.emit('partyError', { error: 'Not a party member' });
+            return;
+        }
+
+        removeFromParty(data.userId, 'kicked');
+    });
+
+    // Friends and direct messages. Presence goes out from broadcastPresence.
+    socket.on('sendFriendRequest', socialHandler(socket, 'Friend request', async (connection, data) => {
+        const target = auth.findAccount(data.username ? { username: data.username } : { userId: data.userId });
+        if (!target) {
+            socket.emit('socialError', { error: 'Player not found' });
+            return;
+        }
+
+        const result = await social.sendRequest(connection, target);
+        if (result.error) {
+            socket.emit('socialError', { error: result.error });
+            return;
+        }
+
+        // Someone who blocked the sender still gets the request, just not the live notification
+        if (result.requested) {
+            getConnectionsOfUser(target.userId)
+                .filter(other => !other.blockedUsers.has(connection.userId))
+                .forEach(other => other.socket.emit('friendRequest', { userId: connection.userId, username: connection.username, sentAt: Date.now() }));
+        }
+        sendFriendsList(connection.userId);
+        sendFriendsList(target.userId);
+    }));
+
+    socket.on('respondFriendRequest', socialHandler(socket, 'Friend request', async (connection, data) => {
+        const result = await social.respond(connection, data.userId, data.accept);
+        if (result.error) {
+            socket.emit('socialError', { error: result.error });
+            return;
+        }
+
+        sendFriendsList(connection.userId);
+        sendFriendsList(data.userId);
+    }));
+
+    socket.on('removeFriend', socialHandler(socket, 'Removing friend', async (connection, data) => {
+        if (await social.removeFriend(connection.userId, data.userId)) {
+            sendFriendsList(connection.userId);
+            sendFriendsList(data.userId);
+        }
+    }));
+
+    socket.on('sendDirectMessage', socialHandler(socket, 'Sending message', async (connection, data) => {
+        const text = sanitizeMessage(data.text);
+        if (!text) {
+            socket.emit('socialError', { error: 'Message is empty' });
+            return;
+        }
+
+        const limited = directMessageLimiter.check(connection.userId, text);
+        if (limited) {
+            socket.emit('socialError', limited);
+            return;
+        }
+
+        const result = await social.sendMessage(connection.userId, data.userId, filterProfanity(text).text);
+        if (result.error) {
+            socket.emit('socialError', { error: result.error });
+            return;
+        }
+
+        // Every tab of both accounts, so the sender's other tabs stay in step
+        const message = { ...result.message, fromUsername: connection.username };
+        getConnectionsOfUser(data.userId).forEach(other => {
+            other.socket.emit('directMessage', { ...message, read: false });
+            other.socket.emit('unreadMessages', social.getUnreadCounts(data.userId));
+        });
+        getConnectionsOfUser(connection.userId).forEach(own => own.socket.emit('directMessage', { ...message, read: true }));
+    }));
+
+    socket.on('getDirectMessages', (data) => {
+        socket.emit('directMessages', {
+            userId: data.userId,
+            ...social.getMessages(connectedPlayers.get(socket.id).userId, data.userId, {
+                before: data.before,
+                limit: data.limit
+            })
+        });
+    });
+
+    socket.on('markMessagesRead', socialHandler(socket, 'Marking messages read', async (connection, data) => {
+        await social.markRead(connection.userId, data.userId);
+        const unread = social.getUnreadCounts(connection.userId);
+        getConnectionsOfUser(connection.userId).forEach(own => own.socket.emit('unreadMessages', unread));
+    }));
+
+    // Hidden players appear offline to their friends
+    socket.on('setPresenceHidden', (data) => {
+        connectedPlayers.get(socket.id).presenceHidden = data.hidden;
+    });
+
+    // Handle disconnection
+    socket.on('disconnect', () => {
+        console.log(`Player disconnected: ${socket.id}`);
+
+        const player = connectedPlayers.get(socket.id);
+        if (player) {
+            // Remove from matchmaking and any room being watched
+            leaveMatchmaking(socket, 'member_disconnected');
+            stopSpectating(socket);
+
+            // Mark as disconnected in room
+            if (player.currentRoom) {
+                const room = games.get(player.currentRoom);
+                if (room && room.isPrivate && room.gameState === 'waiting') {
+                    // Nothing to preserve before the race starts
+                    leaveCurrentRoom(socket);
+                } else if (room) {
+                    const roomPlayer = room.players.get(socket.id);
+                    if (roomPlayer) {
+                        roomPlayer.disconnected = true;
+                        roomPlayer.disconnectedAt = Date.now();
+                        holdSessionForReconnect(socket.id, room);
+                    }
+                }
+            }
+
+            connectedPlayers.delete(socket.id);
+            leavePartyWhenOffline(player.userId);
+            if (!getConnectionByUser(player.userId)) {
+                lastSeen.set(player.userId, Date.now());
+            }
+        }
+    });
+});
+
+// Rejected packets are dropped before any handler runs. Unknown events only
+// count towards the metric; flooding and malformed payloads are also strikes,
+// at most one per reason per window so a burst isn't an instant kick.
+function rejectSocketEvent(socket, event, { reason, error }, now = Date.now()) {
+    socketRejections.inc({ event: reason === 'unknown_event' ? 'unknown' : event, reason });
+    if (reason === 'unknown_event') return;
 
-    // Check for flying (Y position too high)
-    const maxHeight = 10; // Adjust based on track
-    if (newPos.y > maxHeight) {
-        console.warn(`Player ${playerId} flying at height ${newPos.y}`);
-        return false;
+    const connection = connectedPlayers.get(socket.id);
+    if (!connection) return;
+
+    connection.lastRejectionStrike = connection.lastRejectionStrike || {};
+    if (now - (connection.lastRejectionStrike[reason] || 0) < REJECTION_STRIKE_INTERVAL) return;
+    connection.lastRejectionStrike[reason] = now;
+
+    recordViolation(socket, getCurrentRoom(socket.id), reason, { event, error });
+}
+
+// Anti-cheat validation. Returns the violation, or null if the update is plausible
+// for this player's vehicle on this room's track.
+function validatePositionUpdate(playerId, newData, room, now = Date.now()) {
+    const player = room.players.get(playerId);
+    if (!player) return 'unknown_player';
+
+    const elapsed = player.lastValidUpdate ? (now - player.lastValidUpdate) / 1000 : Infinity;
+    const previous = player.lastValidUpdate ? player.position : null;
+    return checkMovement(previous, newData, player.vehicleLimits, room.trackBounds, elapsed);
+}
+
+// Every violation is a strike. The rejected update itself is the rubber-band:
+// the server keeps its last good state and the client reconciles back to it.
+// Repeat offenders are kicked, then banned for a while.
+function recordViolation(socket, room, reason, details = {}) {
+    const connection = connectedPlayers.get(socket.id);
+    if (!connection) return;
+
+    const action = strikeTracker.recordStrike(connection.identity, {
+        playerId: socket.id,
+        roomId: room ? room.roomId : null,
+        address: connection.address,
+        reason,
+        details
+    });
+    const strikes = strikeTracker.getRecentStrikes(connection.identity).length;
+    antiCheatRejections.inc({ reason, action });
+    console.warn(`Strike ${strikes} for ${socket.id} (${connection.identity}): ${reason}, action: ${action}`);
+
+    const ban = action === 'ban' ? strikeTracker.getBan(connection.identity) : null;
+    socket.emit('cheatDetected', { reason, action, strikes, expiresAt: ban ? ban.expiresAt : null });
+
+    if (action === 'kick' || action === 'ban') {
+        // Leaving first revokes the session, so the slot can't be resumed
+        leaveCurrentRoom(socket);
+        socket.disconnect(true);
     }
+}
+
+// Strikes follow the account, which a client can't spoof. Bans also cover the
+// address it played from.
+function getClientIdentity(socket) {
+    return `user:${socket.data.user.userId}`;
+}
+
+// X-Forwarded-For is anyone's to set, so it only counts from a configured proxy
+function getClientAddress(socket) {
+    return getForwardedAddress(socket.handshake.address, socket.handshake.headers['x-forwarded-for']);
+}
+
+function getRequestAddress(req) {
+    return getForwardedAddress(req.socket.remoteAddress, req.get('x-forwarded-for'));
+}
+
+function getForwardedAddress(address, forwarded) {
+    if (!forwarded || !TRUSTED_PROXIES.includes(address)) return address;
+    return forwarded.split(',')[0].trim();
+}
+
+function generateRoomId() {
+    return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateJoinCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+            code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)];
+        }
+    } while (lobbyCodes.has(code));
+    return code;
+}
+
+function getCurrentRoom(socketId) {
+    const player = connectedPlayers.get(socketId);
+    return player && player.currentRoom ? games.get(player.currentRoom) || null : null;
+}
 
-    // Check for underground (Y position too low)
-    const minHeight = -5;
-    if (newPos.y < minHeight) {
-        console.warn(`Player ${playerId} underground at height ${newPos.y}`);
-        return false;
+// Returns the caller's private lobby if they are its host and it hasn't started
+function getHostedLobby(socket) {
+    const room = getCurrentRoom(socket.id);
+    if (!room || !room.isPrivate || room.gameState !== 'waiting') return null;
+
+    if (room.hostId !== socket.id) {
+        socket.emit('lobbyError', { error: 'Only the host can do that' });
+        return null;
     }
 
+    return room;
+}
+
+function addSocketToRoom(room, socket, playerData) {
+    // The account comes from the session token, never from the client's player data
+    const { userId, username } = connectedPlayers.get(socket.id);
+    if (!room.addPlayer(socket.id, { ...playerData, userId, username })) return false;
+
+    socket.join(room.roomId);
+    connectedPlayers.get(socket.id).currentRoom = room.roomId;
+
+    // Notify player they joined a room
+    socket.emit('roomJoined', {
+        roomId: room.roomId,
+        sessionToken: createSession(socket.id, room.roomId, userId),
+        joinCode: room.joinCode,
+        hostId: room.hostId,
+        settings: room.settings,
+        players: room.getPlayerData()
+    });
+    room.sendChatHistory(socket);
+
     return true;
 }
 
-function validateLapCompletion(playerId, data, room) {
-    const player = room.players.get(playerId);
-    if (!player) return false;
+// Finished races are kept for leaderboards and match history
+function recordRaceResults(room, results) {
+    const record = {
+        roomId: room.roomId,
+        gameMode: room.settings.gameMode,
+        track: room.trackData,
+        totalLaps: room.totalLaps,
+        startTime: room.startTime,
+        endTime: Date.now(),
+        results: results.map(result => {
+            const player = room.players.get(result.id);
+            return { ...result, userId: player ? player.userId : null, vehicle: player ? player.vehicleLimits.vehicleType : null };
+        })
+    };
+
+    storage.put('raceResults', room.roomId, record).catch(error => {
+        console.error(`Failed to store results for ${room.roomId}:`, error);
+    });
+
+    // Server-timed results go straight onto the global boards
+    const track = getTrackId(room.trackData || {});
+    if (!track) return;
+
+    record.results.filter(result => result.finished && result.userId).forEach(result => {
+        const user = { userId: result.userId, username: room.players.get(result.id).username };
+        const submissions = [{ type: 'race', time: result.finishTime, position: result.position }];
+        if (result.lapTimes && result.lapTimes.length > 0) {
+            submissions.push({ type: 'lap', time: Math.min(...result.lapTimes) });
+        }
+
+        submissions.forEach(submission => {
+            leaderboards.submit(user, { ...submission, track, vehicle: result.vehicle, verified: true })
+                .catch(error => console.error(`Failed to submit leaderboard time for ${result.userId}:`, error));
+        });
+    });
+}
 
-    // Check if lap number is sequential
-    if (data.lap !== player.lap + 1) {
-        console.warn(`Player ${playerId} skipped lap ${player.lap} to ${data.lap}`);
-        return false;
+// Only the account that held the slot can resume it
+function createSession(playerId, roomId, userId) {
+    revokeSession(playerId);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions.set(token, { token, playerId, roomId, userId, timeout: null });
+    sessionsByPlayer.set(playerId, token);
+    return token;
+}
+
+function revokeSession(playerId) {
+    const token = sessionsByPlayer.get(playerId);
+    if (!token) return;
+
+    const session = sessions.get(token);
+    if (session) {
+        clearTimeout(session.timeout);
     }
+    sessions.delete(token);
+    sessionsByPlayer.delete(playerId);
+}
+
+// Keep a dropped player's slot until the grace period ends, then forfeit it
+function holdSessionForReconnect(playerId, room) {
+    const session = sessions.get(sessionsByPlayer.get(playerId));
+    if (!session) return;
+
+    session.timeout = setTimeout(() => {
+        const roomPlayer = room.players.get(session.playerId);
+        revokeSession(session.playerId);
+        if (!roomPlayer) return;
+
+        roomPlayer.timedOut = true;
+        room.broadcast('playerTimedOut', { playerId: roomPlayer.id });
+        console.log(`Player ${roomPlayer.id} timed out of ${room.roomId}`);
+
+        if (Array.from(room.players.values()).every(p => p.timedOut)) {
+            // Nobody came back - drop the room
+            room.close();
+        } else if (room.gameState === 'racing') {
+            room.onPlayerFinished();
+        }
+    }, RECONNECT_GRACE_PERIOD);
+}
+
+// Leaves the room the socket races or spectates in
+function leaveCurrentRoom(socket) {
+    stopSpectating(socket);
+
+    const player = connectedPlayers.get(socket.id);
+    const room = getCurrentRoom(socket.id);
+    if (!room) return;
+
+    room.removePlayer(socket.id);
+    socket.leave(room.roomId);
+    player.currentRoom = null;
 
-    // Check if checkpoint is valid (simplified - would need track data)
-    if (data.checkpoint < 0 || data.checkpoint > 10) { // Assume 10 checkpoints
-        console.warn(`Player ${playerId} invalid checkpoint ${data.checkpoint}`);
-        return false;
+    if (room.isPrivate && games.has(room.roomId)) {
+        room.broadcastLobbyUpdate();
     }
+}
 
-    // Check timing - laps should take reasonable time
-    const now = Date.now();
-    if (player.lastLapTime) {
-        const lapTime = now - player.lastLapTime;
-        const minLapTime = 10000; // 10 seconds minimum
-        const maxLapTime = 300000; // 5 minutes maximum
+// Joining as a spectator leaves any room or queue the socket was in
+function startSpectating(socket, room, requestedDelay, focusPlayerId = null) {
+    if (room.gameState === 'finished') {
+        socket.emit('spectateError', { error: 'Race is over' });
+        return;
+    }
+    if (room.players.has(socket.id)) {
+        socket.emit('spectateError', { error: 'Already racing in this room' });
+        return;
+    }
+
+    leaveCurrentRoom(socket);
+    leaveMatchmaking(socket, 'cancelled');
+
+    const connection = connectedPlayers.get(socket.id);
+    const delay = Math.min(MAX_SPECTATOR_DELAY, Math.max(SPECTATOR_DELAY, requestedDelay ?? SPECTATOR_DELAY));
+    if (!room.addSpectator(socket.id, { username: connection.username, delay })) {
+        socket.emit('spectateError', { error: 'Too many spectators' });
+        return;
+    }
+    connection.spectating = room.roomId;
+
+    // Names only: positions and progress come through the delayed feed
+    socket.emit('spectateJoined', {
+        roomId: room.roomId,
+        delay,
+        focusPlayerId,
+        gameState: room.gameState,
+        startTime: room.startTime,
+        totalLaps: room.totalLaps,
+        settings: room.settings,
+        players: room.getPlayerData().map(({ id, name, isHost }) => ({ id, name, isHost }))
+    });
+}
+
+function stopSpectating(socket) {
+    const connection = connectedPlayers.get(socket.id);
+    if (!connection || !connection.spectating) return;
+
+    const room = games.get(connection.spectating);
+    if (room) {
+        room.removeSpectator(socket.id);
+    }
+    connection.spectating = null;
+}
+
+// Public races about to start or under way; private lobbies are only
+// watchable with their join code
+function getSpectatableRooms() {
+    return Array.from(games.values())
+        .filter(room => !room.isPrivate && room.gameState !== 'finished')
+        .map(room => room.getSpectatorInfo());
+}
+
+function getConnectionsOfUser(userId) {
+    return Array.from(connectedPlayers.values()).filter(connection => connection.userId === userId);
+}
 
-        if (lapTime < minLapTime) {
-            console.warn(`Player ${playerId} completed lap too fast: ${lapTime}ms`);
-            return false;
+// A user's newest connection; earlier tabs may still be open
+function getConnectionByUser(userId) {
+    const connections = getConnectionsOfUser(userId);
+    return connections.length > 0 ? connections[connections.length - 1] : null;
+}
+
+function emitToUser(userId, event, data) {
+    getConnectionsOfUser(userId).forEach(connection => connection.socket.emit(event, data));
+}
+
+// Social handlers write to storage; a failed write is reported, not thrown
+function socialHandler(socket, action, handler) {
+    return async (data) => {
+        try {
+            await handler(connectedPlayers.get(socket.id), data);
+        } catch (error) {
+            console.error(`${action} failed:`, error);
+            socket.emit('socialError', { error: `${action} failed` });
         }
-        if (lapTime > maxLapTime) {
-            console.warn(`Player ${playerId} took too long for lap: ${lapTime}ms`);
-            return false;
+    };
+}
+
+// What friends see of a player: whether they're online and what they're doing
+function getPresence(userId) {
+    const connection = getConnectionByUser(userId);
+    if (!connection || connection.presenceHidden) {
+        return { online: false, activity: null, lastSeen: lastSeen.get(userId) || null };
+    }
+
+    if (connection.spectating) {
+        return { online: true, activity: 'spectating' };
+    }
+
+    const room = getCurrentRoom(connection.id);
+    if (room && (room.gameState === 'countdown' || room.gameState === 'racing')) {
+        return { online: true, activity: 'racing', track: getTrackId(room.trackData || {}), gameMode: room.settings.gameMode };
+    }
+    if (room && room.gameState === 'waiting') {
+        return { online: true, activity: 'lobby', gameMode: room.settings.gameMode };
+    }
+
+    const party = parties.getPartyOf(userId);
+    if (matchmaker.isQueued(connection.id) || (party && matchmaker.isQueued(party.id))) {
+        return { online: true, activity: 'matchmaking' };
+    }
+    return { online: true, activity: 'menu' };
+}
+
+function sendFriendsList(userId) {
+    const record = social.getRecord({ userId });
+    emitToUser(userId, 'friendsList', {
+        friends: record.friends.map(friend => ({ ...friend, presence: getPresence(friend.userId) })),
+        incoming: record.incoming,
+        outgoing: record.outgoing
+    });
+}
+
+function sendSocialState(socket) {
+    const { userId } = connectedPlayers.get(socket.id);
+    sendFriendsList(userId);
+    socket.emit('unreadMessages', social.getUnreadCounts(userId));
+}
+
+// Presence follows from where each connection is, so it is compared on an
+// interval rather than tracked through every room and queue change
+function broadcastPresence() {
+    const userIds = new Set(sentPresence.keys());
+    connectedPlayers.forEach(connection => userIds.add(connection.userId));
+
+    userIds.forEach(userId => {
+        const presence = getPresence(userId);
+        const key = JSON.stringify(presence);
+        if (sentPresence.get(userId) === key) return;
+
+        if (presence.online) {
+            sentPresence.set(userId, key);
+        } else {
+            sentPresence.delete(userId);
         }
+        social.getFriends(userId).forEach(friend => emitToUser(friend.userId, 'friendPresence', { userId, presence }));
+    });
+}
+
+setInterval(broadcastPresence, PRESENCE_INTERVAL);
+
+function broadcastPartyUpdate(party) {
+    const state = parties.getState(party);
+    party.members.forEach(member => emitToUser(member.userId, 'partyUpdate', state));
+}
+
+// Leaving a party cancels any search it was in, as the group has changed
+function removeFromParty(userId, reason) {
+    const party = parties.getPartyOf(userId);
+    if (!party) return;
+
+    cancelPartyMatchmaking(party, 'party_changed');
+    parties.leave(userId);
+    clearTimeout(partyLeaveTimeouts.get(userId));
+    partyLeaveTimeouts.delete(userId);
+
+    emitToUser(userId, 'partyLeft', { partyId: party.id, reason });
+    if (!parties.isDisbanded(party)) {
+        broadcastPartyUpdate(party);
     }
+}
+
+function rejoinParty(userId) {
+    clearTimeout(partyLeaveTimeouts.get(userId));
+    partyLeaveTimeouts.delete(userId);
+
+    const party = parties.setOnline(userId, true);
+    if (party) broadcastPartyUpdate(party);
+}
+
+// Offline members keep their place for a while so a reconnect or reload
+// doesn't break the party up
+function leavePartyWhenOffline(userId) {
+    if (getConnectionByUser(userId)) return;
 
-    player.lastLapTime = now;
+    const party = parties.setOnline(userId, false);
+    if (!party) return;
+
+    broadcastPartyUpdate(party);
+    partyLeaveTimeouts.set(userId, setTimeout(() => {
+        partyLeaveTimeouts.delete(userId);
+        removeFromParty(userId, 'offline');
+    }, PARTY_RECONNECT_GRACE_PERIOD));
+}
+
+function ignoresChatFrom(connection, userId) {
+    return connection.blockedUsers.has(userId) || connection.mutedUsers.has(userId);
+}
+
+// Lobby and matchmaking requests fail with DRAIN_MESSAGE while draining
+function rejectWhileDraining(socket, errorEvent) {
+    if (!drainingSince) return false;
+
+    socket.emit(errorEvent, { error: DRAIN_MESSAGE });
     return true;
 }
 
-function tryCreateGame() {
-    if (waitingPlayers.length >= 2) {
-        // Create a new game room
-        const roomId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const room = new GameRoom(roomId);
-        games.set(roomId, room);
-
-        // Add players to room
-        const playersToAdd = waitingPlayers.splice(0, Math.min(8, waitingPlayers.length));
-        playersToAdd.forEach(player => {
-            if (room.addPlayer(player.id, player.data)) {
-                player.socket.join(roomId);
-                connectedPlayers.get(player.id).currentRoom = roomId;
-
-                // Notify player they joined a room
-                player.socket.emit('roomJoined', {
-                    roomId: roomId,
-                    players: room.getPlayerData()
-                });
+function enqueueForMatchmaking(socket, options) {
+    const trackError = options.data && options.data.track !== undefined ? validateTrackConfig(options.data.track) : null;
+    if (trackError) {
+        socket.emit('matchmakingError', { error: trackError });
+        return;
+    }
+
+    const party = parties.getPartyOf(connectedPlayers.get(socket.id).userId);
+    if (party && party.members.size > 1) {
+        enqueueParty(socket, party, options);
+        return;
+    }
+
+    leaveCurrentRoom(socket);
+
+    const entry = matchmaker.enqueue(socket.id, options);
+    console.log(`Player ${socket.id} joined matchmaking (${entry.queueKey}, MMR ${entry.mmr})`);
+
+    socket.emit('matchmakingStarted', matchmaker.getStatus(socket.id));
+}
+
+// The leader queues the whole party as one entry. Every member has to be
+// online, and each leaves whatever room they were in.
+function enqueueParty(socket, party, options) {
+    const leader = connectedPlayers.get(socket.id);
+    if (party.leaderId !== leader.userId) {
+        socket.emit('matchmakingError', { error: 'Only the party leader can start matchmaking' });
+        return;
+    }
+
+    const offline = Array.from(party.members.values()).find(member => !getConnectionByUser(member.userId));
+    if (offline) {
+        socket.emit('matchmakingError', { error: `${offline.username} is offline` });
+        return;
+    }
+
+    party.members.get(leader.userId).playerData = options.data || {};
+
+    // Leader first, so their track choice decides the room
+    const members = Array.from(party.members.values())
+        .sort((a, b) => (b.userId === party.leaderId) - (a.userId === party.leaderId))
+        .map(member => {
+            const connection = getConnectionByUser(member.userId);
+            leaveCurrentRoom(connection.socket);
+            matchmaker.dequeue(connection.socket.id);
+            return { id: connection.socket.id, data: member.playerData };
+        });
+
+    const ratings = members.map(member => member.data.mmr).filter(Number.isFinite);
+    const entry = matchmaker.enqueue(party.id, {
+        ...options,
+        mmr: ratings.length > 0 ? ratings.reduce((sum, mmr) => sum + mmr, 0) / ratings.length : undefined,
+        members
+    });
+    console.log(`Party ${party.id} (${entry.size} players) joined matchmaking (${entry.queueKey}, MMR ${Math.round(entry.mmr)})`);
+
+    const status = { ...matchmaker.getStatus(party.id), partyId: party.id };
+    members.forEach(member => connectedPlayers.get(member.id).socket.emit('matchmakingStarted', status));
+}
+
+// Takes the socket out of matchmaking. A queued party is cancelled as a
+// whole and all of its members are told. Returns the removed entry.
+function leaveMatchmaking(socket, reason) {
+    const entry = matchmaker.dequeue(socket.id);
+    if (entry) return entry;
+
+    const connection = connectedPlayers.get(socket.id);
+    const party = connection && parties.getPartyOf(connection.userId);
+    return party ? cancelPartyMatchmaking(party, reason) : null;
+}
+
+function cancelPartyMatchmaking(party, reason) {
+    const entry = matchmaker.dequeue(party.id);
+    if (!entry) return null;
+
+    entry.members.forEach(member => {
+        const connection = connectedPlayers.get(member.id);
+        if (connection) {
+            connection.socket.emit('matchmakingCancelled', { reason });
+        }
+    });
+    return entry;
+}
+
+function createMatchedRoom(match) {
+    const room = new GameRoom(generateRoomId());
+    const roomId = room.roomId;
+    games.set(roomId, room);
+
+    // The longest-waiting player's track choice decides the checkpoint layout
+    const players = match.entries.flatMap(entry => entry.members);
+    const host = players[0].data || {};
+    const settingsError = room.applySettings({
+        gameMode: match.gameMode,
+        track: host.track,
+        totalLaps: host.totalLaps,
+        serverPhysics: MATCHMAKING_SERVER_PHYSICS
+    });
+    if (settingsError) {
+        // Race the default circuit rather than strand the whole match
+        console.warn(`Ignoring track choice for ${roomId}: ${settingsError}`);
+        room.applySettings({ gameMode: match.gameMode, serverPhysics: MATCHMAKING_SERVER_PHYSICS });
+    }
+
+    players.forEach(entry => {
+        const player = connectedPlayers.get(entry.id);
+        if (!player) return;
+
+        player.socket.emit('matchFound', {
+            raceId: roomId,
+            gameMode: match.gameMode,
+            region: match.region,
+            averageMMR: match.averageMMR,
+            playerCount: match.playerCount
+        });
+        // Party members may have wandered into a lobby while the leader's search ran
+        leaveCurrentRoom(player.socket);
+        addSocketToRoom(room, player.socket, entry.data);
+    });
+
+    console.log(`Created game room ${roomId} with ${room.players.size} players (${match.queueKey}, avg MMR ${match.averageMMR})`);
+
+    // Start the race after a short delay, unless everyone has left by then
+    room.startTimeout = setTimeout(() => {
+        room.startTimeout = null;
+        room.startRace();
+    }, MATCH_START_DELAY);
+}
+
+function runMatchmaking() {
+    const now = Date.now();
+    matchmaker.findMatches(now).forEach(createMatchedRoom);
+
+    // Keep everyone still waiting informed of their widening range and ETA
+    matchmaker.entries.forEach((entry, entryId) => {
+        const status = matchmaker.getStatus(entryId, now);
+        entry.members.forEach(member => {
+            const player = connectedPlayers.get(member.id);
+            if (player) {
+                player.socket.emit('matchmakingStatus', status);
             }
         });
+    });
+}
+
+setInterval(runMatchmaking, MATCHMAKING_INTERVAL);
+
+// Round-trip time to every client, shown in the admin room list. The last
+// measurement goes back out with the next ping so clients can show it too.
+function measurePings() {
+    connectedPlayers.forEach(connection => {
+        const sentAt = Date.now();
+        connection.socket.timeout(PING_TIMEOUT).emit('latencyPing', { ping: connection.ping }, (error) => {
+            if (!error) connection.ping = Date.now() - sentAt;
+        });
+    });
+}
+
+setInterval(measurePings, PING_INTERVAL);
+
+// Fixed-rate world tick: one snapshot per active room, however often clients send
+function tickRooms() {
+    const serverTime = Date.now();
+
+    games.forEach(room => {
+        // Spectators may still be catching up on a race that has ended
+        room.flushSpectators(serverTime);
+        if (room.gameState !== 'countdown' && room.gameState !== 'racing') return;
 
-        console.log(`Created game room ${roomId} with ${playersToAdd.length} players`);
+        room.stepSimulation(serverTime);
+        const snapshot = room.buildSnapshot(serverTime);
+        room.snapshotEncoder.addSnapshot(snapshot);
+        room.queueForSpectators('worldSnapshot', snapshot, serverTime);
 
-        // Start the race after a short delay
-        setTimeout(() => {
-            room.startRace();
-        }, 1000);
+        room.players.forEach(player => {
+            const connection = connectedPlayers.get(player.id);
+            if (!connection || player.disconnected) return;
+
+            // Binary clients get a delta against the last snapshot they acknowledged
+            connection.socket.emit('worldSnapshot', connection.binaryWireFormat
+                ? room.snapshotEncoder.encode(snapshot.seq, player.lastSnapshotAck)
+                : snapshot);
+        });
+    });
+}
+
+setInterval(tickRooms, 1000 / TICK_RATE);
+
+// Account endpoints. Every attempt counts against the client's address and
+// the username, against password guessing and bulk account creation.
+const AUTH_RATE_LIMITS = {
+    register: {
+        address: new RateLimiterMemory({ points: 10, duration: 60 * 60 }),
+        username: new RateLimiterMemory({ points: 5, duration: 60 * 60 })
+    },
+    login: {
+        address: new RateLimiterMemory({ points: 20, duration: 15 * 60 }),
+        username: new RateLimiterMemory({ points: 10, duration: 15 * 60 })
     }
+};
+const MAX_RATE_LIMIT_KEY_LENGTH = 64;
+
+function limitAuthAttempts(limits) {
+    return async (req, res, next) => {
+        const { username } = req.body || {};
+        try {
+            await limits.address.consume(getRequestAddress(req));
+            if (typeof username === 'string') {
+                await limits.username.consume(username.toLowerCase().slice(0, MAX_RATE_LIMIT_KEY_LENGTH));
+            }
+        } catch (rejection) {
+            if (rejection instanceof Error) return next(rejection);
+
+            res.set('Retry-After', String(Math.ceil(rejection.msBeforeNext / 1000)));
+            return res.status(429).json({ error: 'Too many attempts, try again later' });
+        }
+        next();
+    };
 }
 
-// Cloud save API endpoints
-app.post('/api/cloud/save', (req, res) => {
+app.post('/api/auth/register', limitAuthAttempts(AUTH_RATE_LIMITS.register), async (req, res) => {
     try {
-        const { userId, gameData } = req.body;
+        const { username, password } = req.body;
+        const session = await auth.register(username, password);
+        if (session.error) {
+            return res.status(400).json({ error: session.error });
+        }
 
-        if (!userId || !gameData) {
-            return res.status(400).json({ error: 'Missing userId or gameData' });
+        console.log(`Registered account ${session.username}`);
+
+        const legacySave = await takeLegacySave(storage, session.username);
+        if (legacySave) {
+            await cloudSaves.save(session.userId, { gameData: legacySave }, { reason: 'import' });
+            console.log(`Imported legacy cloud save for ${session.username}`);
         }
 
-        // Save to cloud storage
-        cloudSaves.set(userId, {
-            ...gameData,
-            syncedAt: Date.now(),
-            version: gameData.version || 1
-        });
+        res.status(201).json({ success: true, ...session });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+app.post('/api/auth/login', limitAuthAttempts(AUTH_RATE_LIMITS.login), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const session = await auth.login(username, password);
+        if (session.error) {
+            return res.status(401).json({ error: session.error });
+        }
+
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post('/api/auth/refresh', (req, res) => {
+    const session = auth.refresh(getBearerToken(req.get('authorization')));
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    res.json({ success: true, ...session });
+});
+
+// Cloud and leaderboard endpoints act as the account in the bearer token
+function requireAuth(req, res, next) {
+    const payload = auth.verifyToken(getBearerToken(req.get('authorization')));
+    if (!payload) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = { userId: payload.sub, username: payload.username };
+    next();
+}
+
+// Cloud save API endpoints
+app.post('/api/cloud/save', requireAuth, async (req, res) => {
+    const endTimer = cloudSaveDuration.startTimer({ operation: 'save' });
+    try {
+        const { userId } = req.user;
+        const { gameData, baseRevision, deviceId } = req.body;
+
+        if (baseRevision !== undefined && !(Number.isInteger(baseRevision) && baseRevision >= 0)) {
+            return res.status(400).json({ error: 'Invalid baseRevision' });
+        }
 
-        // Also save to file for persistence
-        const savePath = path.join(__dirname, 'saves', `${userId}.json`);
-        fs.mkdirSync(path.dirname(savePath), { recursive: true });
-        fs.writeFileSync(savePath, JSON.stringify(cloudSaves.get(userId), null, 2));
+        const result = await cloudSaves.save(userId, { gameData, baseRevision, deviceId });
+        if (result.code === 'conflict') {
+            const { current } = result;
+            return res.status(409).json({
+                error: result.error,
+                revision: current ? current.revision : 0,
+                syncedAt: current ? current.syncedAt : null,
+                gameData: current
+            });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
 
-        console.log(`Saved cloud data for user ${userId}`);
-        res.json({ success: true, syncedAt: Date.now() });
+        console.log(`Saved cloud data for user ${userId} (revision ${result.revision})`);
+        res.json({ success: true, syncedAt: result.syncedAt, revision: result.revision });
     } catch (error) {
         console.error('Cloud save error:', error);
+        cloudSaveErrors.inc({ operation: 'save' });
         res.status(500).json({ error: 'Failed to save data' });
+    } finally {
+        endTimer();
     }
 });
 
-app.get('/api/cloud/load/:userId', (req, res) => {
+app.get('/api/cloud/load/:userId', requireAuth, async (req, res) => {
+    const endTimer = cloudSaveDuration.startTimer({ operation: 'load' });
     try {
         const { userId } = req.params;
-
-        // Try to load from memory first
-        let saveData = cloudSaves.get(userId);
-
-        // If not in memory, try to load from file
-        if (!saveData) {
-            const savePath = path.join(__dirname, 'saves', `${userId}.json`);
-            if (fs.existsSync(savePath)) {
-                const fileData = fs.readFileSync(savePath, 'utf8');
-                saveData = JSON.parse(fileData);
-                cloudSaves.set(userId, saveData);
-            }
+        if (userId !== req.user.userId) {
+            return res.status(403).json({ error: 'Cannot load another player\'s save' });
         }
 
-        if (!saveData) {
+        const save = await cloudSaves.load(userId);
+        if (!save) {
             return res.status(404).json({ error: 'No save data found' });
         }
 
-        res.json(saveData);
+        res.json(save);
     } catch (error) {
         console.error('Cloud load error:', error);
+        cloudSaveErrors.inc({ operation: 'load' });
         res.status(500).json({ error: 'Failed to load data' });
+    } finally {
+        endTimer();
     }
 });
 
-app.post('/api/cloud/login', (req, res) => {
+app.get('/api/cloud/history', requireAuth, async (req, res) => {
     try {
-        const { username, password } = req.body;
+        res.json({ versions: await cloudSaves.getHistory(req.user.userId) });
+    } catch (error) {
+        console.error('Cloud history error:', error);
+        cloudSaveErrors.inc({ operation: 'history' });
+        res.status(500).json({ error: 'Failed to load save history' });
+    }
+});
 
-        // Simple authentication (in production, use proper auth)
-        if (!username) {
-            return res.status(400).json({ error: 'Username required' });
+app.get('/api/cloud/history/:revision', requireAuth, async (req, res) => {
+    try {
+        const version = await cloudSaves.getVersion(req.user.userId, Number(req.params.revision));
+        if (!version) {
+            return res.status(404).json({ error: 'Save version not found' });
+        }
+
+        res.json(version);
+    } catch (error) {
+        console.error('Cloud history error:', error);
+        cloudSaveErrors.inc({ operation: 'history' });
+        res.status(500).json({ error: 'Failed to load save version' });
+    }
+});
+
+app.post('/api/cloud/restore', requireAuth, async (req, res) => {
+    const endTimer = cloudSaveDuration.startTimer({ operation: 'restore' });
+    try {
+        const { userId } = req.user;
+        const { revision, deviceId } = req.body;
+
+        const result = await cloudSaves.restore(userId, Number(revision), deviceId);
+        if (result.error) {
+            return res.status(result.code === 'not_found' ? 404 : 400).json({ error: result.error });
         }
 
-        // Generate a simple user ID based on username
-        const userId = `user_${Buffer.from(username).toString('base64').replace(/[^a-zA-Z0-9]/g, '')}`;
+        console.log(`Restored cloud save revision ${revision} for user ${userId}`);
+        res.json({ success: true, syncedAt: result.syncedAt, revision: result.revision, gameData: await cloudSaves.load(userId) });
+    } catch (error) {
+        console.error('Cloud restore error:', error);
+        cloudSaveErrors.inc({ operation: 'restore' });
+        res.status(500).json({ error: 'Failed to restore save' });
+    } finally {
+        endTimer();
+    }
+});
+
+// Global leaderboards
+function getBoardQuery(req) {
+    return {
+        type: req.params.type,
+        track: req.params.track,
+        vehicle: req.query.vehicle || undefined,
+        timeframe: req.query.timeframe || 'all'
+    };
+}
 
-        res.json({
-            success: true,
-            userId: userId,
-            username: username
+app.post('/api/leaderboards/:type/:track', requireAuth, async (req, res) => {
+    try {
+        const { time, vehicle, position } = req.body;
+        const result = await leaderboards.submit(req.user, {
+            type: req.params.type,
+            track: req.params.track,
+            vehicle: vehicle || undefined,
+            time,
+            position
         });
+
+        if (result.error) {
+            return res.status(result.code === 'verified_only' ? 403 : 400).json({ error: result.error });
+        }
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        console.error('Leaderboard submit error:', error);
+        res.status(500).json({ error: 'Failed to submit time' });
+    }
+});
+
+app.get('/api/leaderboards/:type/:track', requireAuth, (req, res) => {
+    const query = getBoardQuery(req);
+    const error = validateBoard(query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+
+    res.json(leaderboards.query({ ...query, page: req.query.page, pageSize: req.query.pageSize }));
+});
+
+app.get('/api/leaderboards/:type/:track/around-me', requireAuth, (req, res) => {
+    const query = getBoardQuery(req);
+    const error = validateBoard(query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.json(leaderboards.aroundUser({ ...query, window: req.query.window }, req.user.userId));
+});
+
+// User-generated tracks, vehicle customizations and decals
+const CONTENT_ERROR_STATUS = { not_found: 404, forbidden: 403, duplicate: 409 };
+
+function sendContentError(res, result) {
+    res.status(CONTENT_ERROR_STATUS[result.code] || 400).json({ error: result.error, contentId: result.contentId });
+}
+
+app.post('/api/ugc', requireAuth, async (req, res) => {
+    try {
+        const { type, name, description, tags, data } = req.body;
+        const result = await content.publish(req.user, { type, name, description, tags, data });
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+
+        ugcPublished.inc({ type });
+        res.status(201).json({ success: true, content: result.content });
+    } catch (error) {
+        console.error('Content publish error:', error);
+        res.status(500).json({ error: 'Failed to publish content' });
+    }
+});
+
+// ?type=&q=&tags=a,b&creator=&minRating=&sort=top|new|downloads|trending&page=&pageSize=
+app.get('/api/ugc', requireAuth, (req, res) => {
+    res.json(content.search(req.user.userId, {
+        type: req.query.type || undefined,
+        query: req.query.q,
+        tags: req.query.tags,
+        creator: req.query.creator || undefined,
+        minRating: req.query.minRating,
+        sort: req.query.sort,
+        page: req.query.page,
+        pageSize: req.query.pageSize
+    }));
+});
+
+app.get('/api/ugc/:id', requireAuth, (req, res) => {
+    const item = content.get(req.params.id, req.user.userId);
+    if (!item) {
+        return res.status(404).json({ error: 'Content not found' });
+    }
+    res.json(item);
+});
+
+app.put('/api/ugc/:id', requireAuth, async (req, res) => {
+    try {
+        const { name, description, tags, data } = req.body;
+        const result = await content.update(req.user, req.params.id, { name, description, tags, data });
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+
+        ugcPublished.inc({ type: result.content.type });
+        res.json({ success: true, content: result.content });
+    } catch (error) {
+        console.error('Content update error:', error);
+        res.status(500).json({ error: 'Failed to update content' });
+    }
+});
+
+app.delete('/api/ugc/:id', requireAuth, async (req, res) => {
+    try {
+        const result = await content.remove(req.user, req.params.id);
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Content delete error:', error);
+        res.status(500).json({ error: 'Failed to delete content' });
+    }
+});
+
+app.get('/api/ugc/:id/download', requireAuth, async (req, res) => {
+    try {
+        const result = await content.download(req.user, req.params.id);
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+
+        ugcDownloads.inc({ type: result.content.type });
+        res.json(result);
+    } catch (error) {
+        console.error('Content download error:', error);
+        res.status(500).json({ error: 'Failed to download content' });
+    }
+});
+
+app.post('/api/ugc/:id/rating', requireAuth, async (req, res) => {
+    try {
+        const result = await content.rate(req.user, req.params.id, req.body.rating);
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Content rating error:', error);
+        res.status(500).json({ error: 'Failed to rate content' });
+    }
+});
+
+app.get('/api/ugc/:id/reviews', requireAuth, (req, res) => {
+    if (!content.get(req.params.id, req.user.userId)) {
+        return res.status(404).json({ error: 'Content not found' });
+    }
+    res.json(content.getReviews(req.params.id, { page: req.query.page, pageSize: req.query.pageSize }));
+});
+
+app.post('/api/ugc/:id/reviews', requireAuth, async (req, res) => {
+    try {
+        const { rating, title, content: text } = req.body;
+        const result = await content.review(req.user, req.params.id, { rating, title, content: text });
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+        res.status(201).json({ success: true, review: result.review });
+    } catch (error) {
+        console.error('Content review error:', error);
+        res.status(500).json({ error: 'Failed to add review' });
+    }
+});
+
+// Prometheus scrape target (see monitoring/prometheus.yml)
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
+// Admin endpoints, enabled by setting ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    const given = req.get('x-admin-token');
+    if (!token || !given || !crypto.timingSafeEqual(hashAdminToken(given), hashAdminToken(token))) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// Compared as digests, which are always the same length, so the comparison
+// takes as long whatever the header holds
+function hashAdminToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+app.get('/api/admin/strikes', requireAdmin, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    res.json({
+        strikes: strikeTracker.getStrikes({
+            identity: req.query.identity,
+            playerId: req.query.playerId,
+            limit
+        }),
+        bans: strikeTracker.getBans()
+    });
+});
+
+app.delete('/api/admin/bans/:identity', requireAdmin, (req, res) => {
+    if (!strikeTracker.liftBan(req.params.identity)) {
+        return res.status(404).json({ error: 'No active ban' });
+    }
+    res.json({ success: true });
+});
+
+app.get('/api/admin/ugc/queue', requireAdmin, (req, res) => {
+    res.json({ items: content.getModerationQueue() });
+});
+
+app.post('/api/admin/ugc/:id/moderate', requireAdmin, async (req, res) => {
+    try {
+        const result = await content.moderate(req.params.id, req.body.action, req.body.notes);
+        if (result.error) {
+            return sendContentError(res, result);
+        }
+
+        console.log(`Admin set ${req.params.id} to ${result.content.status}`);
+        res.json({ success: true, content: result.content });
+    } catch (error) {
+        console.error('Content moderation error:', error);
+        res.status(500).json({ error: 'Failed to moderate content' });
+    }
+});
+
+app.get('/api/admin/status', requireAdmin, (req, res) => {
+    res.json(getServerStatus());
+});
+
+app.get('/api/admin/rooms', requireAdmin, (req, res) => {
+    res.json({ rooms: Array.from(games.values()).map(room => room.getAdminInfo()) });
+});
+
+app.get('/api/admin/rooms/:roomId', requireAdmin, (req, res) => {
+    const room = games.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(room.getAdminInfo(true));
+});
+
+// Starts the countdown whether or not everyone is ready
+app.post('/api/admin/rooms/:roomId/start', requireAdmin, (req, res) => {
+    const room = games.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (room.gameState !== 'waiting') {
+        return res.status(409).json({ error: `Room is ${room.gameState}` });
+    }
+
+    console.log(`Admin force-started ${room.roomId}`);
+    room.startRace();
+    res.json({ success: true, room: room.getAdminInfo() });
+});
+
+// Ends the race with the current standings
+app.post('/api/admin/rooms/:roomId/end', requireAdmin, (req, res) => {
+    const room = games.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (room.gameState !== 'countdown' && room.gameState !== 'racing') {
+        return res.status(409).json({ error: `Room is ${room.gameState}` });
+    }
+
+    console.log(`Admin ended the race in ${room.roomId}`);
+    room.endRace();
+    res.json({ success: true, room: room.getAdminInfo() });
+});
+
+app.post('/api/admin/players/:playerId/kick', requireAdmin, (req, res) => {
+    const connection = connectedPlayers.get(req.params.playerId);
+    if (!connection) {
+        return res.status(404).json({ error: 'Player not connected' });
+    }
+
+    const reason = getAdminReason(req.body);
+    console.log(`Admin kicked ${connection.id} (${connection.identity}): ${reason}`);
+    disconnectPlayer(connection, { reason, action: 'kick' });
+    res.json({ success: true });
+});
+
+// Bans the player's account and the address it plays from, disconnecting every
+// connection from either
+app.post('/api/admin/players/:playerId/ban', requireAdmin, (req, res) => {
+    const connection = connectedPlayers.get(req.params.playerId);
+    if (!connection) {
+        return res.status(404).json({ error: 'Player not connected' });
+    }
+
+    const minutes = req.body && req.body.durationMinutes !== undefined ? Number(req.body.durationMinutes) : 60;
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+        return res.status(400).json({ error: 'durationMinutes must be a positive number' });
+    }
+
+    const reason = getAdminReason(req.body);
+    const ban = strikeTracker.ban(connection.identity, { reason, duration: minutes * 60 * 1000, address: connection.address });
+    console.log(`Admin banned ${connection.identity} (${connection.address}) for ${minutes} minutes: ${reason}`);
+
+    Array.from(connectedPlayers.values())
+        .filter(other => other.identity === connection.identity || other.address === connection.address)
+        .forEach(other => disconnectPlayer(other, { reason, action: 'ban', expiresAt: ban.expiresAt }));
+
+    res.json({ success: true, ban });
+});
+
+// A notice for every connected player, or just one room's
+app.post('/api/admin/broadcast', requireAdmin, (req, res) => {
+    const { message, roomId } = req.body || {};
+    if (typeof message !== 'string' || !message.trim() || message.length > MAX_BROADCAST_LENGTH) {
+        return res.status(400).json({ error: `Message must be 1-${MAX_BROADCAST_LENGTH} characters` });
+    }
+    if (roomId !== undefined && !games.has(roomId)) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const target = roomId !== undefined ? io.to(roomId) : io;
+    target.emit('serverMessage', { message: message.trim(), sentAt: Date.now() });
+    res.json({ success: true });
+});
+
+// Draining stops new rooms and races; races already under way run to the end.
+// Stop the process once status reports no active races.
+app.post('/api/admin/drain', requireAdmin, (req, res) => {
+    const enabled = !req.body || req.body.enabled !== false;
+
+    if (enabled && !drainingSince) {
+        drainingSince = Date.now();
+        console.log('Draining for maintenance');
+
+        // Nobody waiting in the queue will be matched now
+        Array.from(matchmaker.entries.keys()).forEach(entryId => {
+            matchmaker.dequeue(entryId).members.forEach(member => {
+                const connection = connectedPlayers.get(member.id);
+                if (connection) {
+                    connection.socket.emit('matchmakingError', { error: DRAIN_MESSAGE });
+                }
+            });
+        });
+    } else if (!enabled && drainingSince) {
+        drainingSince = null;
+        console.log('Drain cancelled');
+    }
+
+    res.json(getServerStatus());
+});
+
+function getAdminReason(body) {
+    const reason = body && typeof body.reason === 'string' ? body.reason.trim().slice(0, 200) : '';
+    return reason || 'admin';
+}
+
+// Leaving first revokes the session, so the slot can't be resumed
+function disconnectPlayer(connection, notice) {
+    connection.socket.emit('kicked', notice);
+    leaveCurrentRoom(connection.socket);
+    connection.socket.disconnect(true);
+}
+
+function getServerStatus() {
+    const rooms = Array.from(games.values());
+    return {
+        draining: !!drainingSince,
+        drainingSince,
+        uptime: process.uptime(),
+        connectedPlayers: connectedPlayers.size,
+        queuedPlayers: matchmaker.getQueuedPlayerCount(),
+        rooms: rooms.length,
+        activeRaces: rooms.filter(room => room.gameState === 'countdown' || room.gameState === 'racing').length
+    };
+}
+
+// Operator console for the endpoints above
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
 });
 
 // Serve static files
 app.use(express.static(path.join(__dirname, '../dist')));
 
-// Start server
+// Start server once stored data is loaded
+await storage.open();
+const importedSaves = await importLegacySaves(storage, LEGACY_SAVES_DIR);
+if (importedSaves > 0) {
+    console.log(`Imported ${importedSaves} legacy cloud saves from ${LEGACY_SAVES_DIR}`);
+}
+await auth.loadAccounts();
+await leaderboards.load();
+await social.load();
+await content.load();
+
+setInterval(() => {
+    leaderboards.pruneExpired().catch(error => console.error('Leaderboard pruning failed:', error));
+}, LEADERBOARD_PRUNE_INTERVAL);
+setInterval(() => {
+    chatLimiter.prune();
+    directMessageLimiter.prune();
+}, CHAT_PRUNE_INTERVAL);
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
     console.log(`Multiplayer server running on port ${PORT}`);
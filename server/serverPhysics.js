@@ -0,0 +1,213 @@
+import { PhysicsManager } from '../src/physics/physicsManager.js';
+import { VehicleController } from '../src/engine/vehicleController.js';
+import { VEHICLE_CONFIGS, VEHICLE_TYPES } from '../src/gameplay/vehicleConfig.js';
+import { TRACK_ELEMENT_LAYOUT, createTrackElementBody } from '../src/environment/trackElementBodies.js';
+
+// Headless race simulation for rooms that opt into server physics. Every car is
+// a PhysicsManager vehicle driven by the input frames its client sends, through
+// the same VehicleController.applyInput the client predicts with, so the
+// simulated state can be trusted over whatever the client reports.
+
+const FIXED_STEP = 1 / 60;
+const MAX_STEPS_PER_UPDATE = 10; // Don't try to catch up after a long stall
+const MAX_QUEUED_INPUTS = 120;
+const MAX_INPUT_DEBT = 0.25; // s without input before a car is left to coast
+const MAX_INPUT_DT = 0.1;
+const STATE_HISTORY_SIZE = 120;
+const GRID_SPACING = { x: 4, z: 7 };
+const SPAWN_HEIGHT = 2;
+
+const IDLE_INPUT = { seq: 0, throttle: 0, steer: 0, brake: 1, dt: FIXED_STEP };
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Clients are untrusted: keep inputs inside what the controls can produce
+function sanitizeInput(input) {
+    return {
+        seq: input.seq,
+        throttle: clamp(Number(input.throttle) || 0, -1, 1),
+        steer: clamp(Number(input.steer) || 0, -1, 1),
+        brake: input.brake ? 1 : 0,
+        dt: clamp(Number(input.dt) || FIXED_STEP, 0.001, MAX_INPUT_DT)
+    };
+}
+
+export class ServerPhysics {
+    constructor(options = {}) {
+        this.fixedStep = options.fixedStep || FIXED_STEP;
+        this.physics = new PhysicsManager();
+        this.physics.fixedTimeStep = this.fixedStep;
+        this.physics.init({ createVehicle: false });
+        this.addTrackElements();
+
+        this.cars = new Map(); // playerId -> car
+        this.accumulator = 0;
+        this.stepCount = 0;
+    }
+
+    // Two-wide starting grid behind the origin, where clients spawn
+    getGridPosition(slot) {
+        return {
+            x: (slot % 2 === 0 ? -1 : 1) * GRID_SPACING.x / 2,
+            y: SPAWN_HEIGHT,
+            z: -Math.floor(slot / 2) * GRID_SPACING.z
+        };
+    }
+
+    // The same static bodies the client puts on the track
+    addTrackElements() {
+        TRACK_ELEMENT_LAYOUT.forEach(element => {
+            const body = createTrackElementBody(element.type, element.position, element.rotation);
+            if (body) {
+                this.physics.world.addBody(body);
+            }
+        });
+    }
+
+    // Built like SceneManager.createPlayerVehicle so both sides drive the same car
+    addCar(playerId, slot = this.cars.size, vehicleType = VEHICLE_TYPES.SPORTS_CAR) {
+        const config = VEHICLE_CONFIGS[vehicleType] || VEHICLE_CONFIGS[VEHICLE_TYPES.SPORTS_CAR];
+        const vehicle = this.physics.createVehicle({
+            mass: config.mass,
+            geometry: config.geometry,
+            friction: 0.3,
+            restitution: 0.1,
+            tireModelParameters: config.tireModelParameters
+        });
+        const position = this.getGridPosition(slot);
+        vehicle.chassisBody.position.set(position.x, position.y, position.z);
+
+        const controller = new VehicleController();
+        controller.setPhysicsVehicle(vehicle);
+
+        this.cars.set(playerId, {
+            vehicle,
+            controller,
+            inputQueue: [],
+            currentInput: IDLE_INPUT,
+            inputTimeRemaining: 0,
+            lastQueuedSeq: 0,
+            processedSeq: 0,
+            history: new Map() // input seq -> chassis state after it
+        });
+
+        return position;
+    }
+
+    removeCar(playerId) {
+        const car = this.cars.get(playerId);
+        if (!car) return;
+
+        this.physics.removeVehicle(car.vehicle);
+        this.cars.delete(playerId);
+    }
+
+    reassignCar(oldId, newId) {
+        const car = this.cars.get(oldId);
+        if (!car) return;
+
+        this.cars.delete(oldId);
+        this.cars.set(newId, car);
+    }
+
+    // Input frames are resent redundantly; only new ones are queued
+    queueInputs(playerId, inputs) {
+        const car = this.cars.get(playerId);
+        if (!car || !Array.isArray(inputs)) return;
+
+        inputs
+            .filter(input => input && Number.isInteger(input.seq) && input.seq > car.lastQueuedSeq)
+            .forEach(input => {
+                car.inputQueue.push(sanitizeInput(input));
+                car.lastQueuedSeq = input.seq;
+            });
+
+        if (car.inputQueue.length > MAX_QUEUED_INPUTS) {
+            car.inputQueue.splice(0, car.inputQueue.length - MAX_QUEUED_INPUTS);
+        }
+    }
+
+    update(deltaTime) {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < MAX_STEPS_PER_UPDATE) {
+            this.step();
+            this.accumulator -= this.fixedStep;
+            steps++;
+        }
+
+        if (steps === MAX_STEPS_PER_UPDATE) {
+            this.accumulator = 0;
+        }
+    }
+
+    step() {
+        this.cars.forEach(car => {
+            this.advanceInput(car);
+            car.controller.applyInput(car.currentInput);
+        });
+
+        // The client's fixed step: drivetrain, aero and tire wear included
+        this.physics.step();
+        this.stepCount++;
+
+        this.cars.forEach(car => {
+            car.inputTimeRemaining -= this.fixedStep;
+
+            // An input is processed once the car has driven with it for its full dt
+            const input = car.currentInput;
+            if (input.seq > car.processedSeq && car.inputTimeRemaining <= 1e-6) {
+                car.processedSeq = input.seq;
+                car.history.set(input.seq, this.physics.getBodyState(car.vehicle.chassisBody));
+                if (car.history.size > STATE_HISTORY_SIZE) {
+                    car.history.delete(car.history.keys().next().value);
+                }
+            }
+        });
+    }
+
+    advanceInput(car) {
+        // Take queued inputs until one covers this step. A car that is behind
+        // (its client stalled) consumes the backlog faster to catch up.
+        while (car.inputTimeRemaining <= 1e-6 && car.inputQueue.length > 0) {
+            car.currentInput = car.inputQueue.shift();
+            car.inputTimeRemaining += car.currentInput.dt;
+        }
+
+        // Out of input for too long (lag or a dropped client): coast to a stop
+        if (car.inputTimeRemaining < -MAX_INPUT_DEBT) {
+            car.currentInput = { ...IDLE_INPUT, seq: car.processedSeq };
+            car.inputTimeRemaining = 0;
+        }
+    }
+
+    getState(playerId) {
+        const car = this.cars.get(playerId);
+        if (!car) return null;
+
+        const state = this.physics.getBodyState(car.vehicle.chassisBody);
+        return {
+            position: state.position,
+            rotation: state.quaternion,
+            velocity: state.velocity,
+            ackSeq: car.processedSeq
+        };
+    }
+
+    // Simulated state right after input `seq`, if it is still in the history
+    getStateAtInput(playerId, seq) {
+        const car = this.cars.get(playerId);
+        const state = car && car.history.get(seq);
+        if (!state) return null;
+
+        return { position: state.position, rotation: state.quaternion, velocity: state.velocity };
+    }
+
+    destroy() {
+        this.cars.forEach(car => this.physics.removeVehicle(car.vehicle));
+        this.cars.clear();
+    }
+}
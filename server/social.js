@@ -0,0 +1,213 @@
+// Friend lists and direct messages. Each account has one record in 'friends'
+// holding its friends and pending requests both ways; every direct message is
+// its own record in 'directMessages', and how far each side has read a
+// conversation is kept in 'messageReads'. All of it is indexed in memory at
+// load. Presence isn't stored: the server works it out from live connections.
+
+const DEFAULT_OPTIONS = {
+    maxFriends: 200,
+    maxPendingRequests: 100,
+    messageHistory: 200, // Messages kept per conversation
+    pageSize: 50
+};
+
+export function getConversationId(userA, userB) {
+    return [userA, userB].sort().join('|');
+}
+
+export class SocialService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.records = new Map(); // userId -> { userId, username, friends, incoming, outgoing }
+        this.conversations = new Map(); // conversationId -> messages, oldest first
+        this.conversationsByUser = new Map(); // userId -> Set of conversationIds
+        this.reads = new Map(); // `${conversationId}|${userId}` -> sentAt of the last message read
+        this.nextMessageId = 1;
+    }
+
+    async load() {
+        const [friends, messages, reads] = await Promise.all([
+            this.storage.list('friends'),
+            this.storage.list('directMessages'),
+            this.storage.list('messageReads')
+        ]);
+
+        friends.forEach(record => this.records.set(record.key, record.value));
+        messages
+            .map(record => record.value)
+            .sort((a, b) => a.sentAt - b.sentAt || a.seq - b.seq)
+            .forEach(message => this.indexMessage(message));
+        reads.forEach(record => this.reads.set(record.key, record.value.readUpTo));
+
+        this.nextMessageId = messages.reduce((next, record) => Math.max(next, record.value.seq + 1), 1);
+    }
+
+    getRecord(user) {
+        return this.records.get(user.userId) || {
+            userId: user.userId,
+            username: user.username,
+            friends: [], // { userId, username, since }
+            incoming: [], // { userId, username, sentAt }
+            outgoing: [] // { userId, username, sentAt }
+        };
+    }
+
+    async saveRecords(...records) {
+        records.forEach(record => this.records.set(record.userId, record));
+        await Promise.all(records.map(record => this.storage.put('friends', record.userId, record)));
+    }
+
+    getFriends(userId) {
+        const record = this.records.get(userId);
+        return record ? record.friends : [];
+    }
+
+    areFriends(userId, otherId) {
+        return this.getFriends(userId).some(friend => friend.userId === otherId);
+    }
+
+    // from and to: { userId, username }. A request to someone who has already
+    // asked us accepts theirs. Returns { error }, { accepted } or { requested }.
+    async sendRequest(from, to, now = Date.now()) {
+        if (from.userId === to.userId) return { error: 'You cannot add yourself' };
+        if (this.areFriends(from.userId, to.userId)) return { error: 'Already friends' };
+
+        const sender = this.getRecord(from);
+        if (sender.incoming.some(request => request.userId === to.userId)) {
+            return this.respond(from, to.userId, true, now);
+        }
+        if (sender.outgoing.some(request => request.userId === to.userId)) return { error: 'Request already sent' };
+        if (sender.friends.length >= this.options.maxFriends) return { error: 'Friend list is full' };
+
+        const recipient = this.getRecord(to);
+        if (recipient.incoming.length >= this.options.maxPendingRequests) return { error: 'Player has too many pending requests' };
+
+        sender.outgoing.push({ userId: to.userId, username: to.username, sentAt: now });
+        recipient.incoming.push({ userId: from.userId, username: from.username, sentAt: now });
+        await this.saveRecords(sender, recipient);
+        return { requested: true };
+    }
+
+    // Returns { error }, { accepted } or { declined }
+    async respond(user, fromUserId, accept, now = Date.now()) {
+        const record = this.getRecord(user);
+        const request = record.incoming.find(candidate => candidate.userId === fromUserId);
+        const requester = this.records.get(fromUserId);
+        if (!request || !requester) return { error: 'Request not found' };
+        if (accept && (record.friends.length >= this.options.maxFriends || requester.friends.length >= this.options.maxFriends)) {
+            return { error: 'Friend list is full' };
+        }
+
+        record.incoming = record.incoming.filter(candidate => candidate.userId !== fromUserId);
+        requester.outgoing = requester.outgoing.filter(candidate => candidate.userId !== user.userId);
+        if (accept) {
+            record.friends.push({ userId: fromUserId, username: request.username, since: now });
+            requester.friends.push({ userId: user.userId, username: record.username, since: now });
+        }
+
+        await this.saveRecords(record, requester);
+        return accept ? { accepted: true } : { declined: true };
+    }
+
+    // Also withdraws pending requests either way. Returns whether anything changed.
+    async removeFriend(userId, otherId) {
+        const record = this.records.get(userId);
+        const other = this.records.get(otherId);
+        if (!record || !other) return false;
+
+        const unlink = (from, to) => {
+            const before = from.friends.length + from.incoming.length + from.outgoing.length;
+            from.friends = from.friends.filter(friend => friend.userId !== to);
+            from.incoming = from.incoming.filter(request => request.userId !== to);
+            from.outgoing = from.outgoing.filter(request => request.userId !== to);
+            return before !== from.friends.length + from.incoming.length + from.outgoing.length;
+        };
+        const changed = [unlink(record, otherId), unlink(other, userId)].some(Boolean);
+        if (changed) await this.saveRecords(record, other);
+        return changed;
+    }
+
+    indexMessage(message) {
+        if (!this.conversations.has(message.conversationId)) {
+            this.conversations.set(message.conversationId, []);
+        }
+        this.conversations.get(message.conversationId).push(message);
+
+        [message.from, message.to].forEach(userId => {
+            if (!this.conversationsByUser.has(userId)) {
+                this.conversationsByUser.set(userId, new Set());
+            }
+            this.conversationsByUser.get(userId).add(message.conversationId);
+        });
+    }
+
+    // Friends only. text has already been sanitized and filtered. Returns { error } or { message }.
+    async sendMessage(fromUserId, toUserId, text, now = Date.now()) {
+        if (!this.areFriends(fromUserId, toUserId)) return { error: 'You can only message friends' };
+
+        const seq = this.nextMessageId++;
+        const message = {
+            id: `dm_${seq}`,
+            seq,
+            conversationId: getConversationId(fromUserId, toUserId),
+            from: fromUserId,
+            to: toUserId,
+            text,
+            sentAt: now
+        };
+        await this.storage.put('directMessages', `${message.conversationId}|${message.id}`, message);
+        this.indexMessage(message);
+
+        // Oldest messages go once a conversation is over its limit
+        const messages = this.conversations.get(message.conversationId);
+        while (messages.length > this.options.messageHistory) {
+            const expired = messages.shift();
+            await this.storage.delete('directMessages', `${expired.conversationId}|${expired.id}`);
+        }
+
+        return { message };
+    }
+
+    // A page of the conversation, oldest first, ending before `before` (ms)
+    getMessages(userId, otherId, { before = Infinity, limit = this.options.pageSize } = {}) {
+        const conversationId = getConversationId(userId, otherId);
+        const earlier = (this.conversations.get(conversationId) || []).filter(message => message.sentAt < before);
+        const page = earlier.slice(-limit);
+        const readUpTo = this.reads.get(`${conversationId}|${userId}`) || 0;
+
+        return {
+            messages: page.map(message => ({ ...message, read: message.to !== userId || message.sentAt <= readUpTo })),
+            hasMore: earlier.length > page.length
+        };
+    }
+
+    // Marks everything received in the conversation so far as read
+    async markRead(userId, otherId) {
+        const conversationId = getConversationId(userId, otherId);
+        const messages = this.conversations.get(conversationId);
+        if (!messages || messages.length === 0) return;
+
+        const key = `${conversationId}|${userId}`;
+        const readUpTo = messages[messages.length - 1].sentAt;
+        if (this.reads.get(key) === readUpTo) return;
+
+        this.reads.set(key, readUpTo);
+        await this.storage.put('messageReads', key, { readUpTo });
+    }
+
+    // { total, conversations: { otherUserId: count } }
+    getUnreadCounts(userId) {
+        const counts = { total: 0, conversations: {} };
+        (this.conversationsByUser.get(userId) || new Set()).forEach(conversationId => {
+            const readUpTo = this.reads.get(`${conversationId}|${userId}`) || 0;
+            this.conversations.get(conversationId).forEach(message => {
+                if (message.to !== userId || message.sentAt <= readUpTo) return;
+
+                counts.conversations[message.from] = (counts.conversations[message.from] || 0) + 1;
+                counts.total++;
+            });
+        });
+        return counts;
+    }
+}
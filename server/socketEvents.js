@@ -0,0 +1,364 @@
+import { isBinaryMessage, decodePositionUpdate, decodeInputFrames } from '../src/network/wireFormat.js';
+
+// Declared shape and rate limit of every event a client may send. A socket's
+// packets go through SocketEventGuard before any handler runs: binary wire
+// messages are decoded, payloads are checked against their schema with unknown
+// fields stripped, and each event type draws on its own token bucket.
+
+const MAX_COORDINATE = 1e6;
+const MAX_SPEED = 1e4;
+
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'number', integer: true, ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+// Opaque data (customisation, track configs) that is only size-checked here
+const json = (maxLength, options = {}) => ({ type: 'json', maxLength, ...options });
+
+const vector = (limit, options = {}) => object({
+    x: number({ min: -limit, max: limit }),
+    y: number({ min: -limit, max: limit }),
+    z: number({ min: -limit, max: limit })
+}, options);
+
+// Quaternions from the wire format, Euler angles from older clients
+const rotation = (options = {}) => object({
+    x: number({ min: -10, max: 10 }),
+    y: number({ min: -10, max: 10 }),
+    z: number({ min: -10, max: 10 }),
+    w: number({ min: -1, max: 1, optional: true })
+}, options);
+
+const playerData = (options = {}) => object({
+    name: string({ maxLength: 32, optional: true }),
+    vehicle: string({ maxLength: 32, optional: true }),
+    level: integer({ min: 0, max: 10000, optional: true }),
+    mmr: number({ min: 0, max: 10000, optional: true }),
+    mmrRange: number({ min: 0, max: 10000, optional: true }),
+    customization: json(4096, { optional: true }),
+    vehicleCustomization: json(4096, { optional: true }),
+    // The track a matchmaking player would like to race, if they host
+    track: json(65536, { optional: true }),
+    totalLaps: integer({ optional: true })
+}, options);
+
+const lobbySettings = (options = {}) => object({
+    gameMode: string({ maxLength: 32, optional: true }),
+    totalLaps: integer({ optional: true }),
+    aiFill: integer({ optional: true }),
+    track: json(65536, { optional: true }),
+    serverPhysics: boolean({ optional: true })
+}, options);
+
+const inputFrame = object({
+    seq: integer({ min: 0 }),
+    throttle: number({ min: -1, max: 1 }),
+    steer: number({ min: -1, max: 1 }),
+    brake: { type: 'any', optional: true }, // Boolean or 0/1
+    dt: number({ min: 0, max: 1, optional: true })
+});
+
+// rate: sustained events per second, burst: bucket size.
+// payload: undefined for events that carry none.
+export const EVENT_SCHEMAS = {
+    joinMatchmaking: { rate: 1, burst: 5, payload: playerData({ optional: true }) },
+    startMatchmaking: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            gameMode: string({ maxLength: 32, optional: true }),
+            region: string({ maxLength: 32, pattern: /^[a-z0-9_-]+$/i, optional: true }),
+            playerData: playerData({ optional: true })
+        }, { optional: true })
+    },
+    cancelMatchmaking: { rate: 1, burst: 5 },
+
+    createLobby: {
+        rate: 1,
+        burst: 3,
+        payload: object({
+            settings: lobbySettings({ optional: true }),
+            playerData: playerData({ optional: true })
+        }, { optional: true })
+    },
+    joinLobby: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            joinCode: string({ maxLength: 16 }),
+            playerData: playerData({ optional: true })
+        })
+    },
+    updateLobbySettings: { rate: 5, burst: 10, payload: lobbySettings() },
+    setReady: { rate: 5, burst: 10, payload: object({ ready: boolean() }) },
+    kickPlayer: { rate: 2, burst: 5, payload: object({ playerId: string({ maxLength: 64 }) }) },
+    startLobbyRace: { rate: 1, burst: 3 },
+    leaveLobby: { rate: 1, burst: 5 },
+    resumeSession: { rate: 1, burst: 3, payload: object({ sessionToken: string({ maxLength: 128 }) }) },
+
+    listSpectatableRooms: { rate: 1, burst: 5 },
+    spectateRoom: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            roomId: string({ maxLength: 64, optional: true }),
+            joinCode: string({ maxLength: 16, optional: true }),
+            delay: integer({ min: 0, max: 60000, optional: true })
+        })
+    },
+    spectatePlayer: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            playerId: string({ maxLength: 64 }),
+            delay: integer({ min: 0, max: 60000, optional: true })
+        })
+    },
+    stopSpectating: { rate: 1, burst: 5 },
+
+    // Per-account chat limits are tighter (see ChatRateLimiter); this only stops floods
+    sendChatMessage: { rate: 2, burst: 10, payload: object({ text: string({ maxLength: 1000 }) }) },
+    mutePlayer: {
+        rate: 2,
+        burst: 10,
+        payload: object({
+            userId: string({ maxLength: 64 }),
+            muted: boolean()
+        })
+    },
+    setBlockedUsers: {
+        rate: 1,
+        burst: 5,
+        payload: object({ userIds: array(string({ maxLength: 64 }), { maxItems: 500 }) })
+    },
+
+    createParty: { rate: 1, burst: 3, payload: object({ playerData: playerData({ optional: true }) }, { optional: true }) },
+    inviteToParty: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            userId: string({ maxLength: 64, optional: true }),
+            username: string({ maxLength: 32, optional: true })
+        })
+    },
+    acceptPartyInvite: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            partyId: string({ maxLength: 32 }),
+            playerData: playerData({ optional: true })
+        })
+    },
+    declinePartyInvite: { rate: 1, burst: 5, payload: object({ partyId: string({ maxLength: 32 }) }) },
+    setPartyPlayerData: { rate: 2, burst: 5, payload: object({ playerData: playerData() }) },
+    leaveParty: { rate: 1, burst: 5 },
+    kickFromParty: { rate: 1, burst: 5, payload: object({ userId: string({ maxLength: 64 }) }) },
+
+    sendFriendRequest: {
+        rate: 1,
+        burst: 5,
+        payload: object({
+            userId: string({ maxLength: 64, optional: true }),
+            username: string({ maxLength: 32, optional: true })
+        })
+    },
+    respondFriendRequest: {
+        rate: 2,
+        burst: 10,
+        payload: object({
+            userId: string({ maxLength: 64 }),
+            accept: boolean()
+        })
+    },
+    removeFriend: { rate: 1, burst: 5, payload: object({ userId: string({ maxLength: 64 }) }) },
+    // Per-account limits as for room chat
+    sendDirectMessage: {
+        rate: 2,
+        burst: 10,
+        payload: object({
+            userId: string({ maxLength: 64 }),
+            text: string({ maxLength: 1000 })
+        })
+    },
+    getDirectMessages: {
+        rate: 2,
+        burst: 10,
+        payload: object({
+            userId: string({ maxLength: 64 }),
+            before: integer({ min: 0, optional: true }),
+            limit: integer({ min: 1, max: 100, optional: true })
+        })
+    },
+    markMessagesRead: { rate: 2, burst: 10, payload: object({ userId: string({ maxLength: 64 }) }) },
+    setPresenceHidden: { rate: 1, burst: 5, payload: object({ hidden: boolean() }) },
+
+    // Clients send up to 50 position updates a second (see NetworkManager.updateInterval)
+    updatePosition: {
+        rate: 60,
+        burst: 120,
+        binary: decodePositionUpdate,
+        payload: object({
+            position: vector(MAX_COORDINATE),
+            rotation: rotation({ optional: true }),
+            velocity: vector(MAX_SPEED, { optional: true, nullable: true }),
+            inputSeq: integer({ min: 0, optional: true, nullable: true }),
+            snapshotAck: integer({ min: 0, optional: true })
+        })
+    },
+    // One input frame per rendered frame, so high refresh rate displays need headroom
+    unreliableMessage: {
+        rate: 250,
+        burst: 500,
+        binary: message => ({ type: 'input', payload: { inputs: decodeInputFrames(message) } }),
+        payload: object({
+            type: string({ maxLength: 32 }),
+            payload: object({
+                inputs: array(inputFrame, { maxItems: 32, optional: true })
+            }, { optional: true }),
+            timestamp: number({ optional: true })
+        })
+    },
+    lapCompleted: {
+        rate: 2,
+        burst: 5,
+        payload: object({
+            lap: integer({ min: 0, max: 1000 }),
+            checkpoint: integer({ min: 0, optional: true }),
+            lapTime: number({ min: 0, optional: true }),
+            timestamp: number({ optional: true })
+        })
+    },
+    raceFinished: {
+        rate: 1,
+        burst: 3,
+        payload: object({
+            finalPosition: integer({ min: 1, optional: true }),
+            totalTime: number({ min: 0, optional: true }),
+            stats: json(4096, { optional: true }),
+            timestamp: number({ optional: true })
+        }, { optional: true })
+    }
+};
+
+// Returns { value } with unknown fields removed, or { error }
+export function validate(schema, value, path = 'payload') {
+    if (value === undefined) {
+        return schema.optional ? { value: undefined } : { error: `${path} is required` };
+    }
+    if (value === null) {
+        return schema.nullable ? { value: null } : { error: `${path} must not be null` };
+    }
+
+    switch (schema.type) {
+        case 'any':
+            return { value };
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${path} must be a finite number` };
+            if (schema.integer && !Number.isInteger(value)) return { error: `${path} must be an integer` };
+            if (schema.min !== undefined && value < schema.min) return { error: `${path} must be at least ${schema.min}` };
+            if (schema.max !== undefined && value > schema.max) return { error: `${path} must be at most ${schema.max}` };
+            return { value };
+
+        case 'string':
+            if (typeof value !== 'string') return { error: `${path} must be a string` };
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return { error: `${path} is too long` };
+            if (schema.pattern && !schema.pattern.test(value)) return { error: `${path} has an invalid format` };
+            return { value };
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: `${path} must be a boolean` };
+            return { value };
+
+        case 'array': {
+            if (!Array.isArray(value)) return { error: `${path} must be an array` };
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) return { error: `${path} has too many items` };
+
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const result = validate(schema.items, value[i], `${path}[${i}]`);
+                if (result.error) return result;
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value) || isBinaryMessage(value)) return { error: `${path} must be an object` };
+
+            const fields = {};
+            for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                const result = validate(fieldSchema, value[name], `${path}.${name}`);
+                if (result.error) return result;
+                if (result.value !== undefined) fields[name] = result.value;
+            }
+            return { value: fields };
+        }
+
+        case 'json': {
+            let serialized;
+            try {
+                serialized = JSON.stringify(value);
+            } catch {
+                return { error: `${path} is not serializable` };
+            }
+            if (serialized === undefined || serialized.length > schema.maxLength) return { error: `${path} is too large` };
+            return { value: JSON.parse(serialized) };
+        }
+
+        default:
+            return { error: `${path} has an unknown schema type` };
+    }
+}
+
+export class SocketEventGuard {
+    constructor(schemas = EVENT_SCHEMAS) {
+        this.schemas = schemas;
+        this.buckets = new Map(); // event -> { tokens, updatedAt }
+    }
+
+    consume(event, definition, now) {
+        let bucket = this.buckets.get(event);
+        if (!bucket) {
+            bucket = { tokens: definition.burst, updatedAt: now };
+            this.buckets.set(event, bucket);
+        }
+
+        bucket.tokens = Math.min(definition.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * definition.rate);
+        bucket.updatedAt = now;
+        if (bucket.tokens < 1) return false;
+
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // Returns { payload } to pass on to the handler, or { reason, error } with
+    // reason 'unknown_event', 'rate_limited' or 'invalid_payload'
+    check(event, payload, now = Date.now()) {
+        const definition = Object.prototype.hasOwnProperty.call(this.schemas, event) ? this.schemas[event] : null;
+        if (!definition) {
+            return { reason: 'unknown_event', error: `Unknown event: ${event}` };
+        }
+        if (!this.consume(event, definition, now)) {
+            return { reason: 'rate_limited', error: `Too many ${event} messages` };
+        }
+
+        // Events without a payload ignore whatever was sent
+        if (!definition.payload) return { payload: undefined };
+
+        let value = payload;
+        if (isBinaryMessage(value)) {
+            if (!definition.binary) return { reason: 'invalid_payload', error: `${event} has no binary form` };
+            try {
+                value = definition.binary(value);
+            } catch (error) {
+                return { reason: 'invalid_payload', error: error.message };
+            }
+        }
+
+        const result = validate(definition.payload, value);
+        return result.error ? { reason: 'invalid_payload', error: result.error } : { payload: result.value };
+    }
+}
@@ -0,0 +1,313 @@
+import fs from 'fs';
+import path from 'path';
+
+// Storage adapters for server data that has to survive restarts. Records live
+// in named collections under string keys and carry a version that goes up on
+// every write, so callers can make optimistic updates with `expectedVersion`.
+// Every adapter keeps its data in memory and only differs in how writes reach
+// the disk:
+//
+//   MemoryStorage - nothing is persisted (tests, throwaway servers)
+//   FileStorage   - one JSON file per record, replaced atomically on write
+//   LogStorage    - embedded single-file database: an append-only journal that
+//                   is replayed on open and compacted atomically
+
+const COLLECTION_PATTERN = /^[A-Za-z0-9_-]+$/;
+const COMPACT_MIN_ENTRIES = 1000; // Journal entries before compaction is considered
+const COMPACT_RATIO = 2; // ...and only once it holds this many entries per live record
+
+export class VersionConflictError extends Error {
+    constructor(collection, key, expectedVersion, actualVersion) {
+        super(`Version conflict on ${collection}/${key}: expected ${expectedVersion}, found ${actualVersion}`);
+        this.name = 'VersionConflictError';
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+    }
+}
+
+// Write to a temporary file, flush it and rename it over the target, so a
+// crash leaves either the old contents or the new ones, never a mix
+export async function writeFileAtomic(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(temp, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(temp, file);
+    await syncDirectory(path.dirname(file));
+}
+
+// Makes a rename durable; not every platform can fsync a directory
+async function syncDirectory(dir) {
+    let handle = null;
+    try {
+        handle = await fs.promises.open(dir, 'r');
+        await handle.sync();
+    } catch {
+        // Best effort
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+export class MemoryStorage {
+    constructor() {
+        this.collections = new Map(); // collection -> Map(key -> record)
+        this.writeQueue = Promise.resolve(); // Disk writes happen one at a time, in order
+    }
+
+    async open() {}
+
+    async close() {
+        await this.writeQueue;
+    }
+
+    getCollection(collection) {
+        if (!COLLECTION_PATTERN.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    async get(collection, key) {
+        return this.getCollection(collection).get(key) || null;
+    }
+
+    async list(collection) {
+        return Array.from(this.getCollection(collection).values());
+    }
+
+    // Resolves with the stored { key, value, version, updatedAt } once it is on
+    // disk. expectedVersion 0 means the record must not exist yet.
+    async put(collection, key, value, { expectedVersion } = {}) {
+        const records = this.getCollection(collection);
+        const previous = records.get(key) || null;
+        const currentVersion = previous ? previous.version : 0;
+
+        if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+            throw new VersionConflictError(collection, key, expectedVersion, currentVersion);
+        }
+
+        const record = { key, value, version: currentVersion + 1, updatedAt: Date.now() };
+        records.set(key, record);
+        await this.commit(collection, key, record, previous);
+        return record;
+    }
+
+    async delete(collection, key) {
+        const records = this.getCollection(collection);
+        const previous = records.get(key);
+        if (!previous) return false;
+
+        records.delete(key);
+        await this.commit(collection, key, null, previous);
+        return true;
+    }
+
+    // Queue the write behind earlier ones; undo the in-memory change if it fails
+    async commit(collection, key, record, previous) {
+        const write = this.writeQueue.then(() => this.persist(collection, key, record));
+        this.writeQueue = write.catch(() => {});
+
+        try {
+            await write;
+        } catch (error) {
+            const records = this.getCollection(collection);
+            if (records.get(key) === record) {
+                if (previous) {
+                    records.set(key, previous);
+                } else {
+                    records.delete(key);
+                }
+            }
+            throw error;
+        }
+    }
+
+    // record is null for a delete
+    async persist() {}
+}
+
+export class FileStorage extends MemoryStorage {
+    constructor(dir) {
+        super();
+        this.dir = dir;
+    }
+
+    async open() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (const entry of await fs.promises.readdir(this.dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                await this.loadCollection(entry.name);
+            }
+        }
+    }
+
+    async loadCollection(collection) {
+        const records = this.getCollection(collection);
+        const dir = path.join(this.dir, collection);
+
+        for (const file of await fs.promises.readdir(dir)) {
+            const filePath = path.join(dir, file);
+
+            // Left behind by a crash mid-write; the real file is intact
+            if (file.endsWith('.tmp')) {
+                await fs.promises.unlink(filePath);
+                continue;
+            }
+            if (!file.endsWith('.json')) continue;
+
+            const record = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            if (!record || typeof record.key !== 'string' || this.getRecordFile(collection, record.key) !== filePath) {
+                throw new Error(`Unrecognised record file: ${filePath}`);
+            }
+            records.set(record.key, record);
+        }
+    }
+
+    // One file per record, so a write only touches the record it changes
+    getRecordFile(collection, key) {
+        return path.join(this.dir, collection, `${encodeURIComponent(key)}.json`);
+    }
+
+    async persist(collection, key, record) {
+        const file = this.getRecordFile(collection, key);
+
+        if (!record) {
+            await fs.promises.rm(file, { force: true });
+            await syncDirectory(path.dirname(file));
+            return;
+        }
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await writeFileAtomic(file, JSON.stringify(record));
+    }
+}
+
+export class LogStorage extends MemoryStorage {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.handle = null;
+        this.journalEntries = 0;
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        if (fs.existsSync(this.file)) {
+            const contents = await fs.promises.readFile(this.file, 'utf8');
+            const validLength = this.replay(contents);
+
+            // A crash mid-append leaves a torn last entry: drop it
+            if (validLength < Buffer.byteLength(contents)) {
+                console.warn(`Discarding incomplete trailing entry in ${this.file}`);
+                await fs.promises.truncate(this.file, validLength);
+            }
+        }
+
+        this.handle = await fs.promises.open(this.file, 'a');
+    }
+
+    // Applies every complete entry and returns the byte length they cover
+    replay(contents) {
+        const lines = contents.split('\n');
+        let validLength = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const isLast = i === lines.length - 1;
+            if (line === '') {
+                if (!isLast) validLength += 1;
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Only the final, unterminated entry can be a torn write
+                if (isLast) break;
+                throw new Error(`Corrupt entry on line ${i + 1} of ${this.file}: ${error.message}`);
+            }
+            if (isLast) break; // Parsed, but its newline never made it to disk
+
+            const records = this.getCollection(entry.c);
+            if (entry.r) {
+                records.set(entry.k, entry.r);
+            } else {
+                records.delete(entry.k);
+            }
+            this.journalEntries++;
+            validLength += Buffer.byteLength(line) + 1;
+        }
+
+        return validLength;
+    }
+
+    async close() {
+        await super.close();
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    async persist(collection, key, record) {
+        await this.handle.appendFile(`${JSON.stringify({ c: collection, k: key, r: record })}\n`);
+        await this.handle.sync();
+        this.journalEntries++;
+
+        if (this.journalEntries >= COMPACT_MIN_ENTRIES && this.journalEntries >= this.countRecords() * COMPACT_RATIO) {
+            await this.compact();
+        }
+    }
+
+    countRecords() {
+        let count = 0;
+        this.collections.forEach(records => {
+            count += records.size;
+        });
+        return count;
+    }
+
+    // Rewrite the journal with one entry per live record
+    async compact() {
+        const lines = [];
+        this.collections.forEach((records, collection) => {
+            records.forEach((record, key) => {
+                lines.push(`${JSON.stringify({ c: collection, k: key, r: record })}\n`);
+            });
+        });
+
+        await this.handle.close();
+        this.handle = null;
+        try {
+            await writeFileAtomic(this.file, lines.join(''));
+            this.journalEntries = lines.length;
+        } finally {
+            this.handle = await fs.promises.open(this.file, 'a');
+        }
+    }
+}
+
+// backend: 'memory', 'file' (default) or 'embedded'
+export function createStorage({ backend = 'file', dir }) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'file':
+            return new FileStorage(path.join(dir, 'collections'));
+        case 'embedded':
+            return new LogStorage(path.join(dir, 'velocityrush.db'));
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
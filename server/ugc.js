@@ -0,0 +1,454 @@
+import crypto from 'crypto';
+import { VEHICLE_CONFIGS } from '../src/gameplay/vehicleConfig.js';
+import { filterProfanity, sanitizeMessage } from './chat.js';
+
+// Published tracks, vehicle customizations and decals. Listings live in 'ugc'
+// and are indexed in memory; each item's payload is kept apart in 'ugcData'
+// and only read on download. New and edited content waits in the moderation
+// queue, visible to nobody but its creator, until an admin approves it.
+
+export const CONTENT_TYPES = ['track', 'vehicle', 'decal'];
+export const MODERATION_ACTIONS = { approve: 'approved', reject: 'rejected', feature: 'featured' };
+export const SORT_ORDERS = ['top', 'new', 'downloads', 'trending'];
+
+const PUBLIC_STATUSES = ['approved', 'featured'];
+const MAX_PAYLOAD_SIZE = { track: 256 * 1024, vehicle: 32 * 1024, decal: 512 * 1024 }; // Bytes of JSON
+const MIN_NAME_LENGTH = 3;
+const MAX_NAME_LENGTH = 48;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9-]{1,24}$/;
+const MAX_TRACK_SEGMENTS = 500;
+// No SVG: it can carry script
+const DECAL_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const MAX_REVIEW_TITLE_LENGTH = 60;
+const MAX_REVIEW_LENGTH = 1000;
+const TRENDING_DAYS = 7;
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const DEFAULT_OPTIONS = {
+    maxItemsPerCreator: 100
+};
+
+function clampInteger(value, fallback, min, max) {
+    const number = Number.parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function getDay(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// JSON with object keys sorted, so equal content always hashes the same
+export function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+export function hashContent(type, data) {
+    return crypto.createHash('sha256').update(`${type}:${canonicalJson(data)}`).digest('hex');
+}
+
+// Returns an error string or null
+export function validatePayload(type, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return 'Content data must be an object';
+
+    const size = Buffer.byteLength(JSON.stringify(data));
+    if (size > MAX_PAYLOAD_SIZE[type]) return `Content is larger than ${MAX_PAYLOAD_SIZE[type] / 1024} KB`;
+
+    switch (type) {
+        case 'track':
+            if (!Array.isArray(data.segments) || data.segments.length === 0 || data.segments.length > MAX_TRACK_SEGMENTS) {
+                return `Tracks need 1-${MAX_TRACK_SEGMENTS} segments`;
+            }
+            if (!data.segments.every(segment => segment && typeof segment === 'object' && !Array.isArray(segment))) {
+                return 'Invalid track segment';
+            }
+            return null;
+        case 'vehicle':
+            if (!VEHICLE_CONFIGS[data.baseVehicle]) return `Unknown vehicle: ${data.baseVehicle}`;
+            if (!data.customization || typeof data.customization !== 'object') return 'Missing customization';
+            return null;
+        case 'decal':
+            if (typeof data.imageData !== 'string' || !DECAL_IMAGE_PATTERN.test(data.imageData)) {
+                return 'Decals must be PNG, JPEG or WebP data URLs';
+            }
+            return null;
+        default:
+            return `Unknown content type: ${type}`;
+    }
+}
+
+function cleanText(text, maxLength) {
+    const clean = sanitizeMessage(text, maxLength);
+    return clean ? filterProfanity(clean).text : null;
+}
+
+export class ContentService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.items = new Map(); // contentId -> listing
+        this.byHash = new Map(); // content hash -> contentId
+        this.ratings = new Map(); // contentId -> Map(userId -> stars)
+        this.reviews = new Map(); // contentId -> Map(userId -> review)
+        this.downloadedToday = new Set(); // `${contentId}|${userId}`, so each account counts once a day
+        this.downloadDay = null;
+        this.nextId = 1;
+    }
+
+    async load() {
+        const [items, ratings, reviews] = await Promise.all([
+            this.storage.list('ugc'),
+            this.storage.list('ugcRatings'),
+            this.storage.list('ugcReviews')
+        ]);
+
+        items.forEach(record => this.index(record.value));
+        ratings.forEach(({ value }) => this.getRatings(value.contentId).set(value.userId, value.stars));
+        reviews.forEach(({ value }) => this.getReviewMap(value.contentId).set(value.userId, value));
+
+        this.nextId = items.reduce((next, record) => Math.max(next, Number(record.key.slice(4)) + 1), 1);
+    }
+
+    index(item) {
+        this.items.set(item.id, item);
+        this.byHash.set(item.hash, item.id);
+    }
+
+    getRatings(contentId) {
+        if (!this.ratings.has(contentId)) {
+            this.ratings.set(contentId, new Map());
+        }
+        return this.ratings.get(contentId);
+    }
+
+    getReviewMap(contentId) {
+        if (!this.reviews.has(contentId)) {
+            this.reviews.set(contentId, new Map());
+        }
+        return this.reviews.get(contentId);
+    }
+
+    // Returns { error } or the cleaned { name, description, tags }
+    validateListing({ name, description = '', tags = [] }) {
+        const cleanName = cleanText(name, MAX_NAME_LENGTH);
+        if (!cleanName || cleanName.length < MIN_NAME_LENGTH) {
+            return { error: `Name must be ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} characters` };
+        }
+        if (!Array.isArray(tags) || tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+
+        const cleanTags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))];
+        if (!cleanTags.every(tag => TAG_PATTERN.test(tag))) return { error: 'Tags may only use letters, digits and -' };
+
+        return { name: cleanName, description: cleanText(description, MAX_DESCRIPTION_LENGTH) || '', tags: cleanTags };
+    }
+
+    // Whether another live item already has this hash
+    findDuplicate(hash, exceptId = null) {
+        const id = this.byHash.get(hash);
+        const item = id && id !== exceptId ? this.items.get(id) : null;
+        return item && item.status !== 'rejected' ? item : null;
+    }
+
+    // user: { userId, username }. Returns { error, code } or { content }, where
+    // code is 'duplicate', 'not_found' or 'forbidden' when it isn't bad input.
+    async publish(user, { type, name, description, tags, data }, now = Date.now()) {
+        if (!CONTENT_TYPES.includes(type)) return { error: `Unknown content type: ${type}` };
+
+        const listing = this.validateListing({ name, description, tags });
+        if (listing.error) return listing;
+        const payloadError = validatePayload(type, data);
+        if (payloadError) return { error: payloadError };
+
+        const owned = Array.from(this.items.values()).filter(item => item.creatorId === user.userId).length;
+        if (owned >= this.options.maxItemsPerCreator) return { error: 'You have published too much content' };
+
+        const hash = hashContent(type, data);
+        const duplicate = this.findDuplicate(hash);
+        if (duplicate) return { error: 'This content has already been published', code: 'duplicate', contentId: duplicate.id };
+
+        const item = {
+            id: `ugc_${this.nextId++}`,
+            type,
+            ...listing,
+            creatorId: user.userId,
+            creatorName: user.username,
+            hash,
+            size: Buffer.byteLength(JSON.stringify(data)),
+            status: 'pending',
+            version: 1,
+            rating: 0,
+            ratingCount: 0,
+            reviewCount: 0,
+            downloads: 0,
+            dailyDownloads: {}, // day -> downloads, for trending
+            moderatorNotes: null,
+            moderatedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.storage.put('ugcData', item.id, data);
+        await this.storage.put('ugc', item.id, item);
+        this.index(item);
+        return { content: this.toPublic(item) };
+    }
+
+    // Creators may change the listing and replace the data; either sends the item back for moderation
+    async update(user, contentId, changes, now = Date.now()) {
+        const item = this.items.get(contentId);
+        if (!item) return { error: 'Content not found', code: 'not_found' };
+        if (item.creatorId !== user.userId) return { error: 'Only the creator can edit this', code: 'forbidden' };
+
+        const listing = this.validateListing({
+            name: changes.name ?? item.name,
+            description: changes.description ?? item.description,
+            tags: changes.tags ?? item.tags
+        });
+        if (listing.error) return listing;
+
+        let hash = item.hash;
+        if (changes.data !== undefined) {
+            const payloadError = validatePayload(item.type, changes.data);
+            if (payloadError) return { error: payloadError };
+
+            hash = hashContent(item.type, changes.data);
+            const duplicate = this.findDuplicate(hash, item.id);
+            if (duplicate) return { error: 'This content has already been published', code: 'duplicate', contentId: duplicate.id };
+
+            await this.storage.put('ugcData', item.id, changes.data);
+            item.size = Buffer.byteLength(JSON.stringify(changes.data));
+            item.version++;
+        }
+
+        if (this.byHash.get(item.hash) === item.id) this.byHash.delete(item.hash);
+        Object.assign(item, listing, { hash, status: 'pending', moderatorNotes: null, moderatedAt: null, updatedAt: now });
+        await this.storage.put('ugc', item.id, item);
+        this.index(item);
+        return { content: this.toPublic(item) };
+    }
+
+    async remove(user, contentId) {
+        const item = this.items.get(contentId);
+        if (!item) return { error: 'Content not found', code: 'not_found' };
+        if (item.creatorId !== user.userId) return { error: 'Only the creator can delete this', code: 'forbidden' };
+
+        await Promise.all([
+            this.storage.delete('ugc', contentId),
+            this.storage.delete('ugcData', contentId),
+            ...Array.from(this.getRatings(contentId).keys()).map(userId => this.storage.delete('ugcRatings', `${contentId}|${userId}`)),
+            ...Array.from(this.getReviewMap(contentId).keys()).map(userId => this.storage.delete('ugcReviews', `${contentId}|${userId}`))
+        ]);
+        this.items.delete(contentId);
+        if (this.byHash.get(item.hash) === contentId) this.byHash.delete(item.hash);
+        this.ratings.delete(contentId);
+        this.reviews.delete(contentId);
+        return { removed: true };
+    }
+
+    canView(item, userId) {
+        return PUBLIC_STATUSES.includes(item.status) || item.creatorId === userId;
+    }
+
+    // The listing if userId may see it, else null
+    get(contentId, userId) {
+        const item = this.items.get(contentId);
+        return item && this.canView(item, userId) ? this.toPublic(item) : null;
+    }
+
+    recentDownloads(item, now = Date.now()) {
+        const since = getDay(now - (TRENDING_DAYS - 1) * DAY);
+        return Object.entries(item.dailyDownloads)
+            .filter(([day]) => day >= since)
+            .reduce((sum, [, count]) => sum + count, 0);
+    }
+
+    trendingScore(item, now = Date.now()) {
+        return this.recentDownloads(item, now) + item.ratingCount * 2 + item.rating * 5;
+    }
+
+    // Approved content, plus the caller's own in any state when they filter by themselves.
+    // Featured items lead every order.
+    search(userId, { type, query, tags, creator, minRating, sort = 'top', page, pageSize } = {}, now = Date.now()) {
+        const words = typeof query === 'string' ? query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+        const tagList = typeof tags === 'string' ? tags.split(',').filter(Boolean) : [];
+        const rating = Number(minRating) || 0;
+
+        const matches = Array.from(this.items.values()).filter(item =>
+            (PUBLIC_STATUSES.includes(item.status) || (creator === userId && item.creatorId === userId)) &&
+            (!type || item.type === type) &&
+            (!creator || item.creatorId === creator) &&
+            item.rating >= rating &&
+            tagList.every(tag => item.tags.includes(tag)) &&
+            words.every(word =>
+                item.name.toLowerCase().includes(word) ||
+                item.description.toLowerCase().includes(word) ||
+                item.tags.some(tag => tag.includes(word))
+            )
+        );
+
+        const order = {
+            top: (a, b) => b.rating - a.rating || b.ratingCount - a.ratingCount,
+            new: (a, b) => b.createdAt - a.createdAt,
+            downloads: (a, b) => b.downloads - a.downloads,
+            trending: (a, b) => this.trendingScore(b, now) - this.trendingScore(a, now)
+        }[SORT_ORDERS.includes(sort) ? sort : 'top'];
+        matches.sort((a, b) => (b.status === 'featured') - (a.status === 'featured') || order(a, b) || b.createdAt - a.createdAt);
+
+        const size = clampInteger(pageSize, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+        const pageNumber = clampInteger(page, 1, 1, Number.MAX_SAFE_INTEGER);
+        return {
+            items: matches.slice((pageNumber - 1) * size, pageNumber * size).map(item => this.toPublic(item, now)),
+            total: matches.length,
+            page: pageNumber,
+            pageSize: size
+        };
+    }
+
+    // Returns { error, code } or { content, data }. Each account counts once a
+    // day, and never towards its own content.
+    async download(user, contentId, now = Date.now()) {
+        const item = this.items.get(contentId);
+        if (!item || !this.canView(item, user.userId)) return { error: 'Content not found', code: 'not_found' };
+
+        const record = await this.storage.get('ugcData', contentId);
+        if (!record) return { error: 'Content not found', code: 'not_found' };
+
+        const day = getDay(now);
+        if (this.downloadDay !== day) {
+            this.downloadDay = day;
+            this.downloadedToday.clear();
+        }
+
+        const key = `${contentId}|${user.userId}`;
+        if (item.creatorId !== user.userId && !this.downloadedToday.has(key)) {
+            this.downloadedToday.add(key);
+            item.downloads++;
+            item.dailyDownloads[day] = (item.dailyDownloads[day] || 0) + 1;
+
+            // Days that no longer count towards trending are dropped
+            const since = getDay(now - (TRENDING_DAYS - 1) * DAY);
+            Object.keys(item.dailyDownloads).forEach(entry => {
+                if (entry < since) delete item.dailyDownloads[entry];
+            });
+            await this.storage.put('ugc', item.id, item);
+        }
+
+        return { content: this.toPublic(item, now), data: record.value };
+    }
+
+    // stars: 1-5, one rating per account. Returns { error, code } or { rating, ratingCount }.
+    async rate(user, contentId, stars) {
+        const item = this.items.get(contentId);
+        if (!item || !PUBLIC_STATUSES.includes(item.status)) return { error: 'Content not found', code: 'not_found' };
+        if (item.creatorId === user.userId) return { error: 'You cannot rate your own content', code: 'forbidden' };
+        if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { error: 'Rating must be 1-5 stars' };
+
+        const ratings = this.getRatings(contentId);
+        ratings.set(user.userId, stars);
+        const values = Array.from(ratings.values());
+        item.ratingCount = values.length;
+        item.rating = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100;
+
+        await this.storage.put('ugcRatings', `${contentId}|${user.userId}`, { contentId, userId: user.userId, stars });
+        await this.storage.put('ugc', item.id, item);
+        return { rating: item.rating, ratingCount: item.ratingCount };
+    }
+
+    // One review per account, replaced by the next. A review with a rating also rates the content.
+    async review(user, contentId, { rating, title, content }, now = Date.now()) {
+        const item = this.items.get(contentId);
+        if (!item || !PUBLIC_STATUSES.includes(item.status)) return { error: 'Content not found', code: 'not_found' };
+        if (item.creatorId === user.userId) return { error: 'You cannot review your own content', code: 'forbidden' };
+
+        const text = cleanText(content, MAX_REVIEW_LENGTH);
+        if (!text) return { error: 'Review is empty' };
+
+        if (rating !== undefined && rating !== null) {
+            const rated = await this.rate(user, contentId, rating);
+            if (rated.error) return rated;
+        }
+
+        const reviews = this.getReviewMap(contentId);
+        const review = {
+            id: `${contentId}|${user.userId}`,
+            contentId,
+            userId: user.userId,
+            username: user.username,
+            rating: this.getRatings(contentId).get(user.userId) || null,
+            title: cleanText(title, MAX_REVIEW_TITLE_LENGTH) || '',
+            content: text,
+            createdAt: now
+        };
+        reviews.set(user.userId, review);
+        item.reviewCount = reviews.size;
+
+        await this.storage.put('ugcReviews', review.id, review);
+        await this.storage.put('ugc', item.id, item);
+        return { review };
+    }
+
+    // Newest first
+    getReviews(contentId, { page, pageSize } = {}) {
+        const reviews = Array.from(this.getReviewMap(contentId).values()).sort((a, b) => b.createdAt - a.createdAt);
+        const size = clampInteger(pageSize, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+        const pageNumber = clampInteger(page, 1, 1, Number.MAX_SAFE_INTEGER);
+        return {
+            reviews: reviews.slice((pageNumber - 1) * size, pageNumber * size),
+            total: reviews.length,
+            page: pageNumber,
+            pageSize: size
+        };
+    }
+
+    // Pending content, longest waiting first
+    getModerationQueue() {
+        return Array.from(this.items.values())
+            .filter(item => item.status === 'pending')
+            .sort((a, b) => a.updatedAt - b.updatedAt)
+            .map(item => this.toPublic(item));
+    }
+
+    // action: 'approve', 'reject' or 'feature'
+    async moderate(contentId, action, notes = '', now = Date.now()) {
+        const item = this.items.get(contentId);
+        if (!item) return { error: 'Content not found', code: 'not_found' };
+        if (!MODERATION_ACTIONS[action]) return { error: `Unknown moderation action: ${action}` };
+
+        item.status = MODERATION_ACTIONS[action];
+        item.moderatorNotes = typeof notes === 'string' ? notes.slice(0, MAX_DESCRIPTION_LENGTH) : '';
+        item.moderatedAt = now;
+        await this.storage.put('ugc', item.id, item);
+        return { content: this.toPublic(item, now) };
+    }
+
+    toPublic(item, now = Date.now()) {
+        return {
+            id: item.id,
+            type: item.type,
+            name: item.name,
+            description: item.description,
+            tags: item.tags,
+            creatorId: item.creatorId,
+            creatorName: item.creatorName,
+            hash: item.hash,
+            size: item.size,
+            status: item.status,
+            version: item.version,
+            rating: item.rating,
+            ratingCount: item.ratingCount,
+            reviewCount: item.reviewCount,
+            downloads: item.downloads,
+            trendingScore: this.trendingScore(item, now),
+            moderatorNotes: item.moderatorNotes,
+            createdAt: item.createdAt,
+            updatedAt: item.updatedAt
+        };
+    }
+}
@@ -1,8 +1,10 @@
 import * as THREE from 'three';
 
 export class AIController {
-    constructor(track) {
+    constructor(track, random = Math.random) {
         this.track = track; // Reference to track for pathfinding
+        this.random = random; // Seeded in deterministic runs
+        this.elapsedTime = 0; // ms of simulated time, so decisions don't depend on the wall clock
         this.vehicle = null;
         this.physicsVehicle = null;
         this.maxEngineForce = 1200;
@@ -50,7 +52,7 @@ export class AIController {
 
     generatePersonality() {
         const personalities = ['aggressive', 'defensive', 'balanced', 'erratic'];
-        const randomPersonality = personalities[Math.floor(Math.random() * personalities.length)];
+        const randomPersonality = personalities[Math.floor(this.random() * personalities.length)];
 
         const baseStats = {
             aggressiveness: 0.5,
@@ -102,7 +104,8 @@ export class AIController {
     update(deltaTime) {
         if (!this.physicsVehicle || !this.physicsVehicle.chassisBody) return;
 
-        const currentTime = Date.now();
+        this.elapsedTime += deltaTime * 1000;
+        const currentTime = this.elapsedTime;
         this.reactionTime += deltaTime;
 
         // Update behavior tree based on personality and situation
@@ -158,14 +161,14 @@ export class AIController {
         }
 
         if (this.personality.type === 'aggressive' && hasNearbyOpponents) {
-            if (Math.random() < this.personality.stats.aggressiveness) {
+            if (this.random() < this.personality.stats.aggressiveness) {
                 this.behaviorState = 'blocking';
                 this.blockingTarget = hasNearbyOpponents[0];
             }
         }
 
         if (this.personality.type === 'defensive' && hasNearbyOpponents) {
-            if (Math.random() < (1 - this.personality.stats.riskTaking)) {
+            if (this.random() < (1 - this.personality.stats.riskTaking)) {
                 this.behaviorState = 'drafting';
                 this.draftingTarget = hasNearbyOpponents[0];
             }
@@ -177,7 +180,7 @@ export class AIController {
             if (this.powerUpTarget && vehiclePosition.distanceTo(this.powerUpTarget) < 2) {
                 this.behaviorState = 'racing';
                 this.powerUpTarget = null;
-            } else if (!this.powerUpTarget || Math.random() < 0.05) { // 5% chance per update to give up
+            } else if (!this.powerUpTarget || this.random() < 0.05) { // 5% chance per update to give up
                 this.behaviorState = 'racing';
                 this.powerUpTarget = null;
             }
@@ -186,14 +189,14 @@ export class AIController {
         // Handle hazard avoidance
         if (this.behaviorState === 'hazard_avoidance') {
             // Check if hazard is no longer relevant
-            if (!this.hazardToAvoid || Math.random() < 0.1) { // 10% chance per update to resume normal racing
+            if (!this.hazardToAvoid || this.random() < 0.1) { // 10% chance per update to resume normal racing
                 this.behaviorState = 'racing';
                 this.hazardToAvoid = null;
             }
         }
 
         // Reset to racing if no special behavior applies
-        if (!hasNearbyOpponents || Math.random() < 0.1) {
+        if (!hasNearbyOpponents || this.random() < 0.1) {
             this.behaviorState = 'racing';
             this.draftingTarget = null;
             this.blockingTarget = null;
@@ -286,7 +289,7 @@ export class AIController {
 
     updateCollisionMemory() {
         // Clean old collision memories
-        const now = Date.now();
+        const now = this.elapsedTime;
         this.collisionMemory = this.collisionMemory.filter(
             collision => now - collision.time < 30000 // Remember for 30 seconds
         );
@@ -328,7 +331,7 @@ export class AIController {
 
         // Apply personality modifiers
         if (this.personality.type === 'erratic') {
-            baseSteer += (Math.random() - 0.5) * 0.4; // More unpredictable steering
+            baseSteer += (this.random() - 0.5) * 0.4; // More unpredictable steering
         }
 
         // Precision modifier
@@ -346,7 +349,7 @@ export class AIController {
         }
 
         // Add skill-based variation
-        const skillVariation = (Math.random() - 0.5) * (1 - this.skillLevel) * 0.3;
+        const skillVariation = (this.random() - 0.5) * (1 - this.skillLevel) * 0.3;
         baseSteer += skillVariation;
 
         return Math.max(-this.maxSteerValue, Math.min(this.maxSteerValue, baseSteer));
@@ -386,11 +389,11 @@ export class AIController {
         }
 
         // Add personality-based variation
-        const personalityVariation = (Math.random() - 0.5) * this.personality.stats.riskTaking * 0.3;
+        const personalityVariation = (this.random() - 0.5) * this.personality.stats.riskTaking * 0.3;
         throttle += personalityVariation;
 
         // Add skill-based variation
-        const skillVariation = (Math.random() - 0.5) * (1 - this.skillLevel) * 0.2;
+        const skillVariation = (this.random() - 0.5) * (1 - this.skillLevel) * 0.2;
         throttle += skillVariation;
 
         throttle = Math.max(0, Math.min(1.5, throttle)); // Allow slight over-throttle for aggressive drivers
@@ -488,7 +491,7 @@ export class AIController {
         switch (this.personality.type) {
             case 'aggressive': baseTime *= 0.8; break; // Faster reactions
             case 'defensive': baseTime *= 1.2; break; // Slower, more careful
-            case 'erratic': baseTime *= (0.5 + Math.random()); break; // Random
+            case 'erratic': baseTime *= (0.5 + this.random()); break; // Random
         }
 
         return Math.max(0.05, baseTime); // Minimum 50ms
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { clientStorage } from '../utils/clientStorage.js';
 
 export class GhostSystem {
     constructor(game) {
@@ -273,11 +274,11 @@ export class GhostSystem {
         }
     }
 
-    loadGhostData() {
+    async loadGhostData() {
+        const saved = await clientStorage.getBlob('ghosts', 'bestLap');
         try {
-            const saved = localStorage.getItem('ghost_lap_data');
             if (saved) {
-                this.ghostData = JSON.parse(saved);
+                this.ghostData = saved;
                 // Convert position arrays back to THREE.Vector3
                 this.ghostData.positions = this.ghostData.positions.map(pos =>
                     new THREE.Vector3(pos.x, pos.y, pos.z)
@@ -297,19 +298,16 @@ export class GhostSystem {
     saveGhostData() {
         if (!this.ghostData) return;
 
-        try {
-            // Convert THREE objects to plain objects for JSON storage
-            const saveData = {
-                ...this.ghostData,
-                positions: this.ghostData.positions.map(pos => ({ x: pos.x, y: pos.y, z: pos.z })),
-                rotations: this.ghostData.rotations.map(rot => ({ x: rot.x, y: rot.y, z: rot.z, w: rot.w }))
-            };
-
-            localStorage.setItem('ghost_lap_data', JSON.stringify(saveData));
-            console.log('👻 Ghost data saved');
-        } catch (error) {
-            console.error('Failed to save ghost data:', error);
-        }
+        // Convert THREE objects to plain objects for storage
+        const saveData = {
+            ...this.ghostData,
+            positions: this.ghostData.positions.map(pos => ({ x: pos.x, y: pos.y, z: pos.z })),
+            rotations: this.ghostData.rotations.map(rot => ({ x: rot.x, y: rot.y, z: rot.z, w: rot.w }))
+        };
+
+        clientStorage.setBlob('ghosts', 'bestLap', saveData).then(saved => {
+            if (saved) console.log('👻 Ghost data saved');
+        });
     }
 
     formatTime(milliseconds) {
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { clientStorage } from '../utils/clientStorage.js';
 
 export class ReplaySystem {
     constructor(game) {
@@ -456,7 +457,7 @@ export class ReplaySystem {
         if (!this.replayData) return;
 
         try {
-            // Convert THREE objects to plain objects for JSON storage
+            // Convert THREE objects to plain objects for storage
             const saveData = {
                 ...this.replayData,
                 vehicles: this.replayData.vehicles.map(vehicle => ({
@@ -472,32 +473,19 @@ export class ReplaySystem {
                 }))
             };
 
-            // Save to localStorage (in a real game, this might be saved to a file or server)
-            localStorage.setItem('race_replay_data', JSON.stringify(saveData));
-            console.log('💾 Replay data saved');
+            clientStorage.setBlob('replays', 'lastRace', saveData).then(saved => {
+                if (saved) console.log('💾 Replay data saved');
+            });
         } catch (error) {
             console.error('Failed to save replay data:', error);
         }
     }
 
-    loadReplayData() {
+    async loadReplayData() {
+        const saved = await clientStorage.getBlob('replays', 'lastRace');
         try {
-            const saved = localStorage.getItem('race_replay_data');
             if (saved) {
-                this.replayData = JSON.parse(saved);
-
-                // Convert back to THREE objects
-                this.replayData.vehicles.forEach(vehicle => {
-                    vehicle.positions = vehicle.positions.map(pos => new THREE.Vector3(pos.x, pos.y, pos.z));
-                    vehicle.rotations = vehicle.rotations.map(rot => new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w));
-                    vehicle.velocities = vehicle.velocities.map(vel => new THREE.Vector3(vel.x, vel.y, vel.z));
-                });
-
-                this.replayData.camera.forEach(cam => {
-                    cam.position = new THREE.Vector3(cam.position.x, cam.position.y, cam.position.z);
-                    cam.quaternion = new THREE.Quaternion(cam.quaternion.x, cam.quaternion.y, cam.quaternion.z, cam.quaternion.w);
-                });
-
+                this.replayData = this.toThreeObjects(saved);
                 console.log(`📼 Loaded replay data: ${this.formatTime(this.replayData.duration)}`);
             }
         } catch (error) {
@@ -506,6 +494,21 @@ export class ReplaySystem {
         }
     }
 
+    // Convert stored plain objects back to THREE objects
+    toThreeObjects(replayData) {
+        replayData.vehicles.forEach(vehicle => {
+            vehicle.positions = vehicle.positions.map(pos => new THREE.Vector3(pos.x, pos.y, pos.z));
+            vehicle.rotations = vehicle.rotations.map(rot => new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w));
+            vehicle.velocities = vehicle.velocities.map(vel => new THREE.Vector3(vel.x, vel.y, vel.z));
+        });
+
+        replayData.camera.forEach(cam => {
+            cam.position = new THREE.Vector3(cam.position.x, cam.position.y, cam.position.z);
+            cam.quaternion = new THREE.Quaternion(cam.quaternion.x, cam.quaternion.y, cam.quaternion.z, cam.quaternion.w);
+        });
+        return replayData;
+    }
+
     formatTime(milliseconds) {
         const totalSeconds = Math.floor(milliseconds / 1000);
         const minutes = Math.floor(totalSeconds / 60);
@@ -539,9 +542,7 @@ export class ReplaySystem {
     // Import replay data
     importReplay(replayJson) {
         try {
-            const replayData = JSON.parse(replayJson);
-            this.replayData = replayData;
-            this.loadReplayData(); // Convert THREE objects
+            this.replayData = this.toThreeObjects(JSON.parse(replayJson));
             console.log('📥 Replay data imported');
             return true;
         } catch (error) {
@@ -18,6 +18,7 @@ export class SceneManager {
         this.playerWheelMeshes = [];
         this.aiVehicles = [];
         this.aiControllers = [];
+        this.remoteVehicles = new Map(); // playerId -> mesh for other players in an online race
         this.vehicleConfigManager = new VehicleConfigManager();
         this.currentVehicleType = VEHICLE_TYPES.SPORTS_CAR;
         this.lodManager = new LODManager(camera);
@@ -127,7 +128,8 @@ export class SceneManager {
             mass: config.mass,
             geometry: config.geometry,
             friction: 0.3,
-            restitution: 0.1
+            restitution: 0.1,
+            tireModelParameters: config.tireModelParameters
         });
 
         // Set player vehicle body
@@ -175,6 +177,14 @@ export class SceneManager {
     }
 
     createAIVehicles(count) {
+        // AI drivers decide on every physics step, like the player's controls
+        if (!this.aiStepCallback) {
+            this.aiStepCallback = (timeStep) => {
+                this.aiVehicles.forEach(aiVehicle => aiVehicle.controller.update(timeStep));
+            };
+            this.physicsManager.addStepCallback(this.aiStepCallback);
+        }
+
         for (let i = 0; i < count; i++) {
             // Create AI vehicle in the shared physics world
             const aiVehiclePhysics = this.physicsManager.createVehicle();
@@ -208,7 +218,7 @@ export class SceneManager {
             }
 
             // Create AI controller
-            const aiController = new AIController();
+            const aiController = new AIController(null, this.physicsManager.random);
             aiController.setVehicle(aiVehicle);
             aiController.setPhysicsVehicle(aiVehiclePhysics);
             aiController.setSkillLevel(0.6 + (i * 0.1)); // Varying skill levels
@@ -228,11 +238,47 @@ export class SceneManager {
         }
     }
 
+    // Other players' cars follow network state rather than local physics
+    updateRemoteVehicle(playerId, { position, rotation }) {
+        let mesh = this.remoteVehicles.get(playerId);
+        if (!mesh) {
+            const lodData = this.lodManager.createVehicleLODData({
+                geometry: { width: 2, height: 1, length: 4 },
+                color: 0x3366ff
+            });
+            mesh = new THREE.Mesh();
+            this.lodManager.registerObject(`remote_vehicle_${playerId}`, mesh, lodData);
+            this.scene.add(mesh);
+            this.remoteVehicles.set(playerId, mesh);
+        }
+
+        mesh.position.set(position.x, position.y, position.z);
+        if (rotation && rotation.w !== undefined) {
+            mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+        } else if (rotation) {
+            mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+        }
+        return mesh;
+    }
+
+    removeRemoteVehicle(playerId) {
+        const mesh = this.remoteVehicles.get(playerId);
+        if (!mesh) return;
+
+        this.lodManager.unregisterObject(`remote_vehicle_${playerId}`);
+        this.scene.remove(mesh);
+        this.remoteVehicles.delete(playerId);
+    }
+
+    clearRemoteVehicles() {
+        Array.from(this.remoteVehicles.keys()).forEach(playerId => this.removeRemoteVehicle(playerId));
+    }
+
     update(deltaTime) {
-        // Sync player vehicle mesh with physics body
+        // Meshes are drawn between the last two physics steps, so motion is
+        // smooth whatever the frame rate
         if (this.playerVehicle && this.playerVehicleBody) {
-            this.playerVehicle.position.copy(this.playerVehicleBody.position);
-            this.playerVehicle.quaternion.copy(this.playerVehicleBody.quaternion);
+            this.syncMesh(this.playerVehicle, this.playerVehicleBody);
         }
 
         // Sync player wheel meshes with physics
@@ -240,27 +286,20 @@ export class SceneManager {
         if (playerVehicle) {
             playerVehicle.wheelInfos.forEach((wheel, index) => {
                 if (this.playerWheelMeshes[index]) {
-                    this.playerWheelMeshes[index].position.copy(wheel.worldTransform.position);
-                    this.playerWheelMeshes[index].quaternion.copy(wheel.worldTransform.quaternion);
+                    this.syncMesh(this.playerWheelMeshes[index], wheel.worldTransform);
                 }
             });
         }
 
-        // Update AI vehicles
+        // Sync AI meshes (AI controllers run on physics steps)
         this.aiVehicles.forEach((aiVehicle) => {
-            // Update AI controller
-            aiVehicle.controller.update(deltaTime);
-
-            // Sync mesh with physics (physics is updated centrally)
             if (aiVehicle.mesh && aiVehicle.physicsVehicle) {
-                aiVehicle.mesh.position.copy(aiVehicle.physicsVehicle.chassisBody.position);
-                aiVehicle.mesh.quaternion.copy(aiVehicle.physicsVehicle.chassisBody.quaternion);
+                this.syncMesh(aiVehicle.mesh, aiVehicle.physicsVehicle.chassisBody);
 
                 // Sync wheel meshes
                 aiVehicle.physicsVehicle.wheelInfos.forEach((wheel, index) => {
                     if (aiVehicle.wheelMeshes[index]) {
-                        aiVehicle.wheelMeshes[index].position.copy(wheel.worldTransform.position);
-                        aiVehicle.wheelMeshes[index].quaternion.copy(wheel.worldTransform.quaternion);
+                        this.syncMesh(aiVehicle.wheelMeshes[index], wheel.worldTransform);
                     }
                 });
             }
@@ -270,6 +309,12 @@ export class SceneManager {
         this.lodManager.update(deltaTime);
     }
 
+    syncMesh(mesh, target) {
+        const { position, quaternion } = this.physicsManager.getInterpolatedTransform(target);
+        mesh.position.copy(position);
+        mesh.quaternion.copy(quaternion);
+    }
+
     // Settings methods
     setShadows(enabled) {
         const directionalLight = this.scene.children.find(child => child.type === 'DirectionalLight');
@@ -9,6 +9,12 @@ export class VehicleController {
         this.hud = null;
         this.mobileControls = null;
         this.inputMode = 'keyboard'; // 'keyboard' or 'mobile'
+
+        // Every input frame gets a sequence number so the server can ack it
+        this.inputSequence = 0;
+        this.lastInput = null;
+        this.onInputFrameCallback = null;
+        this.stepCallback = null; // Set while the latest input is applied every physics step
     }
 
     init(world, hud, mobileControls = null) {
@@ -45,9 +51,31 @@ export class VehicleController {
     }
 
     update(deltaTime) {
-        void(deltaTime); // Parameter kept for future use
         if (!this.physicsVehicle || !this.physicsVehicle.chassisBody) return;
 
+        const input = this.sampleInput(deltaTime);
+        this.lastInput = input;
+        if (!this.stepCallback) {
+            this.applyInput(input);
+        }
+
+        if (this.onInputFrameCallback) {
+            this.onInputFrameCallback(input);
+        }
+
+        // Update HUD with speed from physics body
+        if (this.hud && this.physicsVehicle.chassisBody) {
+            const velocity = this.physicsVehicle.chassisBody.velocity;
+            const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2) * 3.6; // Convert m/s to km/h
+            this.hud.setSpeed(speed);
+
+            // Check for tire squeal (sliding/drifting)
+            this.checkTireSqueal(speed);
+        }
+    }
+
+    // Read the current controls into a normalized, sequenced input frame
+    sampleInput(deltaTime) {
         let forward = false, backward = false, left = false, right = false, brake = false;
 
         if (this.inputMode === 'mobile' && this.mobileControls) {
@@ -69,35 +97,31 @@ export class VehicleController {
             brake = this.keys['Space'];
         }
 
-        // Engine force
-        let engineForce = 0;
-        if (forward) {
-            engineForce = this.maxEngineForce;
-        } else if (backward) {
-            engineForce = -this.maxEngineForce * 0.7; // Reverse is stronger for better control
-        }
+        this.inputSequence++;
 
-        // Add downforce based on speed for better handling
-        if (this.physicsVehicle && this.physicsVehicle.chassisBody) {
-            const velocity = this.physicsVehicle.chassisBody.velocity;
-            const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
-            const downforce = Math.min(speed * 50, 500); // Max downforce of 500N
-            this.physicsVehicle.chassisBody.force.y -= downforce;
-        }
+        return {
+            seq: this.inputSequence,
+            throttle: forward ? 1 : backward ? -0.7 : 0, // Reverse is stronger for better control
+            steer: left ? 1 : right ? -1 : 0,
+            brake: brake ? 1 : 0,
+            dt: deltaTime
+        };
+    }
 
-        // Steering
-        let steerValue = 0;
-        if (left) {
-            steerValue = this.maxSteerValue;
-        } else if (right) {
-            steerValue = -this.maxSteerValue;
-        }
+    // Apply an input frame to the physics vehicle. Also used to replay
+    // unacknowledged inputs during server reconciliation.
+    applyInput(input) {
+        if (!this.physicsVehicle || !this.physicsVehicle.chassisBody) return;
 
-        // Braking
-        let brakeForce = 0;
-        if (brake) {
-            brakeForce = this.maxBrakeForce;
-        }
+        const engineForce = input.throttle * this.maxEngineForce;
+        const steerValue = input.steer * this.maxSteerValue;
+        const brakeForce = input.brake * this.maxBrakeForce;
+
+        // Add downforce based on speed for better handling
+        const velocity = this.physicsVehicle.chassisBody.velocity;
+        const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+        const downforce = Math.min(speed * 50, 500); // Max downforce of 500N
+        this.physicsVehicle.chassisBody.force.y -= downforce;
 
         // Apply forces to all wheels
         for (let i = 0; i < this.physicsVehicle.wheelInfos.length; i++) {
@@ -109,16 +133,19 @@ export class VehicleController {
                 this.physicsVehicle.setSteeringValue(steerValue, i);
             }
         }
+    }
 
-        // Update HUD with speed from physics body
-        if (this.hud && this.physicsVehicle.chassisBody) {
-            const velocity = this.physicsVehicle.chassisBody.velocity;
-            const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2) * 3.6; // Convert m/s to km/h
-            this.hud.setSpeed(speed);
+    // Drive with the latest input on every fixed step instead of once a frame,
+    // so each frame's controls act for the same time at any frame rate
+    attachToPhysicsSteps(physicsManager) {
+        this.stepCallback = () => {
+            if (this.lastInput) this.applyInput(this.lastInput);
+        };
+        physicsManager.addStepCallback(this.stepCallback);
+    }
 
-            // Check for tire squeal (sliding/drifting)
-            this.checkTireSqueal(speed);
-        }
+    setInputFrameCallback(callback) {
+        this.onInputFrameCallback = callback;
     }
 
     checkTireSqueal(speed) {
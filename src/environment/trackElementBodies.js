@@ -0,0 +1,41 @@
+import * as CANNON from 'cannon-es';
+
+// Boost pads, hazards and ramps every track is dressed with. Shared with the
+// server so its simulation collides with the same bodies the client drives over.
+export const TRACK_ELEMENT_LAYOUT = [
+    { type: 'boost_pad', position: { x: 20, y: 0.05, z: 0 }, rotation: { x: 0, y: 0, z: 0 } },
+    { type: 'speed_boost', position: { x: 60, y: 0.05, z: -8 }, rotation: { x: 0, y: 0, z: 0 } },
+    { type: 'hazard', position: { x: 40, y: 0.05, z: 5 }, rotation: { x: 0, y: 0, z: 0 } },
+    { type: 'oil_spill', position: { x: 80, y: 0.05, z: 3 }, rotation: { x: -Math.PI / 2, y: 0, z: 0 } },
+    { type: 'jump_ramp', position: { x: 100, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 } }
+];
+
+export function createTrackElementBody(type, position, rotation) {
+    let shape;
+
+    switch (type) {
+        case 'boost_pad':
+        case 'speed_boost':
+        case 'hazard':
+            shape = new CANNON.Cylinder(2, 2, 0.1, 8);
+            break;
+
+        case 'oil_spill':
+            shape = new CANNON.Cylinder(3, 3, 0.05, 16);
+            break;
+
+        case 'jump_ramp':
+            shape = new CANNON.Box(new CANNON.Vec3(2, 0.5, 1));
+            break;
+
+        default:
+            return null;
+    }
+
+    const body = new CANNON.Body({ mass: 0, type: CANNON.Body.KINEMATIC });
+    body.addShape(shape);
+    body.position.set(position.x, position.y, position.z);
+    body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
+
+    return body;
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { createTrackElementBody } from './trackElementBodies.js';
 
 export class TrackElementsManager {
     constructor(scene, physicsWorld) {
@@ -85,35 +86,7 @@ export class TrackElementsManager {
 
     createPhysicsBody(type, position, rotation, properties) {
         void(properties); // Parameter kept for future use
-        let shape, body;
-
-        switch (type) {
-            case 'boost_pad':
-            case 'speed_boost':
-            case 'hazard':
-                shape = new CANNON.Cylinder(2, 2, 0.1, 8);
-                body = new CANNON.Body({ mass: 0, type: CANNON.Body.KINEMATIC });
-                break;
-
-            case 'oil_spill':
-                shape = new CANNON.Cylinder(3, 3, 0.05, 16);
-                body = new CANNON.Body({ mass: 0, type: CANNON.Body.KINEMATIC });
-                break;
-
-            case 'jump_ramp':
-                shape = new CANNON.Box(new CANNON.Vec3(2, 0.5, 1));
-                body = new CANNON.Body({ mass: 0, type: CANNON.Body.KINEMATIC });
-                break;
-
-            default:
-                return null;
-        }
-
-        body.addShape(shape);
-        body.position.set(position.x, position.y, position.z);
-        body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
-
-        return body;
+        return createTrackElementBody(type, position, rotation);
     }
 
     // Element Management
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class ChampionshipManager {
     constructor(game) {
         this.game = game;
@@ -396,7 +398,7 @@ export class ChampionshipManager {
                 currentSeason: this.currentSeason,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('championship_career', JSON.stringify(data));
+            clientStorage.set('championship', 'career', data);
         } catch (error) {
             console.error('Failed to save championship data:', error);
         }
@@ -404,9 +406,8 @@ export class ChampionshipManager {
 
     loadCareerData() {
         try {
-            const saved = localStorage.getItem('championship_career');
-            if (saved) {
-                const data = JSON.parse(saved);
+            const data = clientStorage.get('championship', 'career');
+            if (data) {
                 this.careerStats = { ...this.careerStats, ...data.careerStats };
                 this.currentChampionship = data.currentChampionship;
                 this.currentSeason = data.currentSeason;
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { clientStorage } from '../utils/clientStorage.js';
 
 export class GameModeManager {
     constructor(game) {
@@ -608,12 +609,11 @@ export class GameModeManager {
 
     loadGhostData() {
         // Load personal best lap data
-        const saved = localStorage.getItem('ghost_lap_data');
-        return saved ? JSON.parse(saved) : null;
+        return clientStorage.get('timeTrial', 'bestLap');
     }
 
     saveGhostData(lapData) {
-        localStorage.setItem('ghost_lap_data', JSON.stringify(lapData));
+        clientStorage.set('timeTrial', 'bestLap', lapData);
     }
 
     recordLapTime(lapTime, sectorTimes) {
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class ProgressionManager {
     constructor(game) {
         this.game = game;
@@ -430,7 +432,7 @@ export class ProgressionManager {
     // Data Persistence
     saveProgress() {
         try {
-            localStorage.setItem('game_progression', JSON.stringify(this.playerData));
+            clientStorage.set('progression', 'data', this.playerData);
         } catch (error) {
             console.error('Failed to save progression data:', error);
         }
@@ -438,9 +440,8 @@ export class ProgressionManager {
 
     loadProgress() {
         try {
-            const saved = localStorage.getItem('game_progression');
-            if (saved) {
-                const loadedData = JSON.parse(saved);
+            const loadedData = clientStorage.get('progression', 'data');
+            if (loadedData) {
                 // Merge with defaults to handle new fields
                 this.playerData = { ...this.playerData, ...loadedData };
                 console.log('Progression data loaded');
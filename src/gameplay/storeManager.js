@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class StoreManager {
     constructor(game = null) {
         this.game = game;
@@ -124,9 +126,8 @@ export class StoreManager {
 
     loadPlayerData() {
         try {
-            const stored = localStorage.getItem('store_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('store', 'data');
+            if (data) {
                 this.currency = { ...this.currency, ...data.currency };
                 this.inventory = new Set(data.inventory || []);
             }
@@ -142,7 +143,7 @@ export class StoreManager {
                 inventory: Array.from(this.inventory),
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('store_data', JSON.stringify(data));
+            clientStorage.set('store', 'data', data);
         } catch (error) {
             console.error('Failed to save store data:', error);
         }
@@ -272,13 +273,13 @@ export class StoreManager {
     // Daily login bonus
     claimDailyBonus() {
         const today = new Date().toDateString();
-        const lastClaim = localStorage.getItem('last_daily_bonus');
+        const lastClaim = clientStorage.get('store', 'lastDailyBonus');
 
         if (lastClaim === today) {
             return { success: false, reason: 'Already claimed today' };
         }
 
-        localStorage.setItem('last_daily_bonus', today);
+        clientStorage.set('store', 'lastDailyBonus', today);
         this.addCurrency('credits', 100);
         this.addCurrency('gems', 1);
 
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export const VEHICLE_TYPES = {
     SPORTS_CAR: 'sports_car',
     MUSCLE_CAR: 'muscle_car',
@@ -33,6 +35,8 @@ export const VEHICLE_CONFIGS = {
             height: 1.2,
             length: 4.2
         },
+        // Overrides on the tire model's defaults (see physics/tireModel.js)
+        tireModelParameters: { peakFriction: 1.05, corneringStiffness: 16 },
         color: 0xff0000,
         price: { credits: 0, gems: 0 } // Default vehicle
     },
@@ -51,6 +55,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.4,
             length: 4.8
         },
+        tireModelParameters: { peakFriction: 0.9, corneringStiffness: 11, longitudinalShape: 1.8, rearGrip: 0.9, loadSensitivity: 0.2 },
         color: 0x0000ff,
         price: { credits: 5000, gems: 0 }
     },
@@ -69,6 +74,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.8,
             length: 4.0
         },
+        tireModelParameters: { peakFriction: 0.95, corneringStiffness: 12, lateralShape: 1.2, tireTemperatureModel: { optimallyGrippyRange: { min: 50, max: 90 } } },
         color: 0x8B4513,
         price: { credits: 7500, gems: 0 }
     },
@@ -87,6 +93,7 @@ export const VEHICLE_CONFIGS = {
             height: 0.8,
             length: 4.5
         },
+        tireModelParameters: { peakFriction: 1.45, corneringStiffness: 22, longitudinalStiffness: 24, lateralShape: 1.6 },
         color: 0xffd700,
         price: { credits: 15000, gems: 50 }
     },
@@ -105,6 +112,7 @@ export const VEHICLE_CONFIGS = {
             height: 2.2,
             length: 4.5
         },
+        tireModelParameters: { peakFriction: 0.8, corneringStiffness: 9, lateralShape: 1.15, loadSensitivity: 0.1 },
         color: 0x228B22,
         price: { credits: 8000, gems: 0 }
     },
@@ -123,6 +131,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.0,
             length: 4.8
         },
+        tireModelParameters: { peakFriction: 1.3, corneringStiffness: 20, lateralShape: 1.5 },
         color: 0x800080,
         price: { credits: 25000, gems: 100 }
     },
@@ -142,6 +151,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.1,
             length: 4.6
         },
+        tireModelParameters: { peakFriction: 1.15, corneringStiffness: 17, longitudinalStiffness: 24 },
         color: 0x00ffff,
         price: { credits: 30000, gems: 150 }
     },
@@ -160,6 +170,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.3,
             length: 4.1
         },
+        tireModelParameters: { peakFriction: 0.95, corneringStiffness: 12, lateralShape: 1.15, rearGrip: 0.8 },
         color: 0xff4500,
         price: { credits: 18000, gems: 75 }
     },
@@ -178,6 +189,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.3,
             length: 4.7
         },
+        tireModelParameters: { peakFriction: 1.1, corneringStiffness: 17, tireTemperatureModel: { optimallyGrippyRange: { min: 70, max: 105 } } },
         color: 0x4169e1,
         price: { credits: 22000, gems: 90 }
     },
@@ -196,6 +208,7 @@ export const VEHICLE_CONFIGS = {
             height: 2.0,
             length: 5.5
         },
+        tireModelParameters: { peakFriction: 0.85, corneringStiffness: 10, loadSensitivity: 0.2 },
         color: 0x8b4513,
         price: { credits: 12000, gems: 25 }
     },
@@ -214,6 +227,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.2,
             length: 2.1
         },
+        tireModelParameters: { peakFriction: 1.1, corneringStiffness: 14, lateralShape: 1.5 },
         color: 0xff1493,
         price: { credits: 15000, gems: 60 }
     },
@@ -232,6 +246,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.4,
             length: 3.8
         },
+        tireModelParameters: { peakFriction: 0.8, corneringStiffness: 10, lateralShape: 1.2, rearGrip: 0.9 },
         color: 0xffd700,
         price: { credits: 25000, gems: 120 }
     },
@@ -250,6 +265,7 @@ export const VEHICLE_CONFIGS = {
             height: 0.9,
             length: 5.0
         },
+        tireModelParameters: { peakFriction: 1.6, corneringStiffness: 24, longitudinalStiffness: 26, lateralShape: 1.65, tireTemperatureModel: { optimallyGrippyRange: { min: 90, max: 110 } } },
         color: 0xff0000,
         price: { credits: 50000, gems: 250 }
     },
@@ -268,6 +284,7 @@ export const VEHICLE_CONFIGS = {
             height: 3.5,
             length: 6.0
         },
+        tireModelParameters: { peakFriction: 0.75, corneringStiffness: 8, lateralShape: 1.15, loadSensitivity: 0.25 },
         color: 0x32cd32,
         price: { credits: 35000, gems: 180 }
     },
@@ -286,6 +303,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.5,
             length: 2.5
         },
+        tireModelParameters: { peakFriction: 0.85, corneringStiffness: 11, lateralShape: 1.2 },
         color: 0x228b22,
         price: { credits: 8000, gems: 15 }
     },
@@ -304,6 +322,7 @@ export const VEHICLE_CONFIGS = {
             height: 1.8,
             length: 6.5
         },
+        tireModelParameters: { peakFriction: 0.85, corneringStiffness: 10, loadSensitivity: 0.2 },
         color: 0x000000,
         price: { credits: 40000, gems: 200 }
     }
@@ -317,9 +336,8 @@ export class VehicleConfigManager {
 
     loadUnlockedVehicles() {
         try {
-            const stored = localStorage.getItem('unlocked_vehicles');
-            if (stored) {
-                const unlocked = JSON.parse(stored);
+            const unlocked = clientStorage.get('garage', 'unlockedVehicles');
+            if (unlocked) {
                 unlocked.forEach(vehicleType => this.unlockedVehicles.add(vehicleType));
             }
         } catch (error) {
@@ -329,7 +347,7 @@ export class VehicleConfigManager {
 
     saveUnlockedVehicles() {
         try {
-            localStorage.setItem('unlocked_vehicles', JSON.stringify([...this.unlockedVehicles]));
+            clientStorage.set('garage', 'unlockedVehicles', [...this.unlockedVehicles]);
         } catch (error) {
             console.error('Failed to save unlocked vehicles:', error);
         }
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class VehicleCustomization {
     constructor() {
         this.customizations = {
@@ -125,21 +127,14 @@ export class VehicleCustomization {
     }
 
     saveCustomization(slot = 'default') {
-        try {
-            const saved = JSON.stringify(this.customizations);
-            localStorage.setItem(`vehicle_customization_${slot}`, saved);
-            return true;
-        } catch (error) {
-            console.error('Failed to save customization:', error);
-            return false;
-        }
+        return clientStorage.set('garage', `customization_${slot}`, this.customizations);
     }
 
     loadCustomization(slot = 'default') {
         try {
-            const saved = localStorage.getItem(`vehicle_customization_${slot}`);
+            const saved = clientStorage.get('garage', `customization_${slot}`);
             if (saved) {
-                this.customizations = JSON.parse(saved);
+                this.customizations = saved;
                 return true;
             }
         } catch (error) {
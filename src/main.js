@@ -16,6 +16,7 @@ import { AudioManager } from './audio/audioManager.js';
 import { VehicleCustomization } from './gameplay/vehicleCustomization.js';
 import { AnalyticsManager } from './utils/analyticsManager.js';
 import { NetworkManager } from './network/networkManager.js';
+import { ClientPrediction } from './network/clientPrediction.js';
 import { LeaderboardManager } from './utils/leaderboardManager.js';
 import { StoreManager } from './gameplay/storeManager.js';
 import { CloudSaveManager } from './utils/cloudSaveManager.js';
@@ -32,6 +33,7 @@ import { GhostSystem } from './engine/ghostSystem.js';
 import { ReplaySystem } from './engine/replaySystem.js';
 import { DynamicEvents } from './engine/dynamicEvents.js';
 import { TrackElementsManager } from './environment/trackElementsManager.js';
+import { TRACK_ELEMENT_LAYOUT } from './environment/trackElementBodies.js';
 import { MobileControls } from './ui/mobileControls.js';
 import { AccessibilityManager } from './ui/accessibilityManager.js';
 import { VoiceChatManager } from './audio/voiceChatManager.js';
@@ -41,6 +43,7 @@ import { UserGeneratedContentManager } from './multiplayer/userGeneratedContent.
 import { EnhancedLeaderboardManager } from './multiplayer/enhancedLeaderboard.js';
 import { SocialSharingManager } from './multiplayer/socialSharing.js';
 import { SocialHub } from './multiplayer/socialHub.js';
+import { clientStorage } from './utils/clientStorage.js';
 
 
 class Game {
@@ -165,6 +168,11 @@ class Game {
         this.composer.addPass(filmPass);
 
         this.physicsManager = new PhysicsManager();
+        // ?seed=N makes the run reproducible: same inputs, same race
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (seed !== null && Number.isFinite(Number(seed))) {
+            this.physicsManager.setDeterministic(Number(seed));
+        }
         this.sceneManager = new SceneManager(this.scene, this.physicsManager.world, this.physicsManager, this.camera, this);
         this.vehicleController = new VehicleController();
         this.hud = new HUD();
@@ -181,16 +189,17 @@ class Game {
         this.dynamicEvents = new DynamicEvents(this);
         this.trackElementsManager = new TrackElementsManager(this.scene, this.physicsManager.world);
         this.networkManager = new NetworkManager(this);
-        this.leaderboardManager = new LeaderboardManager();
-        this.storeManager = new StoreManager(this);
+        this.clientPrediction = new ClientPrediction(this.physicsManager, this.vehicleController);
         this.cloudSaveManager = new CloudSaveManager();
+        this.leaderboardManager = new LeaderboardManager(this.cloudSaveManager);
+        this.storeManager = new StoreManager(this);
         this.weatherManager = new WeatherManager(this.scene, this.physicsManager.world);
         this.trackEditor = new TrackEditor(this.scene, this.physicsManager.world);
         this.rankingManager = new RankingManager();
         this.tournamentManager = new TournamentManager();
-        this.socialManager = new SocialManager();
-        this.ugcManager = new UserGeneratedContentManager();
-        this.enhancedLeaderboard = new EnhancedLeaderboardManager(this.socialManager);
+        this.socialManager = new SocialManager(this.networkManager);
+        this.ugcManager = new UserGeneratedContentManager(this.cloudSaveManager);
+        this.enhancedLeaderboard = new EnhancedLeaderboardManager(this.socialManager, this.cloudSaveManager);
         this.socialSharing = new SocialSharingManager(this.socialManager, this.analyticsManager);
         this.socialHub = new SocialHub(this);
         this.mobileControls = new MobileControls(this);
@@ -243,9 +252,10 @@ class Game {
         this.sceneManager.init();
         this.physicsManager.init();
         this.vehicleController.init(this.physicsManager.world, this.hud, this.mobileControls);
+        this.vehicleController.attachToPhysicsSteps(this.physicsManager);
 
         // Load saved vehicle type
-        const savedVehicleType = localStorage.getItem('current_vehicle_type');
+        const savedVehicleType = clientStorage.get('garage', 'currentVehicle');
         if (savedVehicleType) {
             this.sceneManager.currentVehicleType = savedVehicleType;
         }
@@ -262,6 +272,7 @@ class Game {
         this.vehicleCustomization.applyCustomization(this.sceneManager.playerVehicle, null, vehicleConfig.color);
 
         // Initialize cloud save
+        this.cloudSaveManager.setConflictHandler(conflict => this.uiManager.showSaveConflictDialog(conflict));
         this.cloudSaveManager.autoLogin();
         this.cloudSaveManager.startAutoSync(this);
 
@@ -281,6 +292,17 @@ class Game {
             this.handlePlayerUpdate(data);
         });
 
+        // Predict the local car and reconcile it against server snapshots
+        this.vehicleController.setInputFrameCallback((input) => {
+            if (this.networkManager.isConnected && this.networkManager.gameState === 'racing') {
+                this.clientPrediction.recordInput(input);
+                this.networkManager.sendInputFrame(input);
+            }
+        });
+        this.networkManager.setLocalStateCallback((state) => {
+            this.clientPrediction.reconcile(state, state.ackSeq);
+        });
+
         // Set up collision audio and analytics
         this.physicsManager.setCollisionCallback((intensity) => {
             this.audioManager.playCollisionSound(intensity);
@@ -312,6 +334,8 @@ class Game {
 
         // Update scene
         this.sceneManager.update(deltaTime);
+        this.clientPrediction.update(deltaTime);
+        this.clientPrediction.applyRenderOffset(this.sceneManager.playerVehicle);
 
         // Update weather
         this.weatherManager.update(deltaTime);
@@ -359,7 +383,8 @@ class Game {
                 this.networkManager.updatePosition(
                     { x: position.x, y: position.y, z: position.z },
                     { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
-                    { x: velocity.x, y: velocity.y, z: velocity.z }
+                    { x: velocity.x, y: velocity.y, z: velocity.z },
+                    this.clientPrediction.getLastCompletedSeq()
                 );
             }
         }
@@ -383,6 +408,8 @@ class Game {
 
         // Update scene
         this.sceneManager.update(deltaTime);
+        this.clientPrediction.update(deltaTime);
+        this.clientPrediction.applyRenderOffset(this.sceneManager.playerVehicle);
 
         // Update weather
         this.weatherManager.update(deltaTime);
@@ -442,7 +469,8 @@ class Game {
                 this.networkManager.updatePosition(
                     { x: position.x, y: position.y, z: position.z },
                     { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
-                    { x: velocity.x, y: velocity.y, z: velocity.z }
+                    { x: velocity.x, y: velocity.y, z: velocity.z },
+                    this.clientPrediction.getLastCompletedSeq()
                 );
             }
         }
@@ -462,6 +490,7 @@ class Game {
                 break;
             case 'raceStart':
                 console.log('Race countdown started');
+                this.clientPrediction.reset();
                 this.analyticsManager.startRace();
                 // Update streaming
                 this.streamingManager.onRaceStart('Multiplayer Track', 3, data.playerCount || 1);
@@ -483,7 +512,29 @@ class Game {
                     this.streamingManager.onRaceEnd(playerResult ? playerResult.position : 1);
                 }
                 break;
+            case 'spectateJoined':
+                // The camera follows the remote cars as the delayed feed arrives
+                this.spectatorMode.activate();
+                break;
+            case 'spectateEnded':
+                this.spectatorMode.deactivate();
+                break;
+            case 'chatError':
+                this.uiManager.showChatError(data.error);
+                break;
+            case 'friendsList':
+            case 'friendRequest':
+            case 'friendPresence':
+            case 'directMessage':
+            case 'directMessages':
+            case 'unreadMessages':
+                this.socialManager.handleServerEvent(event, data);
+                this.socialHub.handleServerEvent(event, data);
+                break;
         }
+
+        // Room chat shows in the lobby and after the race, so most room events can toggle it
+        this.uiManager.updateChatPanel();
     }
 
     handlePlayerUpdate(data) {
@@ -495,9 +546,8 @@ class Game {
     updateNetworkPlayers() {
         if (!this.networkManager.isConnected) return;
 
-        // Update scene with network player positions
-        // This is a simplified version - in a full implementation,
-        // you'd interpolate positions and handle prediction/correction
+        // Interpolate remote players from the server snapshot buffer
+        this.networkManager.updateRemotePlayers();
     }
 
     recordRaceResults(results) {
@@ -517,7 +567,8 @@ class Game {
                 totalTime,
                 totalTime * 0.8, // Best lap is usually faster
                 index + 1,
-                'multiplayer_track'
+                'multiplayer_track',
+                { submit: false } // The server records multiplayer results itself
             );
 
             // Record ranking result (only for local player)
@@ -740,13 +791,11 @@ class Game {
     addTrackElements(trackSegments) {
         void(trackSegments); // Parameter kept for future use
         // Add boost pads and hazards at strategic locations
-        const elements = [
-            { type: 'boost_pad', position: new THREE.Vector3(20, 0.05, 0), rotation: new THREE.Euler(0, 0, 0) },
-            { type: 'speed_boost', position: new THREE.Vector3(60, 0.05, -8), rotation: new THREE.Euler(0, 0, 0) },
-            { type: 'hazard', position: new THREE.Vector3(40, 0.05, 5), rotation: new THREE.Euler(0, 0, 0) },
-            { type: 'oil_spill', position: new THREE.Vector3(80, 0.05, 3), rotation: new THREE.Euler(-Math.PI / 2, 0, 0) },
-            { type: 'jump_ramp', position: new THREE.Vector3(100, 0.5, 0), rotation: new THREE.Euler(0, 0, 0) }
-        ];
+        const elements = TRACK_ELEMENT_LAYOUT.map(element => ({
+            type: element.type,
+            position: new THREE.Vector3(element.position.x, element.position.y, element.position.z),
+            rotation: new THREE.Euler(element.rotation.x, element.rotation.y, element.rotation.z)
+        }));
 
         this.trackElementsManager.placeElementsOnTrack({}, elements);
         console.log(`Added ${elements.length} track elements`);
@@ -950,7 +999,7 @@ function updateDebug(message) {
 export default Game;
 
 // Start the game when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('DOM loaded, initializing game...');
 
     // Show loading message
@@ -971,6 +1020,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // UIManager handles all button functionality now
 
     try {
+        // Bring saved data up to the current layout before anything reads it
+        await clientStorage.migrate().catch(error => console.error('Storage migration failed:', error));
+
         const game = new Game();
         window.game = game; // Make game globally available
         updateDebug('✅ Game initialized successfully');
@@ -1,6 +1,24 @@
+import { LeaderboardApi } from '../network/leaderboardApi.js';
+import { clientStorage } from '../utils/clientStorage.js';
+
+// Time-based subcategories that have a server board, and its type
+const SERVER_BOARD_TYPES = {
+    race: 'race',
+    timeTrial: 'lap'
+};
+
+// Local timeframe -> server timeframe
+const SERVER_TIMEFRAMES = {
+    global: 'all',
+    daily: 'daily',
+    weekly: 'weekly',
+    monthly: 'monthly'
+};
+
 export class EnhancedLeaderboardManager {
-    constructor(socialManager) {
+    constructor(socialManager, cloudSaveManager = null) {
         this.socialManager = socialManager;
+        this.api = new LeaderboardApi(cloudSaveManager);
         this.leaderboards = {
             global: {
                 race: [],
@@ -9,6 +27,13 @@ export class EnhancedLeaderboardManager {
                 speed: [],
                 distance: []
             },
+            daily: {
+                race: [],
+                timeTrial: [],
+                tournament: [],
+                speed: [],
+                distance: []
+            },
             weekly: {
                 race: [],
                 timeTrial: [],
@@ -47,9 +72,8 @@ export class EnhancedLeaderboardManager {
 
     loadLeaderboards() {
         try {
-            const stored = localStorage.getItem('enhanced_leaderboards');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('leaderboards', 'enhanced');
+            if (data) {
                 this.leaderboards = { ...this.leaderboards, ...data.leaderboards };
                 this.achievements = data.achievements || [];
                 this.records = { ...this.records, ...data.records };
@@ -67,7 +91,7 @@ export class EnhancedLeaderboardManager {
                 records: this.records,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('enhanced_leaderboards', JSON.stringify(data));
+            clientStorage.set('leaderboards', 'enhanced', data);
         } catch (error) {
             console.error('Failed to save leaderboards:', error);
         }
@@ -95,6 +119,9 @@ export class EnhancedLeaderboardManager {
         // Add to global leaderboard
         this.addToLeaderboard('global', subcategory, entry);
 
+        // Add to daily leaderboard
+        this.addToLeaderboard('daily', subcategory, entry);
+
         // Add to weekly leaderboard
         this.addToLeaderboard('weekly', subcategory, entry);
 
@@ -113,6 +140,7 @@ export class EnhancedLeaderboardManager {
         this.updateRecords(category, subcategory, entry);
 
         this.saveLeaderboards();
+        this.submitToServer(subcategory, entry);
 
         return {
             success: true,
@@ -155,13 +183,21 @@ export class EnhancedLeaderboardManager {
         }
 
         // Clean old entries for time-based leaderboards
-        if (timeframe === 'weekly') {
+        if (timeframe === 'daily') {
+            this.cleanDailyLeaderboard(subcategory);
+        } else if (timeframe === 'weekly') {
             this.cleanWeeklyLeaderboard(subcategory);
         } else if (timeframe === 'monthly') {
             this.cleanMonthlyLeaderboard(subcategory);
         }
     }
 
+    cleanDailyLeaderboard(subcategory) {
+        const dayAgo = Date.now() - (24 * 60 * 60 * 1000);
+        this.leaderboards.daily[subcategory] = this.leaderboards.daily[subcategory]
+            .filter(entry => entry.timestamp > dayAgo);
+    }
+
     cleanWeeklyLeaderboard(subcategory) {
         const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
         this.leaderboards.weekly[subcategory] = this.leaderboards.weekly[subcategory]
@@ -284,6 +320,91 @@ export class EnhancedLeaderboardManager {
         }
     }
 
+    // Server Leaderboards
+
+    // Times are kept in seconds locally and in ms on the server
+    async submitToServer(subcategory, entry) {
+        const type = SERVER_BOARD_TYPES[subcategory];
+        if (!type || !entry.track || !Number.isFinite(entry.time)) return null;
+
+        return this.api.submit(type, entry.track, {
+            time: entry.time * 1000,
+            vehicle: entry.vehicle,
+            position: entry.position
+        });
+    }
+
+    // Server board for a track, or the local board while offline.
+    // options: { track, vehicle, page, pageSize }
+    async fetchLeaderboard(timeframe, subcategory, options = {}) {
+        const type = SERVER_BOARD_TYPES[subcategory];
+        const serverTimeframe = SERVER_TIMEFRAMES[timeframe];
+        const pageSize = options.pageSize || 50;
+
+        if (type && serverTimeframe && options.track) {
+            const data = await this.api.fetchLeaderboard(type, options.track, {
+                vehicle: options.vehicle,
+                timeframe: serverTimeframe,
+                page: options.page,
+                pageSize
+            });
+            if (data) {
+                return data.entries.map(entry => this.fromServerEntry(entry, options.track));
+            }
+        }
+
+        return this.getLeaderboard(timeframe, subcategory, pageSize);
+    }
+
+    // Rank window around the logged-in player; offline it is built from the
+    // local board around playerId
+    async fetchAroundMe(timeframe, subcategory, playerId, options = {}) {
+        const type = SERVER_BOARD_TYPES[subcategory];
+        const serverTimeframe = SERVER_TIMEFRAMES[timeframe];
+        const window = options.window || 5;
+
+        if (type && serverTimeframe && options.track) {
+            const data = await this.api.fetchAroundMe(type, options.track, {
+                vehicle: options.vehicle,
+                timeframe: serverTimeframe,
+                window
+            });
+            if (data) {
+                return {
+                    rank: data.rank,
+                    total: data.total,
+                    entries: data.entries.map(entry => this.fromServerEntry(entry, options.track))
+                };
+            }
+        }
+
+        const leaderboard = this.getLeaderboard(timeframe, subcategory, Infinity);
+        const rank = this.getPlayerRank(timeframe, subcategory, playerId);
+        const start = rank ? Math.max(0, rank - 1 - window) : 0;
+        return {
+            rank,
+            total: leaderboard.length,
+            entries: rank ? leaderboard.slice(start, rank + window) : [],
+            offline: true
+        };
+    }
+
+    fromServerEntry(entry, track) {
+        return {
+            id: `${entry.userId}_${entry.achievedAt}`,
+            rank: entry.rank,
+            playerId: entry.userId,
+            playerName: entry.username,
+            time: entry.time / 1000,
+            position: entry.position,
+            track: track,
+            vehicle: entry.vehicle,
+            timestamp: entry.achievedAt,
+            verified: entry.verified,
+            isFriend: this.socialManager.friends.some(friend => friend.id === entry.userId)
+        };
+    }
+
     // Query Methods
 
     getLeaderboard(timeframe, subcategory, limit = 50) {
@@ -476,15 +597,15 @@ export class EnhancedLeaderboardManager {
         };
 
         // Store seasonal events
-        const events = JSON.parse(localStorage.getItem('seasonal_events') || '[]');
+        const events = clientStorage.get('leaderboards', 'seasonalEvents', []);
         events.push(event);
-        localStorage.setItem('seasonal_events', JSON.stringify(events));
+        clientStorage.set('leaderboards', 'seasonalEvents', events);
 
         return event;
     }
 
     getActiveSeasonalEvents() {
-        const events = JSON.parse(localStorage.getItem('seasonal_events') || '[]');
+        const events = clientStorage.get('leaderboards', 'seasonalEvents', []);
         const now = Date.now();
 
         return events.filter(event =>
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class RankingManager {
     constructor() {
         this.playerMMR = 1500; // Starting MMR
@@ -25,9 +27,8 @@ export class RankingManager {
 
     loadPlayerData() {
         try {
-            const stored = localStorage.getItem('ranking_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('ranking', 'data');
+            if (data) {
                 this.playerMMR = data.playerMMR || 1500;
                 this.seasonStartMMR = data.seasonStartMMR || 1500;
                 this.currentSeason = data.currentSeason || 1;
@@ -51,7 +52,7 @@ export class RankingManager {
                 seasonEndDate: this.seasonEndDate.toISOString(),
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('ranking_data', JSON.stringify(data));
+            clientStorage.set('ranking', 'data', data);
         } catch (error) {
             console.error('Failed to save ranking data:', error);
         }
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class SocialHub {
     constructor(game) {
         this.game = game;
@@ -29,12 +31,14 @@ export class SocialHub {
 
         // Set up real-time social features
         this.initializeRealTimeFeatures();
+    }
 
-        // Start social event polling
-        this.startSocialEventPolling();
+    isConnected() {
+        return !!this.game.networkManager && this.game.networkManager.isConnected;
     }
 
-    // Friend System
+    // Friend System. While connected, friends and requests live on the server
+    // (see handleServerEvent) and are keyed by account userId.
     sendFriendRequest(playerId, playerName) {
         if (this.friends.has(playerId)) {
             return { success: false, reason: 'Already friends' };
@@ -44,6 +48,11 @@ export class SocialHub {
             return { success: false, reason: 'Request already sent' };
         }
 
+        if (this.isConnected()) {
+            this.game.networkManager.sendFriendRequest(playerId ? { userId: playerId } : { username: playerName });
+            return { success: true, pending: true };
+        }
+
         const request = {
             id: 'request_' + Date.now(),
             to: playerId,
@@ -71,6 +80,12 @@ export class SocialHub {
             return { success: false, reason: 'Request not found' };
         }
 
+        // The new friend arrives with the next friendsList
+        if (this.isConnected()) {
+            this.game.networkManager.respondToFriendRequest(request.from, true);
+            return { success: true, pending: true };
+        }
+
         // Add to friends
         this.friends.set(request.from, {
             id: request.from,
@@ -97,6 +112,10 @@ export class SocialHub {
             return { success: false, reason: 'Request not found' };
         }
 
+        if (this.isConnected()) {
+            this.game.networkManager.respondToFriendRequest(request.from, false);
+        }
+
         this.pendingFriendRequests.delete(request.from);
         this.saveSocialData();
 
@@ -110,6 +129,9 @@ export class SocialHub {
 
         const friend = this.friends.get(playerId);
         this.friends.delete(playerId);
+        if (this.isConnected()) {
+            this.game.networkManager.removeFriend(playerId);
+        }
 
         console.log(`👋 Removed ${friend.name} from friends`);
 
@@ -388,85 +410,113 @@ export class SocialHub {
 
     // Real-time Features
     initializeRealTimeFeatures() {
-        // Set up WebSocket or polling for real-time social features
-        // For now, we'll simulate with intervals
-        this.startPresenceUpdates();
-    }
-
-    startPresenceUpdates() {
-        // Update friend presence every 30 seconds
-        setInterval(() => {
-            this.updateFriendPresence();
-        }, 30000);
-    }
-
-    updateFriendPresence() {
-        // In a real implementation, this would poll the server for friend status
-        // For now, simulate some friends being online
-        for (const friend of this.friends.values()) {
-            // Randomly update status
-            if (Math.random() < 0.3) {
-                const statuses = ['online', 'racing', 'in_menu', 'offline'];
-                friend.status = statuses[Math.floor(Math.random() * statuses.length)];
-                friend.lastSeen = Date.now();
-            }
+        // Presence, friend requests and messages are pushed by the server
+        // while connected; this only tells it whether to hide our presence
+        if (this.game.networkManager) {
+            this.game.networkManager.setPresenceHidden(this.playerStatus.privacy === 'private');
         }
     }
 
-    startSocialEventPolling() {
-        // Poll for social events every 10 seconds
-        setInterval(() => {
-            this.pollSocialEvents();
-        }, 10000);
+    handleServerEvent(event, data) {
+        switch (event) {
+            case 'friendsList':
+                this.syncFriends(data);
+                break;
+            case 'friendPresence':
+                this.updateFriendPresence(data.userId, data.presence);
+                break;
+            case 'friendRequest':
+                this.addNotification({
+                    id: `friend_request_${data.userId}_${data.sentAt}`,
+                    type: 'friend_request',
+                    title: 'Friend Request',
+                    message: `${data.username} wants to be your friend`,
+                    timestamp: data.sentAt
+                });
+                break;
+            case 'directMessage':
+                // Our own messages are echoed back already read
+                if (!data.read) {
+                    this.addNotification({
+                        id: `message_${data.id}`,
+                        type: 'message',
+                        title: `Message from ${data.fromUsername}`,
+                        message: data.text,
+                        timestamp: data.sentAt
+                    });
+                }
+                break;
+        }
     }
 
-    pollSocialEvents() {
-        // In a real implementation, this would check for:
-        // - New friend requests
-        // - Challenge responses
-        // - Live events
-        // - Achievement unlocks by friends
-        // - Tournament invitations
+    syncFriends({ friends, incoming, outgoing }) {
+        this.friends = new Map(friends.map(friend => [friend.userId, {
+            id: friend.userId,
+            name: friend.username,
+            status: this.getPresenceStatus(friend.presence),
+            lastSeen: friend.presence.lastSeen || Date.now(),
+            friendSince: friend.since,
+            presence: friend.presence
+        }]));
+
+        const blockedUsers = this.game.socialManager ? this.game.socialManager.blockedUsers : [];
+        this.pendingFriendRequests = new Map([
+            ...incoming.filter(request => !blockedUsers.includes(request.userId)).map(request => [request.userId, {
+                id: 'request_' + request.userId,
+                from: request.userId,
+                fromName: request.username,
+                to: 'local_player',
+                toName: 'You',
+                timestamp: request.sentAt,
+                status: 'pending'
+            }]),
+            ...outgoing.map(request => [request.userId, {
+                id: 'request_' + request.userId,
+                to: request.userId,
+                toName: request.username,
+                from: 'local_player',
+                fromName: 'You',
+                timestamp: request.sentAt,
+                status: 'pending'
+            }])
+        ]);
 
-        // For now, simulate occasional events
-        if (Math.random() < 0.1) { // 10% chance every 10 seconds
-            this.simulateSocialEvent();
-        }
+        this.saveSocialData();
     }
 
-    simulateSocialEvent() {
-        const events = [
-            () => this.addNotification({
-                id: 'sim_' + Date.now(),
+    // 'offline', or what the friend is doing: 'menu', 'lobby', 'matchmaking', 'racing' or 'spectating'
+    getPresenceStatus(presence) {
+        return presence.online ? presence.activity : 'offline';
+    }
+
+    updateFriendPresence(friendId, presence) {
+        const friend = this.friends.get(friendId);
+        if (!friend) return;
+
+        const wasOffline = friend.status === 'offline';
+        friend.status = this.getPresenceStatus(presence);
+        friend.presence = presence;
+        friend.lastSeen = presence.lastSeen || Date.now();
+
+        if (wasOffline && presence.online) {
+            this.addNotification({
+                id: `friend_online_${friendId}_${Date.now()}`,
                 type: 'friend_online',
                 title: 'Friend Online',
-                message: 'Your friend Player123 is now online!',
-                timestamp: Date.now()
-            }),
-            () => this.addNotification({
-                id: 'sim_' + Date.now(),
-                type: 'achievement',
-                title: 'Friend Achievement',
-                message: 'Player456 unlocked "Speed Demon" achievement!',
-                timestamp: Date.now()
-            }),
-            () => this.addNotification({
-                id: 'sim_' + Date.now(),
-                type: 'tournament',
-                title: 'Tournament Starting',
-                message: 'A new tournament is starting in 5 minutes!',
+                message: `Your friend ${friend.name} is now online!`,
                 timestamp: Date.now()
-            })
-        ];
-
-        const randomEvent = events[Math.floor(Math.random() * events.length)];
-        randomEvent();
+            });
+        }
     }
 
     // Privacy and Settings
     setPrivacyLevel(level) {
         if (['public', 'friends', 'private'].includes(level)) {
             this.playerStatus.privacy = level;
+            // Presence only ever goes to friends, so only 'private' changes what the server shares
+            if (this.game.networkManager) {
+                this.game.networkManager.setPresenceHidden(level === 'private');
+            }
             this.saveSocialData();
             console.log(`🔒 Privacy set to: ${level}`);
             return true;
@@ -476,15 +526,14 @@ export class SocialHub {
 
     updatePlayerStatus(status) {
         Object.assign(this.playerStatus, status);
-        // In a real implementation, broadcast to friends/server
+        // Friends see the activity the server works out from our room and queue
     }
 
     // Data Management
     loadSocialData() {
         try {
-            const stored = localStorage.getItem('social_hub_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('social', 'hub');
+            if (data) {
                 this.friends = new Map(data.friends || []);
                 this.pendingFriendRequests = new Map(data.pendingFriendRequests || []);
                 this.activeChallenges = new Map(data.activeChallenges || []);
@@ -508,7 +557,7 @@ export class SocialHub {
                 playerStatus: this.playerStatus,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('social_hub_data', JSON.stringify(data));
+            clientStorage.set('social', 'hub', data);
         } catch (error) {
             console.error('Failed to save social data:', error);
         }
@@ -1,10 +1,14 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class SocialManager {
-    constructor() {
+    constructor(networkManager = null) {
+        this.networkManager = networkManager;
         this.friends = [];
         this.friendRequests = [];
         this.blockedUsers = [];
         this.messages = [];
         this.onlineFriends = new Set();
+        this.unreadCounts = { total: 0, conversations: {} }; // From the server while connected
         this.leaderboards = {
             global: [],
             friends: [],
@@ -17,9 +21,8 @@ export class SocialManager {
 
     loadSocialData() {
         try {
-            const stored = localStorage.getItem('social_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('social', 'data');
+            if (data) {
                 this.friends = data.friends || [];
                 this.friendRequests = data.friendRequests || [];
                 this.blockedUsers = data.blockedUsers || [];
@@ -39,15 +42,95 @@ export class SocialManager {
                 messages: this.messages,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('social_data', JSON.stringify(data));
+            clientStorage.set('social', 'data', data);
         } catch (error) {
             console.error('Failed to save social data:', error);
         }
     }
 
+    // While connected, friends, requests and direct messages live on the
+    // server and are keyed by account userId. The lists here are a cache of
+    // what it last sent, in the same shapes the offline versions use.
+    isOnline() {
+        return !!this.networkManager && this.networkManager.isConnected;
+    }
+
+    getLocalId(userId) {
+        return userId === this.networkManager.getUserId() ? 'localPlayer' : userId;
+    }
+
+    handleServerEvent(event, data) {
+        switch (event) {
+            case 'friendsList':
+                this.friends = data.friends.map(friend => ({
+                    id: friend.userId,
+                    name: friend.username,
+                    addedAt: friend.since,
+                    status: friend.presence.online ? 'online' : 'offline',
+                    lastSeen: friend.presence.lastSeen || Date.now(),
+                    presence: friend.presence
+                }));
+                this.onlineFriends = new Set(this.getOnlineFriends().map(friend => friend.id));
+                this.friendRequests = [
+                    ...data.incoming
+                        .filter(request => !this.blockedUsers.includes(request.userId))
+                        .map(request => ({ id: request.userId, from: request.userId, to: 'localPlayer', playerName: request.username, status: 'pending', timestamp: request.sentAt })),
+                    ...data.outgoing
+                        .map(request => ({ id: request.userId, from: 'localPlayer', to: request.userId, playerName: request.username, status: 'pending', timestamp: request.sentAt }))
+                ];
+                this.saveSocialData();
+                break;
+            case 'friendPresence': {
+                const friend = this.friends.find(f => f.id === data.userId);
+                if (friend) friend.presence = data.presence;
+                this.updateFriendStatus(data.userId, data.presence.online ? 'online' : 'offline', data.presence.lastSeen);
+                break;
+            }
+            case 'directMessage':
+                this.storeServerMessages([data]);
+                break;
+            case 'directMessages':
+                this.storeServerMessages(data.messages);
+                break;
+            case 'unreadMessages':
+                this.unreadCounts = data;
+                break;
+        }
+    }
+
+    storeServerMessages(messages) {
+        messages.forEach(message => {
+            const existing = this.messages.find(msg => msg.id === message.id);
+            if (existing) {
+                existing.read = existing.read || message.read;
+                return;
+            }
+
+            this.messages.push({
+                id: message.id,
+                from: this.getLocalId(message.from),
+                to: this.getLocalId(message.to),
+                content: message.text,
+                timestamp: message.sentAt,
+                read: message.read,
+                type: 'direct'
+            });
+        });
+        this.saveSocialData();
+    }
+
     // Friend Management
 
+    // Online, playerName is enough to find the account when playerId is unknown
     sendFriendRequest(playerId, playerName) {
+        if (this.isOnline()) {
+            if (this.friends.some(friend => friend.id === playerId)) {
+                return { success: false, reason: 'Already friends' };
+            }
+            this.networkManager.sendFriendRequest(playerId ? { userId: playerId } : { username: playerName });
+            return { success: true, pending: true };
+        }
+
         // Check if already friends
         if (this.friends.some(friend => friend.id === playerId)) {
             return { success: false, reason: 'Already friends' };
@@ -79,6 +162,12 @@ export class SocialManager {
             return { success: false, reason: 'Request not found' };
         }
 
+        // The new friend arrives with the next friendsList
+        if (this.isOnline()) {
+            this.networkManager.respondToFriendRequest(request.from, true);
+            return { success: true, pending: true };
+        }
+
         // Add to friends
         const friend = {
             id: request.from,
@@ -97,13 +186,27 @@ export class SocialManager {
         return { success: true, friend: friend };
     }
 
+    // Online, declining our own outgoing request withdraws it
     declineFriendRequest(requestId) {
+        const request = this.friendRequests.find(req => req.id === requestId);
+        if (request && this.isOnline()) {
+            if (request.to === 'localPlayer') {
+                this.networkManager.respondToFriendRequest(request.from, false);
+            } else {
+                this.networkManager.removeFriend(request.to);
+            }
+        }
+
         this.friendRequests = this.friendRequests.filter(req => req.id !== requestId);
         this.saveSocialData();
         return { success: true };
     }
 
     removeFriend(friendId) {
+        if (this.isOnline()) {
+            this.networkManager.removeFriend(friendId);
+        }
+
         this.friends = this.friends.filter(friend => friend.id !== friendId);
         this.saveSocialData();
         return { success: true };
@@ -113,15 +216,26 @@ export class SocialManager {
         if (!this.blockedUsers.includes(playerId)) {
             this.blockedUsers.push(playerId);
             // Remove from friends if they were friends
+            if (this.isOnline() && this.friends.some(friend => friend.id === playerId)) {
+                this.networkManager.removeFriend(playerId);
+            }
             this.friends = this.friends.filter(friend => friend.id !== playerId);
+            this.friendRequests = this.friendRequests.filter(req => req.from !== playerId);
             this.saveSocialData();
         }
+        // The server filters chat and notifications by the block list too
+        if (this.networkManager) {
+            this.networkManager.syncChatFilters();
+        }
         return { success: true };
     }
 
     unblockUser(playerId) {
         this.blockedUsers = this.blockedUsers.filter(id => id !== playerId);
         this.saveSocialData();
+        if (this.networkManager) {
+            this.networkManager.syncChatFilters();
+        }
         return { success: true };
     }
 
@@ -132,6 +246,14 @@ export class SocialManager {
             return { success: false, reason: 'User is blocked' };
         }
 
+        // Direct messages go to friends through the server, which echoes them back as directMessage
+        if (this.isOnline()) {
+            if (!this.networkManager.sendDirectMessage(toPlayerId, message)) {
+                return { success: false, reason: 'Message is empty' };
+            }
+            return { success: true, pending: true };
+        }
+
         const messageObj = {
             id: Date.now(),
             from: 'localPlayer',
@@ -167,9 +289,20 @@ export class SocialManager {
         return filteredMessages.sort((a, b) => b.timestamp - a.timestamp);
     }
 
+    // Asks the server for older messages with a player; they arrive as directMessages
+    loadMessageHistory(withPlayerId, before = null) {
+        if (!this.isOnline()) return false;
+        return this.networkManager.requestDirectMessages(withPlayerId, before ? { before } : {});
+    }
+
+    // The server tracks reads per conversation, so online this marks
+    // everything from the same sender as read
     markMessageRead(messageId) {
         const message = this.messages.find(msg => msg.id === messageId);
         if (message && message.to === 'localPlayer') {
+            if (this.isOnline()) {
+                return this.markConversationRead(message.from);
+            }
             message.read = true;
             this.saveSocialData();
             return { success: true };
@@ -177,6 +310,26 @@ export class SocialManager {
         return { success: false, reason: 'Message not found' };
     }
 
+    markConversationRead(playerId) {
+        this.messages.forEach(msg => {
+            if (msg.from === playerId && msg.to === 'localPlayer') msg.read = true;
+        });
+        if (this.isOnline()) {
+            this.networkManager.markMessagesRead(playerId);
+        }
+        this.saveSocialData();
+        return { success: true };
+    }
+
+    getUnreadCount(fromPlayerId = null) {
+        if (this.isOnline()) {
+            return fromPlayerId ? this.unreadCounts.conversations[fromPlayerId] || 0 : this.unreadCounts.total;
+        }
+        return this.messages.filter(msg =>
+            !msg.read && msg.to === 'localPlayer' && (!fromPlayerId || msg.from === fromPlayerId)
+        ).length;
+    }
+
     // Online Status
 
     updateFriendStatus(friendId, status, lastSeen = null) {
@@ -256,43 +409,29 @@ export class SocialManager {
 
     // Social Gaming Features
 
-    createParty(name, maxPlayers = 4) {
-        const party = {
-            id: Date.now(),
-            name: name,
-            leader: 'localPlayer',
-            members: ['localPlayer'],
-            maxPlayers: maxPlayers,
-            status: 'open',
-            createdAt: Date.now(),
-            settings: {
-                gameMode: 'race',
-                isPrivate: false,
-                skillRequirement: null
-            }
-        };
-
-        // In a real implementation, this would be stored on the server
-        return party;
+    // Parties live on the server; these forward to the NetworkManager, and
+    // the party itself arrives as partyUpdate
+    createParty() {
+        if (!this.networkManager || !this.networkManager.createParty()) {
+            return { success: false, reason: 'Not connected' };
+        }
+        return { success: true };
     }
 
-    inviteToParty(partyId, playerId) {
-        // Send party invitation
-        const invitation = {
-            id: Date.now(),
-            type: 'party_invite',
-            from: 'localPlayer',
-            to: playerId,
-            partyId: partyId,
-            timestamp: Date.now(),
-            status: 'pending'
-        };
-
-        return { success: true, invitation: invitation };
+    inviteToParty(userId) {
+        if (this.blockedUsers.includes(userId)) {
+            return { success: false, reason: 'User is blocked' };
+        }
+        if (!this.networkManager || !this.networkManager.inviteToParty({ userId })) {
+            return { success: false, reason: 'Not connected' };
+        }
+        return { success: true };
     }
 
     joinParty(partyId) {
-        // Join existing party
+        if (!this.networkManager || !this.networkManager.acceptPartyInvite(partyId)) {
+            return { success: false, reason: 'Not connected' };
+        }
         return { success: true, partyId: partyId };
     }
 
@@ -307,22 +446,22 @@ export class SocialManager {
         };
 
         // Store achievement
-        const achievements = JSON.parse(localStorage.getItem('achievements') || '[]');
+        const achievements = clientStorage.get('social', 'achievements', []);
         achievements.push(achievement);
-        localStorage.setItem('achievements', JSON.stringify(achievements));
+        clientStorage.set('social', 'achievements', achievements);
 
         return achievement;
     }
 
     shareAchievement(achievementId) {
         // Mark achievement as shared
-        const achievements = JSON.parse(localStorage.getItem('achievements') || '[]');
+        const achievements = clientStorage.get('social', 'achievements', []);
         const achievement = achievements.find(a => a.id === achievementId);
 
         if (achievement) {
             achievement.shared = true;
             achievement.sharedAt = Date.now();
-            localStorage.setItem('achievements', JSON.stringify(achievements));
+            clientStorage.set('social', 'achievements', achievements);
 
             // Create social post
             const post = {
@@ -347,7 +486,7 @@ export class SocialManager {
         const activities = [];
 
         // Add recent races
-        const raceHistory = JSON.parse(localStorage.getItem('race_history') || '[]');
+        const raceHistory = clientStorage.get('social', 'raceHistory', []);
         raceHistory.slice(-10).forEach(race => {
             activities.push({
                 id: `race_${race.id}`,
@@ -361,7 +500,7 @@ export class SocialManager {
         });
 
         // Add tournament results
-        const tournamentData = JSON.parse(localStorage.getItem('tournament_data') || '{}');
+        const tournamentData = clientStorage.get('tournaments', 'data', {});
         (tournamentData.completedTournaments || []).slice(-5).forEach(tournament => {
             activities.push({
                 id: `tournament_${tournament.id}`,
@@ -395,21 +534,21 @@ export class SocialManager {
         };
 
         // Store challenge
-        const challenges = JSON.parse(localStorage.getItem('challenges') || '[]');
+        const challenges = clientStorage.get('social', 'challenges', []);
         challenges.push(challenge);
-        localStorage.setItem('challenges', JSON.stringify(challenges));
+        clientStorage.set('social', 'challenges', challenges);
 
         return { success: true, challenge: challenge };
     }
 
     acceptChallenge(challengeId) {
-        const challenges = JSON.parse(localStorage.getItem('challenges') || '[]');
+        const challenges = clientStorage.get('social', 'challenges', []);
         const challenge = challenges.find(c => c.id === challengeId);
 
         if (challenge && challenge.target === 'localPlayer') {
             challenge.status = 'accepted';
             challenge.acceptedAt = Date.now();
-            localStorage.setItem('challenges', JSON.stringify(challenges));
+            clientStorage.set('social', 'challenges', challenges);
 
             return { success: true, challenge: challenge };
         }
@@ -418,14 +557,14 @@ export class SocialManager {
     }
 
     completeChallenge(challengeId, result) {
-        const challenges = JSON.parse(localStorage.getItem('challenges') || '[]');
+        const challenges = clientStorage.get('social', 'challenges', []);
         const challenge = challenges.find(c => c.id === challengeId);
 
         if (challenge) {
             challenge.status = 'completed';
             challenge.result = result;
             challenge.completedAt = Date.now();
-            localStorage.setItem('challenges', JSON.stringify(challenges));
+            clientStorage.set('social', 'challenges', challenges);
 
             return { success: true, challenge: challenge };
         }
@@ -434,7 +573,7 @@ export class SocialManager {
     }
 
     getActiveChallenges() {
-        const challenges = JSON.parse(localStorage.getItem('challenges') || '[]');
+        const challenges = clientStorage.get('social', 'challenges', []);
         const now = Date.now();
 
         return challenges.filter(c =>
@@ -454,13 +593,13 @@ export class SocialManager {
             updatedAt: Date.now()
         };
 
-        localStorage.setItem('privacy_settings', JSON.stringify(privacySettings));
+        clientStorage.set('social', 'privacy', privacySettings);
         return { success: true, settings: privacySettings };
     }
 
     getPrivacySettings() {
         try {
-            const settings = JSON.parse(localStorage.getItem('privacy_settings') || '{}');
+            const settings = clientStorage.get('social', 'privacy', {});
             return {
                 showOnlineStatus: settings.showOnlineStatus ?? true,
                 showActivity: settings.showActivity ?? true,
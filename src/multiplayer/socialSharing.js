@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class SocialSharingManager {
     constructor(socialManager, analyticsManager) {
         this.socialManager = socialManager;
@@ -10,9 +12,8 @@ export class SocialSharingManager {
 
     loadShareData() {
         try {
-            const stored = localStorage.getItem('social_sharing');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('social', 'sharing');
+            if (data) {
                 this.shareHistory = data.shareHistory || [];
             }
         } catch (error) {
@@ -26,7 +27,7 @@ export class SocialSharingManager {
                 shareHistory: this.shareHistory,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('social_sharing', JSON.stringify(data));
+            clientStorage.set('social', 'sharing', data);
         } catch (error) {
             console.error('Failed to save sharing data:', error);
         }
@@ -354,15 +355,15 @@ export class SocialSharingManager {
         };
 
         // Store challenge
-        const challenges = JSON.parse(localStorage.getItem('social_challenges') || '[]');
+        const challenges = clientStorage.get('social', 'sharedChallenges', []);
         challenges.push(challenge);
-        localStorage.setItem('social_challenges', JSON.stringify(challenges));
+        clientStorage.set('social', 'sharedChallenges', challenges);
 
         return challenge;
     }
 
     joinSocialChallenge(challengeId, playerData) {
-        const challenges = JSON.parse(localStorage.getItem('social_challenges') || '[]');
+        const challenges = clientStorage.get('social', 'sharedChallenges', []);
         const challenge = challenges.find(c => c.id === challengeId);
 
         if (!challenge) return { success: false, reason: 'Challenge not found' };
@@ -378,13 +379,13 @@ export class SocialSharingManager {
             bestScore: null
         });
 
-        localStorage.setItem('social_challenges', JSON.stringify(challenges));
+        clientStorage.set('social', 'sharedChallenges', challenges);
 
         return { success: true, challenge: challenge };
     }
 
     submitChallengeResult(challengeId, playerId, result) {
-        const challenges = JSON.parse(localStorage.getItem('social_challenges') || '[]');
+        const challenges = clientStorage.get('social', 'sharedChallenges', []);
         const challenge = challenges.find(c => c.id === challengeId);
 
         if (!challenge) return { success: false, reason: 'Challenge not found' };
@@ -402,7 +403,7 @@ export class SocialSharingManager {
             this.updateChallengeLeaderboard(challenge);
         }
 
-        localStorage.setItem('social_challenges', JSON.stringify(challenges));
+        clientStorage.set('social', 'sharedChallenges', challenges);
 
         return {
             success: true,
@@ -448,7 +449,7 @@ export class SocialSharingManager {
     }
 
     getActiveChallenges() {
-        const challenges = JSON.parse(localStorage.getItem('social_challenges') || '[]');
+        const challenges = clientStorage.get('social', 'sharedChallenges', []);
         const now = Date.now();
 
         return challenges.filter(c =>
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class TournamentManager {
     constructor() {
         this.activeTournaments = [];
@@ -29,9 +31,8 @@ export class TournamentManager {
 
     loadTournamentData() {
         try {
-            const stored = localStorage.getItem('tournament_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('tournaments', 'data');
+            if (data) {
                 this.activeTournaments = data.activeTournaments || [];
                 this.completedTournaments = data.completedTournaments || [];
                 this.playerStats = { ...this.playerStats, ...data.playerStats };
@@ -49,7 +50,7 @@ export class TournamentManager {
                 playerStats: this.playerStats,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('tournament_data', JSON.stringify(data));
+            clientStorage.set('tournaments', 'data', data);
         } catch (error) {
             console.error('Failed to save tournament data:', error);
         }
@@ -1,5 +1,16 @@
+import { ContentApi } from '../network/contentApi.js';
+import { clientStorage } from '../utils/clientStorage.js';
+
+const CONTENT_TYPES = { tracks: 'track', vehicles: 'vehicle', decals: 'decal' };
+
+// Content is created locally and published to the server, where other players
+// find, rate and download it. Published items keep their server id in
+// `remoteId`; browsing results are cached in remoteContent and only stored
+// locally once downloaded.
 export class UserGeneratedContentManager {
-    constructor() {
+    constructor(cloudSaveManager = null) {
+        this.api = new ContentApi(cloudSaveManager);
+        this.remoteContent = new Map(); // server id -> listing from the last search
         this.tracks = [];
         this.vehicles = [];
         this.decals = [];
@@ -16,9 +27,8 @@ export class UserGeneratedContentManager {
 
     loadContent() {
         try {
-            const stored = localStorage.getItem('ugc_content');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('ugc', 'content');
+            if (data) {
                 this.tracks = data.tracks || [];
                 this.vehicles = data.vehicles || [];
                 this.decals = data.decals || [];
@@ -38,7 +48,7 @@ export class UserGeneratedContentManager {
                 featuredContent: this.featuredContent,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('ugc_content', JSON.stringify(data));
+            clientStorage.set('ugc', 'content', data);
         } catch (error) {
             console.error('Failed to save UGC content:', error);
         }
@@ -76,6 +86,7 @@ export class UserGeneratedContentManager {
         });
 
         this.saveContent();
+        this.publishContent(track.id);
         return track;
     }
 
@@ -90,6 +101,9 @@ export class UserGeneratedContentManager {
 
         Object.assign(track, updates, { updatedAt: Date.now(), version: track.version + 1 });
         this.saveContent();
+        if (track.remoteId) {
+            this.publishContent(track.id);
+        }
 
         return { success: true, track: track };
     }
@@ -107,6 +121,9 @@ export class UserGeneratedContentManager {
 
         this.tracks.splice(index, 1);
         this.saveContent();
+        if (track.remoteId) {
+            this.api.remove(track.remoteId);
+        }
 
         return { success: true };
     }
@@ -141,6 +158,7 @@ export class UserGeneratedContentManager {
         });
 
         this.saveContent();
+        this.publishContent(vehicle.id);
         return vehicle;
     }
 
@@ -173,9 +191,142 @@ export class UserGeneratedContentManager {
         });
 
         this.saveContent();
+        this.publishContent(decal.id);
         return decal;
     }
 
+    // Server Sync
+
+    getPayload(content, type) {
+        switch (type) {
+            case 'track':
+                return { segments: content.segments, difficulty: content.difficulty, length: content.length, thumbnail: content.thumbnail };
+            case 'vehicle':
+                return { baseVehicle: content.baseVehicle, customization: content.customization, thumbnail: content.thumbnail };
+            case 'decal':
+                return { imageData: content.imageData, category: content.category };
+            default:
+                return null;
+        }
+    }
+
+    // Uploads our own content, or its latest version if it is already
+    // published. Either way it waits in the server's moderation queue.
+    async publishContent(contentId) {
+        const content = this.findContentById(contentId);
+        if (!content || content.creatorId !== 'localPlayer') return { success: false, reason: 'Content not found' };
+        if (!this.api.isAvailable()) return { success: false, reason: 'Not logged in' };
+
+        const type = CONTENT_TYPES[this.getContentType(content)];
+        // Undefined fields are dropped so the server hashes only what is there
+        const listing = {
+            name: content.name,
+            description: content.description,
+            tags: content.tags,
+            data: JSON.parse(JSON.stringify(this.getPayload(content, type)))
+        };
+
+        const result = content.remoteId
+            ? await this.api.update(content.remoteId, listing)
+            : await this.api.publish({ type, ...listing });
+        if (!result) return { success: false, reason: 'Network error' };
+        if (result.error) {
+            console.warn(`Publishing ${content.name} failed:`, result.error);
+            return { success: false, reason: result.error };
+        }
+
+        content.remoteId = result.content.id;
+        content.hash = result.content.hash;
+        content.status = result.content.status;
+        this.saveContent();
+        return { success: true, content: content };
+    }
+
+    // A server listing in the shape local content uses
+    fromServerContent(content) {
+        return {
+            id: content.id,
+            remoteId: content.id,
+            name: content.name,
+            description: content.description,
+            creator: content.creatorName,
+            creatorId: content.creatorId,
+            tags: content.tags,
+            rating: content.rating,
+            ratings: [],
+            ratingCount: content.ratingCount,
+            reviewCount: content.reviewCount,
+            downloads: content.downloads,
+            trendingScore: content.trendingScore,
+            status: content.status,
+            hash: content.hash,
+            version: content.version,
+            createdAt: content.createdAt,
+            updatedAt: content.updatedAt
+        };
+    }
+
+    // Searches everyone's published content, or only local content when the
+    // server can't be reached. filters.sort: 'top', 'new', 'downloads' or 'trending'.
+    async fetchContent(type, query, filters = {}) {
+        const result = await this.api.search({
+            type: CONTENT_TYPES[type],
+            query,
+            tags: filters.tags,
+            creator: filters.creator,
+            minRating: filters.rating,
+            sort: filters.sort,
+            page: filters.page,
+            pageSize: filters.pageSize
+        });
+        if (!result || result.error) {
+            return this.searchContent(type, query, filters);
+        }
+
+        return result.items.map(item => {
+            const content = this.fromServerContent(item);
+            this.remoteContent.set(content.id, content);
+            return content;
+        });
+    }
+
+    async fetchTrendingContent(limit = 10) {
+        const result = await this.api.search({ sort: 'trending', pageSize: limit });
+        if (!result || result.error) {
+            return this.getTrendingContent(limit);
+        }
+
+        return result.items.map(item => {
+            const content = this.fromServerContent(item);
+            this.remoteContent.set(content.id, content);
+            return content;
+        });
+    }
+
+    // Fetches published content into the local collections, where it can be
+    // used offline. The server counts the download.
+    async downloadContent(contentId) {
+        const existing = this.findContentById(contentId);
+        const remoteId = existing && existing.remoteId ? existing.remoteId : contentId;
+
+        const result = await this.api.download(remoteId);
+        if (!result) return { success: false, reason: 'Network error' };
+        if (result.error) return { success: false, reason: result.error };
+
+        const content = { ...this.fromServerContent(result.content), ...result.data };
+        const collection = `${result.content.type}s`;
+        const index = this[collection].findIndex(item => item.remoteId === remoteId);
+        if (index >= 0) {
+            this[collection][index] = { ...this[collection][index], ...content };
+        } else {
+            this[collection].push(content);
+        }
+        this.remoteContent.delete(remoteId);
+
+        this.saveContent();
+        return { success: true, content: this.findContentById(remoteId) };
+    }
+
     // Content Discovery and Search
 
     searchContent(type, query, filters = {}) {
@@ -292,9 +443,22 @@ export class UserGeneratedContentManager {
         content.rating = content.ratings.reduce((sum, r) => sum + r.rating, 0) / content.ratings.length;
 
         this.saveContent();
+        if (content.remoteId && content.creatorId !== 'localPlayer') {
+            this.syncRating(content, Math.round(Math.max(1, Math.min(5, rating))));
+        }
         return { success: true, newRating: content.rating };
     }
 
+    // Best effort: the local rating stands if this fails
+    async syncRating(content, stars) {
+        const result = await this.api.rate(content.remoteId, stars);
+        if (!result || result.error) return;
+
+        content.rating = result.rating;
+        content.ratingCount = result.ratingCount;
+        this.saveContent();
+    }
+
     addContentReview(contentId, reviewData) {
         const content = this.findContentById(contentId);
         if (!content) return { success: false, reason: 'Content not found' };
@@ -315,12 +479,21 @@ export class UserGeneratedContentManager {
 
         content.reviews.push(review);
         this.saveContent();
+        if (content.remoteId && content.creatorId !== 'localPlayer') {
+            this.api.addReview(content.remoteId, {
+                rating: review.rating ? Math.round(Math.max(1, Math.min(5, review.rating))) : undefined,
+                title: review.title,
+                content: review.content
+            });
+        }
 
         return { success: true, review: review };
     }
 
     // Content Moderation
 
+    // Published content is queued on the server as well; its moderators work
+    // through the admin console, and the verdict comes back with the listing.
     submitForModeration(contentId) {
         const content = this.findContentById(contentId);
         if (!content) return { success: false, reason: 'Content not found' };
@@ -329,6 +502,10 @@ export class UserGeneratedContentManager {
             return { success: false, reason: 'Content already moderated' };
         }
 
+        if (!content.remoteId) {
+            this.publishContent(contentId);
+        }
+
         this.moderationQueue.push({
             contentId: contentId,
             type: this.getContentType(content),
@@ -392,10 +569,12 @@ export class UserGeneratedContentManager {
 
     // Utility Methods
 
+    // Local content by local or server id, then browsed server listings
     findContentById(contentId) {
-        return this.tracks.find(t => t.id === contentId) ||
-               this.vehicles.find(v => v.id === contentId) ||
-               this.decals.find(d => d.id === contentId);
+        return this.tracks.find(t => t.id === contentId || t.remoteId === contentId) ||
+               this.vehicles.find(v => v.id === contentId || v.remoteId === contentId) ||
+               this.decals.find(d => d.id === contentId || d.remoteId === contentId) ||
+               this.remoteContent.get(contentId);
     }
 
     getContentType(content) {
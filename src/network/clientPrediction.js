@@ -0,0 +1,150 @@
+// Client-side prediction for the local car. Inputs are applied immediately and
+// kept until the server acknowledges them; when an authoritative state arrives
+// the car is rewound to it and the unacknowledged inputs are replayed.
+export class ClientPrediction {
+    constructor(physicsManager, vehicleController) {
+        this.physicsManager = physicsManager;
+        this.vehicleController = vehicleController;
+        this.enabled = true;
+
+        // { input, state } - state is the chassis state after the input's step,
+        // filled in when the next input is recorded
+        this.pendingInputs = [];
+        this.maxPendingInputs = 180; // ~3s at 60 FPS
+        this.lastAckedSeq = 0;
+
+        this.correctionThreshold = 0.1; // m - ignore errors below this
+        this.snapThreshold = 5; // m - teleport instead of smoothing above this
+        this.smoothingRate = 10; // 1/s - how quickly the visual offset decays
+
+        // Visual-only offset that hides small corrections
+        this.renderOffset = { x: 0, y: 0, z: 0 };
+
+        this.stats = {
+            corrections: 0,
+            snaps: 0,
+            lastError: 0
+        };
+    }
+
+    getChassis() {
+        const vehicle = this.vehicleController.physicsVehicle;
+        return vehicle ? vehicle.chassisBody : null;
+    }
+
+    // Called for every input frame the controller applies
+    recordInput(input) {
+        const chassis = this.getChassis();
+        if (!this.enabled || !chassis) return;
+
+        // The world has just stepped with the previous input applied
+        const previous = this.pendingInputs[this.pendingInputs.length - 1];
+        if (previous && !previous.state) {
+            previous.state = this.physicsManager.getBodyState(chassis);
+        }
+
+        this.pendingInputs.push({ input, state: null });
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    // Latest input whose result is reflected in the current chassis state
+    getLastCompletedSeq() {
+        for (let i = this.pendingInputs.length - 1; i >= 0; i--) {
+            if (this.pendingInputs[i].state) return this.pendingInputs[i].input.seq;
+        }
+        return this.lastAckedSeq;
+    }
+
+    // serverState: { position, rotation, velocity } after input `ackSeq`
+    reconcile(serverState, ackSeq) {
+        const chassis = this.getChassis();
+        if (!this.enabled || !chassis || !serverState || !ackSeq || ackSeq <= this.lastAckedSeq) return null;
+
+        this.lastAckedSeq = ackSeq;
+        const acked = this.pendingInputs.find(entry => entry.input.seq === ackSeq);
+        this.pendingInputs = this.pendingInputs.filter(entry => entry.input.seq > ackSeq);
+
+        if (!acked || !acked.state) return null;
+
+        const error = this.distance(acked.state.position, serverState.position);
+        this.stats.lastError = error;
+        if (error < this.correctionThreshold) return { corrected: false, error };
+
+        const before = this.physicsManager.getBodyState(chassis);
+
+        // Rewind to the authoritative state and replay what the server hasn't seen
+        this.physicsManager.setBodyState(chassis, {
+            position: serverState.position,
+            quaternion: serverState.rotation && serverState.rotation.w !== undefined ? serverState.rotation : acked.state.quaternion,
+            velocity: serverState.velocity || acked.state.velocity,
+            angularVelocity: serverState.angularVelocity || acked.state.angularVelocity
+        });
+
+        const replayable = this.pendingInputs.filter(entry => entry.state);
+        const replayed = this.physicsManager.resimulateVehicle(
+            this.vehicleController.physicsVehicle,
+            replayable.map(entry => entry.input),
+            input => this.vehicleController.applyInput(input)
+        );
+        replayable.forEach((entry, index) => {
+            entry.state = replayed[index];
+        });
+
+        // Re-apply the in-flight input so the next live step uses it
+        const latest = this.pendingInputs[this.pendingInputs.length - 1];
+        if (latest && !latest.state) {
+            this.vehicleController.applyInput(latest.input);
+        }
+
+        const after = this.physicsManager.getBodyState(chassis);
+        const drift = this.distance(before.position, after.position);
+
+        if (drift > this.snapThreshold) {
+            this.renderOffset = { x: 0, y: 0, z: 0 };
+            this.stats.snaps++;
+        } else {
+            // Keep drawing the car where it was and let the offset decay
+            this.renderOffset.x += before.position.x - after.position.x;
+            this.renderOffset.y += before.position.y - after.position.y;
+            this.renderOffset.z += before.position.z - after.position.z;
+            this.stats.corrections++;
+        }
+
+        return { corrected: true, snapped: drift > this.snapThreshold, error, drift };
+    }
+
+    update(deltaTime) {
+        const decay = Math.exp(-this.smoothingRate * deltaTime);
+        this.renderOffset.x *= decay;
+        this.renderOffset.y *= decay;
+        this.renderOffset.z *= decay;
+    }
+
+    // Shift the rendered mesh by the remaining correction offset
+    applyRenderOffset(mesh) {
+        if (!mesh) return;
+        mesh.position.x += this.renderOffset.x;
+        mesh.position.y += this.renderOffset.y;
+        mesh.position.z += this.renderOffset.z;
+    }
+
+    reset() {
+        this.pendingInputs = [];
+        this.lastAckedSeq = 0;
+        this.renderOffset = { x: 0, y: 0, z: 0 };
+    }
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pendingInputs: this.pendingInputs.length,
+            lastAckedSeq: this.lastAckedSeq
+        };
+    }
+}
@@ -0,0 +1,100 @@
+// Client for the server's user-generated content: published tracks, vehicle
+// customizations and decals. Requests go out as the account logged in through
+// CloudSaveManager. Methods resolve to null when the player is offline, logged
+// out or the request never got an answer, and to { error, status } when the
+// server turned it down.
+export class ContentApi {
+    constructor(cloudSaveManager = null) {
+        this.cloudSaveManager = cloudSaveManager;
+    }
+
+    isAvailable() {
+        const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        return online && !!this.cloudSaveManager && !!this.cloudSaveManager.getAuthToken();
+    }
+
+    async request(url, options = {}) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const response = await this.cloudSaveManager.authorizedFetch(url, options);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                return { error: data.error || `Request failed (${response.status})`, status: response.status, contentId: data.contentId };
+            }
+            return data;
+        } catch (error) {
+            console.warn('Content request failed:', error);
+            return null;
+        }
+    }
+
+    send(url, method, body) {
+        return this.request(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+    }
+
+    contentUrl(contentId = null, suffix = '', params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, value);
+        });
+
+        const queryString = query.toString();
+        const path = contentId ? `/api/ugc/${encodeURIComponent(contentId)}${suffix}` : '/api/ugc';
+        return `${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    // type: 'track', 'vehicle' or 'decal'; data is the type's payload
+    async publish({ type, name, description, tags, data }) {
+        return this.send(this.contentUrl(), 'POST', { type, name, description, tags, data });
+    }
+
+    async update(contentId, changes) {
+        return this.send(this.contentUrl(contentId), 'PUT', changes);
+    }
+
+    async remove(contentId) {
+        return this.request(this.contentUrl(contentId), { method: 'DELETE' });
+    }
+
+    // sort: 'top', 'new', 'downloads' or 'trending'; tags: array, all must match
+    async search({ type, query, tags, creator, minRating, sort, page, pageSize } = {}) {
+        return this.request(this.contentUrl(null, '', {
+            type,
+            q: query,
+            tags: Array.isArray(tags) ? tags.join(',') : tags,
+            creator,
+            minRating,
+            sort,
+            page,
+            pageSize
+        }));
+    }
+
+    async fetchContent(contentId) {
+        return this.request(this.contentUrl(contentId));
+    }
+
+    // { content, data }; counts as a download
+    async download(contentId) {
+        return this.request(this.contentUrl(contentId, '/download'));
+    }
+
+    async rate(contentId, rating) {
+        return this.send(this.contentUrl(contentId, '/rating'), 'POST', { rating });
+    }
+
+    async addReview(contentId, { rating, title, content }) {
+        return this.send(this.contentUrl(contentId, '/reviews'), 'POST', { rating, title, content });
+    }
+
+    async fetchReviews(contentId, { page, pageSize } = {}) {
+        return this.request(this.contentUrl(contentId, '/reviews', { page, pageSize }));
+    }
+}
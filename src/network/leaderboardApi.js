@@ -0,0 +1,57 @@
+// Client for the server's global leaderboards. Requests go out as the account
+// logged in through CloudSaveManager; every method resolves to null when the
+// player is offline, logged out or the request fails, so callers can fall back
+// to their local boards.
+export class LeaderboardApi {
+    constructor(cloudSaveManager = null) {
+        this.cloudSaveManager = cloudSaveManager;
+    }
+
+    isAvailable() {
+        const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        return online && !!this.cloudSaveManager && !!this.cloudSaveManager.getAuthToken();
+    }
+
+    async request(url, options = {}) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const response = await this.cloudSaveManager.authorizedFetch(url, options);
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn('Leaderboard request failed:', error);
+            return null;
+        }
+    }
+
+    boardUrl(type, track, suffix = '', params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) query.set(key, value);
+        });
+
+        const queryString = query.toString();
+        return `/api/leaderboards/${encodeURIComponent(type)}/${encodeURIComponent(track)}${suffix}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    // type: 'lap' or 'race'; time in ms
+    async submit(type, track, { time, vehicle, position } = {}) {
+        return this.request(this.boardUrl(type, track), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ time, vehicle, position })
+        });
+    }
+
+    // timeframe: 'all', 'daily', 'weekly' or 'monthly'
+    async fetchLeaderboard(type, track, { vehicle, timeframe, page, pageSize } = {}) {
+        return this.request(this.boardUrl(type, track, '', { vehicle, timeframe, page, pageSize }));
+    }
+
+    async fetchAroundMe(type, track, { vehicle, timeframe, window } = {}) {
+        return this.request(this.boardUrl(type, track, '/around-me', { vehicle, timeframe, window }));
+    }
+}
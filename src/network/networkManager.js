@@ -1,4 +1,11 @@
 import { io } from 'socket.io-client';
+import {
+    WIRE_FORMAT_VERSION,
+    SnapshotDecoder,
+    isBinaryMessage,
+    encodePositionUpdate,
+    encodeInputFrames
+} from './wireFormat.js';
 
 export class NetworkManager {
     constructor(game) {
@@ -12,6 +19,7 @@ export class NetworkManager {
         this.raceStartTime = null;
         this.onGameStateUpdate = null;
         this.onPlayerUpdate = null;
+        this.onLocalStateUpdate = null; // Authoritative state of the local car, for reconciliation
         this.voiceChatCallback = null;
         this.lastPositionUpdate = 0;
         this.updateInterval = 1000 / 20; // 20 updates per second
@@ -28,6 +36,14 @@ export class NetworkManager {
         };
 
         this.matchmakingStatus = 'idle'; // idle, searching, found, joining
+        this.matchmakingInfo = null; // { waitTime, mmrRange, queueSize, estimatedWaitTime }
+
+        // Private lobby state (joinCode, hostId, settings, players)
+        this.lobby = null;
+
+        // Issued at roomJoined; lets a dropped connection rejoin the same room
+        this.sessionToken = null;
+        this.resumingSession = false;
 
         // Advanced networking features
         this.networkMode = 'server_authoritative'; // 'server_authoritative', 'peer_to_peer', 'hybrid'
@@ -42,9 +58,39 @@ export class NetworkManager {
             }
         };
 
+        // Jitter buffer of server world snapshots. Remote vehicles are rendered
+        // syncModel.interpolationBuffer ms behind the server clock.
+        this.snapshotBuffer = [];
+        this.maxSnapshotBuffer = 32;
+        this.serverTimeOffset = null; // Estimated server clock minus local clock (ms)
+        this.serverPing = null; // Round-trip time measured by the server (ms)
+        this.spectating = null; // { roomId, delay, focusPlayerId } while watching a race
+        this.spectatableRooms = [];
+        this.chatMessages = []; // Current room's chat, oldest first
+        this.maxChatMessages = 50;
+        this.mutedUsers = new Set(); // Accounts muted for this session; blocks live in SocialManager
+        this.party = null; // { partyId, leaderId, maxSize, members, pendingInvites } from the server
+        this.partyInvites = []; // { partyId, from, memberCount, expiresAt }
+        this.friendsList = null; // { friends, incoming, outgoing } from the server
+        this.unreadMessages = { total: 0, conversations: {} }; // Unread direct messages by sender
+        this.presenceHidden = false; // Appear offline to friends
+        this.maxExtrapolation = 250; // ms of dead reckoning before holding position
+
         // Message queues for reliable/unreliable delivery
         this.reliableMessages = [];
         this.unreliableMessages = [];
+        this.messageLogWindow = 1000; // ms of sent messages kept for bandwidth estimates
+        this.bandwidthLog = []; // { timestamp, bytes } of everything sent
+
+        // Compact binary state updates (see wireFormat.js). Offered at connect and
+        // used once the server answers with a binary snapshot.
+        this.binaryWireFormat = true;
+        this.binaryNegotiated = false;
+        this.snapshotDecoder = new SnapshotDecoder();
+
+        // Inputs are resent a few frames at a time so a dropped packet loses nothing
+        this.recentInputs = [];
+        this.inputRedundancy = 3;
 
         // Anti-cheat
         this.antiCheat = {
@@ -68,30 +114,148 @@ export class NetworkManager {
         };
     }
 
+    getAuthToken() {
+        const cloudSaveManager = this.game && this.game.cloudSaveManager;
+        return cloudSaveManager ? cloudSaveManager.getAuthToken() : null;
+    }
+
+    getUserId() {
+        const cloudSaveManager = this.game && this.game.cloudSaveManager;
+        return cloudSaveManager ? cloudSaveManager.userId : null;
+    }
+
     connect(serverUrl = 'http://localhost:3001') {
         if (this.socket) {
             this.socket.disconnect();
         }
 
-        this.socket = io(serverUrl);
+        this.socket = io(serverUrl, {
+            // Read on every (re)connect so a refreshed session token is picked up
+            auth: (callback) => callback({
+                token: this.getAuthToken(),
+                presenceHidden: this.presenceHidden,
+                ...(this.binaryWireFormat ? { wireFormat: WIRE_FORMAT_VERSION } : {})
+            })
+        });
+
+        // The server turns away handshakes without a valid session token
+        this.socket.on('connect_error', (error) => {
+            if (error.message !== 'Authentication required') return;
+
+            console.warn('Server requires a logged-in account');
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('authRequired');
+            }
+        });
 
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.isConnected = true;
             this.localPlayerId = this.socket.id;
+            this.binaryNegotiated = false;
+            this.snapshotDecoder.reset();
+            this.syncChatFilters();
+
+            if (this.resumingSession && this.sessionToken) {
+                console.log('Resuming session in room:', this.currentRoom);
+                this.socket.emit('resumeSession', { sessionToken: this.sessionToken });
+            }
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from server');
             this.isConnected = false;
+
+            // Hold on to an active race so the automatic reconnect can resume it
+            const intentional = reason === 'io client disconnect' || reason === 'io server disconnect';
+            if (!intentional && this.sessionToken && this.currentRoom && ['countdown', 'racing'].includes(this.gameState)) {
+                this.resumingSession = true;
+                return;
+            }
+
             this.currentRoom = null;
+            this.lobby = null;
+            this.sessionToken = null;
             this.gameState = 'menu';
         });
 
+        this.socket.on('sessionResumed', (data) => {
+            console.log('Session resumed in room:', data.roomId);
+            this.resumingSession = false;
+            this.currentRoom = data.roomId;
+            this.gameState = data.gameState;
+            this.snapshotBuffer = [];
+            this.raceStartTime = data.startTime;
+
+            this.players.clear();
+            data.players.forEach(playerData => {
+                this.players.set(playerData.id, playerData);
+            });
+
+            if (data.player) {
+                this.raceData.currentLap = data.player.lap;
+                this.raceData.checkpoint = data.player.checkpoint;
+                this.raceData.finished = data.player.finished;
+            }
+            this.raceData.totalLaps = data.totalLaps || this.raceData.totalLaps;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('sessionResumed', data);
+            }
+        });
+
+        this.socket.on('sessionExpired', () => {
+            console.log('Session expired, returning to menu');
+            this.resumingSession = false;
+            this.sessionToken = null;
+            this.resetLobbyState();
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('sessionExpired');
+            }
+        });
+
+        this.socket.on('playerReconnected', (data) => {
+            const player = this.players.get(data.previousId);
+            if (player) {
+                this.players.delete(data.previousId);
+                player.id = data.playerId;
+                player.disconnected = false;
+                this.players.set(data.playerId, player);
+            }
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('playerReconnected', data);
+            }
+        });
+
+        this.socket.on('playerTimedOut', (data) => {
+            const player = this.players.get(data.playerId);
+            if (player) {
+                player.timedOut = true;
+            }
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('playerTimedOut', data);
+            }
+        });
+
         this.socket.on('roomJoined', (data) => {
             console.log('Joined room:', data.roomId);
+            // Joining a room as a racer ends any spectating on the server
+            this.spectating = null;
+            this.clearRoomState();
             this.currentRoom = data.roomId;
             this.gameState = 'waiting';
+            this.matchmakingStatus = 'idle';
+            this.sessionToken = data.sessionToken || null;
+            this.lobby = data.joinCode ? {
+                roomId: data.roomId,
+                joinCode: data.joinCode,
+                hostId: data.hostId,
+                settings: data.settings,
+                players: data.players
+            } : null;
 
             // Update players
             this.players.clear();
@@ -108,6 +272,7 @@ export class NetworkManager {
             console.log('Race starting...');
             this.gameState = 'countdown';
             this.raceStartTime = data.startTime;
+            this.raceData.totalLaps = data.totalLaps || this.raceData.totalLaps;
 
             // Update players
             data.players.forEach(playerData => {
@@ -130,6 +295,21 @@ export class NetworkManager {
             }
         });
 
+        this.socket.on('worldSnapshot', (data) => {
+            if (!isBinaryMessage(data)) {
+                this.handleWorldSnapshot(data);
+                return;
+            }
+
+            try {
+                this.handleWorldSnapshot(this.snapshotDecoder.decode(data));
+                this.binaryNegotiated = true;
+            } catch (error) {
+                // Dropped: the server resends in full once our ack falls out of its history
+                console.warn('Could not decode world snapshot:', error.message);
+            }
+        });
+
         this.socket.on('playerUpdate', (data) => {
             if (this.players.has(data.playerId)) {
                 Object.assign(this.players.get(data.playerId), data);
@@ -147,6 +327,15 @@ export class NetworkManager {
                 player.checkpoint = data.checkpoint;
             }
 
+            // Lap progress is decided by the server
+            if (this.isLocalPlayer(data.playerId)) {
+                this.raceData.currentLap = data.lap;
+                this.raceData.checkpoint = data.checkpoint;
+                if (data.lapTime !== undefined) {
+                    this.raceData.lapTimes.push(data.lapTime);
+                }
+            }
+
             if (this.onGameStateUpdate) {
                 this.onGameStateUpdate('lapUpdate', data);
             }
@@ -161,6 +350,230 @@ export class NetworkManager {
             }
         });
 
+        // Private lobby events
+        this.socket.on('lobbyUpdate', (data) => {
+            this.lobby = data;
+
+            this.players.clear();
+            data.players.forEach(playerData => {
+                this.players.set(playerData.id, playerData);
+            });
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('lobbyUpdate', data);
+            }
+        });
+
+        this.socket.on('lobbyError', (data) => {
+            console.warn('Lobby error:', data.error);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('lobbyError', data);
+            }
+        });
+
+        this.socket.on('kickedFromLobby', (data) => {
+            console.log('Kicked from lobby');
+            this.resetLobbyState();
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('kickedFromLobby', data);
+            }
+        });
+
+        // Server anti-cheat strike. Rubber-banding arrives through snapshots;
+        // a kick or ban ends the session, so there is nothing to resume.
+        this.socket.on('cheatDetected', (data) => {
+            console.warn(`Anti-cheat strike (${data.reason}): ${data.action}`);
+
+            if (data.action === 'kick' || data.action === 'ban') {
+                this.sessionToken = null;
+                this.resumingSession = false;
+            }
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('cheatDetected', data);
+            }
+        });
+
+        // Operator kicks and bans, which also end the session
+        this.socket.on('kicked', (data) => {
+            console.warn(`Removed by the server (${data.reason}): ${data.action}`);
+            this.sessionToken = null;
+            this.resumingSession = false;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('kicked', data);
+            }
+        });
+
+        this.socket.on('serverMessage', (data) => {
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('serverMessage', data);
+            }
+        });
+
+        // The server measures round-trip time from the acknowledgement and
+        // reports the previous measurement with each ping
+        this.socket.on('latencyPing', (data, ack) => {
+            this.serverPing = data.ping;
+            if (typeof ack === 'function') ack();
+        });
+
+        // Spectating. Snapshots and race events arrive through one delayed
+        // feed, so none of the racer handlers above run for a spectator.
+        this.socket.on('spectatableRooms', (data) => {
+            this.spectatableRooms = data.rooms;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('spectatableRooms', data);
+            }
+        });
+
+        this.socket.on('spectateJoined', (data) => {
+            console.log(`Spectating ${data.roomId} with a ${data.delay}ms delay`);
+            this.clearRoomState();
+            this.spectating = { roomId: data.roomId, delay: data.delay, focusPlayerId: data.focusPlayerId };
+            this.currentRoom = data.roomId;
+            this.gameState = 'spectating';
+            this.raceStartTime = data.startTime;
+            data.players.forEach(playerData => {
+                this.players.set(playerData.id, playerData);
+            });
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('spectateJoined', data);
+            }
+        });
+
+        this.socket.on('spectatorFeed', (entries) => {
+            entries.forEach(entry => this.handleSpectatorEvent(entry));
+        });
+
+        this.socket.on('spectateError', (data) => {
+            console.warn('Spectating failed:', data.error);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('spectateError', data);
+            }
+        });
+
+        this.socket.on('spectateEnded', (data) => {
+            this.leaveSpectating();
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('spectateEnded', data);
+            }
+        });
+
+        // Room chat. History arrives after roomJoined and sessionResumed; the
+        // server has already dropped blocked and muted senders.
+        this.socket.on('chatHistory', (data) => {
+            if (data.roomId !== this.currentRoom) return;
+            this.chatMessages = data.messages;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('chatHistory', data);
+            }
+        });
+
+        this.socket.on('chatMessage', (message) => {
+            if (message.roomId !== this.currentRoom) return;
+            this.chatMessages.push(message);
+            if (this.chatMessages.length > this.maxChatMessages) {
+                this.chatMessages.shift();
+            }
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('chatMessage', message);
+            }
+        });
+
+        this.socket.on('chatError', (data) => {
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('chatError', data);
+            }
+        });
+
+        // Parties. The server sends the whole party on every change and keeps
+        // it across reconnects, so partyUpdate also arrives after connecting.
+        this.socket.on('partyUpdate', (data) => {
+            this.party = data;
+            this.partyInvites = this.partyInvites.filter(invite => invite.partyId !== data.partyId);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('partyUpdate', data);
+            }
+        });
+
+        this.socket.on('partyInvite', (data) => {
+            this.partyInvites = this.partyInvites.filter(invite => invite.partyId !== data.partyId);
+            this.partyInvites.push(data);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('partyInvite', data);
+            }
+        });
+
+        this.socket.on('partyLeft', (data) => {
+            this.party = null;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('partyLeft', data);
+            }
+        });
+
+        this.socket.on('partyError', (data) => {
+            console.warn('Party error:', data.error);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('partyError', data);
+            }
+        });
+
+        // Friends and direct messages. friendsList and unreadMessages also
+        // arrive after connecting; SocialManager and SocialHub keep the rest.
+        this.socket.on('friendsList', (data) => {
+            this.friendsList = data;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('friendsList', data);
+            }
+        });
+
+        this.socket.on('friendPresence', (data) => {
+            const friend = this.friendsList && this.friendsList.friends.find(candidate => candidate.userId === data.userId);
+            if (friend) friend.presence = data.presence;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('friendPresence', data);
+            }
+        });
+
+        this.socket.on('unreadMessages', (data) => {
+            this.unreadMessages = data;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('unreadMessages', data);
+            }
+        });
+
+        ['friendRequest', 'directMessage', 'directMessages'].forEach(event => {
+            this.socket.on(event, (data) => {
+                if (this.onGameStateUpdate) {
+                    this.onGameStateUpdate(event, data);
+                }
+            });
+        });
+
+        this.socket.on('socialError', (data) => {
+            console.warn('Social error:', data.error);
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('socialError', data);
+            }
+        });
+
         // Voice chat events
         this.socket.on('voiceOffer', (data) => {
             if (this.voiceChatCallback) {
@@ -197,6 +610,8 @@ export class NetworkManager {
                 this.voiceChatCallback('playerLeft', data);
             }
         });
+
+        this.setupMultiplayerEventHandlers();
     }
 
     joinMatchmaking(playerData = {}) {
@@ -213,19 +628,118 @@ export class NetworkManager {
         });
     }
 
-    updatePosition(position, rotation, velocity) {
+    // Private lobby methods
+    createLobby(settings = {}, playerData = {}) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('createLobby', { settings, playerData });
+        return true;
+    }
+
+    joinLobby(joinCode, playerData = {}) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('joinLobby', { joinCode, playerData });
+        return true;
+    }
+
+    // Host only: { track, gameMode, totalLaps, aiFill }
+    updateLobbySettings(settings) {
+        if (!this.socket || !this.isConnected || !this.isLobbyHost()) return false;
+
+        this.socket.emit('updateLobbySettings', settings);
+        return true;
+    }
+
+    setReady(ready = true) {
+        if (!this.socket || !this.isConnected || !this.lobby) return false;
+
+        this.socket.emit('setReady', { ready });
+        return true;
+    }
+
+    kickPlayer(playerId) {
+        if (!this.socket || !this.isConnected || !this.isLobbyHost()) return false;
+
+        this.socket.emit('kickPlayer', { playerId });
+        return true;
+    }
+
+    startLobbyRace() {
+        if (!this.socket || !this.isConnected || !this.isLobbyHost()) return false;
+
+        this.socket.emit('startLobbyRace');
+        return true;
+    }
+
+    leaveLobby() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('leaveLobby');
+        }
+        this.resetLobbyState();
+    }
+
+    resetLobbyState() {
+        this.lobby = null;
+        this.currentRoom = null;
+        this.chatMessages = [];
+        this.players.clear();
+        this.gameState = 'menu';
+    }
+
+    isLobbyHost() {
+        return !!this.lobby && this.lobby.hostId === this.localPlayerId;
+    }
+
+    getLobby() {
+        return this.lobby;
+    }
+
+    // inputSeq: last input frame whose result this position reflects
+    updatePosition(position, rotation, velocity, inputSeq = null) {
         if (!this.isConnected || this.gameState !== 'racing') return;
 
         const now = Date.now();
         if (now - this.lastPositionUpdate < this.updateInterval) return;
 
         this.lastPositionUpdate = now;
+        this.emitPositionUpdate({ position, rotation, velocity, inputSeq });
+    }
 
-        this.socket.emit('updatePosition', {
-            position: position,
-            rotation: rotation,
-            velocity: velocity
-        });
+    // Binary once negotiated (acknowledging the latest snapshot), JSON otherwise
+    emitPositionUpdate(update) {
+        if (this.binaryNegotiated && update.rotation && update.rotation.w !== undefined) {
+            const message = encodePositionUpdate({ ...update, snapshotAck: this.snapshotDecoder.getLatestSeq() });
+            this.socket.emit('updatePosition', message);
+            this.recordSentBytes(message.byteLength);
+            return;
+        }
+
+        this.socket.emit('updatePosition', update);
+        this.recordSentBytes(JSON.stringify(update).length);
+    }
+
+    // Send a sequenced input frame from VehicleController
+    sendInputFrame(input) {
+        if (!this.isConnected || this.gameState !== 'racing') return;
+
+        this.recentInputs.push(input);
+        if (this.recentInputs.length > this.inputRedundancy) {
+            this.recentInputs.shift();
+        }
+
+        if (this.binaryNegotiated) {
+            const message = encodeInputFrames(this.recentInputs);
+            this.socket.emit('unreliableMessage', message);
+            this.recordSentBytes(message.byteLength);
+            return;
+        }
+
+        this.sendUnreliableMessage('input', { inputs: this.recentInputs.slice() });
+    }
+
+    setLocalStateCallback(callback) {
+        this.onLocalStateUpdate = callback;
     }
 
 
@@ -262,21 +776,42 @@ export class NetworkManager {
         this.socket.emit('startMatchmaking', {
             gameMode,
             region,
-            playerData: {
-                name: 'Player', // Could be customizable
-                level: this.game.progressionManager ? this.game.progressionManager.getPlayerData().level : 1,
-                vehicle: this.game.currentVehicleType || 'sports_car'
-            }
+            playerData: this.getMatchmakingPlayerData()
         });
 
         return true;
     }
 
+    getMatchmakingPlayerData() {
+        return {
+            name: 'Player', // Could be customizable
+            level: this.game.progressionManager ? this.game.progressionManager.getPlayerData().level : 1,
+            vehicle: this.game.currentVehicleType || 'sports_car',
+            ...this.getMatchmakingRating()
+        };
+    }
+
+    getMatchmakingRating() {
+        const rankingManager = this.game && this.game.rankingManager;
+        if (!rankingManager) return {};
+
+        const range = rankingManager.getMatchmakingRange();
+        return {
+            mmr: rankingManager.playerMMR,
+            mmrRange: (range.maxMMR - range.minMMR) / 2
+        };
+    }
+
+    getMatchmakingInfo() {
+        return this.matchmakingInfo;
+    }
+
     cancelMatchmaking() {
         if (this.socket && this.isConnected) {
             this.socket.emit('cancelMatchmaking');
         }
         this.matchmakingStatus = 'idle';
+        this.matchmakingInfo = null;
         console.log('Matchmaking cancelled');
     }
 
@@ -313,6 +848,12 @@ export class NetworkManager {
 
         this.lastPositionUpdate = now;
 
+        // Race progress is tracked by the server, so the compact form only carries the car state
+        if (this.binaryNegotiated && rotation.w !== undefined) {
+            this.emitPositionUpdate({ position, rotation, velocity });
+            return;
+        }
+
         this.socket.emit('positionUpdate', {
             position: {
                 x: position.x,
@@ -346,10 +887,7 @@ export class NetworkManager {
             timestamp: Date.now()
         });
 
-        // Update local race data
-        this.raceData.lapTimes.push(lapTime);
-        this.raceData.currentLap = lap + 1;
-        this.raceData.checkpoint = checkpoint;
+        // Local race data is updated from the server's lapUpdate
     }
 
     sendRaceFinished(finalPosition, totalTime, stats) {
@@ -368,22 +906,265 @@ export class NetworkManager {
         this.raceData.position = finalPosition;
     }
 
-    // Spectate another player
-    spectatePlayer(playerId) {
+    // Spectating: ask for the public races under way, then watch one of them
+    // or whichever race a player is in. delay (ms) can only lengthen the
+    // server's minimum; the answer arrives as spectateJoined or spectateError.
+    requestSpectatableRooms() {
         if (!this.socket || !this.isConnected) return false;
 
-        const player = this.players.get(playerId);
-        if (!player) return false;
+        this.socket.emit('listSpectatableRooms');
+        return true;
+    }
+
+    spectateRoom(roomId, { joinCode, delay } = {}) {
+        if (!this.socket || !this.isConnected) return false;
 
-        this.socket.emit('spectatePlayer', { playerId });
-        console.log(`Now spectating ${player.name}`);
+        this.socket.emit('spectateRoom', joinCode ? { joinCode, delay } : { roomId, delay });
+        return true;
+    }
+
+    spectatePlayer(playerId, { delay } = {}) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('spectatePlayer', { playerId, delay });
         return true;
     }
 
     stopSpectating() {
+        if (!this.spectating) return;
+
         if (this.socket && this.isConnected) {
             this.socket.emit('stopSpectating');
         }
+        this.leaveSpectating();
+    }
+
+    leaveSpectating() {
+        this.spectating = null;
+        this.clearRoomState();
+        if (this.gameState === 'spectating') {
+            this.gameState = 'menu';
+        }
+    }
+
+    // Parties. Only the leader invites and queues; startMatchmaking from the
+    // leader takes the whole party into the same race.
+    createParty() {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('createParty', { playerData: this.getMatchmakingPlayerData() });
+        return true;
+    }
+
+    // target: { userId } or { username }
+    inviteToParty(target) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('inviteToParty', target);
+        return true;
+    }
+
+    acceptPartyInvite(partyId) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('acceptPartyInvite', { partyId, playerData: this.getMatchmakingPlayerData() });
+        this.partyInvites = this.partyInvites.filter(invite => invite.partyId !== partyId);
+        return true;
+    }
+
+    declinePartyInvite(partyId) {
+        this.partyInvites = this.partyInvites.filter(invite => invite.partyId !== partyId);
+        if (this.socket && this.isConnected) {
+            this.socket.emit('declinePartyInvite', { partyId });
+        }
+    }
+
+    // Call after changing vehicle so the leader queues with the right car
+    updatePartyPlayerData() {
+        if (!this.party || !this.socket || !this.isConnected) return;
+
+        this.socket.emit('setPartyPlayerData', { playerData: this.getMatchmakingPlayerData() });
+    }
+
+    leaveParty() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('leaveParty');
+        }
+        this.party = null;
+    }
+
+    kickFromParty(userId) {
+        if (!this.isPartyLeader()) return false;
+
+        this.socket.emit('kickFromParty', { userId });
+        return true;
+    }
+
+    isPartyLeader() {
+        return !!this.party && this.party.leaderId === this.getUserId();
+    }
+
+    getParty() {
+        return this.party;
+    }
+
+    // Friends and direct messages, all keyed by account userId. Replies come
+    // back as friendsList, directMessage and unreadMessages, or socialError.
+    // target: { userId } or { username }
+    sendFriendRequest(target) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('sendFriendRequest', target);
+        return true;
+    }
+
+    respondToFriendRequest(userId, accept) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('respondFriendRequest', { userId, accept });
+        return true;
+    }
+
+    // Also withdraws a pending request either way
+    removeFriend(userId) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('removeFriend', { userId });
+        return true;
+    }
+
+    sendDirectMessage(userId, text) {
+        if (!this.socket || !this.isConnected) return false;
+        if (typeof text !== 'string' || !text.trim()) return false;
+
+        this.socket.emit('sendDirectMessage', { userId, text });
+        return true;
+    }
+
+    // A page of the conversation older than `before` (ms), answered with directMessages
+    requestDirectMessages(userId, { before, limit } = {}) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('getDirectMessages', { userId, before, limit });
+        return true;
+    }
+
+    markMessagesRead(userId) {
+        if (!this.socket || !this.isConnected) return false;
+
+        this.socket.emit('markMessagesRead', { userId });
+        return true;
+    }
+
+    getFriendsList() {
+        return this.friendsList;
+    }
+
+    getUnreadMessages() {
+        return this.unreadMessages;
+    }
+
+    // Kept across reconnects; the handshake carries it so friends never see a flicker
+    setPresenceHidden(hidden) {
+        this.presenceHidden = hidden;
+        if (this.socket && this.isConnected) {
+            this.socket.emit('setPresenceHidden', { hidden });
+        }
+    }
+
+    // Room chat. Messages are relayed to everyone in the room, so sending
+    // works in any room state; the reply is chatMessage or chatError.
+    sendChatMessage(text) {
+        if (!this.socket || !this.isConnected || !this.currentRoom) return false;
+        if (typeof text !== 'string' || !text.trim()) return false;
+
+        this.socket.emit('sendChatMessage', { text });
+        return true;
+    }
+
+    getChatMessages() {
+        return this.chatMessages;
+    }
+
+    mutePlayer(userId, muted = true) {
+        if (muted) {
+            this.mutedUsers.add(userId);
+            this.chatMessages = this.chatMessages.filter(message => message.userId !== userId);
+        } else {
+            this.mutedUsers.delete(userId);
+        }
+
+        if (this.socket && this.isConnected) {
+            this.socket.emit('mutePlayer', { userId, muted });
+        }
+    }
+
+    isPlayerMuted(userId) {
+        return this.mutedUsers.has(userId);
+    }
+
+    // Blocking goes through the social block list, which the server also honors
+    blockPlayer(userId) {
+        if (!this.game || !this.game.socialManager) return false;
+
+        // SocialManager sends the new block list with syncChatFilters
+        this.game.socialManager.blockUser(userId);
+        this.chatMessages = this.chatMessages.filter(message => message.userId !== userId);
+        return true;
+    }
+
+    // The server forgets blocks and mutes with the connection, so they are sent on every connect
+    syncChatFilters() {
+        if (!this.socket || !this.isConnected) return;
+
+        const blockedUsers = this.game && this.game.socialManager ? this.game.socialManager.blockedUsers : [];
+        this.socket.emit('setBlockedUsers', { userIds: blockedUsers.slice(0, 500) });
+        this.mutedUsers.forEach(userId => this.socket.emit('mutePlayer', { userId, muted: true }));
+    }
+
+    clearRoomState() {
+        this.currentRoom = null;
+        this.chatMessages = [];
+        this.snapshotBuffer = [];
+        this.serverTimeOffset = null;
+        this.players.clear();
+        if (this.game && this.game.sceneManager) {
+            this.game.sceneManager.clearRemoteVehicles();
+        }
+    }
+
+    handleSpectatorEvent({ event, data }) {
+        switch (event) {
+            case 'worldSnapshot':
+                this.handleWorldSnapshot(data);
+                return;
+            case 'raceStart':
+                this.raceStartTime = data.startTime;
+                data.players.forEach(playerData => {
+                    this.players.set(playerData.id, { ...this.players.get(playerData.id), ...playerData });
+                });
+                break;
+            case 'lapUpdate': {
+                const player = this.players.get(data.playerId);
+                if (player) {
+                    player.lap = data.lap;
+                    player.checkpoint = data.checkpoint;
+                }
+                break;
+            }
+            case 'playerFinished': {
+                const player = this.players.get(data.playerId);
+                if (player) {
+                    player.finished = true;
+                    player.finishPosition = data.finalPosition;
+                }
+                break;
+            }
+        }
+
+        if (this.onGameStateUpdate) {
+            this.onGameStateUpdate('spectatorEvent', { event, data });
+        }
     }
 
     // Get race leaderboard
@@ -447,21 +1228,55 @@ export class NetworkManager {
         if (!this.socket) return;
 
         // Matchmaking events
-        this.socket.on('matchmakingStarted', () => {
+        this.socket.on('matchmakingStarted', (data) => {
             console.log('Matchmaking started');
+            if (this.spectating) {
+                this.leaveSpectating();
+            }
+            // The server took us out of any room; a party leader may have started this
+            if (this.currentRoom) {
+                this.clearRoomState();
+                this.lobby = null;
+            }
+            this.gameState = 'matchmaking';
             this.matchmakingStatus = 'searching';
+            this.matchmakingInfo = data;
         });
 
-        this.socket.on('matchmakingCancelled', () => {
+        this.socket.on('matchmakingStatus', (data) => {
+            this.matchmakingInfo = data;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('matchmakingStatus', data);
+            }
+        });
+
+        this.socket.on('matchmakingError', (data) => {
+            console.warn('Matchmaking error:', data.error);
+            this.matchmakingStatus = 'idle';
+            this.matchmakingInfo = null;
+        });
+
+        // Also sent when a party member cancels, leaves or disconnects
+        this.socket.on('matchmakingCancelled', (data = {}) => {
             console.log('Matchmaking cancelled');
             this.matchmakingStatus = 'idle';
+            this.matchmakingInfo = null;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('matchmakingCancelled', data);
+            }
         });
 
         this.socket.on('matchFound', (data) => {
             console.log('Match found!', data);
-            this.matchmakingStatus = 'found';
-            // Auto-join the race
-            this.joinRace(data.raceId);
+            // The server seats matched players itself; roomJoined follows
+            this.matchmakingStatus = 'joining';
+            this.matchmakingInfo = null;
+
+            if (this.onGameStateUpdate) {
+                this.onGameStateUpdate('matchFound', data);
+            }
         });
 
         // Race events
@@ -542,13 +1357,10 @@ export class NetworkManager {
 
     // Visual representation updates for multiplayer
     updatePlayerVisual(playerId, data) {
-        void(data); // Parameter kept for future use
-        // This would update the 3D representation of other players
-        // For now, just log the update
-        if (playerId !== this.localPlayerId) {
-            // Update remote player position/rotation
-            // This would be implemented with the scene manager
-        }
+        const sceneManager = this.game && this.game.sceneManager;
+        if (playerId === this.localPlayerId || !sceneManager || !data.position) return;
+
+        sceneManager.updateRemoteVehicle(playerId, data);
     }
 
     disconnect() {
@@ -557,8 +1369,10 @@ export class NetworkManager {
             this.socket = null;
         }
         this.isConnected = false;
-        this.currentRoom = null;
-        this.players.clear();
+        this.sessionToken = null;
+        this.resumingSession = false;
+        this.spectating = null;
+        this.clearRoomState();
         this.gameState = 'menu';
     }
 
@@ -626,6 +1440,8 @@ export class NetworkManager {
         }
 
         this.reliableMessages.push(message);
+        this.pruneMessageLog(this.reliableMessages);
+        this.recordSentBytes(JSON.stringify(message).length);
     }
 
     sendUnreliableMessage(type, payload) {
@@ -645,6 +1461,21 @@ export class NetworkManager {
         }
 
         this.unreliableMessages.push(message);
+        this.pruneMessageLog(this.unreliableMessages);
+        this.recordSentBytes(JSON.stringify(message).length);
+    }
+
+    recordSentBytes(bytes) {
+        this.bandwidthLog.push({ timestamp: Date.now(), bytes });
+        this.pruneMessageLog(this.bandwidthLog);
+    }
+
+    // Only the last second is used for bandwidth estimates
+    pruneMessageLog(log) {
+        const cutoff = Date.now() - this.messageLogWindow;
+        while (log.length > 0 && log[0].timestamp < cutoff) {
+            log.shift();
+        }
     }
 
     generateMessageSignature(payload) {
@@ -714,28 +1545,158 @@ export class NetworkManager {
         console.log('KD-tree partitioning not yet implemented');
     }
 
-    // Dead reckoning for smooth movement prediction
-    applyDeadReckoning(playerId, serverState) {
-        const player = this.players.get(playerId);
-        if (!player) return;
+    // Snapshot interpolation
+    setInterpolationDelay(delayMs) {
+        this.syncModel.interpolationBuffer = Math.max(0, delayMs);
+    }
 
-        const now = Date.now();
-        const timeSinceUpdate = now - (serverState.timestamp || now);
+    handleWorldSnapshot(snapshot) {
+        const buffer = this.snapshotBuffer;
+        if (buffer.some(existing => existing.seq === snapshot.seq)) return;
+
+        // Keep the buffer ordered by sequence even if packets arrive out of order
+        let index = buffer.length;
+        while (index > 0 && buffer[index - 1].seq > snapshot.seq) index--;
+        buffer.splice(index, 0, snapshot);
+        if (buffer.length > this.maxSnapshotBuffer) {
+            buffer.splice(0, buffer.length - this.maxSnapshotBuffer);
+        }
 
-        if (timeSinceUpdate < this.syncModel.interpolationBuffer) {
-            // Interpolate between last known state and predicted state
-            const velocity = serverState.velocity;
-            if (velocity) {
-                const predictedPosition = {
-                    x: serverState.position.x + velocity.x * (timeSinceUpdate / 1000),
-                    y: serverState.position.y + velocity.y * (timeSinceUpdate / 1000),
-                    z: serverState.position.z + velocity.z * (timeSinceUpdate / 1000)
-                };
+        // Smooth the clock offset so a single delayed packet doesn't shift playback
+        const offset = snapshot.serverTime - Date.now();
+        this.serverTimeOffset = this.serverTimeOffset === null ? offset : this.serverTimeOffset * 0.9 + offset * 0.1;
 
-                player.predictedPosition = predictedPosition;
-                player.lastServerUpdate = serverState;
+        snapshot.players.forEach(state => {
+            if (state.id === this.localPlayerId && this.onLocalStateUpdate) {
+                this.onLocalStateUpdate(state);
+            }
+
+            const player = this.players.get(state.id);
+            if (player) {
+                player.lap = state.lap;
+                player.checkpoint = state.checkpoint;
+                player.finished = state.finished;
+                player.disconnected = state.disconnected;
             }
+        });
+    }
+
+    getServerTime(now = Date.now()) {
+        return now + (this.serverTimeOffset || 0);
+    }
+
+    // Interpolated state of a remote player at the delayed render time
+    getInterpolatedState(playerId, now = Date.now()) {
+        const buffer = this.snapshotBuffer;
+        if (buffer.length === 0) return null;
+
+        const renderTime = this.getServerTime(now) - this.syncModel.interpolationBuffer;
+
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const older = buffer[i - 1];
+            const newer = buffer[i];
+            if (older.serverTime > renderTime || newer.serverTime < renderTime) continue;
+
+            const from = older.players.find(p => p.id === playerId);
+            const to = newer.players.find(p => p.id === playerId);
+            if (!from || !to) break;
+
+            const span = newer.serverTime - older.serverTime;
+            const t = span > 0 ? (renderTime - older.serverTime) / span : 1;
+            return {
+                position: this.lerpVector(from.position, to.position, t),
+                rotation: this.slerpQuaternion(from.rotation, to.rotation, t),
+                velocity: to.velocity,
+                interpolated: true
+            };
+        }
+
+        // Find the latest snapshot that has this player
+        let latest = null;
+        let latestState = null;
+        for (let i = buffer.length - 1; i >= 0 && !latestState; i--) {
+            latest = buffer[i];
+            latestState = latest.players.find(p => p.id === playerId);
+        }
+        if (!latestState) return null;
+
+        // Render time is before the buffered range (just joined) - hold the known state
+        if (renderTime <= latest.serverTime) {
+            return { position: latestState.position, rotation: latestState.rotation, velocity: latestState.velocity };
         }
+
+        // Snapshots are late: extrapolate from the newest one
+        return this.applyDeadReckoning(playerId, { ...latestState, timestamp: latest.serverTime }, renderTime - latest.serverTime);
+    }
+
+    updateRemotePlayers(now = Date.now()) {
+        this.players.forEach((player, playerId) => {
+            if (playerId === this.localPlayerId) return;
+
+            const state = this.getInterpolatedState(playerId, now);
+            if (!state) return;
+
+            player.renderState = state;
+            this.updatePlayerVisual(playerId, state);
+
+            if (this.onPlayerUpdate) {
+                this.onPlayerUpdate({ playerId, ...state });
+            }
+        });
+    }
+
+    lerpVector(a, b, t) {
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t
+        };
+    }
+
+    // Normalized lerp along the shortest arc; close enough to slerp at tick rates
+    slerpQuaternion(a, b, t) {
+        const aw = a.w ?? 1;
+        let bw = b.w ?? 1;
+        let { x: bx, y: by, z: bz } = b;
+
+        if (a.x * bx + a.y * by + a.z * bz + aw * bw < 0) {
+            bx = -bx; by = -by; bz = -bz; bw = -bw;
+        }
+
+        const x = a.x + (bx - a.x) * t;
+        const y = a.y + (by - a.y) * t;
+        const z = a.z + (bz - a.z) * t;
+        const w = aw + (bw - aw) * t;
+        const length = Math.sqrt(x * x + y * y + z * z + w * w) || 1;
+
+        return { x: x / length, y: y / length, z: z / length, w: w / length };
+    }
+
+    // Dead reckoning: extrapolate from the last server state when newer
+    // snapshots haven't arrived yet. Capped so a stalled stream doesn't fly off.
+    applyDeadReckoning(playerId, serverState, elapsedMs = null) {
+        const player = this.players.get(playerId);
+        if (!player) return null;
+
+        const elapsed = elapsedMs !== null ? elapsedMs : Date.now() - (serverState.timestamp || Date.now());
+        const seconds = Math.min(Math.max(0, elapsed), this.maxExtrapolation) / 1000;
+        const velocity = serverState.velocity;
+
+        const predictedPosition = velocity ? {
+            x: serverState.position.x + velocity.x * seconds,
+            y: serverState.position.y + velocity.y * seconds,
+            z: serverState.position.z + velocity.z * seconds
+        } : { ...serverState.position };
+
+        player.predictedPosition = predictedPosition;
+        player.lastServerUpdate = serverState;
+
+        return {
+            position: predictedPosition,
+            rotation: serverState.rotation,
+            velocity,
+            extrapolated: true
+        };
     }
 
     // Bandwidth management
@@ -762,12 +1723,9 @@ export class NetworkManager {
     }
 
     estimateCurrentBandwidth() {
-        // Estimate based on message frequency and size
-        const recentMessages = this.reliableMessages.concat(this.unreliableMessages)
-            .filter(msg => Date.now() - msg.timestamp < 1000); // Last second
-
-        const totalSize = recentMessages.reduce((size, msg) =>
-            size + JSON.stringify(msg).length, 0);
+        // Bytes actually sent in the last second, binary and JSON alike
+        const recent = this.bandwidthLog.filter(entry => Date.now() - entry.timestamp < 1000);
+        const totalSize = recent.reduce((size, entry) => size + entry.bytes, 0);
 
         return (totalSize * 8) / 1000; // kbps
     }
@@ -937,7 +1895,9 @@ export class NetworkManager {
         this.updateEntityInterestManagement();
 
         // Send appropriate message type based on reliability needs
-        if (this.syncModel.deadReckoning) {
+        if (this.binaryNegotiated && rotation && rotation.w !== undefined) {
+            this.emitPositionUpdate({ position, rotation, velocity, inputSeq: additionalData.inputSeq });
+        } else if (this.syncModel.deadReckoning) {
             this.sendUnreliableMessage('positionUpdate', playerData);
         } else {
             this.sendReliableMessage('positionUpdate', playerData);
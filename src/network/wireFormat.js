@@ -0,0 +1,521 @@
+// Compact binary encoding for the high-frequency state traffic. Shared by the
+// client and server/server.js; JSON stays in use for everything else and for
+// peers that don't speak this version.
+//
+// Every message starts with [version u8][type u8]. Positions are fixed-point
+// (1/POSITION_SCALE m), rotations use smallest-three quaternion packing into 32
+// bits and velocities are fixed-point int16. World snapshots carry several
+// entities and are delta-encoded against a snapshot the receiver acknowledged:
+// unchanged fields are left out and positions are sent as small offsets.
+
+export const WIRE_FORMAT_VERSION = 1;
+
+export const MessageType = {
+    SNAPSHOT: 1,
+    POSITION_UPDATE: 2,
+    INPUT_FRAMES: 3
+};
+
+const POSITION_SCALE = 256; // ~4mm
+const VELOCITY_SCALE = 100; // 1cm/s
+const INPUT_SCALE = 100;
+const QUATERNION_BITS = 10;
+const QUATERNION_FIELD = 1 << QUATERNION_BITS;
+const QUATERNION_HALF = (QUATERNION_FIELD >> 1) - 1; // Symmetric, so 0 is exact
+const QUATERNION_RANGE = Math.SQRT1_2; // Smallest three are within ±1/√2
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+// Per-entity field flags
+const FIELD_POSITION = 1;
+const FIELD_ROTATION = 2;
+const FIELD_VELOCITY = 4;
+const FIELD_ABSOLUTE_POSITION = 8;
+const FIELD_IDENTITY = 16;
+const FIELD_RACE_STATE = 32;
+const FIELD_ACK = 64;
+
+const STATUS_FINISHED = 1;
+const STATUS_DISCONNECTED = 2;
+
+const GAME_STATES = ['waiting', 'countdown', 'racing', 'finished'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class ByteWriter {
+    constructor(initialSize = 256) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+
+        const buffer = new ArrayBuffer(size);
+        new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+    }
+
+    uint8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    int8(value) { this.ensure(1); this.view.setInt8(this.offset, value); this.offset += 1; }
+    uint16(value) { this.ensure(2); this.view.setUint16(this.offset, value); this.offset += 2; }
+    int16(value) { this.ensure(2); this.view.setInt16(this.offset, value); this.offset += 2; }
+    uint32(value) { this.ensure(4); this.view.setUint32(this.offset, value); this.offset += 4; }
+    int32(value) { this.ensure(4); this.view.setInt32(this.offset, value); this.offset += 4; }
+    float32(value) { this.ensure(4); this.view.setFloat32(this.offset, value); this.offset += 4; }
+    float64(value) { this.ensure(8); this.view.setFloat64(this.offset, value); this.offset += 8; }
+
+    string(value) {
+        const bytes = textEncoder.encode(value).subarray(0, 255);
+        this.uint8(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    finish() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+class ByteReader {
+    constructor(data) {
+        const bytes = toBytes(data);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    check(bytes) {
+        if (this.offset + bytes > this.view.byteLength) {
+            throw new Error('Truncated wire message');
+        }
+    }
+
+    uint8() { this.check(1); return this.view.getUint8(this.offset++); }
+    int8() { this.check(1); return this.view.getInt8(this.offset++); }
+    uint16() { this.check(2); const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+    int16() { this.check(2); const value = this.view.getInt16(this.offset); this.offset += 2; return value; }
+    uint32() { this.check(4); const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+    int32() { this.check(4); const value = this.view.getInt32(this.offset); this.offset += 4; return value; }
+    float32() { this.check(4); const value = this.view.getFloat32(this.offset); this.offset += 4; return value; }
+    float64() { this.check(8); const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+
+    string() {
+        const length = this.uint8();
+        this.check(length);
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new Error('Not a binary wire message');
+}
+
+// True for payloads socket.io delivered as binary (Buffer, ArrayBuffer, typed array)
+export function isBinaryMessage(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function readHeader(reader, expectedType) {
+    const version = reader.uint8();
+    if (version !== WIRE_FORMAT_VERSION) {
+        throw new Error(`Unsupported wire format version ${version} (expected ${WIRE_FORMAT_VERSION})`);
+    }
+
+    const type = reader.uint8();
+    if (type !== expectedType) {
+        throw new Error(`Unexpected wire message type ${type} (expected ${expectedType})`);
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function quantizePosition(position) {
+    if (!position) return null;
+    return [
+        Math.round(position.x * POSITION_SCALE),
+        Math.round(position.y * POSITION_SCALE),
+        Math.round(position.z * POSITION_SCALE)
+    ];
+}
+
+function dequantizePosition(values) {
+    if (!values) return null;
+    return { x: values[0] / POSITION_SCALE, y: values[1] / POSITION_SCALE, z: values[2] / POSITION_SCALE };
+}
+
+function quantizeVelocity(velocity) {
+    if (!velocity) return null;
+    return [
+        clamp(Math.round(velocity.x * VELOCITY_SCALE), INT16_MIN, INT16_MAX),
+        clamp(Math.round(velocity.y * VELOCITY_SCALE), INT16_MIN, INT16_MAX),
+        clamp(Math.round(velocity.z * VELOCITY_SCALE), INT16_MIN, INT16_MAX)
+    ];
+}
+
+function dequantizeVelocity(values) {
+    if (!values) return null;
+    return { x: values[0] / VELOCITY_SCALE, y: values[1] / VELOCITY_SCALE, z: values[2] / VELOCITY_SCALE };
+}
+
+// Smallest three: drop the largest component (recoverable from the unit length),
+// store its index in 2 bits and the other three in 10 bits each
+export function packQuaternion(rotation) {
+    if (!rotation) return null;
+
+    let components = [rotation.x || 0, rotation.y || 0, rotation.z || 0, rotation.w ?? 1];
+    const length = Math.sqrt(components.reduce((sum, value) => sum + value * value, 0)) || 1;
+    components = components.map(value => value / length);
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i;
+    }
+    // q and -q are the same rotation; keep the dropped component positive
+    const sign = components[largest] < 0 ? -1 : 1;
+
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const normalized = clamp(components[i] * sign / QUATERNION_RANGE, -1, 1);
+        packed = packed * QUATERNION_FIELD + Math.round(normalized * QUATERNION_HALF) + QUATERNION_HALF;
+    }
+
+    return packed >>> 0;
+}
+
+export function unpackQuaternion(packed) {
+    if (packed === null || packed === undefined) return null;
+
+    const small = [];
+    let remaining = packed;
+    for (let i = 0; i < 3; i++) {
+        small.unshift((remaining % QUATERNION_FIELD - QUATERNION_HALF) / QUATERNION_HALF * QUATERNION_RANGE);
+        remaining = Math.floor(remaining / QUATERNION_FIELD);
+    }
+    const largest = remaining;
+
+    const components = [];
+    let sumSquares = 0;
+    small.forEach(value => {
+        sumSquares += value * value;
+    });
+    for (let i = 0, j = 0; i < 4; i++) {
+        components.push(i === largest ? Math.sqrt(Math.max(0, 1 - sumSquares)) : small[j++]);
+    }
+
+    return { x: components[0], y: components[1], z: components[2], w: components[3] };
+}
+
+function quantizeEntity(player) {
+    return {
+        id: player.id,
+        entityId: player.entityId,
+        position: quantizePosition(player.position),
+        rotation: packQuaternion(player.rotation),
+        velocity: quantizeVelocity(player.velocity),
+        lap: clamp(player.lap || 0, 0, 255),
+        checkpoint: clamp(player.checkpoint || 0, 0, 255),
+        status: (player.finished ? STATUS_FINISHED : 0) | (player.disconnected ? STATUS_DISCONNECTED : 0),
+        ackSeq: player.ackSeq || 0
+    };
+}
+
+function dequantizeEntity(entity) {
+    return {
+        id: entity.id,
+        entityId: entity.entityId,
+        position: dequantizePosition(entity.position),
+        rotation: unpackQuaternion(entity.rotation),
+        velocity: dequantizeVelocity(entity.velocity),
+        lap: entity.lap,
+        checkpoint: entity.checkpoint,
+        finished: (entity.status & STATUS_FINISHED) !== 0,
+        disconnected: (entity.status & STATUS_DISCONNECTED) !== 0,
+        ackSeq: entity.ackSeq
+    };
+}
+
+function sameVector(a, b) {
+    return !!a && !!b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+function fitsInt16(values) {
+    return values.every(value => value >= INT16_MIN && value <= INT16_MAX);
+}
+
+// Keeps a short history of quantized snapshots so each receiver can be sent a
+// delta against whichever one it last acknowledged
+export class SnapshotEncoder {
+    constructor(historySize = 32) {
+        this.historySize = historySize;
+        this.history = new Map(); // seq -> quantized snapshot
+    }
+
+    // snapshot: { seq, serverTime, gameState, players: [{ id, entityId, position, rotation, velocity, ... }] }
+    addSnapshot(snapshot) {
+        this.history.set(snapshot.seq, {
+            seq: snapshot.seq,
+            serverTime: snapshot.serverTime,
+            gameState: snapshot.gameState,
+            entities: snapshot.players.map(quantizeEntity)
+        });
+
+        while (this.history.size > this.historySize) {
+            this.history.delete(this.history.keys().next().value);
+        }
+    }
+
+    hasSnapshot(seq) {
+        return this.history.has(seq);
+    }
+
+    // Falls back to a full snapshot when the baseline is unknown or too old
+    encode(seq, baseSeq = 0) {
+        const snapshot = this.history.get(seq);
+        if (!snapshot) throw new Error(`Snapshot ${seq} is not in the encoder history`);
+
+        const baseline = baseSeq && baseSeq < seq ? this.history.get(baseSeq) : null;
+        const baseEntities = new Map();
+        if (baseline) {
+            baseline.entities.forEach(entity => baseEntities.set(entity.entityId, entity));
+        }
+
+        const writer = new ByteWriter();
+        writer.uint8(WIRE_FORMAT_VERSION);
+        writer.uint8(MessageType.SNAPSHOT);
+        writer.uint32(snapshot.seq);
+        writer.uint32(baseline ? baseline.seq : 0);
+        writer.float64(snapshot.serverTime);
+        writer.uint8(Math.max(0, GAME_STATES.indexOf(snapshot.gameState)));
+        writer.uint16(snapshot.entities.length);
+
+        snapshot.entities.forEach(entity => {
+            const base = baseEntities.get(entity.entityId);
+            let flags = 0;
+
+            if (!base || base.id !== entity.id) flags |= FIELD_IDENTITY;
+
+            let positionDelta = null;
+            if (entity.position && !sameVector(entity.position, base && base.position)) {
+                flags |= FIELD_POSITION;
+                if (base && base.position) {
+                    positionDelta = entity.position.map((value, i) => value - base.position[i]);
+                }
+                if (!positionDelta || !fitsInt16(positionDelta)) {
+                    positionDelta = null;
+                    flags |= FIELD_ABSOLUTE_POSITION;
+                }
+            }
+            if (entity.rotation !== null && (!base || entity.rotation !== base.rotation)) flags |= FIELD_ROTATION;
+            if (entity.velocity && !sameVector(entity.velocity, base && base.velocity)) flags |= FIELD_VELOCITY;
+            if (!base || entity.lap !== base.lap || entity.checkpoint !== base.checkpoint || entity.status !== base.status) {
+                flags |= FIELD_RACE_STATE;
+            }
+            if (!base || entity.ackSeq !== base.ackSeq) flags |= FIELD_ACK;
+
+            writer.uint16(entity.entityId);
+            writer.uint8(flags);
+
+            if (flags & FIELD_IDENTITY) writer.string(entity.id);
+            if (flags & FIELD_POSITION) {
+                if (flags & FIELD_ABSOLUTE_POSITION) {
+                    entity.position.forEach(value => writer.int32(value));
+                } else {
+                    positionDelta.forEach(value => writer.int16(value));
+                }
+            }
+            if (flags & FIELD_ROTATION) writer.uint32(entity.rotation);
+            if (flags & FIELD_VELOCITY) entity.velocity.forEach(value => writer.int16(value));
+            if (flags & FIELD_RACE_STATE) {
+                writer.uint8(entity.lap);
+                writer.uint8(entity.checkpoint);
+                writer.uint8(entity.status);
+            }
+            if (flags & FIELD_ACK) writer.uint32(entity.ackSeq);
+        });
+
+        return writer.finish();
+    }
+
+    reset() {
+        this.history.clear();
+    }
+}
+
+// Client half of SnapshotEncoder. Decoded snapshots are kept so later deltas
+// can be applied to them; acknowledge getLatestSeq() to the sender.
+export class SnapshotDecoder {
+    constructor(historySize = 32) {
+        this.historySize = historySize;
+        this.history = new Map(); // seq -> quantized snapshot
+        this.latestSeq = 0;
+    }
+
+    decode(data) {
+        const reader = new ByteReader(data);
+        readHeader(reader, MessageType.SNAPSHOT);
+
+        const seq = reader.uint32();
+        const baseSeq = reader.uint32();
+        const serverTime = reader.float64();
+        const gameState = GAME_STATES[reader.uint8()] || 'waiting';
+        const count = reader.uint16();
+
+        const baseline = baseSeq ? this.history.get(baseSeq) : null;
+        if (baseSeq && !baseline) {
+            throw new Error(`Missing baseline snapshot ${baseSeq}`);
+        }
+
+        const baseEntities = new Map();
+        if (baseline) {
+            baseline.entities.forEach(entity => baseEntities.set(entity.entityId, entity));
+        }
+
+        const entities = [];
+        for (let i = 0; i < count; i++) {
+            const entityId = reader.uint16();
+            const flags = reader.uint8();
+            const base = baseEntities.get(entityId) || null;
+
+            const entity = {
+                entityId,
+                id: flags & FIELD_IDENTITY ? reader.string() : base && base.id,
+                position: base ? base.position : null,
+                rotation: base ? base.rotation : null,
+                velocity: base ? base.velocity : null,
+                lap: base ? base.lap : 0,
+                checkpoint: base ? base.checkpoint : 0,
+                status: base ? base.status : 0,
+                ackSeq: base ? base.ackSeq : 0
+            };
+
+            if (!entity.id) throw new Error(`Unknown entity ${entityId} in snapshot ${seq}`);
+
+            if (flags & FIELD_POSITION) {
+                if (flags & FIELD_ABSOLUTE_POSITION) {
+                    entity.position = [reader.int32(), reader.int32(), reader.int32()];
+                } else {
+                    const delta = [reader.int16(), reader.int16(), reader.int16()];
+                    entity.position = delta.map((value, index) => value + base.position[index]);
+                }
+            }
+            if (flags & FIELD_ROTATION) entity.rotation = reader.uint32();
+            if (flags & FIELD_VELOCITY) entity.velocity = [reader.int16(), reader.int16(), reader.int16()];
+            if (flags & FIELD_RACE_STATE) {
+                entity.lap = reader.uint8();
+                entity.checkpoint = reader.uint8();
+                entity.status = reader.uint8();
+            }
+            if (flags & FIELD_ACK) entity.ackSeq = reader.uint32();
+
+            entities.push(entity);
+        }
+
+        this.history.set(seq, { seq, serverTime, gameState, entities });
+        while (this.history.size > this.historySize) {
+            this.history.delete(this.history.keys().next().value);
+        }
+        this.latestSeq = Math.max(this.latestSeq, seq);
+
+        return {
+            seq,
+            baseSeq,
+            serverTime,
+            gameState,
+            players: entities.map(dequantizeEntity)
+        };
+    }
+
+    getLatestSeq() {
+        return this.latestSeq;
+    }
+
+    reset() {
+        this.history.clear();
+        this.latestSeq = 0;
+    }
+}
+
+// Client -> server: the local car's state plus the latest decoded snapshot
+export function encodePositionUpdate({ position, rotation, velocity, inputSeq, snapshotAck }) {
+    const writer = new ByteWriter(32);
+    writer.uint8(WIRE_FORMAT_VERSION);
+    writer.uint8(MessageType.POSITION_UPDATE);
+    writer.uint32(inputSeq || 0);
+    writer.uint32(snapshotAck || 0);
+    writer.uint8(velocity ? FIELD_VELOCITY : 0);
+    quantizePosition(position).forEach(value => writer.int32(value));
+    writer.uint32(packQuaternion(rotation));
+    if (velocity) quantizeVelocity(velocity).forEach(value => writer.int16(value));
+    return writer.finish();
+}
+
+export function decodePositionUpdate(data) {
+    const reader = new ByteReader(data);
+    readHeader(reader, MessageType.POSITION_UPDATE);
+
+    const inputSeq = reader.uint32();
+    const snapshotAck = reader.uint32();
+    const flags = reader.uint8();
+    const position = dequantizePosition([reader.int32(), reader.int32(), reader.int32()]);
+    const rotation = unpackQuaternion(reader.uint32());
+    const velocity = flags & FIELD_VELOCITY
+        ? dequantizeVelocity([reader.int16(), reader.int16(), reader.int16()])
+        : null;
+
+    return { position, rotation, velocity, inputSeq: inputSeq || null, snapshotAck };
+}
+
+// Client -> server: the most recent input frames, resent for redundancy
+export function encodeInputFrames(inputs) {
+    const frames = inputs.slice(-255);
+    const writer = new ByteWriter(2 + frames.length * 11);
+    writer.uint8(WIRE_FORMAT_VERSION);
+    writer.uint8(MessageType.INPUT_FRAMES);
+    writer.uint8(frames.length);
+
+    frames.forEach(input => {
+        writer.uint32(input.seq);
+        writer.int8(clamp(Math.round((input.throttle || 0) * INPUT_SCALE), -INPUT_SCALE, INPUT_SCALE));
+        writer.int8(clamp(Math.round((input.steer || 0) * INPUT_SCALE), -INPUT_SCALE, INPUT_SCALE));
+        writer.uint8(input.brake ? 1 : 0);
+        writer.float32(input.dt || 0);
+    });
+
+    return writer.finish();
+}
+
+export function decodeInputFrames(data) {
+    const reader = new ByteReader(data);
+    readHeader(reader, MessageType.INPUT_FRAMES);
+
+    const count = reader.uint8();
+    const inputs = [];
+    for (let i = 0; i < count; i++) {
+        inputs.push({
+            seq: reader.uint32(),
+            throttle: reader.int8() / INPUT_SCALE,
+            steer: reader.int8() / INPUT_SCALE,
+            brake: reader.uint8() === 1,
+            dt: reader.float32()
+        });
+    }
+
+    return inputs;
+}
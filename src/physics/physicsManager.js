@@ -1,4 +1,67 @@
 import * as CANNON from 'cannon-es';
+import { DEFAULT_TIRE_PARAMETERS } from './tireModel.js';
+import { TireVehicle } from './tireVehicle.js';
+
+// Default configuration with detailed physics parameters
+const DEFAULT_VEHICLE_CONFIG = {
+    mass: 1200,
+    geometry: { width: 1.8, height: 1.2, length: 4.2 },
+    friction: 0.3,
+    restitution: 0.1,
+    // Detailed physics parameters from spec
+    inertiaTensor: null, // Will be calculated if not provided
+    gearbox: {
+        gears: [3.5, 2.2, 1.6, 1.2, 1.0, 0.8], // Gear ratios
+        finalDriveRatio: 3.5,
+        reverseRatio: -3.0
+    },
+    engineTorqueCurve: [
+        { rpm: 1000, torque: 200 },
+        { rpm: 2000, torque: 300 },
+        { rpm: 3000, torque: 350 },
+        { rpm: 4000, torque: 380 },
+        { rpm: 5000, torque: 400 },
+        { rpm: 6000, torque: 380 },
+        { rpm: 7000, torque: 300 }
+    ],
+    rpmLimits: { idle: 800, redline: 7000 },
+    tireModelParameters: DEFAULT_TIRE_PARAMETERS, // Cars override any of these
+    suspensionParameters: {
+        restLength: 0.3,
+        stiffnessNperM: 30000,
+        damping: 2000,
+        antiRollBar: 5000
+    },
+    aerodynamics: {
+        dragCoefficient: 0.3,
+        frontalArea: 2.2,
+        downforceCoefficient: 0.8,
+        liftAtSpeedCurve: [
+            { speed: 0, lift: 0 },
+            { speed: 50, lift: -100 },
+            { speed: 100, lift: -300 },
+            { speed: 150, lift: -600 }
+        ]
+    }
+};
+
+const WHEEL_NAMES = ['frontLeft', 'frontRight', 'rearLeft', 'rearRight'];
+
+const FIXED_TIME_STEP = 1 / 60;
+const MAX_SUBSTEPS = 5; // After a long frame the rest is dropped rather than caught up
+const GEAR_SHIFT_TIME = 0.2; // s with the clutch out
+
+// Small, fast PRNG (mulberry32); the same seed always gives the same sequence
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
 export class PhysicsManager {
     constructor() {
@@ -10,15 +73,31 @@ export class PhysicsManager {
 
         // Enhanced physics properties
         this.vehicleStates = new Map(); // vehicle -> state data
+        this.vehicleConfigs = new Map(); // vehicle -> config it was created with
         this.fuelConsumptionRate = 0.001; // Fuel per second at full throttle
         this.tireWearRate = 0.0001; // Tire wear per second of sliding
 
         // Drafting system
         this.draftingDistance = 8; // Distance for drafting effect
         this.draftingReduction = 0.3; // 30% reduction in drag when drafting
+
+        // The world only ever advances in fixed steps; frames render between
+        // the last two of them
+        this.fixedTimeStep = FIXED_TIME_STEP;
+        this.maxSubSteps = MAX_SUBSTEPS;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.interpolationAlpha = 1;
+        this.previousTransforms = new WeakMap(); // body or wheel transform -> pose before the last step
+        this.stepCallbacks = [];
+
+        // Anything random that can change the simulation draws from here
+        this.deterministic = false;
+        this.seed = null;
+        this.random = Math.random;
     }
 
-    init() {
+    init(options = {}) {
         // Set up physics world
         this.world.gravity.set(0, -9.82, 0);
         this.world.broadphase = new CANNON.SAPBroadphase(this.world);
@@ -41,63 +120,14 @@ export class PhysicsManager {
         );
         this.world.addContactMaterial(vehicleGroundContact);
 
-        // Create raycast vehicle
-        this.createVehicle();
+        // Create raycast vehicle (the server adds one per racer instead)
+        if (options.createVehicle !== false) {
+            this.createVehicle();
+        }
     }
 
     createVehicle(config = null) {
-        // Default configuration with detailed physics parameters
-        const defaultConfig = {
-            mass: 1200,
-            geometry: { width: 1.8, height: 1.2, length: 4.2 },
-            friction: 0.3,
-            restitution: 0.1,
-            // Detailed physics parameters from spec
-            inertiaTensor: null, // Will be calculated if not provided
-            gearbox: {
-                gears: [3.5, 2.2, 1.6, 1.2, 1.0, 0.8], // Gear ratios
-                finalDriveRatio: 3.5,
-                reverseRatio: -3.0
-            },
-            engineTorqueCurve: [
-                { rpm: 1000, torque: 200 },
-                { rpm: 2000, torque: 300 },
-                { rpm: 3000, torque: 350 },
-                { rpm: 4000, torque: 380 },
-                { rpm: 5000, torque: 400 },
-                { rpm: 6000, torque: 380 },
-                { rpm: 7000, torque: 300 }
-            ],
-            rpmLimits: { idle: 800, redline: 7000 },
-            tireModelParameters: {
-                anisotropicFriction: true,
-                corneringStiffness: 1500, // N/rad
-                longitudinalStiffness: 1000, // N/unit slip
-                tireTemperatureModel: {
-                    temperatureIncreasePerSlip: 0.1,
-                    optimallyGrippyRange: { min: 80, max: 100 }
-                }
-            },
-            suspensionParameters: {
-                restLength: 0.3,
-                stiffnessNperM: 30000,
-                damping: 2000,
-                antiRollBar: 5000
-            },
-            aerodynamics: {
-                dragCoefficient: 0.3,
-                frontalArea: 2.2,
-                downforceCoefficient: 0.8,
-                liftAtSpeedCurve: [
-                    { speed: 0, lift: 0 },
-                    { speed: 50, lift: -100 },
-                    { speed: 100, lift: -300 },
-                    { speed: 150, lift: -600 }
-                ]
-            }
-        };
-
-        const vehicleConfig = config ? { ...defaultConfig, ...config } : defaultConfig;
+        const vehicleConfig = config ? { ...DEFAULT_VEHICLE_CONFIG, ...config } : DEFAULT_VEHICLE_CONFIG;
 
         // Vehicle body with inertia tensor
         const chassisShape = new CANNON.Box(new CANNON.Vec3(
@@ -136,12 +166,13 @@ export class PhysicsManager {
         chassisBody.inertia.copy(inertiaTensor);
         chassisBody.updateInertiaWorld(true);
 
-        // Vehicle
-        const vehicle = new CANNON.RaycastVehicle({
+        // Vehicle, gripping through the tire model
+        const vehicle = new TireVehicle({
             chassisBody: chassisBody,
             indexRightAxis: 0,
             indexUpAxis: 1,
             indexForwardAxis: 2,
+            tireParameters: vehicleConfig.tireModelParameters
         });
 
         // Advanced wheel options with detailed tire and suspension model
@@ -152,8 +183,10 @@ export class PhysicsManager {
             suspensionRestLength: vehicleConfig.suspensionParameters.restLength,
             maxSuspensionForce: vehicleConfig.suspensionParameters.stiffnessNperM * vehicleConfig.suspensionParameters.restLength * 2,
             maxSuspensionTravel: vehicleConfig.suspensionParameters.restLength * 0.5,
-            dampingRelaxation: vehicleConfig.suspensionParameters.damping / 100,
-            dampingCompression: vehicleConfig.suspensionParameters.damping / 50,
+            // Cannon scales damping by the chassis mass; much past critical and the
+            // wheels skip off the road as the tires pitch the car
+            dampingRelaxation: vehicleConfig.suspensionParameters.damping / 800,
+            dampingCompression: vehicleConfig.suspensionParameters.damping / 450,
             axleLocal: new CANNON.Vec3(-1, 0, 0),
             chassisConnectionPointLocal: new CANNON.Vec3(
                 vehicleConfig.geometry.width / 2 - 0.2,
@@ -162,8 +195,6 @@ export class PhysicsManager {
             ),
             useCustomSlidingRotationalSpeed: true,
             customSlidingRotationalSpeed: -30,
-            frictionSlip: vehicleConfig.tireModelParameters.longitudinalStiffness / 1000,
-            // Advanced tire parameters
             rollInfluence: 0.01,
             isFrontWheel: false,
         };
@@ -216,11 +247,31 @@ export class PhysicsManager {
         });
 
         this.vehicles.push(vehicle);
+        this.vehicleConfigs.set(vehicle, { ...vehicleConfig, tireModelParameters: vehicle.tireParameters });
         this.vehicle = vehicle; // Set as current vehicle for controls
 
         return vehicle;
     }
 
+    removeVehicle(vehicle) {
+        const index = this.vehicles.indexOf(vehicle);
+        if (index === -1) return;
+
+        vehicle.wheelInfos.forEach((wheel) => {
+            if (wheel.wheelBody) {
+                this.world.removeBody(wheel.wheelBody);
+            }
+        });
+        vehicle.removeFromWorld(this.world);
+        this.vehicles.splice(index, 1);
+        this.vehicleStates.delete(vehicle);
+        this.vehicleConfigs.delete(vehicle);
+
+        if (this.vehicle === vehicle) {
+            this.vehicle = this.vehicles[0] || null;
+        }
+    }
+
     getVehicleBody(index = 0) {
         return this.vehicles[index] ? this.vehicles[index].chassisBody : null;
     }
@@ -229,31 +280,179 @@ export class PhysicsManager {
         return this.vehicles[index] || null;
     }
 
-    update(deltaTime) {
-        this.world.fixedStep(1 / 60, deltaTime);
+    // Snapshot of a body's kinematic state (plain objects, safe to keep around)
+    getBodyState(body) {
+        return {
+            position: { x: body.position.x, y: body.position.y, z: body.position.z },
+            quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+            velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+            angularVelocity: { x: body.angularVelocity.x, y: body.angularVelocity.y, z: body.angularVelocity.z }
+        };
+    }
 
-        // Update all vehicles
-        this.vehicles.forEach((vehicle) => {
-            // Update wheel positions for rendering
-            try {
-                vehicle.wheelInfos.forEach((wheel) => {
-                    vehicle.updateWheelTransform(wheel.index);
-                    if (wheel.wheelBody && wheel.worldTransform) {
-                        wheel.wheelBody.position.copy(wheel.worldTransform.position);
-                        wheel.wheelBody.quaternion.copy(wheel.worldTransform.quaternion);
-                    }
-                });
-            } catch (e) {
-                // Skip wheel updates in test environments where physics mocks may be incomplete
-                console.warn('Wheel transform update skipped:', e.message);
+    setBodyState(body, state) {
+        body.position.set(state.position.x, state.position.y, state.position.z);
+        if (state.quaternion) {
+            body.quaternion.set(state.quaternion.x, state.quaternion.y, state.quaternion.z, state.quaternion.w);
+        }
+        if (state.velocity) {
+            body.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+        }
+        if (state.angularVelocity) {
+            body.angularVelocity.set(state.angularVelocity.x, state.angularVelocity.y, state.angularVelocity.z);
+        }
+        body.force.set(0, 0, 0);
+        body.torque.set(0, 0, 0);
+        // A teleport shouldn't be drawn as a slide from the old pose
+        this.previousTransforms.delete(body);
+    }
+
+    // Re-run a series of inputs for one vehicle (client-side reconciliation)
+    // on the live fixed step. As on the server, each input drives the vehicle
+    // for its dt and time it leaves over carries into the next one; applyStep
+    // stands in for the controller's step callback before every step.
+    // Everything else in the world is put back afterwards so only the vehicle
+    // moves, and tire wear already counted live isn't counted again.
+    resimulateVehicle(vehicle, steps, applyStep) {
+        const others = this.world.bodies
+            .filter(body => body !== vehicle.chassisBody && body.type === CANNON.Body.DYNAMIC)
+            .map(body => ({ body, state: this.getBodyState(body) }));
+
+        let timeRemaining = 0;
+        const results = steps.map(step => {
+            timeRemaining += step.dt;
+            while (timeRemaining > 1e-6) {
+                applyStep(step);
+                this.stepVehicles([vehicle], this.fixedTimeStep);
+                timeRemaining -= this.fixedTimeStep;
             }
+            return this.getBodyState(vehicle.chassisBody);
+        });
+
+        others.forEach(({ body, state }) => this.setBodyState(body, state));
+
+        return results;
+    }
+
+    // Same seed, same inputs step for step: same run, on the same build.
+    // Restarts the step count so runs can be compared step by step.
+    setDeterministic(seed) {
+        this.deterministic = true;
+        this.seed = seed >>> 0;
+        this.random = createSeededRandom(this.seed);
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.previousTransforms = new WeakMap();
+    }
+
+    // Called before every fixed step with (timeStep, stepCount). Controls
+    // belong here: applied per frame they would act on a different number of
+    // steps at each frame rate.
+    addStepCallback(callback) {
+        this.stepCallbacks.push(callback);
+    }
+
+    removeStepCallback(callback) {
+        this.stepCallbacks = this.stepCallbacks.filter(existing => existing !== callback);
+    }
+
+    getSimulationTime() {
+        return this.stepCount * this.fixedTimeStep;
+    }
+
+    // Runs as many fixed steps as the frame's time covers and returns how
+    // many. What's left over is carried to the next frame and sets how far to
+    // draw between the last two steps.
+    update(deltaTime) {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // Still behind after the cap (a stall or a background tab)
+        if (this.accumulator >= this.fixedTimeStep) {
+            this.accumulator = 0;
+        }
 
-            // Apply advanced aerodynamic forces
-            this.applyAdvancedAerodynamics(vehicle, deltaTime);
+        this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        return steps;
+    }
+
+    step() {
+        const timeStep = this.fixedTimeStep;
+        this.storePreviousTransforms();
 
-            // Update tire wear and conditions
-            this.updateTireWear(vehicle, deltaTime);
+        this.stepCallbacks.forEach(callback => callback(timeStep, this.stepCount));
+        this.stepVehicles(this.vehicles, timeStep);
+        this.stepCount++;
+
+        this.vehicles.forEach(vehicle => this.updateTireWear(vehicle, timeStep));
+    }
+
+    // The world step with the drivetrain and aero of `vehicles`, shared by
+    // live steps and reconciliation replays
+    stepVehicles(vehicles, timeStep) {
+        vehicles.forEach(vehicle => {
+            this.updateGearShift(vehicle, timeStep);
+            this.applyAdvancedAerodynamics(vehicle, timeStep);
         });
+
+        this.world.step(timeStep);
+
+        vehicles.forEach(vehicle => this.updateWheelTransforms(vehicle));
+    }
+
+    // Wheel transforms from the chassis after it moved, for rendering
+    updateWheelTransforms(vehicle) {
+        try {
+            vehicle.wheelInfos.forEach((wheel, index) => {
+                vehicle.updateWheelTransform(index);
+                if (wheel.wheelBody && wheel.worldTransform) {
+                    wheel.wheelBody.position.copy(wheel.worldTransform.position);
+                    wheel.wheelBody.quaternion.copy(wheel.worldTransform.quaternion);
+                }
+            });
+        } catch (e) {
+            // Skip wheel updates in test environments where physics mocks may be incomplete
+            console.warn('Wheel transform update skipped:', e.message);
+        }
+    }
+
+    storePreviousTransforms() {
+        this.vehicles.forEach(vehicle => {
+            const targets = [vehicle.chassisBody, ...vehicle.wheelInfos.map(wheel => wheel.worldTransform)];
+            targets.forEach(target => {
+                const previous = this.previousTransforms.get(target);
+                if (previous) {
+                    previous.position.copy(target.position);
+                    previous.quaternion.copy(target.quaternion);
+                } else {
+                    this.previousTransforms.set(target, {
+                        position: target.position.clone(),
+                        quaternion: target.quaternion.clone()
+                    });
+                }
+            });
+        });
+    }
+
+    // Pose to draw a body or wheel transform at: between the last two steps,
+    // alpha of the way to the latest
+    getInterpolatedTransform(target, alpha = this.interpolationAlpha) {
+        const previous = this.previousTransforms.get(target);
+        if (!previous) {
+            return { position: target.position.clone(), quaternion: target.quaternion.clone() };
+        }
+
+        const position = new CANNON.Vec3();
+        const quaternion = new CANNON.Quaternion();
+        previous.position.lerp(target.position, alpha, position);
+        previous.quaternion.slerp(target.quaternion, alpha, quaternion);
+        return { position, quaternion };
     }
 
     applyAerodynamicForces() {
@@ -285,28 +484,6 @@ export class PhysicsManager {
         });
     }
 
-    updateTireConditions() {
-        this.vehicles.forEach((vehicle) => {
-            if (!vehicle) return;
-
-            // Update friction based on various factors
-            vehicle.wheelInfos.forEach((wheel) => {
-            let frictionMultiplier = 1.0;
-
-            // Reduce friction if sliding too much (simulate tire wear)
-            if (wheel.slipInfo > 1.0) {
-                frictionMultiplier *= 0.8;
-            }
-
-            // Could add weather effects here
-            // if (this.weather === 'rain') frictionMultiplier *= 0.7;
-
-                // Apply friction multiplier
-                wheel.frictionSlip = 2.0 * frictionMultiplier;
-            });
-        });
-    }
-
     checkCollisions() {
         if (!this.onCollisionCallback) return;
 
@@ -350,6 +527,8 @@ export class PhysicsManager {
             lastUpdate: Date.now(),
             // Engine and transmission state
             currentGear: 1,
+            pendingGear: null, // Engaged once shiftTimeRemaining runs out
+            shiftTimeRemaining: 0,
             engineRPM: 1000,
             clutchEngaged: true,
             throttle: 0,
@@ -387,66 +566,41 @@ export class PhysicsManager {
         return state.fuel;
     }
 
-    // Tire Wear System with detailed model
+    // Tire Wear System. Temperature is simulated with the tire forces; it's
+    // copied here for the HUD and wear feeds back into the tire model's grip.
     updateTireWear(vehicle, deltaTime) {
         if (!this.vehicleStates.has(vehicle)) {
             this.initializeVehicleState(vehicle);
         }
 
         const state = this.vehicleStates.get(vehicle);
-        const config = this.getVehicleConfig(vehicle);
-        const tireModel = config.tireModelParameters || {
-            tireTemperatureModel: {
-                temperatureIncreasePerSlip: 0.1,
-                optimallyGrippyRange: { min: 80, max: 100 }
-            }
-        };
+        const temperatureModel = this.getVehicleConfig(vehicle).tireModelParameters.tireTemperatureModel;
 
-        vehicle.wheelInfos.forEach((wheel, index) => {
-            const wheelName = ['frontLeft', 'frontRight', 'rearLeft', 'rearRight'][index];
-
-            // Initialize tire temperature if not exists
-            if (!state.tireTemperature) {
-                state.tireTemperature = {
-                    frontLeft: 20,
-                    frontRight: 20,
-                    rearLeft: 20,
-                    rearRight: 20
-                };
-            }
+        if (!state.tireTemperature) {
+            state.tireTemperature = {};
+        }
 
-            const currentTemp = state.tireTemperature[wheelName];
-            const slip = Math.abs(wheel.slipInfo);
+        vehicle.wheelInfos.forEach((wheel, index) => {
+            const wheelName = WHEEL_NAMES[index];
+            const tire = vehicle.tires ? vehicle.tires[index] : null;
+            const currentTemp = tire ? tire.temperature : temperatureModel.ambientTemperature;
+            const slip = Math.abs(wheel.slipInfo || 0);
 
-            // Temperature increase based on slip
-            const tempIncrease = tireModel.tireTemperatureModel.temperatureIncreasePerSlip * slip * deltaTime * 60;
-            state.tireTemperature[wheelName] = Math.min(120, currentTemp + tempIncrease);
+            state.tireTemperature[wheelName] = currentTemp;
 
             // Tire wear based on slip and temperature
             if (slip > 0.3) {
                 const wearAmount = this.tireWearRate * slip * deltaTime * 60;
 
-                // Extra wear from high temperature
-                const tempWearMultiplier = currentTemp > 100 ? 2.0 : 1.0;
+                // Extra wear from overheated rubber
+                const tempWearMultiplier = currentTemp > temperatureModel.optimallyGrippyRange.max ? 2.0 : 1.0;
 
                 state.tireCondition[wheelName] = Math.max(0, state.tireCondition[wheelName] - wearAmount * tempWearMultiplier);
             }
 
-            // Grip based on temperature and wear
-            const optimalRange = tireModel.tireTemperatureModel.optimallyGrippyRange;
-            let tempGripMultiplier = 1.0;
-
-            if (currentTemp < optimalRange.min) {
-                tempGripMultiplier = 0.7 + 0.3 * (currentTemp / optimalRange.min);
-            } else if (currentTemp > optimalRange.max) {
-                tempGripMultiplier = 1.0 - 0.3 * ((currentTemp - optimalRange.max) / 20);
+            if (tire) {
+                tire.wear = state.tireCondition[wheelName] / 100;
             }
-
-            const wearMultiplier = state.tireCondition[wheelName] / 100;
-            const totalGripMultiplier = tempGripMultiplier * wearMultiplier;
-
-            // Apply grip to friction
-            wheel.frictionSlip = config.tireModelParameters.longitudinalStiffness / 1000 * totalGripMultiplier;
         });
     }
 
@@ -764,12 +918,11 @@ export class PhysicsManager {
 
         const newGear = state.currentGear + direction;
         if (newGear >= 1 && newGear <= maxGears) {
-            // Brief clutch disengagement for realistic shifting
+            // Brief clutch disengagement for realistic shifting, timed in
+            // steps so it lasts the same at any frame rate
             state.clutchEngaged = false;
-            setTimeout(() => {
-                state.currentGear = newGear;
-                state.clutchEngaged = true;
-            }, 200); // 200ms shift time
+            state.pendingGear = newGear;
+            state.shiftTimeRemaining = GEAR_SHIFT_TIME;
 
             return true;
         }
@@ -777,27 +930,21 @@ export class PhysicsManager {
         return false;
     }
 
-    // Get vehicle config (this would need to be passed or stored)
+    updateGearShift(vehicle, deltaTime) {
+        const state = this.vehicleStates.get(vehicle);
+        if (!state || state.pendingGear === null) return;
+
+        state.shiftTimeRemaining -= deltaTime;
+        if (state.shiftTimeRemaining <= 1e-6) {
+            state.currentGear = state.pendingGear;
+            state.pendingGear = null;
+            state.clutchEngaged = true;
+        }
+    }
+
+    // The config a vehicle was created with
     getVehicleConfig(vehicle) {
-        void(vehicle); // Parameter kept for future use
-        // For now, return default config - in practice this should be stored per vehicle
-        return {
-            gearbox: {
-                gears: [3.5, 2.2, 1.6, 1.2, 1.0, 0.8],
-                finalDriveRatio: 3.5,
-                reverseRatio: -3.0
-            },
-            engineTorqueCurve: [
-                { rpm: 1000, torque: 200 },
-                { rpm: 2000, torque: 300 },
-                { rpm: 3000, torque: 350 },
-                { rpm: 4000, torque: 380 },
-                { rpm: 5000, torque: 400 },
-                { rpm: 6000, torque: 380 },
-                { rpm: 7000, torque: 300 }
-            ],
-            rpmLimits: { idle: 800, redline: 7000 }
-        };
+        return this.vehicleConfigs.get(vehicle) || DEFAULT_VEHICLE_CONFIG;
     }
 
     // Get vehicle status
@@ -0,0 +1,114 @@
+// Tire forces from slip, after Pacejka's magic formula. Each tire makes a
+// longitudinal force from its slip ratio (how much faster or slower the tread
+// moves than the road) and a lateral force from its slip angle (how far the
+// contact patch is moving sideways). Both rise steeply at small slip, peak,
+// then fall off as the tire slides; how sharply they fall off is what makes a
+// car snap or drift. Forces are a multiple of the load on the tire, scaled by
+// a friction coefficient that drops with extra load, cold or overheated
+// rubber and wear.
+//
+// Stiffnesses are per unit of load, so a heavier car doesn't need retuning.
+// Shapes are Pacejka's C and must be between 1 and 2; curvatures are his E.
+
+const MAX_HEATING_SLIP = 2;
+
+export const DEFAULT_TIRE_PARAMETERS = {
+    peakFriction: 1.0, // Friction coefficient at the peak, at nominal load
+    longitudinalStiffness: 20, // Force per unit slip ratio, as a multiple of the load
+    corneringStiffness: 16, // Force per radian of slip angle, as a multiple of the load
+    longitudinalShape: 1.65,
+    lateralShape: 1.4,
+    longitudinalCurvature: 0.6,
+    lateralCurvature: -0.2,
+    loadSensitivity: 0.15, // Friction lost per nominal load of extra load
+    nominalLoad: null, // N per tire; the car's static load when not set
+    rearGrip: 1.0, // Rear axle friction relative to the front; below 1 oversteers
+    rollingResistance: 0.015, // Of the load
+    wheelInertia: 1.2, // kg m^2, including the driveline
+    tireTemperatureModel: {
+        ambientTemperature: 20,
+        temperatureIncreasePerSlip: 0.1, // Degrees per frame at the peak of the grip curve
+        coolingRate: 0.05, // Fraction of the difference to ambient lost per second
+        optimallyGrippyRange: { min: 80, max: 100 }
+    }
+};
+
+// Per-car overrides on top of the defaults
+export function createTireParameters(overrides = {}) {
+    return {
+        ...DEFAULT_TIRE_PARAMETERS,
+        ...overrides,
+        tireTemperatureModel: {
+            ...DEFAULT_TIRE_PARAMETERS.tireTemperatureModel,
+            ...overrides.tireTemperatureModel
+        }
+    };
+}
+
+// Force as a fraction of the peak; the slope at zero is `stiffness`
+export function magicFormula(slip, stiffness, shape, curvature) {
+    const x = (stiffness / shape) * slip;
+    return Math.sin(shape * Math.atan(x - curvature * (x - Math.atan(x))));
+}
+
+// Where the curve peaks (exact when the curvature is 0)
+export function peakSlip(stiffness, shape) {
+    return Math.tan(Math.PI / (2 * shape)) * shape / stiffness;
+}
+
+export function temperatureGrip(temperature, model = DEFAULT_TIRE_PARAMETERS.tireTemperatureModel) {
+    const { min, max } = model.optimallyGrippyRange;
+    if (temperature < min) return 0.7 + 0.3 * Math.max(0, temperature) / min;
+    if (temperature > max) return Math.max(0.5, 1 - 0.3 * (temperature - max) / 20);
+    return 1;
+}
+
+// Slip heats the tread, up to a point once it's sliding; it cools back
+// towards ambient
+export function updateTireTemperature(temperature, slip, model, deltaTime) {
+    const heating = model.temperatureIncreasePerSlip * Math.min(slip, MAX_HEATING_SLIP) * deltaTime * 60;
+    const cooling = model.coolingRate * (temperature - model.ambientTemperature) * deltaTime;
+    return Math.min(120, Math.max(model.ambientTemperature, temperature + heating - cooling));
+}
+
+// Loaded harder than nominal, a tire makes more force but less per newton
+export function frictionCoefficient(params, { load, nominalLoad, temperature, wear = 1, rear = false }) {
+    const reference = params.nominalLoad || nominalLoad || load;
+    const loadFactor = Math.max(0.5, 1 - params.loadSensitivity * (load / reference - 1));
+    const axleFactor = rear ? params.rearGrip : 1;
+    return params.peakFriction * loadFactor * axleFactor * wear * temperatureGrip(temperature, params.tireTemperatureModel);
+}
+
+// slipRatio: (tread speed - road speed) / road speed; slipAngle in radians.
+// Combined slip uses the similarity method: both slips are measured against
+// where their own curve peaks, and the total sets how much of the available
+// grip is used, shared out in proportion. Braking in a corner therefore costs
+// cornering force, and a spinning wheel can't hold the car sideways.
+export function computeTireForces(params, { slipRatio, slipAngle, load, nominalLoad, temperature, wear = 1, rear = false }) {
+    if (!(load > 0)) {
+        return { longitudinal: 0, lateral: 0, combinedSlip: 0, friction: 0 };
+    }
+
+    const friction = frictionCoefficient(params, { load, nominalLoad, temperature, wear, rear });
+    const peakRatio = peakSlip(params.longitudinalStiffness, params.longitudinalShape);
+    const peakAngle = peakSlip(params.corneringStiffness, params.lateralShape);
+    const ratio = slipRatio / peakRatio;
+    const angle = slipAngle / peakAngle;
+    const combinedSlip = Math.sqrt(ratio * ratio + angle * angle);
+
+    if (combinedSlip < 1e-9) {
+        return { longitudinal: 0, lateral: 0, combinedSlip: 0, friction };
+    }
+
+    const longitudinal = magicFormula(combinedSlip * peakRatio, params.longitudinalStiffness,
+        params.longitudinalShape, params.longitudinalCurvature);
+    const lateral = magicFormula(combinedSlip * peakAngle, params.corneringStiffness,
+        params.lateralShape, params.lateralCurvature);
+
+    return {
+        longitudinal: friction * load * longitudinal * ratio / combinedSlip,
+        lateral: friction * load * lateral * angle / combinedSlip,
+        combinedSlip,
+        friction
+    };
+}
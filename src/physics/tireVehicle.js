@@ -0,0 +1,195 @@
+import * as CANNON from 'cannon-es';
+import { createTireParameters, computeTireForces, updateTireTemperature } from './tireModel.js';
+
+// Raycast vehicle whose wheels grip through the tire model instead of cannon's
+// single friction limit. Every wheel spins on its own: engine, brake and
+// rolling resistance turn it, the road turns it back through the tire force,
+// so wheelspin and lock-ups come out of the simulation. engineForce is the
+// drive force at the contact patch; brake keeps cannon's meaning, the largest
+// impulse the brake can apply in a step.
+
+const MIN_SLIP_SPEED = 1; // m/s; slower than this, slip is measured against it so a parked car isn't sliding
+const MAX_TREAD_SPEED = 100; // m/s; stands in for the engine's rev limit
+const AXES = [new CANNON.Vec3(1, 0, 0), new CANNON.Vec3(0, 1, 0), new CANNON.Vec3(0, 0, 1)];
+
+// Mass the body presents to an impulse along direction at relPos
+function effectiveMass(body, relPos, direction) {
+    const angular = new CANNON.Vec3();
+    body.invInertiaWorld.vmult(relPos.cross(direction), angular);
+    return 1 / (body.invMass + direction.dot(angular.cross(relPos)));
+}
+
+export class TireVehicle extends CANNON.RaycastVehicle {
+    constructor(options) {
+        super(options);
+        this.tireParameters = createTireParameters(options.tireParameters);
+        this.tires = [];
+    }
+
+    addWheel(options = {}) {
+        const index = super.addWheel(options);
+        this.tires.push({
+            angularVelocity: 0, // rad/s, positive rolling forwards
+            temperature: this.tireParameters.tireTemperatureModel.ambientTemperature,
+            wear: 1, // Fraction of grip left, set by the wear model
+            load: 0,
+            slipRatio: 0,
+            slipAngle: 0,
+            longitudinalForce: 0,
+            lateralForce: 0
+        });
+        return index;
+    }
+
+    getNominalLoad() {
+        const gravity = this.world ? this.world.gravity.length() : 9.82;
+        return this.chassisBody.mass * gravity / this.wheelInfos.length;
+    }
+
+    updateFriction(timeStep) {
+        const grounded = this.wheelInfos.filter(wheel => wheel.raycastResult.body).length;
+        this.numWheelsOnGround = grounded;
+        this.sliding = false;
+
+        this.wheelInfos.forEach((wheel, index) => {
+            wheel.forwardImpulse = 0;
+            wheel.sideImpulse = 0;
+            wheel.sliding = false;
+
+            if (wheel.raycastResult.body) {
+                this.applyTireForces(index, timeStep, grounded);
+                this.sliding = this.sliding || wheel.sliding;
+            } else {
+                this.spinFreely(index, timeStep);
+            }
+        });
+    }
+
+    // The wheel's spin after a step. The road pushes back through the tire
+    // with `stiffness` (N per m/s of slip), solved implicitly so a stiff tire
+    // can't make the wheel oscillate. The brake and rolling resistance
+    // (`resistance`, Nm) oppose the spin but never reverse it.
+    spinWheel(wheel, { spin, resistance, slipSpeed = 0, stiffness = 0, forwardMass = Infinity }, timeStep) {
+        const radius = wheel.radius;
+        const inertia = this.tireParameters.wheelInertia;
+        const driveTorque = wheel.engineForce * radius;
+        const roadTorque = stiffness * slipSpeed * radius;
+
+        // A stopped wheel stays stopped until the brake lets go
+        if (spin === 0 && Math.abs(driveTorque - roadTorque) <= resistance) return 0;
+
+        const turning = spin !== 0 ? Math.sign(spin) : Math.sign(driveTorque - roadTorque);
+        const torque = driveTorque - turning * resistance;
+        const response = timeStep * stiffness * (radius * radius / inertia + 1 / forwardMass);
+        const nextSlipSpeed = (slipSpeed + timeStep * torque * radius / inertia) / (1 + response);
+        const next = spin + timeStep * (torque - stiffness * nextSlipSpeed * radius) / inertia;
+
+        if (next * turning <= 0) return 0;
+        return Math.max(-MAX_TREAD_SPEED / radius, Math.min(MAX_TREAD_SPEED / radius, next));
+    }
+
+    spinFreely(index, timeStep) {
+        const wheel = this.wheelInfos[index];
+        const tire = this.tires[index];
+        const params = this.tireParameters;
+        tire.angularVelocity = this.spinWheel(wheel, {
+            spin: tire.angularVelocity,
+            resistance: (wheel.brake / timeStep) * wheel.radius
+        }, timeStep);
+        tire.load = 0;
+        tire.slipRatio = 0;
+        tire.slipAngle = 0;
+        tire.longitudinalForce = 0;
+        tire.lateralForce = 0;
+        tire.temperature = updateTireTemperature(tire.temperature, 0, params.tireTemperatureModel, timeStep);
+        wheel.slipInfo = 0;
+    }
+
+    applyTireForces(index, timeStep, grounded) {
+        const wheel = this.wheelInfos[index];
+        const tire = this.tires[index];
+        const params = this.tireParameters;
+        const body = this.chassisBody;
+        const ground = wheel.raycastResult.body;
+        const normal = wheel.raycastResult.hitNormalWorld;
+        const contact = wheel.raycastResult.hitPointWorld;
+        const radius = wheel.radius;
+
+        // Contact frame: the axle flattened onto the road, and forward along it
+        // towards the front wheels, so positive engineForce drives the car
+        // forwards (cannon's own friction pushes it the other way)
+        const axle = new CANNON.Vec3();
+        this.getWheelTransformWorld(index).vectorToWorldFrame(AXES[this.indexRightAxis], axle);
+        axle.vsub(normal.scale(axle.dot(normal)), axle);
+        axle.normalize();
+        const forward = axle.cross(normal);
+        forward.normalize();
+
+        const velocity = new CANNON.Vec3();
+        const groundVelocity = new CANNON.Vec3();
+        body.getVelocityAtWorldPoint(contact, velocity);
+        ground.getVelocityAtWorldPoint(contact, groundVelocity);
+        velocity.vsub(groundVelocity, velocity);
+        const forwardSpeed = velocity.dot(forward);
+        const sideSpeed = velocity.dot(axle);
+        const reference = Math.max(Math.abs(forwardSpeed), MIN_SLIP_SPEED);
+
+        // The car's mass is shared between the wheels pushing on it
+        const relPos = contact.vsub(body.position);
+        const forwardMass = effectiveMass(body, relPos, forward) / grounded;
+        const sideMass = effectiveMass(body, relPos, axle) / grounded;
+
+        const load = Math.min(wheel.suspensionForce, wheel.maxSuspensionForce);
+        const conditions = {
+            load,
+            nominalLoad: this.getNominalLoad(),
+            temperature: tire.temperature,
+            wear: tire.wear,
+            rear: !wheel.isFrontWheel
+        };
+        const slipAngle = Math.atan2(sideSpeed, reference);
+        const slipSpeed = tire.angularVelocity * radius - forwardSpeed;
+        const current = computeTireForces(params, { ...conditions, slipRatio: slipSpeed / reference, slipAngle });
+
+        // The tire's current stiffness, linearised through the origin, both
+        // spins the wheel and pushes the car
+        const linearStiffness = current.friction * load * params.longitudinalStiffness / reference;
+        const stiffness = Math.abs(slipSpeed) > 1e-6 ? current.longitudinal / slipSpeed : linearStiffness;
+        const spin = this.spinWheel(wheel, {
+            spin: tire.angularVelocity,
+            resistance: (wheel.brake / timeStep + params.rollingResistance * load) * radius,
+            slipSpeed,
+            stiffness,
+            forwardMass
+        }, timeStep);
+        tire.angularVelocity = spin;
+
+        const slipRatio = (spin * radius - forwardSpeed) / reference;
+        const forces = computeTireForces(params, { ...conditions, slipRatio, slipAngle });
+        const longitudinalLimit = Math.abs(stiffness * (spin * radius - forwardSpeed));
+        const longitudinal = Math.sign(forces.longitudinal) * Math.min(Math.abs(forces.longitudinal), longitudinalLimit);
+        // Never push harder than it takes to stop the sideways slide this step
+        const lateral = Math.sign(forces.lateral) * Math.min(Math.abs(forces.lateral), sideMass * Math.abs(sideSpeed) / timeStep);
+
+        Object.assign(tire, { load, slipRatio, slipAngle, longitudinalForce: longitudinal, lateralForce: lateral });
+        tire.temperature = updateTireTemperature(tire.temperature, forces.combinedSlip, params.tireTemperatureModel, timeStep);
+        wheel.slipInfo = forces.combinedSlip;
+        wheel.sliding = forces.combinedSlip > 1;
+        wheel.forwardImpulse = longitudinal * timeStep;
+        wheel.sideImpulse = -lateral * timeStep;
+
+        const forwardImpulse = forward.scale(wheel.forwardImpulse);
+        body.applyImpulse(forwardImpulse, relPos);
+        ground.applyImpulse(forwardImpulse.negate(), contact.vsub(ground.position));
+
+        // As in cannon, rollInfluence moves the side force towards the centre of
+        // mass so the car doesn't roll over at the first corner
+        const sideImpulse = axle.scale(wheel.sideImpulse);
+        const sidePos = new CANNON.Vec3();
+        body.vectorToLocalFrame(relPos, sidePos);
+        sidePos['xyz'[this.indexUpAxis]] *= wheel.rollInfluence;
+        body.vectorToWorldFrame(sidePos, sidePos);
+        body.applyImpulse(sideImpulse, sidePos);
+        ground.applyImpulse(sideImpulse.negate(), contact.vsub(ground.position));
+    }
+}
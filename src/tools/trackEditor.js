@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { ProceduralTrackGenerator } from './proceduralTrackGenerator.js';
+import { clientStorage } from '../utils/clientStorage.js';
 
 export class TrackEditor {
     constructor(scene, physicsWorld) {
@@ -347,14 +348,13 @@ export class TrackEditor {
             timestamp: Date.now()
         };
 
-        localStorage.setItem('custom_track', JSON.stringify(trackData));
+        clientStorage.set('editor', 'customTrack', trackData);
         console.log('Track saved!');
     }
 
     loadTrack() {
-        const savedData = localStorage.getItem('custom_track');
-        if (savedData) {
-            const trackData = JSON.parse(savedData);
+        const trackData = clientStorage.get('editor', 'customTrack');
+        if (trackData) {
             this.clearTrack();
 
             trackData.points.forEach(point => {
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class AccessibilityManager {
     constructor() {
         this.settings = {
@@ -406,10 +408,7 @@ export class AccessibilityManager {
 
     loadSettings() {
         try {
-            const stored = localStorage.getItem('accessibility_settings');
-            if (stored) {
-                this.settings = { ...this.settings, ...JSON.parse(stored) };
-            }
+            this.settings = { ...this.settings, ...clientStorage.get('settings', 'accessibility', {}) };
         } catch (error) {
             console.error('Failed to load accessibility settings:', error);
         }
@@ -417,7 +416,7 @@ export class AccessibilityManager {
 
     saveSettings() {
         try {
-            localStorage.setItem('accessibility_settings', JSON.stringify(this.settings));
+            clientStorage.set('settings', 'accessibility', this.settings);
         } catch (error) {
             console.error('Failed to save accessibility settings:', error);
         }
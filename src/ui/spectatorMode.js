@@ -198,9 +198,16 @@ export class SpectatorMode {
 
     exitSpectatorMode() {
         this.isActive = false;
+        this.currentTarget = null;
         this.spectatorPanel.style.display = 'none';
         this.statsOverlay.style.display = 'none';
 
+        // Leaving a watched online race frees the spectator slot
+        const networkManager = this.game.networkManager;
+        if (networkManager && networkManager.spectating) {
+            networkManager.stopSpectating();
+        }
+
         // Reset to normal game camera
         this.resetToGameCamera();
 
@@ -230,7 +237,43 @@ export class SpectatorMode {
         console.log(`Camera mode set to: ${mode}`);
     }
 
+    // Used by the menu and social hub
+    activate() {
+        this.enterSpectatorMode();
+    }
+
+    deactivate() {
+        if (this.isActive) {
+            this.exitSpectatorMode();
+        }
+    }
+
+    isSpectatingOnline() {
+        const networkManager = this.game.networkManager;
+        return !!(networkManager && networkManager.spectating);
+    }
+
+    // Remote cars of a watched online race, otherwise the local player and AI
+    getTargets() {
+        const sceneManager = this.game.sceneManager;
+        if (this.isSpectatingOnline()) {
+            return Array.from(sceneManager.remoteVehicles.values());
+        }
+
+        return [
+            sceneManager.playerVehicle,
+            ...sceneManager.aiVehicles.map(ai => ai.mesh)
+        ].filter(vehicle => vehicle);
+    }
+
     findInitialTarget() {
+        if (this.isSpectatingOnline()) {
+            // Remote cars appear once the delayed feed has caught up
+            const focusPlayerId = this.game.networkManager.spectating.focusPlayerId;
+            this.currentTarget = this.game.sceneManager.remoteVehicles.get(focusPlayerId) || this.getTargets()[0] || null;
+            return;
+        }
+
         // Target the player vehicle first
         if (this.game.sceneManager.playerVehicle) {
             this.currentTarget = this.game.sceneManager.playerVehicle;
@@ -240,10 +283,7 @@ export class SpectatorMode {
     }
 
     nextTarget() {
-        const allVehicles = [
-            this.game.sceneManager.playerVehicle,
-            ...this.game.sceneManager.aiVehicles.map(ai => ai.mesh)
-        ].filter(vehicle => vehicle);
+        const allVehicles = this.getTargets();
 
         if (allVehicles.length === 0) return;
 
@@ -255,6 +295,11 @@ export class SpectatorMode {
     update(deltaTime) {
         if (!this.isActive) return;
 
+        // Remote cars come and go as racers join the feed or leave
+        if (!this.currentTarget || !this.getTargets().includes(this.currentTarget)) {
+            this.findInitialTarget();
+        }
+
         this.updateCamera(deltaTime);
 
         // Throttle stats overlay updates for performance
@@ -360,6 +405,11 @@ export class SpectatorMode {
         const leaderboardList = document.getElementById('leaderboardList');
         const eventLog = document.getElementById('eventLog');
 
+        if (this.isSpectatingOnline()) {
+            this.updateOnlineStandings(leaderboardList);
+            return;
+        }
+
         // Get real leaderboard data from game
         let leaderboardData = [];
         if (this.game.leaderboardManager) {
@@ -399,6 +449,24 @@ export class SpectatorMode {
         ).join('');
     }
 
+    // Standings of the watched race, as of the spectator delay
+    updateOnlineStandings(leaderboardList) {
+        const standings = Array.from(this.game.networkManager.players.values()).sort((a, b) => {
+            if (a.finished !== b.finished) return a.finished ? -1 : 1;
+            if (a.finished) return (a.finishPosition || 0) - (b.finishPosition || 0);
+            return (b.lap || 0) - (a.lap || 0) || (b.checkpoint || 0) - (a.checkpoint || 0);
+        });
+
+        leaderboardList.replaceChildren(...standings.map((player, index) => {
+            const item = document.createElement('div');
+            item.className = 'leaderboard-item';
+            item.textContent = player.finished
+                ? `P${player.finishPosition || index + 1} ${player.name} - Finished`
+                : `P${index + 1} ${player.name} - Lap ${player.lap || 1}`;
+            return item;
+        }));
+    }
+
     startReplay() {
         // Start race replay
         this.isReplaying = true;
@@ -1,3 +1,5 @@
+import { clientStorage } from '../utils/clientStorage.js';
+
 export class UIManager {
     constructor(game) {
         this.game = game;
@@ -5,6 +7,8 @@ export class UIManager {
         this.customizationVisible = false;
         this.selectedColor = null;
         this.selectedGameMode = 'standard';
+        this.chatPanel = null;
+        this.chatErrorTimeout = null;
     }
 
     init() {
@@ -112,6 +116,10 @@ export class UIManager {
             this.resetSettings();
         });
 
+        document.getElementById('saveHistory').addEventListener('click', () => {
+            this.showSaveHistory();
+        });
+
         document.getElementById('closeAccessibility').addEventListener('click', () => {
             this.hideAccessibilitySettings();
         });
@@ -377,13 +385,13 @@ export class UIManager {
                 difficulty: document.getElementById('difficulty').value
             }
         };
-        localStorage.setItem('velocityRushSettings', JSON.stringify(settings));
+        clientStorage.set('settings', 'game', settings);
         alert('Settings saved!');
         this.applySettings(settings);
     }
 
     resetSettings() {
-        localStorage.removeItem('velocityRushSettings');
+        clientStorage.remove('settings', 'game');
         this.loadSettings();
         alert('Settings reset to default!');
     }
@@ -394,8 +402,7 @@ export class UIManager {
             audio: { master: 80, music: 70, sfx: 90 },
             gameplay: { autoSave: true, showFPS: false, difficulty: 'normal' }
         };
-        const saved = localStorage.getItem('velocityRushSettings');
-        return saved ? { ...defaultSettings, ...JSON.parse(saved) } : defaultSettings;
+        return { ...defaultSettings, ...clientStorage.get('settings', 'game', {}) };
     }
 
     applySettings(settings) {
@@ -458,13 +465,13 @@ export class UIManager {
                 audioCues: document.getElementById('audioCues').checked
             }
         };
-        localStorage.setItem('velocityRushAccessibility', JSON.stringify(settings));
+        clientStorage.set('settings', 'menuAccessibility', settings);
         alert('Accessibility settings saved!');
         this.applyAccessibilitySettings(settings);
     }
 
     resetAccessibilitySettings() {
-        localStorage.removeItem('velocityRushAccessibility');
+        clientStorage.remove('settings', 'menuAccessibility');
         this.loadAccessibilitySettings();
         alert('Accessibility settings reset to default!');
     }
@@ -475,8 +482,7 @@ export class UIManager {
             display: { textSize: 'medium', highContrast: false, reduceMotion: false },
             audio: { screenReader: false, audioCues: false }
         };
-        const saved = localStorage.getItem('velocityRushAccessibility');
-        return saved ? { ...defaultSettings, ...JSON.parse(saved) } : defaultSettings;
+        return { ...defaultSettings, ...clientStorage.get('settings', 'menuAccessibility', {}) };
     }
 
     applyAccessibilitySettings(settings) {
@@ -770,6 +776,285 @@ export class UIManager {
         };
     }
 
+    // Room chat, shown while waiting in a lobby and on the results screen
+    updateChatPanel() {
+        const network = this.game.networkManager;
+        const visible = !!network && !!network.currentRoom && ['waiting', 'finished'].includes(network.gameState);
+
+        if (!visible) {
+            if (this.chatPanel) this.chatPanel.style.display = 'none';
+            return;
+        }
+
+        if (!this.chatPanel) this.createChatPanel();
+        this.chatPanel.style.display = 'block';
+        this.renderChatMessages();
+    }
+
+    createChatPanel() {
+        this.chatPanel = document.createElement('div');
+        this.chatPanel.id = 'chatPanel';
+        this.chatPanel.style.cssText = `
+            position: absolute;
+            left: 10px;
+            bottom: 10px;
+            width: 320px;
+            background: rgba(0,0,0,0.8);
+            padding: 10px;
+            border-radius: 10px;
+            color: white;
+            font-family: monospace;
+            font-size: 13px;
+            z-index: 1000;
+            display: none;
+        `;
+
+        const log = document.createElement('div');
+        log.className = 'chat-log';
+        log.style.cssText = 'height: 180px; overflow-y: auto; margin-bottom: 6px;';
+
+        const error = document.createElement('div');
+        error.className = 'chat-error';
+        error.style.cssText = 'color: #f66; min-height: 1em;';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 200;
+        input.placeholder = 'Press Enter to send';
+        input.style.cssText = 'width: 100%; box-sizing: border-box;';
+        input.addEventListener('keydown', (e) => {
+            // Keep typing out of the driving controls
+            e.stopPropagation();
+            if (e.key === 'Enter' && this.game.networkManager.sendChatMessage(input.value)) {
+                input.value = '';
+            }
+        });
+
+        this.chatPanel.append(log, error, input);
+        document.body.appendChild(this.chatPanel);
+    }
+
+    renderChatMessages() {
+        const network = this.game.networkManager;
+        const log = this.chatPanel.querySelector('.chat-log');
+
+        log.replaceChildren(...network.getChatMessages().map(message => {
+            const row = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = `${message.name}: `;
+            row.append(name, message.text);
+
+            if (!network.isLocalPlayer(message.playerId)) {
+                const mute = document.createElement('button');
+                mute.textContent = 'Mute';
+                mute.addEventListener('click', () => {
+                    network.mutePlayer(message.userId);
+                    this.renderChatMessages();
+                });
+
+                const block = document.createElement('button');
+                block.textContent = 'Block';
+                block.addEventListener('click', () => {
+                    if (!confirm(`Block ${message.name}?`)) return;
+                    network.blockPlayer(message.userId);
+                    this.renderChatMessages();
+                });
+
+                row.append(' ', mute, block);
+            }
+            return row;
+        }));
+        log.scrollTop = log.scrollHeight;
+    }
+
+    showChatError(message) {
+        if (!this.chatPanel) return;
+
+        const error = this.chatPanel.querySelector('.chat-error');
+        error.textContent = message;
+        clearTimeout(this.chatErrorTimeout);
+        this.chatErrorTimeout = setTimeout(() => {
+            error.textContent = '';
+        }, 3000);
+    }
+
+    // Modal panel for the cloud save dialogs
+    createCloudPanel(id, title) {
+        document.getElementById(id)?.remove();
+
+        const panel = document.createElement('div');
+        panel.id = id;
+        panel.style.cssText = `
+            position: absolute;
+            left: 50%;
+            top: 50%;
+            transform: translate(-50%, -50%);
+            width: 480px;
+            max-height: 80vh;
+            overflow-y: auto;
+            background: rgba(0,0,0,0.9);
+            padding: 16px;
+            border-radius: 10px;
+            color: white;
+            font-family: monospace;
+            font-size: 13px;
+            z-index: 2000;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        panel.appendChild(heading);
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    // Asked by CloudSaveManager in 'manual' mode when this device and another
+    // both changed the save. Resolves to { section: 'merge' | 'local' | 'cloud' },
+    // or null to leave the save alone for now.
+    showSaveConflictDialog({ sections }) {
+        return new Promise(resolve => {
+            const panel = this.createCloudPanel('saveConflictDialog', 'Your save changed on another device');
+            const intro = document.createElement('p');
+            intro.textContent = 'Choose what to keep for each part of your save. Merge keeps the progress from both.';
+            panel.appendChild(intro);
+
+            const choices = {};
+            sections.forEach(({ section, label, local, cloud }) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'margin-bottom: 10px;';
+
+                const name = document.createElement('strong');
+                name.textContent = label;
+                const details = document.createElement('div');
+                details.textContent = `This device: ${local} | Cloud: ${cloud}`;
+
+                const select = document.createElement('select');
+                [['merge', 'Merge both'], ['local', 'Keep this device'], ['cloud', 'Keep cloud']].forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    select.appendChild(option);
+                });
+                choices[section] = 'merge';
+                select.addEventListener('change', () => {
+                    choices[section] = select.value;
+                });
+
+                row.append(name, details, select);
+                panel.appendChild(row);
+            });
+
+            const apply = document.createElement('button');
+            apply.textContent = 'Apply';
+            apply.addEventListener('click', () => {
+                panel.remove();
+                resolve(choices);
+            });
+
+            const later = document.createElement('button');
+            later.textContent = 'Decide later';
+            later.addEventListener('click', () => {
+                panel.remove();
+                resolve(null);
+            });
+
+            panel.append(apply, ' ', later);
+        });
+    }
+
+    async showSaveHistory() {
+        const cloud = this.game.cloudSaveManager;
+        const panel = this.createCloudPanel('saveHistoryPanel', 'Cloud Saves');
+        const status = document.createElement('div');
+        const list = document.createElement('div');
+
+        const close = document.createElement('button');
+        close.textContent = 'Close';
+        close.addEventListener('click', () => panel.remove());
+
+        panel.append(status, list, close);
+
+        if (!cloud.isLoggedIn) {
+            status.textContent = 'Log in to keep your save in the cloud.';
+            return;
+        }
+
+        const mode = document.createElement('select');
+        [['merge', 'Merge automatically'], ['manual', 'Ask me']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            mode.appendChild(option);
+        });
+        mode.value = cloud.conflictResolution === 'manual' ? 'manual' : 'merge';
+        mode.addEventListener('change', () => cloud.setConflictResolution(mode.value));
+
+        const sync = document.createElement('button');
+        sync.textContent = 'Sync now';
+        sync.addEventListener('click', async () => {
+            status.textContent = 'Syncing...';
+            const result = await cloud.syncData(this.game);
+            if (result.success) {
+                this.showSaveHistory();
+            } else {
+                status.textContent = result.reason;
+            }
+        });
+
+        const options = document.createElement('div');
+        options.style.cssText = 'margin-bottom: 10px;';
+        options.append('When two devices changed the save: ', mode, ' ', sync);
+        panel.insertBefore(options, status);
+
+        const syncStatus = cloud.getSyncStatus();
+        const state = document.createElement('div');
+        state.style.cssText = 'margin-bottom: 10px;';
+        if (syncStatus.pendingCount > 0) {
+            const retry = syncStatus.nextRetryAt ? `, retrying at ${new Date(syncStatus.nextRetryAt).toLocaleTimeString()}` : '';
+            state.textContent = `Saved locally, waiting to sync${syncStatus.lastError ? ` (${syncStatus.lastError}${retry})` : ''}`;
+        } else if (syncStatus.lastSyncTime) {
+            state.textContent = `Synced ${new Date(syncStatus.lastSyncTime).toLocaleTimeString()}`;
+        }
+        panel.insertBefore(state, options);
+
+        status.textContent = 'Loading...';
+        const versions = await cloud.getSaveHistory();
+        if (!versions) {
+            status.textContent = 'Could not load your save history.';
+            return;
+        }
+        status.textContent = versions.length > 0 ? '' : 'No cloud saves yet.';
+
+        list.replaceChildren(...versions.map((version, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'margin-bottom: 6px;';
+
+            const device = version.deviceId === cloud.deviceId ? 'this device' : 'another device';
+            const reason = version.reason === 'restore' ? `, restored from #${version.restoredFrom}` : '';
+            row.textContent = `#${version.revision} ${new Date(version.savedAt).toLocaleString()} (${device}${reason}) `;
+
+            if (index === 0) {
+                row.append('- current');
+                return row;
+            }
+
+            const restore = document.createElement('button');
+            restore.textContent = 'Restore';
+            restore.addEventListener('click', async () => {
+                if (!confirm(`Replace your current save with version #${version.revision}?`)) return;
+
+                const result = await cloud.restoreVersion(this.game, version.revision);
+                if (result.success) {
+                    this.showSaveHistory();
+                } else {
+                    status.textContent = result.reason;
+                }
+            });
+            row.appendChild(restore);
+            return row;
+        }));
+    }
+
     showMenu() {
         this.hideHUD();
         document.getElementById('menu').style.display = 'block';
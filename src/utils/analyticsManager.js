@@ -1,3 +1,5 @@
+import { clientStorage } from './clientStorage.js';
+
 export class AnalyticsManager {
     constructor() {
         this.sessionStartTime = Date.now();
@@ -29,9 +31,8 @@ export class AnalyticsManager {
 
     loadStoredData() {
         try {
-            const stored = localStorage.getItem('game_analytics');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('analytics', 'data');
+            if (data) {
                 this.metrics = { ...this.metrics, ...data.metrics };
                 this.events = data.events || [];
             }
@@ -47,7 +48,7 @@ export class AnalyticsManager {
                 events: this.events.slice(-100), // Keep last 100 events
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('game_analytics', JSON.stringify(data));
+            clientStorage.set('analytics', 'data', data);
         } catch (error) {
             console.error('Failed to save analytics data:', error);
         }
@@ -402,7 +403,7 @@ export class AnalyticsManager {
         };
 
         // Store crash report
-        const crashReports = JSON.parse(localStorage.getItem('crash_reports') || '[]');
+        const crashReports = clientStorage.get('analytics', 'crashReports', []);
         crashReports.push(crashReport);
 
         // Keep only last 10 crash reports
@@ -410,7 +411,7 @@ export class AnalyticsManager {
             crashReports.splice(0, crashReports.length - 10);
         }
 
-        localStorage.setItem('crash_reports', JSON.stringify(crashReports));
+        clientStorage.set('analytics', 'crashReports', crashReports);
 
         // Track crash event
         this.trackEvent('crash', 'application_crash', {
@@ -433,7 +434,7 @@ export class AnalyticsManager {
             events: this.events,
             errorTracking: this.errorTracking,
             performanceReport: this.generatePerformanceReport(),
-            crashReports: JSON.parse(localStorage.getItem('crash_reports') || '[]')
+            crashReports: clientStorage.get('analytics', 'crashReports', [])
         };
 
         return data;
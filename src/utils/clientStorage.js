@@ -0,0 +1,318 @@
+// Everything the game keeps on the device goes through here. Records are
+// small JSON values (settings, progression, store) read synchronously from
+// localStorage under namespaced keys like 'vr:store/data'. Blobs are large
+// values such as replays and ghost laps, kept in IndexedDB and read
+// asynchronously. Tests use MemoryBackend for both.
+//
+// The layout is versioned: migrate() runs every step in MIGRATIONS newer than
+// the stored schema version, in order, before the game reads anything.
+
+const KEY_PREFIX = 'vr:';
+const BLOB_DATABASE = 'velocityrush';
+const BLOB_STORE = 'blobs';
+
+function recordKey(namespace, name) {
+    return `${KEY_PREFIX}${namespace}/${name}`;
+}
+
+// Records and blobs in a Map, for tests and browsers without storage
+export class MemoryBackend {
+    constructor() {
+        this.records = new Map();
+        this.blobs = new Map();
+    }
+
+    getItem(key) {
+        return this.records.has(key) ? this.records.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.records.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.records.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.records.keys());
+    }
+
+    // Blobs are copied in and out so callers can't change what is stored
+    async get(key) {
+        return this.blobs.has(key) ? structuredClone(this.blobs.get(key)) : null;
+    }
+
+    async put(key, value) {
+        this.blobs.set(key, structuredClone(value));
+    }
+
+    async delete(key) {
+        this.blobs.delete(key);
+    }
+}
+
+// Also stores blobs, as JSON, when IndexedDB isn't available
+export class LocalStorageBackend {
+    get storage() {
+        return globalThis.localStorage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < (this.storage.length || 0); i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+
+    async get(key) {
+        const stored = this.storage.getItem(key);
+        return stored === null ? null : JSON.parse(stored);
+    }
+
+    async put(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+// Blobs only; values are stored as structured clones
+export class IndexedDBBackend {
+    constructor(factory = globalThis.indexedDB, databaseName = BLOB_DATABASE) {
+        this.factory = factory;
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(BLOB_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async transaction(mode, run) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(BLOB_STORE, mode);
+            const request = run(transaction.objectStore(BLOB_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async put(key, value) {
+        await this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+// Where each key the game used before namespacing went. Values that aren't
+// JSON (a vehicle type, a date string) are carried over as strings.
+const LEGACY_RECORDS = {
+    velocityRushSettings: ['settings', 'game'],
+    velocityRushAccessibility: ['settings', 'menuAccessibility'],
+    accessibility_settings: ['settings', 'accessibility'],
+    store_data: ['store', 'data'],
+    last_daily_bonus: ['store', 'lastDailyBonus'],
+    game_progression: ['progression', 'data'],
+    championship_career: ['championship', 'career'],
+    unlocked_vehicles: ['garage', 'unlockedVehicles'],
+    current_vehicle_type: ['garage', 'currentVehicle'],
+    ranking_data: ['ranking', 'data'],
+    leaderboard_data: ['leaderboards', 'local'],
+    enhanced_leaderboards: ['leaderboards', 'enhanced'],
+    seasonal_events: ['leaderboards', 'seasonalEvents'],
+    tournament_data: ['tournaments', 'data'],
+    social_data: ['social', 'data'],
+    social_hub_data: ['social', 'hub'],
+    social_sharing: ['social', 'sharing'],
+    social_challenges: ['social', 'sharedChallenges'],
+    achievements: ['social', 'achievements'],
+    race_history: ['social', 'raceHistory'],
+    challenges: ['social', 'challenges'],
+    privacy_settings: ['social', 'privacy'],
+    ugc_content: ['ugc', 'content'],
+    custom_track: ['editor', 'customTrack'],
+    game_analytics: ['analytics', 'data'],
+    crash_reports: ['analytics', 'crashReports'],
+    cloud_session: ['cloud', 'session'],
+    cloud_sync_state: ['cloud', 'syncState'],
+    cloud_device_id: ['cloud', 'deviceId'],
+    cloud_conflict_resolution: ['cloud', 'conflictResolution'],
+    cloud_sync_queue: ['cloud', 'syncQueue']
+};
+const LEGACY_CUSTOMIZATION_PREFIX = 'vehicle_customization_';
+const LEGACY_BLOBS = {
+    ghost_lap_data: ['ghosts', 'bestLap'],
+    race_replay_data: ['replays', 'lastRace']
+};
+// Dropped without a replacement
+const OBSOLETE_KEYS = ['cloud_user_id'];
+
+function parseLegacy(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+// Each step runs once, against the layout the previous step left
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move unversioned localStorage keys into namespaces and large data into blobs',
+        async migrate(storage) {
+            const records = storage.records;
+
+            Object.entries(LEGACY_RECORDS).forEach(([legacyKey, [namespace, name]]) => {
+                const value = records.getItem(legacyKey);
+                if (value === null) return;
+                storage.set(namespace, name, parseLegacy(value));
+                records.removeItem(legacyKey);
+            });
+
+            records.keys()
+                .filter(key => key.startsWith(LEGACY_CUSTOMIZATION_PREFIX))
+                .forEach(legacyKey => {
+                    const slot = legacyKey.slice(LEGACY_CUSTOMIZATION_PREFIX.length);
+                    storage.set('garage', `customization_${slot}`, parseLegacy(records.getItem(legacyKey)));
+                    records.removeItem(legacyKey);
+                });
+
+            for (const [legacyKey, [namespace, name]] of Object.entries(LEGACY_BLOBS)) {
+                const value = records.getItem(legacyKey);
+                if (value === null) continue;
+                await storage.setBlob(namespace, name, parseLegacy(value));
+                records.removeItem(legacyKey);
+            }
+
+            OBSOLETE_KEYS.forEach(key => records.removeItem(key));
+        }
+    }
+];
+
+export class ClientStorage {
+    constructor(records, blobs = records) {
+        this.setBackends(records, blobs);
+    }
+
+    setBackends(records, blobs = records) {
+        this.records = records;
+        this.blobs = blobs;
+    }
+
+    // The stored value, or fallback when there is none or it can't be read
+    get(namespace, name, fallback = null) {
+        try {
+            const stored = this.records.getItem(recordKey(namespace, name));
+            return stored === null ? fallback : JSON.parse(stored);
+        } catch (error) {
+            console.error(`Failed to read ${namespace}/${name}:`, error);
+            return fallback;
+        }
+    }
+
+    // False when the value couldn't be stored, e.g. over quota
+    set(namespace, name, value) {
+        try {
+            this.records.setItem(recordKey(namespace, name), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Failed to save ${namespace}/${name}:`, error);
+            return false;
+        }
+    }
+
+    remove(namespace, name) {
+        this.records.removeItem(recordKey(namespace, name));
+    }
+
+    async getBlob(namespace, name) {
+        try {
+            return await this.blobs.get(recordKey(namespace, name));
+        } catch (error) {
+            console.error(`Failed to read ${namespace}/${name}:`, error);
+            return null;
+        }
+    }
+
+    async setBlob(namespace, name, value) {
+        try {
+            await this.blobs.put(recordKey(namespace, name), value);
+            return true;
+        } catch (error) {
+            console.error(`Failed to save ${namespace}/${name}:`, error);
+            return false;
+        }
+    }
+
+    async removeBlob(namespace, name) {
+        await this.blobs.delete(recordKey(namespace, name));
+    }
+
+    getSchemaVersion() {
+        return this.get('meta', 'schemaVersion', 0);
+    }
+
+    // Resolves to the versions applied. A step that fails is retried next
+    // time; the steps before it stay applied.
+    async migrate(migrations = MIGRATIONS) {
+        const applied = [];
+        const pending = migrations
+            .filter(step => step.version > this.getSchemaVersion())
+            .sort((a, b) => a.version - b.version);
+
+        for (const step of pending) {
+            await step.migrate(this);
+            this.set('meta', 'schemaVersion', step.version);
+            applied.push(step.version);
+            console.log(`Storage migrated to version ${step.version}: ${step.description}`);
+        }
+        return applied;
+    }
+}
+
+function createDefaultBackends() {
+    if (typeof globalThis.localStorage === 'undefined') {
+        const memory = new MemoryBackend();
+        return [memory, memory];
+    }
+
+    const records = new LocalStorageBackend();
+    return [records, typeof globalThis.indexedDB !== 'undefined' ? new IndexedDBBackend() : records];
+}
+
+// Shared by the whole game; tests swap the backends for MemoryBackend
+export const clientStorage = new ClientStorage(...createDefaultBackends());
@@ -1,17 +1,68 @@
+import { describeConflict, hasChanges, mergeSaves } from './saveMerge.js';
+import { SyncQueue } from './syncQueue.js';
+import { clientStorage } from './clientStorage.js';
+
+const SAVE_OPERATION = 'save'; // Local changes the cloud doesn't have yet
+const TOKEN_REFRESH_MARGIN = 60 * 60 * 1000; // Refresh tokens with less than an hour left
+const MAX_SYNC_ATTEMPTS = 3; // Uploads refused because another device saved first
+
+// Where each part of a cloud save is kept on the device
+const SAVE_LOCATIONS = {
+    vehicleCustomization: ['garage', 'customization_default'],
+    storeData: ['store', 'data'],
+    leaderboardData: ['leaderboards', 'local'],
+    analyticsData: ['analytics', 'data'],
+    unlockedVehicles: ['garage', 'unlockedVehicles'],
+    currentVehicleType: ['garage', 'currentVehicle'],
+    accessibilitySettings: ['settings', 'accessibility'],
+    rankingData: ['ranking', 'data'],
+    progressionData: ['progression', 'data'],
+    gameSettings: ['settings', 'game']
+};
+const SAVE_BLOBS = {
+    ghostData: ['ghosts', 'bestLap']
+};
+
 export class CloudSaveManager {
     constructor() {
         this.isLoggedIn = false;
         this.userId = null;
+        this.username = null;
+        this.authToken = null; // Signed session token from the server
+        this.tokenExpiresAt = null;
         this.lastSyncTime = null;
         this.syncInterval = 5 * 60 * 1000; // 5 minutes
         this.autoSyncEnabled = true;
-        this.conflictResolution = 'server_wins'; // 'server_wins', 'client_wins', 'manual'
+        this.conflictResolution = clientStorage.get('cloud', 'conflictResolution', 'merge'); // 'merge', 'server_wins', 'client_wins', 'manual'
+        this.conflictHandler = null; // async ({ sections, local, cloud }) => { section: 'merge' | 'local' | 'cloud' } or null
+        this.deviceId = this.getDeviceId();
+        this.queue = new SyncQueue('cloud', 'syncQueue');
+        this.lastError = null;
+        this.retryTimer = null;
+        this.game = null; // What queued retries sync
+    }
+
+    getDeviceId() {
+        let deviceId = clientStorage.get('cloud', 'deviceId');
+        if (!deviceId) {
+            deviceId = `device_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+            clientStorage.set('cloud', 'deviceId', deviceId);
+        }
+        return deviceId;
     }
 
     // Authentication with real backend
+    async register(username, password) {
+        return this.authenticate('/api/auth/register', username, password, 'Registration failed');
+    }
+
     async login(username, password) {
+        return this.authenticate('/api/auth/login', username, password, 'Login failed');
+    }
+
+    async authenticate(url, username, password, failureReason) {
         try {
-            const response = await fetch('/api/cloud/login', {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -22,13 +73,11 @@ export class CloudSaveManager {
             const data = await response.json();
 
             if (data.success) {
-                this.userId = data.userId;
-                this.isLoggedIn = true;
-                localStorage.setItem('cloud_user_id', this.userId);
-                console.log(`Logged in as ${username}`);
+                this.setSession(data);
+                console.log(`Logged in as ${this.username}`);
                 return { success: true, userId: this.userId };
             } else {
-                return { success: false, reason: data.error || 'Login failed' };
+                return { success: false, reason: data.error || failureReason };
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -36,165 +85,332 @@ export class CloudSaveManager {
         }
     }
 
+    setSession({ userId, username, token, expiresAt }) {
+        this.userId = userId;
+        this.username = username;
+        this.authToken = token;
+        this.tokenExpiresAt = expiresAt;
+        this.isLoggedIn = true;
+        clientStorage.set('cloud', 'session', { userId, username, token, expiresAt });
+    }
+
     logout() {
         this.isLoggedIn = false;
         this.userId = null;
-        localStorage.removeItem('cloud_user_id');
+        this.username = null;
+        this.authToken = null;
+        this.tokenExpiresAt = null;
+        clientStorage.remove('cloud', 'session');
+
+        // The changes stay on this device; they are queued again at the next login
+        this.queue.clear();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.lastError = null;
         console.log('Logged out');
     }
 
     autoLogin() {
-        const savedUserId = localStorage.getItem('cloud_user_id');
-        if (savedUserId) {
-            this.userId = savedUserId;
-            this.isLoggedIn = true;
-            console.log('Auto-logged in');
+        const session = clientStorage.get('cloud', 'session');
+        if (!session || !session.token || !(session.expiresAt > Date.now())) {
+            clientStorage.remove('cloud', 'session');
+            return false;
+        }
+
+        this.setSession(session);
+        console.log('Auto-logged in');
+
+        // Extend the session so regular players stay signed in
+        this.refreshToken();
+        return true;
+    }
+
+    async refreshToken() {
+        if (!this.authToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+
+            if (response.status === 401) {
+                this.logout();
+                return false;
+            }
+
+            const data = await response.json();
+            if (!data.success) return false;
+
+            this.setSession(data);
             return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
         }
-        return false;
     }
 
-    // Data synchronization
+    getAuthToken() {
+        return this.isLoggedIn ? this.authToken : null;
+    }
+
+    // fetch() as the logged-in account, refreshing a token that is about to expire
+    async authorizedFetch(url, options = {}) {
+        if (this.tokenExpiresAt - Date.now() < TOKEN_REFRESH_MARGIN) {
+            await this.refreshToken();
+        }
+
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${this.authToken}`
+            }
+        });
+
+        if (response.status === 401) {
+            this.logout();
+        }
+        return response;
+    }
+
+    // Data synchronization. The save this device last uploaded or downloaded
+    // is kept as the base: when the cloud has moved on and this device has
+    // changes of its own, both are merged against it section by section.
+    // Changes that couldn't be uploaded stay queued and are retried with backoff.
     async syncData(game) {
-        if (!this.isLoggedIn || !this.userId) {
+        if (!this.isLoggedIn || !this.authToken) {
             return { success: false, reason: 'Not logged in' };
         }
+        this.game = game;
 
         try {
-            const localData = this.getLocalData(game);
-            const cloudData = this.getCloudData();
+            for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+                const localData = await this.getLocalData(game);
+                const syncState = this.getSyncState();
+                if (hasChanges(syncState.base, localData)) {
+                    // Supersedes whatever was waiting: the upload is always the latest local save
+                    this.queue.enqueue(SAVE_OPERATION, { baseRevision: syncState.revision });
+                }
+
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                    return this.syncFailed('Offline', true);
+                }
+
+                const cloudData = await this.getCloudData();
+                if (cloudData === null) {
+                    return this.syncFailed('Could not reach the cloud', true);
+                }
 
-            const mergedData = this.resolveConflicts(localData, cloudData, localData);
+                const cloudRevision = cloudData.revision || 0;
+
+                let mergedData;
+                if (cloudRevision === 0 || cloudRevision === syncState.revision) {
+                    mergedData = localData; // Nobody else saved since
+                } else if (!hasChanges(syncState.base, localData)) {
+                    mergedData = cloudData; // Nothing new here
+                } else {
+                    mergedData = await this.resolveConflicts(localData, cloudData, syncState.base);
+                    if (!mergedData) {
+                        return this.syncFailed('Sync cancelled', false);
+                    }
+                }
 
-            // Save to "cloud" (simulated)
-            this.saveCloudData(mergedData);
-            this.saveLocalData(mergedData);
+                let revision = cloudRevision;
+                if (cloudRevision === 0 || hasChanges(cloudData, mergedData)) {
+                    const saved = await this.saveCloudData(mergedData, cloudRevision);
+                    if (saved.conflict) continue;
+                    if (!saved.success) {
+                        return this.syncFailed(saved.reason || 'Sync failed', saved.retryable);
+                    }
+                    revision = saved.revision;
+                }
 
-            // Apply data to game managers
-            this.applyCloudDataToGame(game, mergedData);
+                await this.saveLocalData(mergedData);
+                this.applyCloudDataToGame(game, mergedData);
+                this.setSyncState(revision, mergedData);
+                this.queue.complete(SAVE_OPERATION);
+                this.lastError = null;
 
-            this.lastSyncTime = Date.now();
-            console.log('Data synced successfully');
+                this.lastSyncTime = Date.now();
+                console.log(`Data synced successfully (revision ${revision})`);
 
-            return { success: true, data: mergedData };
+                return { success: true, data: mergedData, revision };
+            }
+
+            return this.syncFailed('The save kept changing on another device', true);
         } catch (error) {
             console.error('Sync failed:', error);
-            return { success: false, reason: 'Sync failed' };
+            return this.syncFailed('Sync failed', true);
         }
     }
 
-    getLocalData(game) {
-        void(game); // Parameter kept for future use
-        const data = {};
-        // Collect data from various managers
-        try {
-            // Vehicle customization
-            const customization = localStorage.getItem('vehicle_customization_default');
-            if (customization) data.vehicleCustomization = JSON.parse(customization);
-
-            // Store data (currency and inventory)
-            const store = localStorage.getItem('store_data');
-            if (store) data.storeData = JSON.parse(store);
-
-            // Leaderboard data
-            const leaderboard = localStorage.getItem('leaderboard_data');
-            if (leaderboard) data.leaderboardData = JSON.parse(leaderboard);
+    // Queued changes are retried later unless the failure won't go away by itself
+    syncFailed(reason, retryable) {
+        this.lastError = reason;
+        if (retryable && this.queue.get(SAVE_OPERATION)) {
+            this.queue.retryLater(SAVE_OPERATION, reason);
+            this.scheduleRetry();
+        }
+        return { success: false, reason, pending: this.queue.size };
+    }
 
-            // Analytics data
-            const analytics = localStorage.getItem('game_analytics');
-            if (analytics) data.analyticsData = JSON.parse(analytics);
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
 
-            // Vehicle unlocks
-            const unlocks = localStorage.getItem('unlocked_vehicles');
-            if (unlocks) data.unlockedVehicles = JSON.parse(unlocks);
+        const nextAttemptAt = this.queue.getNextAttemptAt();
+        if (nextAttemptAt === null || !this.game) return;
 
-            // Current vehicle selection
-            const currentVehicle = localStorage.getItem('current_vehicle_type');
-            if (currentVehicle) data.currentVehicleType = currentVehicle;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.isLoggedIn) {
+                this.syncData(this.game);
+            }
+        }, Math.max(0, nextAttemptAt - Date.now()));
+    }
 
-            // Accessibility settings
-            const accessibility = localStorage.getItem('accessibility_settings');
-            if (accessibility) data.accessibilitySettings = JSON.parse(accessibility);
+    // { revision, base } as of the last sync of the logged-in account
+    getSyncState() {
+        const state = clientStorage.get('cloud', 'syncState');
+        if (state && state.userId === this.userId) {
+            return { revision: state.revision, base: state.base || {} };
+        }
+        return { revision: 0, base: {} };
+    }
 
-            // Ranking data
-            const ranking = localStorage.getItem('ranking_data');
-            if (ranking) data.rankingData = JSON.parse(ranking);
+    setSyncState(revision, base) {
+        clientStorage.set('cloud', 'syncState', { userId: this.userId, revision, base });
+    }
 
-            data.lastModified = Date.now();
-        } catch (error) {
-            console.error('Failed to get local data:', error);
+    async getLocalData(game) {
+        void(game); // Parameter kept for future use
+        const data = {};
+        // Collect data from various managers
+        Object.entries(SAVE_LOCATIONS).forEach(([field, [namespace, name]]) => {
+            const value = clientStorage.get(namespace, name);
+            if (value !== null) data[field] = value;
+        });
+        for (const [field, [namespace, name]] of Object.entries(SAVE_BLOBS)) {
+            const value = await clientStorage.getBlob(namespace, name);
+            if (value !== null) data[field] = value;
         }
+
+        data.lastModified = Date.now();
         return data;
     }
 
+    // The cloud save with its revision, {} when there is none yet and null
+    // when it couldn't be fetched
     async getCloudData() {
         try {
-            const response = await fetch(`/api/cloud/load/${this.userId}`);
+            const response = await this.authorizedFetch(`/api/cloud/load/${this.userId}`);
             if (response.status === 404) {
                 return {}; // No data found
             }
-            const data = await response.json();
-            return data;
+            if (!response.ok) return null;
+
+            return await response.json();
         } catch (error) {
             console.error('Failed to get cloud data:', error);
-            return {};
+            return null;
         }
     }
 
-    async saveCloudData(data) {
+    // Resolves to { success, revision }, { conflict: true } when another device
+    // saved after baseRevision, or { success: false, reason, retryable }
+    async saveCloudData(data, baseRevision) {
         try {
-            const response = await fetch('/api/cloud/save', {
+            const response = await this.authorizedFetch('/api/cloud/save', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    userId: this.userId,
                     gameData: {
                         ...data,
-                        syncedAt: Date.now(),
                         version: '1.0'
-                    }
+                    },
+                    baseRevision,
+                    deviceId: this.deviceId
                 })
             });
 
-            const result = await response.json();
-            return result.success;
+            if (response.status === 409) {
+                return { success: false, conflict: true };
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (result.success) {
+                return { success: true, revision: result.revision };
+            }
+            // Refused outright (e.g. too large) isn't worth retrying
+            return { success: false, reason: result.error, retryable: response.status >= 500 || response.status === 429 };
         } catch (error) {
             console.error('Failed to save cloud data:', error);
-            return false;
+            return { success: false, retryable: true };
         }
     }
 
-    saveLocalData(data) {
-        // Update local storage with synced data
+    // Versions the server still keeps, newest first: { revision, savedAt, deviceId, reason }
+    async getSaveHistory() {
+        if (!this.isLoggedIn) return null;
+
         try {
-            if (data.vehicleCustomization) {
-                localStorage.setItem('vehicle_customization_default', JSON.stringify(data.vehicleCustomization));
-            }
-            if (data.storeData) {
-                localStorage.setItem('store_data', JSON.stringify(data.storeData));
-            }
-            if (data.leaderboardData) {
-                localStorage.setItem('leaderboard_data', JSON.stringify(data.leaderboardData));
-            }
-            if (data.analyticsData) {
-                localStorage.setItem('game_analytics', JSON.stringify(data.analyticsData));
-            }
-            if (data.unlockedVehicles) {
-                localStorage.setItem('unlocked_vehicles', JSON.stringify(data.unlockedVehicles));
-            }
-            if (data.currentVehicleType) {
-                localStorage.setItem('current_vehicle_type', data.currentVehicleType);
-            }
-            if (data.accessibilitySettings) {
-                localStorage.setItem('accessibility_settings', JSON.stringify(data.accessibilitySettings));
-            }
-            if (data.rankingData) {
-                localStorage.setItem('ranking_data', JSON.stringify(data.rankingData));
+            const response = await this.authorizedFetch('/api/cloud/history');
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return data.versions;
+        } catch (error) {
+            console.error('Failed to get save history:', error);
+            return null;
+        }
+    }
+
+    // Makes an earlier version the current save, here and in the cloud
+    async restoreVersion(game, revision) {
+        if (!this.isLoggedIn) {
+            return { success: false, reason: 'Not logged in' };
+        }
+
+        try {
+            const response = await this.authorizedFetch('/api/cloud/restore', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ revision, deviceId: this.deviceId })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                return { success: false, reason: result.error || 'Restore failed' };
             }
+
+            await this.saveLocalData(result.gameData);
+            this.applyCloudDataToGame(game, result.gameData);
+            this.setSyncState(result.revision, result.gameData);
+            this.queue.complete(SAVE_OPERATION);
+            this.lastSyncTime = Date.now();
+            console.log(`Restored save revision ${revision}`);
+
+            return { success: true, revision: result.revision };
         } catch (error) {
-            console.error('Failed to save local data:', error);
+            console.error('Restore failed:', error);
+            return { success: false, reason: 'Network error' };
+        }
+    }
+
+    // Update local storage with synced data
+    async saveLocalData(data) {
+        Object.entries(SAVE_LOCATIONS).forEach(([field, [namespace, name]]) => {
+            if (data[field]) clientStorage.set(namespace, name, data[field]);
+        });
+        for (const [field, [namespace, name]] of Object.entries(SAVE_BLOBS)) {
+            if (data[field]) await clientStorage.setBlob(namespace, name, data[field]);
         }
     }
 
@@ -218,14 +434,25 @@ export class CloudSaveManager {
                 game.accessibilityManager.applySettings();
             }
 
-            // Apply store data
+            // The rest was merged already and written by saveLocalData; the
+            // managers reload it from there
             if (data.storeData && game.storeManager) {
-                if (data.storeData.currency) {
-                    game.storeManager.currency = { ...game.storeManager.currency, ...data.storeData.currency };
-                }
-                if (data.storeData.inventory) {
-                    game.storeManager.inventory = new Set([...game.storeManager.inventory, ...data.storeData.inventory]);
-                }
+                game.storeManager.loadPlayerData();
+            }
+            if (data.progressionData && game.progressionManager) {
+                game.progressionManager.loadProgress();
+            }
+            if (data.rankingData && game.rankingManager) {
+                game.rankingManager.loadPlayerData();
+            }
+            if (data.leaderboardData && game.leaderboardManager) {
+                game.leaderboardManager.loadLocalData();
+            }
+            if (data.ghostData && game.ghostSystem) {
+                game.ghostSystem.loadGhostData();
+            }
+            if (data.gameSettings && game.uiManager) {
+                game.uiManager.applySettings(game.uiManager.getSettings());
             }
 
             console.log('Cloud data applied to game');
@@ -234,34 +461,48 @@ export class CloudSaveManager {
         }
     }
 
-    resolveConflicts(localData, cloudData, currentData) {
-        if (!cloudData || Object.keys(cloudData).length === 0) {
-            return { ...localData, ...currentData };
-        }
-
-        const localTime = localData.lastModified || 0;
-        const cloudTime = cloudData.syncedAt || 0;
-
+    // Both this device and another changed the save since the last sync
+    async resolveConflicts(localData, cloudData, baseData) {
         switch (this.conflictResolution) {
             case 'server_wins':
-                return cloudTime >= localTime ? cloudData : { ...cloudData, ...currentData };
+                return cloudData;
             case 'client_wins':
-                return localTime >= cloudTime ? { ...localData, ...currentData } : currentData;
-            case 'manual':
-                // For now, prefer newer data
-                return cloudTime >= localTime ? cloudData : { ...localData, ...currentData };
+                return localData;
+            case 'manual': {
+                if (!this.conflictHandler) return mergeSaves(baseData, localData, cloudData);
+
+                const choices = await this.conflictHandler({
+                    sections: describeConflict(localData, cloudData),
+                    local: localData,
+                    cloud: cloudData
+                });
+                return choices ? mergeSaves(baseData, localData, cloudData, choices) : null;
+            }
             default:
-                return { ...localData, ...currentData };
+                return mergeSaves(baseData, localData, cloudData);
         }
     }
 
     // Auto-sync functionality
     startAutoSync(gameInstance) {
+        this.game = gameInstance;
+
+        // Changes left waiting by the last session
+        this.scheduleRetry();
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('online', () => {
+                if (this.queue.size === 0) return;
+                this.queue.resetBackoff();
+                this.scheduleRetry();
+            });
+        }
+
         if (!this.autoSyncEnabled) return;
 
         setInterval(() => {
-            if (this.isLoggedIn && Date.now() - (this.lastSyncTime || 0) > this.syncInterval) {
-                this.syncData(this.collectGameData(gameInstance));
+            // A failed sync is retried on its own schedule
+            if (this.isLoggedIn && !this.retryTimer && Date.now() - (this.lastSyncTime || 0) > this.syncInterval) {
+                this.syncData(gameInstance);
             }
         }, this.syncInterval);
     }
@@ -290,14 +531,25 @@ export class CloudSaveManager {
 
     setConflictResolution(mode) {
         this.conflictResolution = mode;
+        clientStorage.set('cloud', 'conflictResolution', mode);
+    }
+
+    // Asked which side to keep for each section when conflictResolution is 'manual'
+    setConflictHandler(handler) {
+        this.conflictHandler = handler;
     }
 
     getSyncStatus() {
         return {
             isLoggedIn: this.isLoggedIn,
             userId: this.userId,
+            username: this.username,
             lastSyncTime: this.lastSyncTime,
-            autoSyncEnabled: this.autoSyncEnabled
+            autoSyncEnabled: this.autoSyncEnabled,
+            // Saved locally, waiting to sync
+            pendingCount: this.queue.size,
+            lastError: this.lastError || this.queue.get(SAVE_OPERATION)?.lastError || null,
+            nextRetryAt: this.retryTimer ? this.queue.getNextAttemptAt() : null
         };
     }
 }
\ No newline at end of file
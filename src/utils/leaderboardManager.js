@@ -1,17 +1,20 @@
+import { LeaderboardApi } from '../network/leaderboardApi.js';
+import { clientStorage } from './clientStorage.js';
+
 export class LeaderboardManager {
-    constructor() {
+    constructor(cloudSaveManager = null) {
         this.localLeaderboard = [];
         this.globalLeaderboard = [];
         this.friendsLeaderboard = [];
         this.maxEntries = 100;
+        this.api = new LeaderboardApi(cloudSaveManager);
         this.loadLocalData();
     }
 
     loadLocalData() {
         try {
-            const stored = localStorage.getItem('leaderboard_data');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = clientStorage.get('leaderboards', 'local');
+            if (data) {
                 this.localLeaderboard = data.localLeaderboard || [];
                 this.friendsLeaderboard = data.friendsLeaderboard || [];
             }
@@ -27,13 +30,14 @@ export class LeaderboardManager {
                 friendsLeaderboard: this.friendsLeaderboard,
                 lastUpdated: Date.now()
             };
-            localStorage.setItem('leaderboard_data', JSON.stringify(data));
+            clientStorage.set('leaderboards', 'local', data);
         } catch (error) {
             console.error('Failed to save leaderboard data:', error);
         }
     }
 
-    addRaceResult(playerName, totalTime, bestLapTime, position, trackName = 'default') {
+    // Pass { submit: false } for results the server already records itself
+    addRaceResult(playerName, totalTime, bestLapTime, position, trackName = 'default', options = {}) {
         const result = {
             id: Date.now() + Math.random(),
             playerName: playerName,
@@ -57,9 +61,26 @@ export class LeaderboardManager {
         }
 
         this.saveLocalData();
+
+        if (options.submit !== false) {
+            this.submitToServer(result);
+        }
         return result;
     }
 
+    // Best effort: the local board already has the result if this fails
+    async submitToServer(result) {
+        const submitted = await this.api.submit('race', result.trackName, {
+            time: result.totalTime,
+            position: result.position
+        });
+
+        if (submitted && result.bestLapTime) {
+            await this.api.submit('lap', result.trackName, { time: result.bestLapTime });
+        }
+        return !!submitted;
+    }
+
     getLocalLeaderboard(trackName = null, limit = 10) {
         let leaderboard = this.localLeaderboard;
 
@@ -111,11 +132,47 @@ export class LeaderboardManager {
         return this.friendsLeaderboard.slice(0, limit);
     }
 
-    // Global leaderboard (would fetch from server)
-    async fetchGlobalLeaderboard(trackName = null, limit = 10) {
-        // In a real implementation, this would make an API call
-        // For now, return local data as global
-        return this.getLocalLeaderboard(trackName, limit);
+    // Global leaderboard from the server, or the local one while offline.
+    // options: { vehicle, timeframe, page }
+    async fetchGlobalLeaderboard(trackName = null, limit = 10, options = {}) {
+        const track = trackName || 'default';
+        const data = await this.api.fetchLeaderboard('race', track, { ...options, pageSize: limit });
+        if (!data) {
+            return this.getLocalLeaderboard(trackName, limit);
+        }
+
+        this.globalLeaderboard = data.entries.map(entry => this.fromServerEntry(entry, track));
+        return this.globalLeaderboard;
+    }
+
+    // The player's global rank with `window` entries either side
+    async fetchRankAroundMe(trackName = 'default', window = 5, options = {}) {
+        const data = await this.api.fetchAroundMe('race', trackName, { ...options, window });
+        if (!data) {
+            return { rank: null, entries: this.getLocalLeaderboard(trackName, window * 2 + 1), offline: true };
+        }
+
+        return {
+            rank: data.rank,
+            total: data.total,
+            entries: data.entries.map(entry => this.fromServerEntry(entry, trackName))
+        };
+    }
+
+    fromServerEntry(entry, trackName) {
+        return {
+            id: `${entry.userId}_${entry.achievedAt}`,
+            rank: entry.rank,
+            userId: entry.userId,
+            playerName: entry.username,
+            totalTime: entry.time,
+            position: entry.position,
+            vehicle: entry.vehicle,
+            trackName: trackName,
+            verified: entry.verified,
+            timestamp: entry.achievedAt,
+            date: new Date(entry.achievedAt).toISOString()
+        };
     }
 
     // Statistics
@@ -156,6 +213,6 @@ export class LeaderboardManager {
     clearLocalData() {
         this.localLeaderboard = [];
         this.friendsLeaderboard = [];
-        localStorage.removeItem('leaderboard_data');
+        clientStorage.remove('leaderboards', 'local');
     }
 }
\ No newline at end of file
@@ -0,0 +1,222 @@
+// Three-way merge of cloud saves. `base` is the save both sides last agreed
+// on, `local` this device's data and `remote` what another device uploaded
+// since. Each top-level key has its own rule, so playing offline on two
+// devices keeps the progress made on both: XP takes the furthest, unlocks are
+// unioned and currency adds up what each side earned or spent. Where both
+// sides changed the same setting, this device wins.
+
+// Save keys that only describe the save itself
+const META_KEYS = ['lastModified', 'syncedAt', 'version', 'revision', 'deviceId'];
+
+// Groups of save keys shown, and chosen between, in the manual conflict dialog
+export const SAVE_SECTIONS = {
+    progression: { label: 'Progression', keys: ['progressionData', 'rankingData'] },
+    store: { label: 'Store inventory', keys: ['storeData', 'unlockedVehicles'] },
+    ghosts: { label: 'Ghosts and times', keys: ['ghostData', 'leaderboardData'] },
+    settings: { label: 'Settings', keys: ['gameSettings', 'accessibilitySettings', 'currentVehicleType', 'vehicleCustomization', 'analyticsData'] }
+};
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Whether anything but the save's metadata differs
+export function hasChanges(from = {}, to = {}) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    return Array.from(keys).some(key => !META_KEYS.includes(key) && !equal(from[key], to[key]));
+}
+
+// Whichever side changed since base; this device when both did
+function pickChanged(base, local, remote) {
+    if (equal(local, base)) return remote;
+    if (equal(remote, base)) return local;
+    return local;
+}
+
+// Field by field for plain objects, so changing graphics on one device and
+// audio on the other keeps both
+function mergeFields(base = {}, local = {}, remote = {}) {
+    if (!isObject(local) || !isObject(remote)) return pickChanged(base, local, remote);
+
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+        const baseValue = isObject(base) ? base[key] : undefined;
+        const value = isObject(local[key]) && isObject(remote[key])
+            ? mergeFields(isObject(baseValue) ? baseValue : {}, local[key], remote[key])
+            : pickChanged(baseValue, local[key], remote[key]);
+        if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+}
+
+// Both sides' changes to a count; without a base there is no telling what
+// either earned, so the larger is kept
+function sumDeltas(base, local = 0, remote = 0) {
+    if (typeof base !== 'number') return Math.max(local, remote);
+    return Math.max(0, remote + local - base);
+}
+
+function sumEachDelta(base = {}, local = {}, remote = {}) {
+    const merged = { ...remote, ...local };
+    Object.keys(merged).forEach(key => {
+        merged[key] = sumDeltas(base[key], local[key], remote[key]);
+    });
+    return merged;
+}
+
+// Objects compare by id when they have one
+function union(local = [], remote = []) {
+    const seen = new Set();
+    return [...remote, ...local].filter(item => {
+        const key = isObject(item) && item.id !== undefined ? `id:${item.id}` : JSON.stringify(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function mergeProgression(base = {}, local = {}, remote = {}) {
+    const merged = mergeFields(base, local, remote);
+
+    // Level and XP move together, from whichever side got further
+    const furthest = (local.totalExperience || 0) >= (remote.totalExperience || 0) ? local : remote;
+    ['level', 'experience', 'experienceToNext', 'totalExperience'].forEach(key => {
+        if (furthest[key] !== undefined) merged[key] = furthest[key];
+    });
+
+    if (local.currency || remote.currency) {
+        merged.currency = sumEachDelta(base.currency, local.currency, remote.currency);
+    }
+    if (local.achievements || remote.achievements) {
+        merged.achievements = union(local.achievements, remote.achievements);
+    }
+
+    if (local.unlocks || remote.unlocks) {
+        merged.unlocks = {};
+        new Set([...Object.keys(local.unlocks || {}), ...Object.keys(remote.unlocks || {})]).forEach(key => {
+            merged.unlocks[key] = union((local.unlocks || {})[key], (remote.unlocks || {})[key]);
+        });
+    }
+
+    // Counters add up; the best lap is the quicker one
+    if (local.statistics || remote.statistics) {
+        const statistics = sumEachDelta(base.statistics, local.statistics, remote.statistics);
+        const laps = [(local.statistics || {}).bestLapTime, (remote.statistics || {}).bestLapTime].filter(Number.isFinite);
+        statistics.bestLapTime = laps.length > 0 ? Math.min(...laps) : null;
+        merged.statistics = statistics;
+    }
+
+    if (local.garage || remote.garage) {
+        merged.garage = {
+            ...merged.garage,
+            ownedVehicles: union((local.garage || {}).ownedVehicles, (remote.garage || {}).ownedVehicles)
+        };
+    }
+    return merged;
+}
+
+function mergeRanking(base = {}, local = {}, remote = {}) {
+    const merged = mergeFields(base, local, remote);
+    merged.matchHistory = union(local.matchHistory, remote.matchHistory)
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        .slice(-50);
+    merged.achievements = union(local.achievements, remote.achievements);
+    return merged;
+}
+
+function mergeStore(base = {}, local = {}, remote = {}) {
+    return {
+        ...mergeFields(base, local, remote),
+        currency: sumEachDelta(base.currency, local.currency, remote.currency),
+        inventory: union(local.inventory, remote.inventory)
+    };
+}
+
+function mergeGhost(base, local, remote) {
+    if (!local || !remote) return local || remote;
+    return local.lapTime <= remote.lapTime ? local : remote;
+}
+
+function mergeLeaderboards(base = {}, local = {}, remote = {}) {
+    return {
+        ...mergeFields(base, local, remote),
+        localLeaderboard: union(local.localLeaderboard, remote.localLeaderboard).sort((a, b) => a.totalTime - b.totalTime),
+        friendsLeaderboard: union(local.friendsLeaderboard, remote.friendsLeaderboard)
+    };
+}
+
+const MERGE_RULES = {
+    progressionData: mergeProgression,
+    rankingData: mergeRanking,
+    storeData: mergeStore,
+    unlockedVehicles: (base, local, remote) => union(local, remote),
+    ghostData: mergeGhost,
+    leaderboardData: mergeLeaderboards
+};
+
+// choices: { section: 'merge' | 'local' | 'cloud' } from the conflict dialog;
+// sections without a choice are merged
+export function mergeSaves(base = {}, local = {}, remote = {}, choices = {}) {
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    keys.forEach(key => {
+        if (META_KEYS.includes(key)) return;
+
+        const section = Object.keys(SAVE_SECTIONS).find(name => SAVE_SECTIONS[name].keys.includes(key));
+        const choice = section ? choices[section] : undefined;
+        let value;
+        if (choice === 'local') {
+            value = local[key];
+        } else if (choice === 'cloud') {
+            value = remote[key];
+        } else if (local[key] === undefined || remote[key] === undefined) {
+            value = local[key] === undefined ? remote[key] : local[key];
+        } else {
+            const rule = MERGE_RULES[key] || mergeFields;
+            value = rule(base[key], local[key], remote[key]);
+        }
+        if (value !== undefined) merged[key] = value;
+    });
+
+    merged.lastModified = Date.now();
+    return merged;
+}
+
+// One line about a section of a save, for the conflict dialog
+export function summarizeSection(section, data = {}) {
+    switch (section) {
+        case 'progression': {
+            const progression = data.progressionData || {};
+            const mmr = data.rankingData ? `, ${data.rankingData.playerMMR} MMR` : '';
+            return `Level ${progression.level || 1} (${progression.totalExperience || 0} XP)${mmr}`;
+        }
+        case 'store': {
+            const store = data.storeData || {};
+            const currency = store.currency || {};
+            return `${currency.credits || 0} credits, ${currency.gems || 0} gems, ${(store.inventory || []).length} items`;
+        }
+        case 'ghosts': {
+            const lap = data.ghostData && data.ghostData.lapTime;
+            return lap ? `Best ghost lap ${(lap / 1000).toFixed(3)}s` : 'No ghost';
+        }
+        default:
+            return data.lastModified ? `Changed ${new Date(data.lastModified).toLocaleString()}` : 'Defaults';
+    }
+}
+
+// The sections two saves disagree on, with a summary of each side
+export function describeConflict(local = {}, remote = {}) {
+    return Object.entries(SAVE_SECTIONS)
+        .filter(([, { keys }]) => keys.some(key => !equal(local[key], remote[key])))
+        .map(([section, { label }]) => ({
+            section,
+            label,
+            local: summarizeSection(section, local),
+            cloud: summarizeSection(section, remote)
+        }));
+}
@@ -0,0 +1,103 @@
+import { clientStorage } from './clientStorage.js';
+
+// Outbound writes waiting for the server, kept in client storage so they
+// survive a reload. Each operation has a key and a newer write under the same
+// key supersedes the one waiting, keeping its retry count so a long outage
+// doesn't restart the backoff. Failed operations wait twice as long after
+// each attempt, with some jitter so clients coming back together spread out.
+
+const DEFAULT_OPTIONS = {
+    baseDelay: 5000,
+    maxDelay: 5 * 60 * 1000,
+    jitter: 0.2 // Up to this fraction of the delay is added at random
+};
+
+export class SyncQueue {
+    constructor(namespace, name, options = {}) {
+        this.namespace = namespace;
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.operations = this.load();
+    }
+
+    load() {
+        const stored = clientStorage.get(this.namespace, this.name);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    persist() {
+        if (this.operations.length > 0) {
+            clientStorage.set(this.namespace, this.name, this.operations);
+        } else {
+            clientStorage.remove(this.namespace, this.name);
+        }
+    }
+
+    get size() {
+        return this.operations.length;
+    }
+
+    get(key) {
+        return this.operations.find(operation => operation.key === key) || null;
+    }
+
+    // Ready to go now; a superseded operation keeps its place in the backoff
+    enqueue(key, payload, now = Date.now()) {
+        const previous = this.get(key);
+        const operation = {
+            key,
+            payload,
+            queuedAt: now,
+            attempts: previous ? previous.attempts : 0,
+            nextAttemptAt: previous ? previous.nextAttemptAt : now,
+            lastError: previous ? previous.lastError : null
+        };
+
+        this.operations = [...this.operations.filter(op => op.key !== key), operation];
+        this.persist();
+        return operation;
+    }
+
+    complete(key) {
+        this.operations = this.operations.filter(operation => operation.key !== key);
+        this.persist();
+    }
+
+    // Schedules the next attempt and returns when that is
+    retryLater(key, error, now = Date.now()) {
+        const operation = this.get(key);
+        if (!operation) return null;
+
+        operation.attempts++;
+        operation.lastError = error;
+        operation.nextAttemptAt = now + this.getDelay(operation.attempts);
+        this.persist();
+        return operation.nextAttemptAt;
+    }
+
+    getDelay(attempts) {
+        const delay = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (attempts - 1));
+        return Math.round(delay * (1 + Math.random() * this.options.jitter));
+    }
+
+    // Lets everything go at once, e.g. when the connection comes back
+    resetBackoff(now = Date.now()) {
+        this.operations.forEach(operation => {
+            operation.nextAttemptAt = now;
+        });
+        this.persist();
+    }
+
+    getDue(now = Date.now()) {
+        return this.operations.filter(operation => operation.nextAttemptAt <= now);
+    }
+
+    getNextAttemptAt() {
+        return this.operations.length > 0 ? Math.min(...this.operations.map(operation => operation.nextAttemptAt)) : null;
+    }
+
+    clear() {
+        this.operations = [];
+        this.persist();
+    }
+}
@@ -6,6 +6,7 @@
 import { JSDOM } from 'jsdom';
 import { performance } from 'perf_hooks';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -273,6 +274,81 @@ class PerformanceBenchmark {
         }, { iterations: 5, warmup: 1 });
     }
 
+    async benchmarkWireFormat() {
+        const wire = await this.importModule('src/network/wireFormat.js');
+
+        const tickRate = 20;
+        const ticks = 200;
+        const playerCount = 8;
+        const ackLag = 2; // Ticks before a client's ack reaches the server (~100ms RTT)
+
+        // Eight cars lapping a circuit at different speeds, as the server would snapshot them
+        const buildSnapshot = (seq) => ({
+            seq,
+            serverTime: Date.now() + seq * (1000 / tickRate),
+            gameState: 'racing',
+            players: Array.from({ length: playerCount }, (_, i) => {
+                const angle = seq / tickRate * (0.2 + i * 0.01) + i * 0.3;
+                const speed = 150 * (0.2 + i * 0.01);
+                return {
+                    id: `player_socket_id_${i}`.padEnd(20, 'x'),
+                    entityId: i + 1,
+                    position: { x: Math.cos(angle) * 150, y: 0.52, z: Math.sin(angle) * 150 },
+                    rotation: { x: 0, y: Math.sin(-angle / 2), z: 0, w: Math.cos(-angle / 2) },
+                    velocity: { x: -Math.sin(angle) * speed, y: 0, z: Math.cos(angle) * speed },
+                    lap: 1 + Math.floor(angle / (Math.PI * 2)),
+                    checkpoint: Math.floor((angle % (Math.PI * 2)) / (Math.PI / 4)),
+                    finished: false,
+                    disconnected: false,
+                    ackSeq: seq * 3
+                };
+            })
+        });
+
+        return await this.runBenchmark('Wire Format Bandwidth', async () => {
+            const encoder = new wire.SnapshotEncoder();
+            const decoder = new wire.SnapshotDecoder();
+            const acks = [];
+            const bytes = { json: 0, binaryFull: 0, binaryDelta: 0, jsonUpdate: 0, binaryUpdate: 0 };
+
+            for (let seq = 1; seq <= ticks; seq++) {
+                const snapshot = buildSnapshot(seq);
+                encoder.addSnapshot(snapshot);
+
+                bytes.json += JSON.stringify(snapshot).length;
+                bytes.binaryFull += encoder.encode(seq).byteLength;
+
+                const delta = encoder.encode(seq, acks.length >= ackLag ? acks[acks.length - ackLag] : 0);
+                bytes.binaryDelta += delta.byteLength;
+                decoder.decode(delta);
+                acks.push(decoder.getLatestSeq());
+
+                // Upstream: one client's own position update per tick
+                const own = snapshot.players[0];
+                const update = { position: own.position, rotation: own.rotation, velocity: own.velocity, inputSeq: seq * 3 };
+                bytes.jsonUpdate += JSON.stringify(update).length;
+                bytes.binaryUpdate += wire.encodePositionUpdate({ ...update, snapshotAck: seq }).byteLength;
+            }
+
+            // Per client, at the server tick rate
+            const kbps = total => (total / ticks * tickRate * 8 / 1000).toFixed(2);
+            return {
+                snapshotsEncoded: ticks,
+                players: playerCount,
+                downstreamKbps: { json: kbps(bytes.json), binaryFull: kbps(bytes.binaryFull), binaryDelta: kbps(bytes.binaryDelta) },
+                upstreamKbps: { json: kbps(bytes.jsonUpdate), binary: kbps(bytes.binaryUpdate) },
+                averageBytes: {
+                    jsonSnapshot: Math.round(bytes.json / ticks),
+                    binaryFullSnapshot: Math.round(bytes.binaryFull / ticks),
+                    binaryDeltaSnapshot: Math.round(bytes.binaryDelta / ticks),
+                    jsonUpdate: Math.round(bytes.jsonUpdate / ticks),
+                    binaryUpdate: Math.round(bytes.binaryUpdate / ticks)
+                },
+                savings: ((1 - bytes.binaryDelta / bytes.json) * 100).toFixed(1) + '%'
+            };
+        }, { iterations: 5, warmup: 1 });
+    }
+
     async benchmarkTournamentSystem() {
         const { TournamentManager } = await this.importModule('src/multiplayer/tournamentManager.js');
 
@@ -561,9 +637,9 @@ class PerformanceBenchmark {
             platform: process.platform,
             arch: process.arch,
             nodeVersion: process.version,
-            cpuCount: require('os').cpus().length,
-            totalMemory: (require('os').totalmem() / 1024 / 1024 / 1024).toFixed(2) + 'GB',
-            freeMemory: (require('os').freemem() / 1024 / 1024 / 1024).toFixed(2) + 'GB'
+            cpuCount: os.cpus().length,
+            totalMemory: (os.totalmem() / 1024 / 1024 / 1024).toFixed(2) + 'GB',
+            freeMemory: (os.freemem() / 1024 / 1024 / 1024).toFixed(2) + 'GB'
         };
 
         // Run all benchmarks
@@ -571,6 +647,7 @@ class PerformanceBenchmark {
         await this.benchmarkRenderingEngine();
         await this.benchmarkVehicleController();
         await this.benchmarkNetworkManager();
+        await this.benchmarkWireFormat();
         await this.benchmarkTournamentSystem();
         await this.benchmarkMemoryUsage();
         await this.benchmarkAssetLoading();
@@ -619,6 +696,7 @@ class PerformanceBenchmark {
         const physicsBenchmark = this.results.benchmarks.find(b => b.name === 'Physics Engine Performance');
         const renderingBenchmark = this.results.benchmarks.find(b => b.name === 'Rendering Engine Performance');
         const memoryBenchmark = this.results.benchmarks.find(b => b.name === 'Memory Usage Benchmark');
+        const wireBenchmark = this.results.benchmarks.find(b => b.name === 'Wire Format Bandwidth');
 
         if (physicsBenchmark && physicsBenchmark.avgDuration > 50) {
             console.log('⚠️  Physics performance is slow (>50ms per 100 frames)');
@@ -632,6 +710,12 @@ class PerformanceBenchmark {
             console.log('✅ Rendering performance is good');
         }
 
+        if (wireBenchmark) {
+            const { downstreamKbps, upstreamKbps, savings } = wireBenchmark.results[0].result;
+            console.log(`📡 Snapshots per client: ${downstreamKbps.json} kbps JSON, ${downstreamKbps.binaryFull} kbps binary, ${downstreamKbps.binaryDelta} kbps binary delta (${savings} saved)`);
+            console.log(`📡 Position updates: ${upstreamKbps.json} kbps JSON, ${upstreamKbps.binary} kbps binary`);
+        }
+
         if (memoryBenchmark) {
             const memoryIncrease = parseFloat(memoryBenchmark.results[0].result.memoryIncreaseMB);
             if (memoryIncrease > 100) {
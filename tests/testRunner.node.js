@@ -6,13 +6,166 @@
 import { JSDOM } from 'jsdom';
 import { performance } from 'perf_hooks';
 import fs from 'fs';
+import os from 'os';
+import net from 'net';
 import path from 'path';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import { io as connectSocket } from 'socket.io-client';
 import IntegrationTests from './integrationTests.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const SERVER_START_TIMEOUT = 20000;
+const SERVER_EVENT_TIMEOUT = 5000;
+const ADMIN_TOKEN = 'test-admin-token';
+// Every way a local test client's address can show up, so tests can stand in
+// for a proxy and pick their clients' forwarded addresses
+const LOOPBACK_ADDRESSES = '127.0.0.1,::ffff:127.0.0.1,::1';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves with the payload of the next `event` on the socket
+function nextEvent(socket, event, timeout = SERVER_EVENT_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, onEvent);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        const onEvent = (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        };
+        socket.once(event, onEvent);
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Game server in a child process with its own port and storage directory
+class TestServer {
+    constructor(env = {}) {
+        this.env = env;
+        this.sockets = [];
+        this.output = '';
+    }
+
+    async start() {
+        this.port = await getFreePort();
+        this.url = `http://127.0.0.1:${this.port}`;
+        this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'velocityrush-test-'));
+        this.process = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'server.js')], {
+            env: {
+                ...process.env,
+                PORT: String(this.port),
+                STORAGE_DIR: this.dataDir,
+                JWT_SECRET: 'test-secret',
+                ADMIN_TOKEN,
+                ...this.env
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        this.exited = new Promise(resolve => this.process.once('exit', code => resolve(code)));
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Server did not start: ${this.output}`)), SERVER_START_TIMEOUT);
+            const onOutput = (chunk) => {
+                // Keep the tail for error messages
+                this.output = (this.output + chunk).slice(-4000);
+                if (this.output.includes('running on port')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            };
+            this.process.stdout.on('data', onOutput);
+            this.process.stderr.on('data', onOutput);
+            this.exited.then(code => {
+                clearTimeout(timer);
+                reject(new Error(`Server exited with ${code}: ${this.output}`));
+            });
+        });
+        return this;
+    }
+
+    get running() {
+        return this.process.exitCode === null && this.process.signalCode === null;
+    }
+
+    async request(method, route, { body, token, admin = false } = {}) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        if (admin) headers['x-admin-token'] = admin === true ? ADMIN_TOKEN : admin;
+
+        const response = await fetch(`${this.url}${route}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            // Not JSON (metrics exposition)
+        }
+        return { status: response.status, data };
+    }
+
+    async register(username) {
+        const { status, data } = await this.request('POST', '/api/auth/register', {
+            body: { username, password: 'password123' }
+        });
+        if (status !== 201) throw new Error(`Registration failed: ${JSON.stringify(data)}`);
+        return data;
+    }
+
+    // A connected socket for a new account
+    async connect(username, { headers } = {}) {
+        const session = await this.register(username);
+        const socket = await this.connectAs(session.token, { headers });
+        return { socket, session };
+    }
+
+    // `listen` runs before the handshake, for events sent right on connection
+    async connectAs(token, { headers, listen } = {}) {
+        const socket = connectSocket(this.url, {
+            auth: { token },
+            extraHeaders: headers,
+            transports: ['websocket'],
+            reconnection: false,
+            forceNew: true
+        });
+        this.sockets.push(socket);
+        if (listen) listen(socket);
+        await new Promise((resolve, reject) => {
+            socket.once('connect', resolve);
+            socket.once('connect_error', reject);
+        });
+        return socket;
+    }
+
+    async stop() {
+        this.sockets.forEach(socket => socket.disconnect());
+        if (this.running) {
+            this.process.kill();
+            await this.exited;
+        }
+        fs.rmSync(this.dataDir, { recursive: true, force: true });
+    }
+}
+
 class NodeTestRunner {
     constructor() {
         this.tests = [];
@@ -158,6 +311,17 @@ class NodeTestRunner {
         }, 'performance', 'high');
     }
 
+    // Runs `run(server)` against a fresh server process, stopping it afterwards
+    async withServer(env, run) {
+        const server = new TestServer(env);
+        try {
+            await server.start();
+            return await run(server);
+        } finally {
+            await server.stop();
+        }
+    }
+
     // Dynamic import with path resolution
     async importModule(modulePath) {
         let fullPath = path.resolve(__dirname, '..', modulePath);
@@ -267,6 +431,180 @@ class NodeTestRunner {
 
             return { initialY: initialPos.y, finalY: finalPos.y, moved };
         }, 'physics', 'high');
+
+        this.addTest('Tire Model', async () => {
+            const { DEFAULT_TIRE_PARAMETERS, computeTireForces, temperatureGrip } = await this.importModule('src/physics/tireModel.js');
+            const { PhysicsManager } = await this.importModule('src/physics/physicsManager.js');
+            const { VEHICLE_CONFIGS } = await this.importModule('src/gameplay/vehicleConfig.js');
+
+            const tire = { load: 3000, nominalLoad: 3000, temperature: 90 };
+            const force = (slipRatio, slipAngle = 0, extra = {}) =>
+                computeTireForces(DEFAULT_TIRE_PARAMETERS, { ...tire, ...extra, slipRatio, slipAngle });
+
+            // Grip peaks then falls away as the tire slides
+            const gripping = force(0.1).longitudinal;
+            if (!(force(0.02).longitudinal < gripping)) throw new Error('Force did not build with slip');
+            if (!(force(1).longitudinal < gripping)) throw new Error('Locked wheel grips as well as a rolling one');
+
+            // Cornering uses up grip that braking or traction would have had
+            if (!(force(0.1, 0.1).longitudinal < gripping)) throw new Error('Slip angle did not reduce traction');
+            if (!(force(0.1, 0.1).lateral > 0)) throw new Error('No cornering force');
+
+            // More load, more force, but less per newton; cold tires grip less
+            const loaded = force(0.1, 0, { load: 6000 }).longitudinal;
+            if (!(loaded > gripping && loaded < 2 * gripping)) throw new Error('Load sensitivity wrong');
+            if (!(temperatureGrip(20) < temperatureGrip(90))) throw new Error('Cold tires grip as well as warm ones');
+
+            const drive = (type, steps, controls) => {
+                const physics = new PhysicsManager();
+                physics.init({ createVehicle: false });
+                const config = VEHICLE_CONFIGS[type];
+                const vehicle = physics.createVehicle({ mass: config.mass, geometry: config.geometry, tireModelParameters: config.tireModelParameters });
+                for (let i = 0; i < steps; i++) {
+                    const { throttle = 0, brake = 0 } = i >= 60 ? controls(i - 60) : {};
+                    for (let w = 0; w < 4; w++) {
+                        vehicle.applyEngineForce(throttle, w);
+                        vehicle.setBrake(brake, w);
+                    }
+                    physics.world.step(1 / 60);
+                }
+                return { physics, vehicle };
+            };
+
+            // Positive engine force drives towards the front wheels
+            const { physics, vehicle } = drive('muscle_car', 180, () => ({ throttle: 1500 }));
+            const speed = vehicle.chassisBody.velocity.z;
+            if (!(speed > 3)) throw new Error(`Car did not drive forwards: ${speed}`);
+            if (physics.getVehicleConfig(vehicle).tireModelParameters.peakFriction !== VEHICLE_CONFIGS.muscle_car.tireModelParameters.peakFriction) {
+                throw new Error('Per-vehicle tire parameters not used');
+            }
+
+            // Stamping on the brakes locks the wheels and the car slides to a stop
+            const braking = drive('muscle_car', 300, i => i < 120 ? { throttle: 1500 } : { brake: 150 });
+            if (braking.vehicle.tires.some(t => t.angularVelocity !== 0) && braking.vehicle.chassisBody.velocity.length() > 0.5) {
+                throw new Error('Brakes did not lock the wheels');
+            }
+            if (!(braking.vehicle.chassisBody.velocity.length() < speed)) throw new Error('Car did not slow down');
+
+            return { gripping, locked: force(1).longitudinal, speed };
+        }, 'physics', 'high');
+
+        this.addTest('Fixed Timestep Determinism', async () => {
+            const { PhysicsManager } = await this.importModule('src/physics/physicsManager.js');
+            const { VehicleController } = await this.importModule('src/engine/vehicleController.js');
+
+            // Scripted controls with some seeded noise, applied per step
+            const race = (frameTime, seed = 7) => {
+                const physics = new PhysicsManager();
+                physics.init();
+                physics.setDeterministic(seed);
+                const controller = new VehicleController();
+                controller.setPhysicsVehicle(physics.getVehicle(0));
+                physics.addStepCallback((dt, step) => controller.applyInput({
+                    throttle: step >= 30 ? 1 : 0,
+                    steer: step >= 90 ? physics.random() - 0.5 : 0,
+                    brake: 0,
+                    dt
+                }));
+                while (physics.stepCount < 180) physics.update(frameTime);
+                return { physics, state: physics.getBodyState(physics.getVehicle(0).chassisBody) };
+            };
+
+            const at30 = race(1 / 30);
+            const at144 = race(1 / 144);
+            if (JSON.stringify(at30.state) !== JSON.stringify(at144.state)) throw new Error('Trajectory depends on frame rate');
+            if (JSON.stringify(race(1 / 30, 8).state) === JSON.stringify(at30.state)) throw new Error('Seed did not change the run');
+
+            // A long stall runs only the capped number of steps
+            const { physics } = at30;
+            if (physics.update(1) !== physics.maxSubSteps) throw new Error('Substeps not capped');
+
+            // Rendering sits between the last two steps
+            physics.update(physics.fixedTimeStep * 1.5);
+            const body = physics.getVehicle(0).chassisBody;
+            const before = physics.previousTransforms.get(body).position;
+            const drawn = physics.getInterpolatedTransform(body).position;
+            if (Math.abs(physics.interpolationAlpha - 0.5) > 1e-6) throw new Error('Interpolation alpha wrong');
+            if (Math.abs(drawn.z - (before.z + body.position.z) / 2) > 1e-9) throw new Error('Transform not interpolated');
+
+            return { z: at30.state.position.z, steps: physics.stepCount };
+        }, 'physics', 'high');
+    }
+
+    async addPredictionTests() {
+        this.addTest('Client Prediction Reconciliation', async () => {
+            const { PhysicsManager } = await this.importModule('src/physics/physicsManager.js');
+            const { VehicleController } = await this.importModule('src/engine/vehicleController.js');
+            const { ClientPrediction } = await this.importModule('src/network/clientPrediction.js');
+
+            const physics = new PhysicsManager();
+            physics.init();
+            const controller = new VehicleController();
+            controller.setPhysicsVehicle(physics.getVehicle(0));
+            const prediction = new ClientPrediction(physics, controller);
+            controller.setInputFrameCallback(input => prediction.recordInput(input));
+
+            controller.keys['KeyW'] = true;
+            for (let i = 0; i < 30; i++) {
+                physics.world.step(1 / 60);
+                controller.update(1 / 60);
+            }
+
+            const chassis = controller.physicsVehicle.chassisBody;
+            const shifted = (entry, dx) => ({
+                position: { ...entry.state.position, x: entry.state.position.x + dx },
+                rotation: entry.state.quaternion,
+                velocity: entry.state.velocity
+            });
+
+            // Small error: corrected in physics, hidden by the render offset
+            const beforeX = chassis.position.x;
+            const small = prediction.reconcile(shifted(prediction.pendingInputs[9], 1), 10);
+            if (!small || !small.corrected || small.snapped) throw new Error('Small error not smoothed');
+            if (Math.abs(chassis.position.x - beforeX - 1) > 0.05) throw new Error('Replay did not carry the correction');
+            if (Math.abs(prediction.renderOffset.x + 1) > 0.05) throw new Error('Render offset not applied');
+
+            // Large error: snap straight to the corrected state
+            const large = prediction.reconcile(shifted(prediction.pendingInputs[4], 20), 15);
+            if (!large || !large.snapped) throw new Error('Large error not snapped');
+            if (prediction.renderOffset.x !== 0) throw new Error('Render offset kept after snap');
+
+            return { ...prediction.getStats(), smallError: small.error, largeError: large.error };
+        }, 'physics', 'high');
+
+        this.addTest('Reconciliation Replay Matches Live Steps', async () => {
+            const { PhysicsManager } = await this.importModule('src/physics/physicsManager.js');
+            const { VehicleController } = await this.importModule('src/engine/vehicleController.js');
+
+            const physics = new PhysicsManager();
+            physics.init();
+            const controller = new VehicleController();
+            controller.setPhysicsVehicle(physics.getVehicle(0));
+            controller.attachToPhysicsSteps(physics);
+            const chassis = controller.physicsVehicle.chassisBody;
+
+            // Up to speed, so aero matters, with the wheels turning to match
+            controller.lastInput = { seq: 0, throttle: 1, steer: 0, brake: 0, dt: 1 / 60 };
+            for (let i = 0; i < 240; i++) physics.step();
+            const start = physics.getBodyState(chassis);
+
+            // 30 fps inputs: each one drives two fixed steps
+            const inputs = Array.from({ length: 20 }, (_, i) => ({ seq: i + 1, throttle: 1, steer: 0.2, brake: 0, dt: 1 / 30 }));
+            inputs.forEach(input => {
+                controller.lastInput = input;
+                physics.step();
+                physics.step();
+            });
+            const live = physics.getBodyState(chassis);
+
+            physics.setBodyState(chassis, start);
+            const replayed = physics.resimulateVehicle(controller.physicsVehicle, inputs, input => controller.applyInput(input));
+            const end = replayed[replayed.length - 1];
+            const error = Math.hypot(end.position.x - live.position.x, end.position.z - live.position.z);
+            if (error > 0.05) throw new Error(`Replay ended ${error.toFixed(3)} m from the live run`);
+
+            return { error };
+        }, 'physics', 'high');
     }
 
     async addRenderingTests() {
@@ -527,6 +865,942 @@ class NodeTestRunner {
             return { networkManagerCreated: true };
         }, 'network', 'medium');
 
+        this.addTest('Snapshot Interpolation', async () => {
+            const { NetworkManager } = await this.importModule('src/network/networkManager.js');
+
+            const networkManager = new NetworkManager();
+            networkManager.localPlayerId = 'local';
+            networkManager.players.set('remote', { id: 'remote' });
+            networkManager.setInterpolationDelay(100);
+
+            const state = (x) => ({
+                id: 'remote',
+                position: { x, y: 0, z: 0 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 20, y: 0, z: 0 }
+            });
+
+            // Deliver out of order; the buffer must reorder by sequence
+            networkManager.handleWorldSnapshot({ seq: 2, serverTime: 1050, players: [state(1)] });
+            networkManager.handleWorldSnapshot({ seq: 1, serverTime: 1000, players: [state(0)] });
+            networkManager.serverTimeOffset = 0;
+
+            const midpoint = networkManager.getInterpolatedState('remote', 1125);
+            if (!midpoint.interpolated || Math.abs(midpoint.position.x - 0.5) > 1e-6) {
+                throw new Error(`Interpolation incorrect: ${midpoint.position.x}`);
+            }
+
+            // Render time past the newest snapshot falls back to capped dead reckoning
+            const late = networkManager.getInterpolatedState('remote', 2000);
+            const expected = 1 + 20 * (networkManager.maxExtrapolation / 1000);
+            if (!late.extrapolated || Math.abs(late.position.x - expected) > 1e-6) {
+                throw new Error(`Extrapolation incorrect: ${late.position.x}`);
+            }
+
+            return { interpolatedX: midpoint.position.x, extrapolatedX: late.position.x };
+        }, 'network', 'high');
+
+        this.addTest('Spectator Feed', async () => {
+            const { NetworkManager } = await this.importModule('src/network/networkManager.js');
+
+            const remoteVehicles = new Map();
+            const game = {
+                sceneManager: {
+                    remoteVehicles,
+                    updateRemoteVehicle: (playerId, state) => remoteVehicles.set(playerId, state.position),
+                    clearRemoteVehicles: () => remoteVehicles.clear()
+                }
+            };
+            const networkManager = new NetworkManager(game);
+            networkManager.localPlayerId = 'watcher';
+            networkManager.spectating = { roomId: 'room', delay: 3000, focusPlayerId: 'a' };
+            networkManager.gameState = 'spectating';
+            networkManager.setInterpolationDelay(0);
+
+            const players = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+            const state = (id, x) => ({ id, position: { x, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 }, velocity: { x: 0, y: 0, z: 0 }, lap: 1 });
+
+            networkManager.handleSpectatorEvent({ event: 'raceStart', data: { startTime: 1000, players } });
+            networkManager.handleSpectatorEvent({ event: 'raceBegin' });
+            networkManager.handleSpectatorEvent({ event: 'worldSnapshot', data: { seq: 1, serverTime: 1000, players: [state('a', 5), state('b', 8)] } });
+            networkManager.handleSpectatorEvent({ event: 'lapUpdate', data: { playerId: 'b', lap: 2, checkpoint: 0 } });
+
+            // Race events from the feed must not put the spectator into the race
+            if (networkManager.gameState !== 'spectating') throw new Error(`Spectator entered ${networkManager.gameState}`);
+            if (networkManager.players.get('b').lap !== 2) throw new Error('Lap update not applied');
+
+            networkManager.serverTimeOffset = 0;
+            networkManager.updateRemotePlayers(1000);
+            if (remoteVehicles.size !== 2 || remoteVehicles.get('a').x !== 5 || remoteVehicles.get('b').x !== 8) {
+                throw new Error('Remote cars not placed from the feed');
+            }
+
+            networkManager.leaveSpectating();
+            if (networkManager.spectating || networkManager.players.size !== 0 || remoteVehicles.size !== 0) {
+                throw new Error('Spectator state not cleared');
+            }
+
+            return { remoteCars: 2 };
+        }, 'network', 'high');
+
+        this.addTest('Server Lap Tracking', async () => {
+            const { RaceTracker, loadTrackCheckpoints, validateTrackConfig } = await this.importModule('server/raceTracker.js');
+
+            const checkpoints = loadTrackCheckpoints();
+            const tracker = new RaceTracker(checkpoints, 2);
+            tracker.addPlayer('racer');
+            tracker.addPlayer('cutter');
+            tracker.start(0);
+
+            // Drive the circuit by stepping just past each gate in order
+            const events = [];
+            let now = 0;
+            for (let lap = 0; lap < 2; lap++) {
+                checkpoints.forEach(gate => {
+                    now += 5000;
+                    const before = { x: gate.position.x - gate.direction.x, y: 0, z: gate.position.z - gate.direction.z };
+                    const after = { x: gate.position.x + gate.direction.x, y: 0, z: gate.position.z + gate.direction.z };
+                    tracker.updatePosition('racer', before, now);
+                    events.push(...tracker.updatePosition('racer', after, now));
+                });
+            }
+
+            // Jumping straight to the last gate must not count as a lap
+            const last = checkpoints[checkpoints.length - 1];
+            tracker.updatePosition('cutter', { x: last.position.x - last.direction.x, y: 0, z: last.position.z - last.direction.z });
+            tracker.updatePosition('cutter', { x: last.position.x + last.direction.x, y: 0, z: last.position.z + last.direction.z });
+
+            const racer = tracker.getProgress('racer');
+            const cutter = tracker.getProgress('cutter');
+
+            if (events.filter(e => e.type === 'lap').length !== 2) throw new Error('Laps not detected');
+            if (!racer.finished || racer.finishPosition !== 1) throw new Error('Finish not detected');
+            if (cutter.lap !== 1 || cutter.checkpoint !== 0) throw new Error('Out-of-order checkpoint counted');
+            if (tracker.getStandings()[0] !== 'racer') throw new Error('Standings order incorrect');
+
+            // Host-supplied layouts are checked before any gate is built
+            const gate = { position: { x: 0, z: 0 }, direction: { x: 0, z: 1 } };
+            if (validateTrackConfig({ checkpoints: [gate] }) !== null) throw new Error('Valid checkpoint rejected');
+            const invalid = [
+                { checkpoints: [{}] },
+                { checkpoints: [{ position: { x: 0, z: 0 } }] },
+                { checkpoints: [{ ...gate, position: { x: 'a', z: 0 } }] },
+                { checkpoints: [{ ...gate, direction: { x: 0, z: 0 } }] },
+                { checkpoints: 'loop' },
+                { seed: 'x' },
+                null
+            ];
+            invalid.forEach(config => {
+                if (!validateTrackConfig(config)) throw new Error(`Invalid track accepted: ${JSON.stringify(config)}`);
+            });
+            let threw = false;
+            try {
+                loadTrackCheckpoints({ checkpoints: [{}] });
+            } catch {
+                threw = true;
+            }
+            if (!threw) throw new Error('Bad checkpoints loaded');
+
+            return { checkpoints: checkpoints.length, finishTime: racer.finishTime, lapTimes: racer.lapTimes };
+        }, 'network', 'high');
+
+        this.addTest('Server Matchmaking Queues', async () => {
+            const { Matchmaker } = await this.importModule('server/matchmaker.js');
+
+            const matchmaker = new Matchmaker({ fillWaitTime: 10000 });
+            matchmaker.enqueue('rookie', { gameMode: 'standard', region: 'eu', mmr: 1000 }, 0);
+            matchmaker.enqueue('veteran', { gameMode: 'standard', region: 'eu', mmr: 1800 }, 0);
+            matchmaker.enqueue('driftKing', { gameMode: 'drift', region: 'eu', mmr: 1000 }, 0);
+            matchmaker.enqueue('peer', { gameMode: 'standard', region: 'eu', mmr: 1100 }, 0);
+
+            // Nobody has waited for the fill window yet
+            if (matchmaker.findMatches(5000).length !== 0) throw new Error('Matched before fill window');
+
+            const matches = matchmaker.findMatches(10000);
+            if (matches.length !== 1) throw new Error(`Expected 1 match, got ${matches.length}`);
+
+            const ids = matches[0].entries.map(entry => entry.id).sort();
+            if (ids.join(',') !== 'peer,rookie') throw new Error(`Wrong players matched: ${ids}`);
+
+            // The 800 MMR gap closes once the range has widened far enough
+            matchmaker.enqueue('rookie2', { gameMode: 'standard', region: 'eu', mmr: 1000 }, 10000);
+            const widened = matchmaker.findMatches(40000);
+            if (widened.length !== 1 || widened[0].entries.length !== 2) throw new Error('Range did not widen');
+            if (matchmaker.isQueued('driftKing') !== true) throw new Error('Queues not separated by game mode');
+
+            return {
+                averageMMR: matches[0].averageMMR,
+                estimatedWaitTime: matchmaker.estimateWaitTime('standard', 'eu')
+            };
+        }, 'network', 'high');
+
+        this.addTest('Server Parties', async () => {
+            const { PartyManager } = await this.importModule('server/parties.js');
+            const { Matchmaker } = await this.importModule('server/matchmaker.js');
+
+            const parties = new PartyManager({ maxSize: 3, inviteTTL: 1000 });
+            const party = parties.create({ userId: 'u1', username: 'leader' }, 0);
+            if (parties.invite(party, 'u2', 'u3', 0) === null) throw new Error('Only the leader should invite');
+            if (parties.invite(party, 'u1', 'u2', 0) !== null || parties.invite(party, 'u1', 'u3', 0) !== null) {
+                throw new Error('Leader invites should succeed');
+            }
+            if (parties.invite(party, 'u1', 'u4', 0) !== 'Party is full') throw new Error('Pending invites should count towards the size');
+            if (!parties.accept(party.id, { userId: 'u3' }, 2000).error) throw new Error('Expired invites should fail');
+            if (parties.accept(party.id, { userId: 'u2', username: 'second' }, 500).party !== party) throw new Error('Invite should be accepted');
+
+            // The oldest remaining member takes over from a leader who leaves
+            parties.leave('u1');
+            if (party.leaderId !== 'u2' || parties.getPartyOf('u1')) throw new Error('Leadership should pass on');
+            parties.leave('u2');
+            if (!parties.isDisbanded(party)) throw new Error('Empty party should disband');
+
+            // A party queues as one entry and is never split across matches
+            const matchmaker = new Matchmaker({ maxPlayers: 4, fillWaitTime: 10000 });
+            const members = ['a', 'b', 'c'].map(id => ({ id, data: {} }));
+            matchmaker.enqueue('party_1', { gameMode: 'standard', mmr: 1500, members }, 0);
+            matchmaker.enqueue('soloA', { gameMode: 'standard', mmr: 1500 }, 0);
+            matchmaker.enqueue('soloB', { gameMode: 'standard', mmr: 1500 }, 0);
+            if (matchmaker.getQueuedPlayerCount() !== 5) throw new Error('Queued players should count party members');
+
+            const [match] = matchmaker.findMatches(0);
+            const players = match.entries.flatMap(entry => entry.members.map(member => member.id));
+            if (match.playerCount !== 4 || players.slice(0, 3).join() !== 'a,b,c') throw new Error(`Party should fill the match together: ${players}`);
+            if (!matchmaker.isQueued('soloB')) throw new Error('Overflow player should stay queued');
+
+            return { matchedPlayers: players };
+        }, 'network', 'high');
+
+        this.addTest('Server Social Service', async () => {
+            const { MemoryStorage } = await this.importModule('server/storage.js');
+            const { SocialService } = await this.importModule('server/social.js');
+
+            const storage = new MemoryStorage();
+            const social = new SocialService(storage, { messageHistory: 3, pageSize: 2 });
+            const ann = { userId: 'u1', username: 'ann' };
+            const bob = { userId: 'u2', username: 'bob' };
+
+            if (!(await social.sendRequest(ann, ann)).error) throw new Error('Self requests should fail');
+            if (!(await social.sendMessage('u1', 'u2', 'hi')).error) throw new Error('Only friends should be messaged');
+            if (!(await social.sendRequest(ann, bob)).requested) throw new Error('Request should be sent');
+            if (!(await social.sendRequest(ann, bob)).error) throw new Error('Duplicate requests should fail');
+
+            // Asking back accepts the pending request
+            if (!(await social.sendRequest(bob, ann)).accepted || !social.areFriends('u1', 'u2') || !social.areFriends('u2', 'u1')) {
+                throw new Error('Crossed requests should make friends');
+            }
+
+            for (let i = 0; i < 5; i++) {
+                await social.sendMessage(i % 2 === 0 ? 'u1' : 'u2', i % 2 === 0 ? 'u2' : 'u1', `message ${i}`, 1000 + i);
+            }
+            if (social.getUnreadCounts('u2').total !== 2) throw new Error('Unread counts should only cover kept messages');
+
+            const latest = social.getMessages('u2', 'u1');
+            const older = social.getMessages('u2', 'u1', { before: latest.messages[0].sentAt });
+            if (latest.messages.map(m => m.text).join() !== 'message 3,message 4' || !latest.hasMore) throw new Error('Latest page is wrong');
+            if (older.messages.map(m => m.text).join() !== 'message 2' || older.hasMore) throw new Error('History should be trimmed to 3');
+            if (latest.messages[1].read) throw new Error('Received message should be unread');
+
+            await social.markRead('u2', 'u1');
+            if (social.getUnreadCounts('u2').total !== 0) throw new Error('Conversation should be read');
+
+            // Everything comes back from storage
+            const reloaded = new SocialService(storage);
+            await reloaded.load();
+            if (!reloaded.areFriends('u2', 'u1') || reloaded.getMessages('u1', 'u2').messages.length !== 3) {
+                throw new Error('Friends and messages should persist');
+            }
+            if ((await reloaded.sendMessage('u1', 'u2', 'again')).message.id !== 'dm_6') throw new Error('Message ids should continue');
+
+            await reloaded.removeFriend('u1', 'u2');
+            if (reloaded.areFriends('u2', 'u1')) throw new Error('Removing should unfriend both sides');
+
+            return { unreadAfterRead: reloaded.getUnreadCounts('u2').total };
+        }, 'network', 'high');
+
+        this.addTest('User Content Service', async () => {
+            const { MemoryStorage } = await this.importModule('server/storage.js');
+            const { ContentService, hashContent } = await this.importModule('server/ugc.js');
+
+            const storage = new MemoryStorage();
+            const ugc = new ContentService(storage);
+            const maker = { userId: 'u1', username: 'maker' };
+            const fans = [1, 2, 3].map(i => ({ userId: `fan${i}`, username: `fan${i}` }));
+            const track = { segments: [{ type: 'straight', length: 100 }], difficulty: 0.4 };
+
+            if (!(await ugc.publish(maker, { type: 'decal', name: 'Evil', data: { imageData: 'data:image/svg+xml;base64,PHN2Zz4=' } })).error) {
+                throw new Error('SVG decals should be refused');
+            }
+            if (!(await ugc.publish(maker, { type: 'track', name: 'Huge', data: { segments: [{ type: 'straight', notes: 'x'.repeat(300000) }] } })).error) {
+                throw new Error('Oversized content should be refused');
+            }
+
+            const { content } = await ugc.publish(maker, { type: 'track', name: 'Harbour Loop', description: 'Tight corners', tags: ['Street', 'night'], data: track });
+            if (content.hash !== hashContent('track', { difficulty: 0.4, segments: track.segments })) throw new Error('Hash should ignore key order');
+            const duplicate = await ugc.publish(fans[0], { type: 'track', name: 'Copy', data: track });
+            if (duplicate.code !== 'duplicate' || duplicate.contentId !== content.id) throw new Error('Duplicates should be refused');
+
+            // Pending content is only visible to its creator until moderated
+            if (ugc.get(content.id, 'fan1') || !ugc.get(content.id, 'u1')) throw new Error('Pending content visibility is wrong');
+            if (ugc.getModerationQueue()[0].id !== content.id) throw new Error('New content should be queued');
+            await ugc.moderate(content.id, 'approve');
+
+            const { content: decal } = await ugc.publish(maker, { type: 'decal', name: 'Flames', tags: ['night'], data: { imageData: 'data:image/png;base64,iVBORw0KGgo=' } });
+            await ugc.moderate(decal.id, 'approve');
+
+            const found = ugc.search('fan1', { query: 'harbour', tags: 'street,night' });
+            if (found.total !== 1 || found.items[0].id !== content.id) throw new Error('Search should match name and tags');
+            if (ugc.search('fan1', { type: 'decal' }).items[0].id !== decal.id) throw new Error('Type filter failed');
+
+            // Each account counts once a day, the creator never
+            await ugc.download(fans[0], content.id, 1000);
+            await ugc.download(fans[0], content.id, 2000);
+            await ugc.download(maker, content.id, 3000);
+            const downloaded = await ugc.download(fans[1], content.id, 4000);
+            if (downloaded.content.downloads !== 2 || downloaded.data.segments.length !== 1) throw new Error('Downloads miscounted');
+
+            if ((await ugc.rate(maker, content.id, 5)).code !== 'forbidden') throw new Error('Creators should not rate their own content');
+            await ugc.rate(fans[0], content.id, 5);
+            await ugc.review(fans[1], content.id, { rating: 2, title: 'Meh', content: 'Too narrow' });
+            const rated = await ugc.rate(fans[2], content.id, 5);
+            if (rated.rating !== 4 || rated.ratingCount !== 3) throw new Error(`Average rating is wrong: ${rated.rating}`);
+            if (ugc.getReviews(content.id).reviews[0].rating !== 2) throw new Error('Review should carry its rating');
+
+            const trending = ugc.search('fan1', { sort: 'trending' }, 5000).items;
+            if (trending[0].id !== content.id) throw new Error('Downloaded and rated content should trend');
+
+            // Edits go back through moderation
+            await ugc.update(maker, content.id, { data: { ...track, difficulty: 0.8 } });
+            if (ugc.get(content.id, 'fan1') || ugc.get(content.id, 'u1').version !== 2) throw new Error('Edited content should wait for moderation');
+
+            const reloaded = new ContentService(storage);
+            await reloaded.load();
+            if (reloaded.get(decal.id, 'fan1').name !== 'Flames' || reloaded.getReviews(content.id).total !== 1) {
+                throw new Error('Content should persist');
+            }
+
+            return { rating: rated.rating, downloads: downloaded.content.downloads };
+        }, 'network', 'high');
+
+        this.addTest('Cloud Save History and Merge', async () => {
+            const { MemoryStorage } = await this.importModule('server/storage.js');
+            const { CloudSaveService } = await this.importModule('server/cloudSaves.js');
+            const { mergeSaves, describeConflict } = await this.importModule('src/utils/saveMerge.js');
+
+            const saves = new CloudSaveService(new MemoryStorage(), { historySize: 3 });
+            const base = {
+                progressionData: { level: 3, totalExperience: 900, currency: { credits: 100 }, unlocks: { vehicles: ['sports_car'] }, statistics: { racesCompleted: 5, bestLapTime: 60000 } },
+                storeData: { currency: { credits: 500, gems: 10 }, inventory: ['paint_red'] },
+                gameSettings: { graphics: { shadows: true }, audio: { master: 80 } }
+            };
+
+            const first = await saves.save('u1', { gameData: base, baseRevision: 0, deviceId: 'phone' });
+            if (first.revision !== 1) throw new Error('First save should be revision 1');
+
+            // Both devices played offline from revision 1
+            const phone = {
+                progressionData: { level: 5, totalExperience: 1500, currency: { credits: 150 }, unlocks: { vehicles: ['sports_car', 'muscle_car'] }, statistics: { racesCompleted: 8, bestLapTime: 61000 } },
+                storeData: { currency: { credits: 300, gems: 10 }, inventory: ['paint_red', 'spoiler'] },
+                gameSettings: { graphics: { shadows: false }, audio: { master: 80 } }
+            };
+            const laptop = {
+                progressionData: { level: 4, totalExperience: 1200, currency: { credits: 100 }, unlocks: { vehicles: ['sports_car', 'truck'] }, statistics: { racesCompleted: 7, bestLapTime: 58000 } },
+                storeData: { currency: { credits: 700, gems: 12 }, inventory: ['paint_red', 'rims'] },
+                gameSettings: { graphics: { shadows: true }, audio: { master: 40 } }
+            };
+
+            await saves.save('u1', { gameData: phone, baseRevision: 1, deviceId: 'phone' });
+            const refused = await saves.save('u1', { gameData: laptop, baseRevision: 1, deviceId: 'laptop' });
+            if (refused.code !== 'conflict' || refused.current.revision !== 2) throw new Error('Stale uploads should be refused');
+
+            const merged = mergeSaves(base, laptop, refused.current);
+            const progression = merged.progressionData;
+            if (progression.level !== 5 || progression.totalExperience !== 1500) throw new Error('XP should come from the furthest device');
+            if (progression.unlocks.vehicles.length !== 3) throw new Error('Unlocks should be unioned');
+            if (progression.statistics.racesCompleted !== 10 || progression.statistics.bestLapTime !== 58000) throw new Error('Statistics merged wrong');
+            if (merged.storeData.currency.credits !== 500 || merged.storeData.currency.gems !== 12) {
+                throw new Error(`Currency should add both devices' changes: ${JSON.stringify(merged.storeData.currency)}`);
+            }
+            if (merged.storeData.inventory.length !== 3) throw new Error('Inventory should be unioned');
+            if (merged.gameSettings.graphics.shadows !== false || merged.gameSettings.audio.master !== 40) throw new Error('Settings should merge per field');
+
+            const picked = mergeSaves(base, laptop, refused.current, { store: 'cloud' });
+            if (picked.storeData.currency.credits !== 300) throw new Error('Manual choice should keep the chosen side');
+            if (!describeConflict(laptop, refused.current).some(section => section.section === 'progression')) throw new Error('Conflict should list progression');
+
+            await saves.save('u1', { gameData: merged, baseRevision: 2, deviceId: 'laptop' });
+            await saves.save('u1', { gameData: { ...merged, currentVehicleType: 'truck' }, baseRevision: 3 });
+            const history = await saves.getHistory('u1');
+            if (history.length !== 3 || history[0].revision !== 4 || await saves.getVersion('u1', 1)) throw new Error('History should keep the last 3 versions');
+
+            // Rolling back adds a new revision holding the old data
+            const restored = await saves.restore('u1', 2, 'phone');
+            const current = await saves.load('u1');
+            if (restored.revision !== 5 || current.storeData.currency.credits !== 300) throw new Error('Restore should bring back revision 2');
+            if ((await saves.getHistory('u1'))[0].restoredFrom !== 2) throw new Error('History should record the restore');
+
+            return { revision: current.revision, credits: merged.storeData.currency.credits };
+        }, 'network', 'high');
+
+        this.addTest('Cloud Sync Queue', async () => {
+            const { SyncQueue } = await this.importModule('src/utils/syncQueue.js');
+            const { CloudSaveManager } = await this.importModule('src/utils/cloudSaveManager.js');
+            const { clientStorage, MemoryBackend } = await this.importModule('src/utils/clientStorage.js');
+
+            const originalRecords = clientStorage.records;
+            const originalBlobs = clientStorage.blobs;
+            clientStorage.setBackends(new MemoryBackend());
+
+            try {
+                const queue = new SyncQueue('test', 'queue', { baseDelay: 1000, maxDelay: 8000, jitter: 0.2 });
+                queue.enqueue('save', { n: 1 }, 0);
+                const first = queue.retryLater('save', 'Offline', 0);
+                const second = queue.retryLater('save', 'Offline', 0);
+                if (first < 1000 || first > 1200 || second < 2000 || second > 2400) throw new Error(`Backoff should double: ${first}, ${second}`);
+
+                // A newer write replaces the waiting one without resetting the backoff
+                queue.enqueue('save', { n: 2 }, 100);
+                if (queue.size !== 1 || queue.get('save').payload.n !== 2 || queue.get('save').attempts !== 2) throw new Error('Superseded writes should collapse');
+                if (queue.getDue(1000).length !== 0) throw new Error('Operation should wait out its backoff');
+
+                for (let i = 0; i < 5; i++) queue.retryLater('save', 'Offline', 0);
+                if (queue.get('save').nextAttemptAt > 8000 * 1.2) throw new Error('Backoff should be capped');
+
+                const reloaded = new SyncQueue('test', 'queue');
+                if (reloaded.get('save').payload.n !== 2) throw new Error('Queue should persist');
+                reloaded.resetBackoff(50);
+                if (reloaded.getDue(50).length !== 1) throw new Error('Reset should make the operation due');
+                reloaded.complete('save');
+                if (clientStorage.get('test', 'queue') !== null) throw new Error('Empty queue should be removed from storage');
+
+                // Changes made offline are kept waiting instead of dropped
+                const cloud = new CloudSaveManager();
+                cloud.setSession({ userId: 'u1', username: 'racer', token: 't', expiresAt: Date.now() + 86400000 });
+                clientStorage.set('store', 'data', { currency: { credits: 900 }, inventory: [] });
+                global.navigator.onLine = false;
+                const result = await cloud.syncData({});
+                clearTimeout(cloud.retryTimer);
+
+                const status = cloud.getSyncStatus();
+                if (result.success || status.pendingCount !== 1 || status.lastError !== 'Offline') {
+                    throw new Error(`Offline save should be queued: ${JSON.stringify(status)}`);
+                }
+                if (!(status.nextRetryAt > Date.now())) throw new Error('A retry should be scheduled');
+
+                return { pending: status.pendingCount, firstDelay: first };
+            } finally {
+                global.navigator.onLine = true;
+                clientStorage.setBackends(originalRecords, originalBlobs);
+            }
+        }, 'network', 'high');
+
+        this.addTest('Client Storage Migrations', async () => {
+            const { ClientStorage, MemoryBackend, MIGRATIONS } = await this.importModule('src/utils/clientStorage.js');
+
+            // A device still on the unversioned localStorage layout
+            const backend = new MemoryBackend();
+            backend.setItem('store_data', JSON.stringify({ currency: { credits: 250 }, inventory: ['rims'] }));
+            backend.setItem('current_vehicle_type', 'muscle_car');
+            backend.setItem('vehicle_customization_slot2', JSON.stringify({ color: '#ff0000' }));
+            backend.setItem('ghost_lap_data', JSON.stringify({ lapTime: 61234, positions: [{ x: 1, y: 0, z: 2 }] }));
+            backend.setItem('cloud_user_id', 'stale');
+
+            const storage = new ClientStorage(backend);
+            const applied = await storage.migrate();
+            if (applied.join() !== MIGRATIONS.map(step => step.version).join()) throw new Error(`Migrations applied: ${applied}`);
+
+            if (storage.get('store', 'data').currency.credits !== 250) throw new Error('Store data should move to its namespace');
+            if (storage.get('garage', 'currentVehicle') !== 'muscle_car') throw new Error('Plain strings should carry over');
+            if (storage.get('garage', 'customization_slot2').color !== '#ff0000') throw new Error('Customization slots should move');
+            if ((await storage.getBlob('ghosts', 'bestLap')).lapTime !== 61234) throw new Error('Ghosts should move to blob storage');
+            if (['store_data', 'ghost_lap_data', 'cloud_user_id'].some(key => backend.getItem(key) !== null)) throw new Error('Legacy keys should be removed');
+
+            // Steps run once, in order, and only past the stored version
+            const order = [];
+            const steps = [
+                { version: 3, description: 'third', migrate: () => order.push(3) },
+                { version: 2, description: 'second', migrate: () => order.push(2) }
+            ];
+            await storage.migrate(steps);
+            await storage.migrate(steps);
+            if (order.join() !== '2,3' || storage.getSchemaVersion() !== 3) throw new Error(`Steps ran as ${order}`);
+
+            // Stored blobs are copies
+            const ghost = await storage.getBlob('ghosts', 'bestLap');
+            ghost.lapTime = 1;
+            if ((await storage.getBlob('ghosts', 'bestLap')).lapTime !== 61234) throw new Error('Blobs should not be shared');
+
+            return { schemaVersion: storage.getSchemaVersion() };
+        }, 'gameplay', 'high');
+
+        this.addTest('Binary Wire Format', async () => {
+            const wire = await this.importModule('src/network/wireFormat.js');
+
+            const makeSnapshot = (seq, offset) => ({
+                seq,
+                serverTime: 1700000000000 + seq * 50,
+                gameState: 'racing',
+                players: [0, 1, 2].map(i => ({
+                    id: `player_${i}`,
+                    entityId: i + 1,
+                    position: { x: 100 + i * 5 + offset, y: 0.5, z: -40 + i },
+                    rotation: { x: 0, y: Math.sin(0.3 + i), z: 0, w: Math.cos(0.3 + i) },
+                    velocity: { x: 20, y: 0, z: i === 2 ? 0 : 1.5 },
+                    lap: 1,
+                    checkpoint: 2,
+                    finished: false,
+                    disconnected: i === 1,
+                    ackSeq: 10 + seq
+                }))
+            });
+
+            const encoder = new wire.SnapshotEncoder();
+            const decoder = new wire.SnapshotDecoder();
+            encoder.addSnapshot(makeSnapshot(1, 0));
+            encoder.addSnapshot(makeSnapshot(2, 1));
+
+            const full = encoder.encode(1);
+            const first = decoder.decode(full);
+            const delta = encoder.encode(2, decoder.getLatestSeq());
+            const second = decoder.decode(delta);
+
+            if (second.baseSeq !== 1) throw new Error('Snapshot was not delta-encoded');
+            if (delta.byteLength >= full.byteLength) throw new Error('Delta not smaller than full snapshot');
+            if (first.players[1].disconnected !== true || second.players[1].id !== 'player_1') {
+                throw new Error('Entity identity or status lost');
+            }
+
+            const expected = makeSnapshot(2, 1).players[0];
+            const decoded = second.players[0];
+            if (Math.abs(decoded.position.x - expected.position.x) > 0.005) throw new Error('Position precision too low');
+            if (Math.abs(decoded.rotation.y - expected.rotation.y) > 0.002) throw new Error('Rotation precision too low');
+            if (Math.abs(decoded.velocity.z - expected.velocity.z) > 0.01) throw new Error('Velocity precision too low');
+
+            const update = wire.decodePositionUpdate(wire.encodePositionUpdate({
+                position: { x: -12.3, y: 1, z: 456.7 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 0, y: 0, z: 30 },
+                inputSeq: 42,
+                snapshotAck: 2
+            }));
+            if (update.inputSeq !== 42 || update.snapshotAck !== 2 || Math.abs(update.position.z - 456.7) > 0.005) {
+                throw new Error('Position update round trip failed');
+            }
+
+            const inputs = wire.decodeInputFrames(wire.encodeInputFrames([
+                { seq: 7, throttle: -0.7, steer: 1, brake: true, dt: 1 / 60 }
+            ]));
+            if (inputs[0].seq !== 7 || inputs[0].throttle !== -0.7 || !inputs[0].brake) throw new Error('Input frames round trip failed');
+
+            // A peer on a different version must be rejected, not misread
+            const foreign = Uint8Array.from(full);
+            foreign[0] = wire.WIRE_FORMAT_VERSION + 1;
+            let rejected = false;
+            try {
+                new wire.SnapshotDecoder().decode(foreign);
+            } catch (error) {
+                rejected = true;
+            }
+            if (!rejected) throw new Error('Wrong wire version accepted');
+
+            return {
+                jsonBytes: JSON.stringify(makeSnapshot(2, 1)).length,
+                fullBytes: full.byteLength,
+                deltaBytes: delta.byteLength
+            };
+        }, 'network', 'high');
+
+        this.addTest('Server Physics Simulation', async () => {
+            const { ServerPhysics } = await this.importModule('server/serverPhysics.js');
+
+            const simulation = new ServerPhysics();
+            simulation.addCar('driver', 0);
+            simulation.addCar('parked', 1);
+
+            // Redundant resends overlap; throttle is clamped to what the controls allow
+            const inputs = Array.from({ length: 90 }, (_, i) => ({ seq: i + 1, throttle: 50, steer: 0, brake: 0, dt: 1 / 60 }));
+            simulation.queueInputs('driver', inputs.slice(0, 30));
+            simulation.queueInputs('driver', inputs.slice(25));
+
+            for (let i = 0; i < 40; i++) {
+                simulation.update(0.05);
+            }
+
+            const driver = simulation.getState('driver');
+            const parked = simulation.getState('parked');
+            if (driver.ackSeq !== 90) throw new Error(`Expected all 90 inputs processed, got ${driver.ackSeq}`);
+            if (Math.abs(driver.position.z) < 2) throw new Error('Driven car did not move');
+            if (Math.abs(parked.position.z) > 0.5) throw new Error('Car without input moved');
+            if (!simulation.getStateAtInput('driver', 30)) throw new Error('No state history for processed input');
+
+            simulation.removeCar('parked');
+            if (simulation.physics.vehicles.length !== 1) throw new Error('Car not removed from the world');
+
+            // Cars are built from the racer's vehicle, on a track dressed like the client's
+            const { VEHICLE_CONFIGS } = await this.importModule('src/gameplay/vehicleConfig.js');
+            const { TRACK_ELEMENT_LAYOUT } = await this.importModule('src/environment/trackElementBodies.js');
+            simulation.addCar('truck', 1, 'pickup_truck');
+            const truck = simulation.cars.get('truck').vehicle;
+            if (truck.chassisBody.mass !== VEHICLE_CONFIGS.pickup_truck.mass) throw new Error('Car not built from its vehicle config');
+            const trackBodies = simulation.physics.world.bodies.filter(body => body.type === 4 && body.collisionFilterGroup !== 0 && body !== simulation.physics.groundBody);
+            if (trackBodies.length !== TRACK_ELEMENT_LAYOUT.length) throw new Error(`Expected ${TRACK_ELEMENT_LAYOUT.length} track bodies, got ${trackBodies.length}`);
+
+            return {
+                steps: simulation.stepCount,
+                driverPosition: driver.position,
+                driverSpeed: Math.sqrt(driver.velocity.x ** 2 + driver.velocity.z ** 2)
+            };
+        }, 'network', 'high');
+
+        this.addTest('Simulation Divergence Monitor', async () => {
+            const { DivergenceMonitor } = await this.importModule('server/antiCheat.js');
+
+            // Updates at 50 Hz: brief drift is free, lasting drift costs one
+            // strike per window
+            const monitor = new DivergenceMonitor({ gracePeriod: 1000, strikeInterval: 5000 });
+            let strikes = 0;
+            for (let t = 0; t < 900; t += 20) strikes += monitor.update('p1', true, t) ? 1 : 0;
+            monitor.update('p1', false, 900);
+            for (let t = 1000; t <= 12000; t += 20) strikes += monitor.update('p1', true, t) ? 1 : 0;
+            if (strikes !== 3) throw new Error(`Expected 3 divergence strikes, got ${strikes}`);
+
+            return { strikes };
+        }, 'network', 'high');
+
+        this.addTest('Server Anti-Cheat Limits', async () => {
+            const { StrikeTracker, checkMovement, getVehicleLimits, loadTrackBounds } = await this.importModule('server/antiCheat.js');
+
+            // 90 m/s is fine for a hypercar but not for a pickup truck
+            const bounds = loadTrackBounds();
+            const fast = { position: { x: 9, y: 0.5, z: 0 }, velocity: { x: 90, y: 0, z: 0 } };
+            if (checkMovement({ x: 0, y: 0.5, z: 0 }, fast, getVehicleLimits('hypercar'), bounds, 0.1) !== null) {
+                throw new Error('Legitimate hypercar speed rejected');
+            }
+            if (checkMovement({ x: 0, y: 0.5, z: 0 }, fast, getVehicleLimits('pickup_truck'), bounds, 0.1) !== 'speed') {
+                throw new Error('Truck speed not flagged');
+            }
+            const jump = { position: { x: 400, y: 0.5, z: 0 } };
+            if (checkMovement({ x: 0, y: 0.5, z: 0 }, jump, getVehicleLimits('hypercar'), bounds, 0.1) !== 'out_of_bounds') {
+                throw new Error('Teleport off the track not flagged');
+            }
+
+            // Procedural tracks with jumps and bridges raise the ceiling
+            const procedural = loadTrackBounds({ seed: 12345, difficulty: 1 });
+            if (procedural.maxY <= bounds.maxY) throw new Error('Track elevation not reflected in bounds');
+
+            const tracker = new StrikeTracker({ kickAfter: 2, banAfter: 3, banDuration: 1000 });
+            const actions = [0, 1, 2].map(i => tracker.recordStrike('10.0.0.1', { playerId: 'p1', reason: 'speed' }, i));
+            if (actions.join(',') !== 'rubberband,kick,ban') throw new Error(`Unexpected escalation: ${actions}`);
+            if (!tracker.getBan('10.0.0.1', 500)) throw new Error('Ban not recorded');
+            if (tracker.getBan('10.0.0.1', 5000)) throw new Error('Ban did not expire');
+            if (tracker.getStrikes({ playerId: 'p1' })[0].action !== 'ban') throw new Error('Strike list not newest first');
+
+            // A ban also holds against the address the banned account played from
+            ['speed', 'speed', 'speed'].forEach((reason, i) => tracker.recordStrike('user:2', { playerId: 'p2', address: '10.0.0.2', reason }, i));
+            if (!tracker.getBanForAddress('10.0.0.2', 500) || tracker.getBanForAddress('10.0.0.3', 500)) throw new Error('Ban not tied to the address');
+            if (tracker.getBanForAddress('10.0.0.2', 5000)) throw new Error('Address ban did not expire');
+
+            // Operator bans need no strikes and take their own duration
+            tracker.ban('10.0.0.2', { reason: 'griefing', duration: 60000 }, 0);
+            const manual = tracker.getBan('10.0.0.2', 30000);
+            if (!manual || manual.reason !== 'griefing' || tracker.getBan('10.0.0.2', 60000)) throw new Error('Manual ban not applied');
+
+            return { defaultBounds: bounds, proceduralCeiling: procedural.maxY };
+        }, 'network', 'high');
+
+        this.addTest('Account Authentication', async () => {
+            const { AuthService } = await this.importModule('server/auth.js');
+
+            const auth = new AuthService({ secret: 'test-secret', tokenTTL: 60 });
+            const session = await auth.register('Racer_1', 'correct horse');
+            if (session.error) throw new Error(`Registration failed: ${session.error}`);
+            if (!(await auth.register('racer_1', 'another password')).error) throw new Error('Duplicate username accepted');
+
+            const account = auth.accounts.get('racer_1');
+            if (account.passwordHash.includes('correct horse') || !account.passwordHash.startsWith('$2')) throw new Error('Password not salted and hashed');
+
+            if (!(await auth.login('Racer_1', 'wrong password')).error) throw new Error('Wrong password accepted');
+            const login = await auth.login('racer_1', 'correct horse');
+            if (login.userId !== session.userId) throw new Error('Login returned a different account');
+
+            // Tokens are bound to the secret and expire
+            if (auth.verifyToken(login.token).sub !== session.userId) throw new Error('Valid token rejected');
+            const [header, payload, signature] = login.token.split('.');
+            const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'user_other' })).toString('base64url');
+            if (auth.verifyToken(`${header}.${forged}.${signature}`)) throw new Error('Forged token accepted');
+            if (new AuthService({ secret: 'other-secret' }).verifyToken(login.token)) throw new Error('Token accepted with another secret');
+            if (auth.verifyToken(login.token, login.expiresAt)) throw new Error('Expired token accepted');
+
+            const refreshed = auth.refresh(login.token);
+            if (!refreshed || refreshed.userId !== session.userId) throw new Error('Token refresh failed');
+
+            return { userId: session.userId, expiresAt: login.expiresAt };
+        }, 'network', 'high');
+
+        this.addTest('Server Storage Persistence', async () => {
+            const { FileStorage, LogStorage, VersionConflictError } = await this.importModule('server/storage.js');
+            const os = await import('os');
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'velocityrush-storage-'));
+            try {
+                const backends = [
+                    () => new FileStorage(path.join(dir, 'collections')),
+                    () => new LogStorage(path.join(dir, 'velocityrush.db'))
+                ];
+
+                for (const createBackend of backends) {
+                    const storage = createBackend();
+                    await storage.open();
+                    const first = await storage.put('cloudSaves', 'user_1', { xp: 10 });
+                    await storage.put('cloudSaves', 'user_1', { xp: 20 }, { expectedVersion: first.version });
+                    await storage.put('raceResults', 'game_1', { winner: 'user_1' });
+                    await storage.delete('raceResults', 'game_1');
+
+                    let conflict = null;
+                    await storage.put('cloudSaves', 'user_1', { xp: 5 }, { expectedVersion: first.version }).catch(error => {
+                        conflict = error;
+                    });
+                    if (!(conflict instanceof VersionConflictError)) throw new Error('Stale write was not rejected');
+                    await storage.close();
+
+                    const reopened = createBackend();
+                    await reopened.open();
+                    const record = await reopened.get('cloudSaves', 'user_1');
+                    if (!record || record.value.xp !== 20 || record.version !== 2) throw new Error(`${reopened.constructor.name} lost data across a restart`);
+                    if (await reopened.get('raceResults', 'game_1')) throw new Error('Deleted record came back');
+                    await reopened.close();
+                }
+
+                // FileStorage writes a file per record
+                const recordsDir = path.join(dir, 'records');
+                const records = new FileStorage(recordsDir);
+                await records.open();
+                await records.put('cloudSaves', 'user/1', { xp: 3 });
+                await records.put('cloudSaves', 'user_2', { xp: 4 });
+                await records.close();
+                const recordFiles = fs.readdirSync(path.join(recordsDir, 'cloudSaves')).sort().join(',');
+                if (recordFiles !== 'user%2F1.json,user_2.json') throw new Error(`Unexpected record files: ${recordFiles}`);
+                const reread = new FileStorage(recordsDir);
+                await reread.open();
+                if ((await reread.get('cloudSaves', 'user/1')).value.xp !== 3) throw new Error('Record with an encoded key lost');
+                await reread.close();
+
+                // A crash mid-append leaves a torn entry that must not take the database down
+                fs.appendFileSync(path.join(dir, 'velocityrush.db'), '{"c":"cloudSaves","k":"user_1","r":{"key":"us');
+                const recovered = new LogStorage(path.join(dir, 'velocityrush.db'));
+                await recovered.open();
+                if ((await recovered.get('cloudSaves', 'user_1')).value.xp !== 20) throw new Error('Torn write corrupted the journal');
+                await recovered.put('cloudSaves', 'user_2', { xp: 1 });
+                await recovered.close();
+
+                const afterRecovery = new LogStorage(path.join(dir, 'velocityrush.db'));
+                await afterRecovery.open();
+                if (!(await afterRecovery.get('cloudSaves', 'user_2'))) throw new Error('Write after recovery lost');
+                await afterRecovery.close();
+
+                return { backends: backends.length, recoveredFromTornWrite: true };
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }, 'network', 'high');
+
+        this.addTest('Global Leaderboards', async () => {
+            const { MemoryStorage } = await this.importModule('server/storage.js');
+            const { LeaderboardService, getTrackId } = await this.importModule('server/leaderboards.js');
+
+            // Only layouts the server builds itself get a board, whatever the client calls them
+            const trackIds = [
+                [{}, 'default'],
+                [{ name: 'monaco' }, 'default'],
+                [{ seed: 42 }, 'procedural_42'],
+                [{ seed: 42, difficulty: 0.9 }, null],
+                [{ id: 'monaco', checkpoints: [{ position: { x: 0, z: 0 }, direction: { x: 0, z: 1 } }] }, null],
+                [{ name: 'default', checkpoints: [] }, null],
+                [{ gateHalfWidth: 500 }, null]
+            ];
+            trackIds.forEach(([trackData, expected]) => {
+                if (getTrackId(trackData) !== expected) {
+                    throw new Error(`Track ${JSON.stringify(trackData)} got board ${getTrackId(trackData)}, expected ${expected}`);
+                }
+            });
+
+            const storage = new MemoryStorage();
+            const leaderboards = new LeaderboardService(storage);
+            const monday = Date.UTC(2026, 0, 5, 12);
+
+            // 30 racers, racer_0 fastest
+            for (let i = 0; i < 30; i++) {
+                const user = { userId: `user_${i}`, username: `racer_${i}` };
+                const vehicle = i % 2 === 0 ? 'sports_car' : 'muscle_car';
+                await leaderboards.submit(user, { type: 'lap', track: 'default', vehicle, time: 60000 + i * 100, verified: true }, monday);
+            }
+
+            const slower = await leaderboards.submit({ userId: 'user_3', username: 'racer_3' }, { type: 'lap', track: 'default', time: 90000, verified: true }, monday);
+            if (slower.improved.length !== 0) throw new Error('Slower time replaced a personal best');
+            if ((await leaderboards.submit({ userId: 'x', username: 'x' }, { type: 'lap', track: 'default', time: -5, verified: true })).error === undefined) {
+                throw new Error('Negative time accepted');
+            }
+
+            // A time a client posts itself can't land on a board the server races
+            const forger = { userId: 'forger', username: 'forger' };
+            const forged = await leaderboards.submit(forger, { type: 'lap', track: 'default', time: 1000 }, monday);
+            if (forged.code !== 'verified_only') throw new Error('Forged time on a server-raced track accepted');
+            if ((await leaderboards.submit(forger, { type: 'lap', track: 'procedural_42', time: 1000 }, monday)).code !== 'verified_only') {
+                throw new Error('Forged time on a procedural track accepted');
+            }
+            if (leaderboards.getRank('lap', 'default', undefined, 'all', 'forger', monday) !== null) throw new Error('Forged time ranked');
+            if (leaderboards.query({ type: 'lap', track: 'default' }, monday).entries[0].username !== 'racer_0') {
+                throw new Error('Forged time outranked the verified best');
+            }
+            if ((await leaderboards.submit(forger, { type: 'lap', track: 'monaco', time: 50000 }, monday)).error) {
+                throw new Error('Client-only track should still take client times');
+            }
+
+            const page = leaderboards.query({ type: 'lap', track: 'default', page: 2, pageSize: 10 }, monday);
+            if (page.total !== 30 || page.entries[0].rank !== 11 || page.entries[0].username !== 'racer_10') {
+                throw new Error('Pagination returned the wrong slice');
+            }
+            const sportsCars = leaderboards.query({ type: 'lap', track: 'default', vehicle: 'sports_car' }, monday);
+            if (sportsCars.total !== 15) throw new Error('Vehicle filter not applied');
+
+            const around = leaderboards.aroundUser({ type: 'lap', track: 'default', window: 2 }, 'user_20', monday);
+            if (around.rank !== 21 || around.entries.map(entry => entry.rank).join(',') !== '19,20,21,22,23') {
+                throw new Error('Rank window not centred on the player');
+            }
+
+            // A new day starts an empty daily board, and old boards are pruned
+            const tuesday = monday + 24 * 60 * 60 * 1000;
+            if (leaderboards.query({ type: 'lap', track: 'default', timeframe: 'daily' }, tuesday).total !== 0) throw new Error('Daily board carried over');
+            if (leaderboards.query({ type: 'lap', track: 'default', timeframe: 'weekly' }, tuesday).total !== 30) throw new Error('Weekly board lost entries');
+
+            await leaderboards.pruneExpired(tuesday);
+            const reloaded = new LeaderboardService(storage);
+            await reloaded.load(tuesday);
+            if (reloaded.query({ type: 'lap', track: 'default' }, tuesday).total !== 30) throw new Error('All-time board not restored from storage');
+            if (reloaded.query({ type: 'lap', track: 'default', timeframe: 'daily' }, monday).total !== 0) throw new Error('Expired daily board not pruned');
+
+            return { entries: page.total, aroundRank: around.rank };
+        }, 'network', 'high');
+
+        this.addTest('Server Metrics Exposition', async () => {
+            const { MetricsRegistry } = await this.importModule('server/metrics.js');
+
+            const registry = new MetricsRegistry();
+            const messages = registry.counter('test_messages_total', 'Messages', ['event']);
+            const latency = registry.histogram('test_latency_seconds', 'Latency', ['operation'], [0.1, 1]);
+            let rooms = 0;
+            registry.gauge('test_rooms', 'Rooms', ['state'], gauge => gauge.set({ state: 'racing' }, rooms));
+
+            messages.inc({ event: 'updatePosition' });
+            messages.inc({ event: 'updatePosition' }, 2);
+            messages.inc({ event: 'say "hi"\n' });
+            latency.observe({ operation: 'save' }, 0.05);
+            latency.observe({ operation: 'save' }, 0.5);
+            rooms = 3;
+
+            const text = registry.render();
+            const expected = [
+                '# TYPE test_messages_total counter',
+                'test_messages_total{event="updatePosition"} 3',
+                'test_messages_total{event="say \\"hi\\"\\n"} 1',
+                'test_latency_seconds_bucket{operation="save",le="0.1"} 1',
+                'test_latency_seconds_bucket{operation="save",le="1"} 2',
+                'test_latency_seconds_bucket{operation="save",le="+Inf"} 2',
+                'test_latency_seconds_count{operation="save"} 2',
+                'test_rooms{state="racing"} 3'
+            ];
+            const lines = text.split('\n');
+            const missing = expected.filter(line => !lines.includes(line));
+            if (missing.length > 0) throw new Error(`Missing lines: ${missing.join(' | ')}`);
+
+            return { lines: lines.length };
+        }, 'network', 'medium');
+
+        this.addTest('Socket Event Validation', async () => {
+            const { SocketEventGuard } = await this.importModule('server/socketEvents.js');
+            const { encodePositionUpdate } = await this.importModule('src/network/wireFormat.js');
+
+            const guard = new SocketEventGuard();
+            const now = 1000000;
+
+            // Unknown fields are stripped, so race progress can't be smuggled in
+            const joined = guard.check('joinMatchmaking', { name: 'Racer', mmr: 1200, finished: true, lap: 99 }, now);
+            if (joined.reason || joined.payload.finished !== undefined || joined.payload.lap !== undefined || joined.payload.name !== 'Racer') {
+                throw new Error('Unknown fields should be stripped');
+            }
+
+            // A matchmaking host's track choice reaches the server
+            const track = { seed: 7 };
+            const matchmaking = guard.check('startMatchmaking', { gameMode: 'standard', playerData: { track, totalLaps: 2 } }, now);
+            if (matchmaking.reason || matchmaking.payload.playerData.totalLaps !== 2 || matchmaking.payload.playerData.track.seed !== 7) {
+                throw new Error('Matchmaking track choice should be kept');
+            }
+
+            const bad = [
+                guard.check('updatePosition', { position: { x: '1', y: 0, z: 0 } }, now),
+                guard.check('updatePosition', { position: { x: NaN, y: 0, z: 0 } }, now),
+                guard.check('setReady', { ready: 'yes' }, now),
+                guard.check('updatePosition', new Uint8Array([1, 2, 3]).buffer, now)
+            ];
+            if (!bad.every(result => result.reason === 'invalid_payload')) throw new Error('Bad payloads should be rejected');
+            if (guard.check('adminShutdown', {}, now).reason !== 'unknown_event') throw new Error('Unknown events should be rejected');
+
+            // Binary messages are decoded before validation
+            const binary = guard.check('updatePosition', encodePositionUpdate({
+                position: { x: 10, y: 1, z: -5 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: null,
+                inputSeq: 7,
+                snapshotAck: 3
+            }), now);
+            if (binary.reason || binary.payload.inputSeq !== 7 || Math.abs(binary.payload.position.x - 10) > 0.01) {
+                throw new Error('Binary position update should decode');
+            }
+
+            // Each event type has its own bucket, refilled over time
+            const limited = new SocketEventGuard();
+            let accepted = 0;
+            for (let i = 0; i < 20; i++) {
+                if (!limited.check('setReady', { ready: true }, now).reason) accepted++;
+            }
+            if (accepted !== 10) throw new Error(`Expected a burst of 10 setReady, got ${accepted}`);
+            if (limited.check('setReady', { ready: true }, now).reason !== 'rate_limited') throw new Error('Flood should be rate limited');
+            if (limited.check('leaveLobby', undefined, now).reason) throw new Error('Other events should have their own limit');
+            if (limited.check('setReady', { ready: false }, now + 1000).reason) throw new Error('Bucket should refill');
+
+            return { burst: accepted };
+        }, 'network', 'high');
+
+        this.addTest('Room Chat Moderation', async () => {
+            const { sanitizeMessage, filterProfanity, ChatRateLimiter, MAX_MESSAGE_LENGTH } = await this.importModule('server/chat.js');
+
+            if (sanitizeMessage('  good\u0000  luck\n\nall ') !== 'good luck all') throw new Error('Messages should be trimmed and collapsed');
+            if (sanitizeMessage(' ​\t ') !== null) throw new Error('Blank messages should be dropped');
+            if (sanitizeMessage('x'.repeat(500)).length !== MAX_MESSAGE_LENGTH) throw new Error('Long messages should be cut');
+
+            const masked = filterProfanity('what the FUUUCK, sh1t driving');
+            if (!masked.filtered || masked.text !== 'what the ******, **** driving') throw new Error(`Unexpected filter result: ${masked.text}`);
+            // Whole words only, so place names and racing terms survive
+            const clean = filterProfanity('Scunthorpe classic passing assist');
+            if (clean.filtered || clean.text !== 'Scunthorpe classic passing assist') throw new Error('Clean words should not be masked');
+
+            const limiter = new ChatRateLimiter({ messages: 3, window: 10000, duplicateWindow: 5000 });
+            const now = 1000000;
+            if (limiter.check('user-1', 'gg', now)) throw new Error('First message should pass');
+            if (!limiter.check('user-1', 'GG', now + 100)) throw new Error('Repeated message should be rejected');
+            if (limiter.check('user-1', 'nice race', now + 200) || limiter.check('user-1', 'rematch?', now + 300)) {
+                throw new Error('Messages within the limit should pass');
+            }
+            const limited = limiter.check('user-1', 'one more', now + 400);
+            if (!limited || limited.retryAfter !== 9600) throw new Error('Fourth message in the window should be limited');
+            if (limiter.check('user-2', 'one more', now + 400)) throw new Error('Limits should be per account');
+            if (limiter.check('user-1', 'one more', now + 10001)) throw new Error('Window should slide');
+
+            limiter.prune(now + 30000);
+            if (limiter.senders.size !== 0) throw new Error('Quiet senders should be pruned');
+
+            return { masked: masked.text };
+        }, 'network', 'high');
+
         this.addTest('Tournament System', async () => {
             const { TournamentManager } = await this.importModule('src/multiplayer/tournamentManager.js');
 
@@ -543,6 +1817,279 @@ class NodeTestRunner {
         }, 'network', 'medium');
     }
 
+    // Socket and HTTP behaviour of server/server.js, each against its own process
+    async addServerTests() {
+        this.addTest('Private Lobbies', async () => this.withServer({}, async (server) => {
+            const { socket: host } = await server.connect('lobby_host');
+            const { socket: guest } = await server.connect('lobby_guest');
+            const gate = { position: { x: 0, z: 20 }, direction: { x: 0, z: 1 } };
+
+            // A malformed track is refused without leaving a room behind or
+            // taking the server down
+            let refused = nextEvent(host, 'lobbyError');
+            host.emit('createLobby', { settings: { track: { checkpoints: [{}] } } });
+            if (!/position/.test((await refused).error)) throw new Error('Bad checkpoint not reported');
+            if (!server.running) throw new Error('Server exited on a bad track');
+            const { data: admin } = await server.request('GET', '/api/admin/rooms', { admin: true });
+            if (admin.rooms.length !== 0) throw new Error('Rejected lobby was registered');
+
+            const created = nextEvent(host, 'roomJoined');
+            host.emit('createLobby', { settings: { totalLaps: 2, track: { checkpoints: [gate] } } });
+            const { joinCode } = await created;
+            if (!/^[A-Z0-9]{6}$/.test(joinCode)) throw new Error('No join code');
+
+            const joined = nextEvent(guest, 'lobbyUpdate');
+            guest.emit('joinLobby', { joinCode: joinCode.toLowerCase() });
+            if ((await joined).players.length !== 2) throw new Error('Guest did not join');
+
+            // Only the host changes settings, and bad ones leave the lobby as it was
+            refused = nextEvent(guest, 'lobbyError');
+            guest.emit('updateLobbySettings', { totalLaps: 5 });
+            if ((await refused).error !== 'Only the host can do that') throw new Error('Guest changed settings');
+            refused = nextEvent(host, 'lobbyError');
+            host.emit('updateLobbySettings', { totalLaps: 5, track: { checkpoints: [{ position: { x: 0, z: 0 } }] } });
+            if (!/direction/.test((await refused).error)) throw new Error('Bad track update not reported');
+
+            const updated = nextEvent(guest, 'lobbyUpdate');
+            host.emit('updateLobbySettings', { totalLaps: 4 });
+            const { settings } = await updated;
+            if (settings.totalLaps !== 4 || settings.track.checkpoints.length !== 1) throw new Error('Settings not applied');
+
+            // The race waits for the ready-check
+            refused = nextEvent(host, 'lobbyError');
+            host.emit('startLobbyRace');
+            if ((await refused).error !== 'Not all players are ready') throw new Error('Started before everyone was ready');
+            const ready = nextEvent(host, 'lobbyUpdate');
+            guest.emit('setReady', { ready: true });
+            await ready;
+            const started = nextEvent(guest, 'raceStart');
+            host.emit('startLobbyRace');
+            await started;
+
+            refused = nextEvent(guest, 'lobbyError');
+            guest.emit('joinLobby', { joinCode: 'ZZZZZZ' });
+            if ((await refused).error !== 'Lobby not found') throw new Error('Unknown join code accepted');
+
+            return { joinCode, totalLaps: settings.totalLaps };
+        }), 'network', 'high');
+
+        this.addTest('Race Reconnection', async () => this.withServer({ RECONNECT_GRACE_PERIOD_MS: '1000' }, async (server) => {
+            const { socket: host } = await server.connect('racer_one');
+            const { socket: guest, session: guestAccount } = await server.connect('racer_two');
+            const { socket: intruder } = await server.connect('racer_three');
+
+            const created = nextEvent(host, 'roomJoined');
+            host.emit('createLobby', { settings: { serverPhysics: true } });
+            const { joinCode, sessionToken: hostToken } = await created;
+            const joined = nextEvent(guest, 'roomJoined');
+            guest.emit('joinLobby', { joinCode });
+            const { sessionToken: guestToken, roomId } = await joined;
+            const ready = nextEvent(host, 'lobbyUpdate');
+            guest.emit('setReady', { ready: true });
+            await ready;
+            const started = nextEvent(guest, 'raceStart');
+            host.emit('startLobbyRace');
+            await started;
+
+            // A dropped racer's slot is held, for their account only
+            const guestId = guest.id;
+            guest.disconnect();
+            await delay(200);
+            const expired = nextEvent(intruder, 'sessionExpired');
+            intruder.emit('resumeSession', { sessionToken: guestToken });
+            await expired;
+
+            const rejoined = await server.connectAs(guestAccount.token);
+            const reconnected = nextEvent(host, 'playerReconnected');
+            const resumed = nextEvent(rejoined, 'sessionResumed');
+            rejoined.emit('resumeSession', { sessionToken: guestToken });
+            const session = await resumed;
+            if (session.roomId !== roomId || session.previousId !== guestId) throw new Error('Wrong slot resumed');
+            if ((await reconnected).playerId !== rejoined.id) throw new Error('Room not told about the reconnect');
+
+            // Once everyone has timed out the room and its join code are gone
+            host.disconnect();
+            rejoined.disconnect();
+            await delay(2000);
+            const { data: admin } = await server.request('GET', '/api/admin/rooms', { admin: true });
+            if (admin.rooms.length !== 0) throw new Error('Abandoned room kept');
+            const gone = nextEvent(intruder, 'lobbyError');
+            intruder.emit('joinLobby', { joinCode });
+            if ((await gone).error !== 'Lobby not found') throw new Error('Join code outlived its room');
+            const late = nextEvent(intruder, 'sessionExpired');
+            intruder.emit('resumeSession', { sessionToken: hostToken });
+            await late;
+
+            return { roomId, resumedAs: rejoined.id };
+        }), 'network', 'high');
+
+        this.addTest('Legacy Cloud Saves', async () => {
+            const { getLegacyUserId } = await this.importModule('server/legacySaves.js');
+            const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'velocityrush-legacy-'));
+            const savesDir = path.join(legacyDir, 'saves');
+            fs.mkdirSync(savesDir);
+            fs.writeFileSync(path.join(savesDir, `${getLegacyUserId('old_racer')}.json`), JSON.stringify({ credits: 500, syncedAt: 1, version: 1 }));
+
+            try {
+                return await this.withServer({ LEGACY_SAVES_DIR: savesDir }, async (server) => {
+                    if (fs.existsSync(savesDir) || !fs.existsSync(`${savesDir}.imported`)) throw new Error('Legacy saves not marked imported');
+
+                    // The account that registers the old username gets the save
+                    const owner = await server.register('old_racer');
+                    const { status, data } = await server.request('GET', `/api/cloud/load/${owner.userId}`, { token: owner.token });
+                    if (status !== 200 || data.credits !== 500) throw new Error(`Legacy save not imported: ${JSON.stringify(data)}`);
+
+                    const other = await server.register('new_racer');
+                    if ((await server.request('GET', `/api/cloud/load/${other.userId}`, { token: other.token })).status !== 404) {
+                        throw new Error('Legacy save handed to the wrong account');
+                    }
+                    return { credits: data.credits };
+                });
+            } finally {
+                fs.rmSync(legacyDir, { recursive: true, force: true });
+            }
+        }, 'network', 'high');
+
+        this.addTest('Login Rate Limits', async () => this.withServer({}, async (server) => {
+            await server.register('guessed');
+
+            // Password guessing against one username runs out of attempts
+            const guess = () => server.request('POST', '/api/auth/login', { body: { username: 'Guessed', password: 'wrong-guess' } });
+            const statuses = [];
+            for (let i = 0; i < 11; i++) statuses.push((await guess()).status);
+            if (statuses.slice(0, 10).some(status => status !== 401) || statuses[10] !== 429) {
+                throw new Error(`Login guesses not limited: ${statuses.join(',')}`);
+            }
+
+            // And so does bulk registration from one address
+            const created = [];
+            for (let i = 0; i < 10; i++) {
+                const { status } = await server.request('POST', '/api/auth/register', { body: { username: `bulk_${i}`, password: 'password123' } });
+                created.push(status);
+            }
+            const refused = created.indexOf(429);
+            if (refused !== 9) throw new Error(`Registrations not limited: ${created.join(',')}`);
+
+            return { guesses: statuses.length, registrations: refused };
+        }), 'network', 'high');
+
+        this.addTest('Matchmaking Track Choice', async () => this.withServer({}, async (server) => {
+            const { socket } = await server.connect('mm_racer');
+
+            const refused = nextEvent(socket, 'matchmakingError');
+            socket.emit('startMatchmaking', { gameMode: 'standard', playerData: { track: { checkpoints: [{}] } } });
+            if (!/position/.test((await refused).error)) throw new Error('Bad track choice not reported');
+
+            const started = nextEvent(socket, 'matchmakingStarted');
+            socket.emit('startMatchmaking', { gameMode: 'standard', playerData: { track: { seed: 7 }, totalLaps: 2 } });
+            await started;
+
+            return { queued: true };
+        }), 'network', 'high');
+
+        this.addTest('Admin API', async () => {
+            await this.withServer({}, async (server) => {
+                const { socket: racer } = await server.connect('admin_racer');
+
+                // Missing or wrong tokens are refused on every admin route
+                for (const admin of [false, 'wrong-token']) {
+                    const status = (await server.request('GET', '/api/admin/status', { admin })).status;
+                    const kick = (await server.request('POST', `/api/admin/players/${racer.id}/kick`, { admin })).status;
+                    if (status !== 403 || kick !== 403) throw new Error(`Admin route allowed without a valid token (${status}, ${kick})`);
+                }
+                if (!racer.connected) throw new Error('Refused kick disconnected the player');
+
+                const { data: status } = await server.request('GET', '/api/admin/status', { admin: true });
+                if (status.connectedPlayers !== 1 || status.draining !== false) throw new Error(`Unexpected status: ${JSON.stringify(status)}`);
+
+                const broadcast = nextEvent(racer, 'serverMessage');
+                await server.request('POST', '/api/admin/broadcast', { admin: true, body: { message: '  Restart soon  ' } });
+                if ((await broadcast).message !== 'Restart soon') throw new Error('Broadcast not delivered');
+
+                // Kicks name the reason and close the connection
+                const kicked = nextEvent(racer, 'kicked');
+                const disconnected = nextEvent(racer, 'disconnect');
+                const kick = await server.request('POST', `/api/admin/players/${racer.id}/kick`, { admin: true, body: { reason: 'testing' } });
+                if (kick.status !== 200) throw new Error(`Kick failed: ${JSON.stringify(kick.data)}`);
+                const notice = await kicked;
+                if (notice.action !== 'kick' || notice.reason !== 'testing') throw new Error(`Unexpected kick notice: ${JSON.stringify(notice)}`);
+                await disconnected;
+
+                if ((await server.request('POST', `/api/admin/players/${racer.id}/kick`, { admin: true })).status !== 404) {
+                    throw new Error('Kicking a departed player should be a 404');
+                }
+
+                // Bans need a positive duration and can be lifted. Without a trusted
+                // proxy the forwarded address is ignored.
+                const { socket: cheater, session } = await server.connect('admin_cheater', { headers: { 'x-forwarded-for': '203.0.113.9' } });
+                const invalid = await server.request('POST', `/api/admin/players/${cheater.id}/ban`, { admin: true, body: { durationMinutes: -1 } });
+                if (invalid.status !== 400 || !cheater.connected) throw new Error('Ban with a negative duration accepted');
+                const banned = await server.request('POST', `/api/admin/players/${cheater.id}/ban`, { admin: true, body: { durationMinutes: 5 } });
+                if (banned.status !== 200) throw new Error(`Ban failed: ${JSON.stringify(banned.data)}`);
+                if (banned.data.ban.address === '203.0.113.9') throw new Error('Ban took the spoofed forwarded address');
+                const identity = encodeURIComponent(banned.data.ban.identity);
+                if ((await server.request('DELETE', `/api/admin/bans/${identity}`, { admin: true })).status !== 200) throw new Error('Ban not lifted');
+                if ((await server.request('DELETE', `/api/admin/bans/${identity}`, { admin: true })).status !== 404) throw new Error('Lifted ban still active');
+                const returned = await server.connectAs(session.token);
+                await delay(100);
+                if (!returned.connected) throw new Error('Player with a lifted ban was refused');
+
+                // Metrics are public, in the Prometheus text format
+                const metrics = await server.request('GET', '/metrics');
+                if (metrics.status !== 200 || !/^velocityrush_connected_sockets \d+$/m.test(metrics.data)) {
+                    throw new Error('Metrics exposition missing connected sockets');
+                }
+                if (!/^# TYPE velocityrush_socket_messages_total counter$/m.test(metrics.data)) throw new Error('Socket message counter not exported');
+            });
+
+            // Without ADMIN_TOKEN the admin API is switched off entirely
+            return this.withServer({ ADMIN_TOKEN: '' }, async (server) => {
+                const { status } = await server.request('GET', '/api/admin/status', { admin: true });
+                if (status !== 403) throw new Error('Admin API open without ADMIN_TOKEN');
+                return { disabledStatus: status };
+            });
+        }, 'network', 'high');
+
+        this.addTest('Account Bans', async () => this.withServer({ TRUSTED_PROXIES: LOOPBACK_ADDRESSES }, async (server) => {
+            const from = address => ({ 'x-forwarded-for': address });
+            const { socket: cheater, session } = await server.connect('ban_cheater', { headers: from('203.0.113.7') });
+            const { socket: bystander } = await server.connect('ban_bystander', { headers: from('198.51.100.2') });
+
+            const kicked = nextEvent(cheater, 'kicked');
+            const { status, data } = await server.request('POST', `/api/admin/players/${cheater.id}/ban`, {
+                admin: true,
+                body: { durationMinutes: 5, reason: 'test' }
+            });
+            if (status !== 200) throw new Error(`Ban failed: ${JSON.stringify(data)}`);
+            if ((await kicked).action !== 'ban') throw new Error('Banned player not told');
+
+            await delay(100);
+            if (!bystander.connected) throw new Error('Player on another address was banned too');
+
+            // The ban holds for the account from anywhere, and for any account
+            // from the address it played from
+            const refusal = async (token, address) => {
+                let refused;
+                await server.connectAs(token, {
+                    headers: from(address),
+                    listen: socket => { refused = nextEvent(socket, 'cheatDetected'); }
+                });
+                return (await refused).action;
+            };
+            if (await refusal(session.token, '198.51.100.1') !== 'ban') throw new Error('Banned account reconnected');
+            const fresh = await server.register('ban_cheater_2');
+            if (await refusal(fresh.token, '203.0.113.7') !== 'ban') throw new Error('Banned client came back under a new account');
+
+            const { data: strikes } = await server.request('GET', '/api/admin/strikes', { admin: true });
+            const [ban] = strikes.bans;
+            if (strikes.bans.length !== 1 || ban.identity !== `user:${session.userId}` || ban.address !== '203.0.113.7') {
+                throw new Error(`Ban not keyed on the account and address: ${JSON.stringify(strikes.bans)}`);
+            }
+
+            return { ban: ban.identity, address: ban.address };
+        }), 'network', 'high');
+    }
+
     async addSocialTests() {
         this.addTest('Social Manager Initialization', async () => {
             const { SocialManager } = await this.importModule('src/multiplayer/socialManager.js');
@@ -754,9 +2301,11 @@ async function main() {
 
     // Add all test categories
     await testRunner.addPhysicsTests();
+    await testRunner.addPredictionTests();
     await testRunner.addRenderingTests();
     await testRunner.addGameplayTests();
     await testRunner.addNetworkTests();
+    await testRunner.addServerTests();
     await testRunner.addSocialTests();
     await testRunner.addPerformanceTests();
     await testRunner.addIntegrationTests();